@@ -18,6 +18,7 @@
 		placeholder: 'Type your message...',
 		title: 'Chat Assistant',
 		apiBase: 'https://localhost:3000', // Will be overridden by user's config
+		streaming: true, // Render replies token by token as they are generated
 	};
 
 	const finalConfig = { ...defaultConfig, ...config };
@@ -91,6 +92,22 @@
 	let messages = [];
 	let historyLoaded = false;
 
+	// Human handoff: while a person answers, the AI stays silent and
+	// operator replies are fetched by polling the session's history
+	const HANDOFF_STATUSES = ['awaiting_agent', 'agent_active'];
+	const HANDOFF_POLL_INTERVAL = 5000;
+	let handoffEnabled = false;
+	let conversationStatus = 'active';
+	let handoffPollTimer = null;
+	let lastMessageAt = null; // Server timestamp of the newest known message
+	const shownAgentMessageIds = new Set();
+
+	// Visitors rate answers with a thumbs up or down and an optional comment
+	const FEEDBACK_OPTIONS = [
+		{ rating: 'up', icon: '\u{1F44D}', title: 'Helpful' },
+		{ rating: 'down', icon: '\u{1F44E}', title: 'Not helpful' },
+	];
+
 	// Load conversation history from server
 	async function loadConversationHistory() {
 		const stored = getStoredSession();
@@ -141,6 +158,9 @@
 				const historicalMessages = data.data.messages;
 				const isNewSession = data.data.isNewSession;
 
+				handoffEnabled = !!data.data.handoffEnabled;
+				trackServerMessages(historicalMessages);
+
 				// Only display history if there are messages and it's not a new session
 				if (!isNewSession && historicalMessages.length > 0) {
 					// Clear the default greeting
@@ -149,8 +169,22 @@
 
 					// Add historical messages
 					historicalMessages.forEach((msg) => {
-						const sender = msg.role === 'user' ? 'user' : 'bot';
-						addMessage(msg.content, sender, false, true); // true = skip push to messages array
+						const sender =
+							msg.role === 'user'
+								? 'user'
+								: msg.role === 'agent'
+									? 'agent'
+									: 'bot';
+						const bubble = addMessage(
+							msg.content,
+							sender,
+							false,
+							true, // true = skip push to messages array
+							msg.citations
+						);
+						if (msg.role === 'assistant' && msg.responseType !== 'handoff') {
+							addFeedbackControls(bubble.parentNode, msg._id, msg.feedback);
+						}
 					});
 
 					// Add a subtle divider to indicate resuming conversation
@@ -181,6 +215,8 @@
 						'PlugRAG: No previous conversation found, starting fresh'
 					);
 				}
+
+				setConversationStatus(data.data.status, false);
 			}
 		} catch (error) {
 			console.error('PlugRAG: Error loading conversation history:', error);
@@ -310,6 +346,28 @@
 				(newChatButton.style.background = 'rgba(255, 255, 255, 0.2)');
 			newChatButton.onclick = handleNewChat;
 
+			// Talk to a person button (shown when the bot hands off to its owner)
+			const handoffButton = document.createElement('button');
+			handoffButton.id = 'plugrag-handoff-button';
+			handoffButton.textContent = 'Talk to a person';
+			handoffButton.title = 'Ask for a member of the team';
+			handoffButton.style.cssText = `
+        background: rgba(255, 255, 255, 0.2);
+        border: none;
+        color: white;
+        font-size: 11px;
+        cursor: pointer;
+        padding: 4px 8px;
+        border-radius: 4px;
+        transition: background 0.2s ease;
+        display: none;
+      `;
+			handoffButton.onmouseover = () =>
+				(handoffButton.style.background = 'rgba(255, 255, 255, 0.3)');
+			handoffButton.onmouseout = () =>
+				(handoffButton.style.background = 'rgba(255, 255, 255, 0.2)');
+			handoffButton.onclick = handleRequestHandoff;
+
 			const closeButton = document.createElement('button');
 			closeButton.innerHTML = '✕';
 			closeButton.style.cssText = `
@@ -322,6 +380,7 @@
       `;
 			closeButton.onclick = toggleChat;
 
+			headerActions.appendChild(handoffButton);
 			headerActions.appendChild(newChatButton);
 			headerActions.appendChild(closeButton);
 
@@ -457,6 +516,9 @@
 		clearSession();
 		messages = [];
 		historyLoaded = false;
+		lastMessageAt = null;
+		shownAgentMessageIds.clear();
+		setConversationStatus('active', false);
 
 		// Generate new session ID
 		sessionId = getSessionId();
@@ -473,7 +535,13 @@
 		console.log('PlugRAG: Started new conversation:', sessionId);
 	}
 
-	function addMessage(content, sender, isLoading = false, skipPush = false) {
+	function addMessage(
+		content,
+		sender,
+		isLoading = false,
+		skipPush = false,
+		citations = []
+	) {
 		const messagesContainer = document.getElementById('plugrag-messages');
 
 		const messageDiv = document.createElement('div');
@@ -483,10 +551,24 @@
       ${
 				sender === 'user'
 					? 'justify-content: flex-end;'
-					: 'justify-content: flex-start;'
+					: sender === 'agent'
+						? 'flex-direction: column; align-items: flex-start;'
+						: 'justify-content: flex-start;'
 			}
     `;
 
+		// Replies from a person are labelled so visitors know who answered
+		if (sender === 'agent') {
+			const agentLabel = document.createElement('div');
+			agentLabel.textContent = 'Team member';
+			agentLabel.style.cssText = `
+        font-size: 11px;
+        color: #6b7280;
+        margin: 0 0 2px 4px;
+      `;
+			messageDiv.appendChild(agentLabel);
+		}
+
 		const messageBubble = document.createElement('div');
 		messageBubble.style.cssText = `
       max-width: 80%;
@@ -497,7 +579,9 @@
       ${
 				sender === 'user'
 					? `background-color: ${finalConfig.color}; color: white; border-bottom-right-radius: 4px;`
-					: 'background-color: white; color: #374151; border: 1px solid #e5e7eb; border-bottom-left-radius: 4px;'
+					: sender === 'agent'
+						? `background-color: white; color: #374151; border: 1px solid ${finalConfig.color}; border-bottom-left-radius: 4px;`
+						: 'background-color: white; color: #374151; border: 1px solid #e5e7eb; border-bottom-left-radius: 4px;'
 			}
     `;
 
@@ -511,7 +595,7 @@
       `;
 			messageDiv.id = 'plugrag-loading-message';
 		} else {
-			messageBubble.textContent = content;
+			renderMessageContent(messageBubble, content, citations);
 		}
 
 		messageDiv.appendChild(messageBubble);
@@ -522,6 +606,267 @@
 		if (!skipPush) {
 			messages.push({ content, sender, timestamp: Date.now() });
 		}
+
+		return messageBubble;
+	}
+
+	// Render message text with clickable [N] markers and a footnote list
+	function renderMessageContent(bubble, content, citations) {
+		if (!citations || citations.length === 0) {
+			bubble.textContent = content;
+			return;
+		}
+
+		bubble.textContent = '';
+		const footnotes = {};
+
+		function toggleFootnote(index) {
+			const footnote = footnotes[index];
+			if (!footnote) return;
+			const isHidden = footnote.snippet.style.display === 'none';
+			footnote.snippet.style.display = isHidden ? 'block' : 'none';
+		}
+
+		// Message text, with citation markers turned into superscript links
+		const textDiv = document.createElement('div');
+		textDiv.style.cssText = 'white-space: pre-wrap;';
+		content.split(/(\[\d+\])/).forEach(function (part) {
+			const match = part.match(/^\[(\d+)\]$/);
+			const index = match ? Number(match[1]) : null;
+			const isCitation =
+				index !== null &&
+				citations.some(function (citation) {
+					return citation.index === index;
+				});
+
+			if (!isCitation) {
+				textDiv.appendChild(document.createTextNode(part));
+				return;
+			}
+
+			const marker = document.createElement('sup');
+			marker.textContent = `[${index}]`;
+			marker.style.cssText = `
+        color: ${finalConfig.color};
+        cursor: pointer;
+        font-weight: 600;
+        margin-left: 1px;
+      `;
+			marker.addEventListener('click', function () {
+				toggleFootnote(index);
+			});
+			textDiv.appendChild(marker);
+		});
+		bubble.appendChild(textDiv);
+
+		// Footnotes
+		const list = document.createElement('div');
+		list.style.cssText = `
+      margin-top: 8px;
+      padding-top: 6px;
+      border-top: 1px solid #e5e7eb;
+      font-size: 11px;
+      color: #6b7280;
+    `;
+
+		citations.forEach(function (citation) {
+			const item = document.createElement('div');
+			item.style.cssText = 'margin-top: 4px;';
+
+			const label = document.createElement('span');
+			label.textContent = `[${citation.index}] ${citation.fileName}${
+				citation.pageNumber
+					? `, p. ${citation.pageNumber}${
+							citation.pageEnd ? `-${citation.pageEnd}` : ''
+						}`
+					: ''
+			}`;
+			label.style.cssText = 'cursor: pointer;';
+			label.addEventListener('click', function () {
+				toggleFootnote(citation.index);
+			});
+			item.appendChild(label);
+
+			if (citation.url) {
+				const link = document.createElement('a');
+				// Web page citations link to the page itself
+				link.href = /^https?:\/\//.test(citation.url)
+					? citation.url
+					: `${finalConfig.apiBase}${citation.url}`;
+				link.target = '_blank';
+				link.rel = 'noopener noreferrer';
+				link.textContent = 'Open';
+				link.style.cssText = `
+          margin-left: 6px;
+          color: ${finalConfig.color};
+          text-decoration: underline;
+        `;
+				item.appendChild(link);
+			}
+
+			const snippet = document.createElement('div');
+			snippet.textContent = citation.snippet || '';
+			snippet.style.cssText = `
+        display: none;
+        margin-top: 4px;
+        padding: 6px 8px;
+        background: #f9fafb;
+        border-radius: 6px;
+        color: #374151;
+        font-style: italic;
+      `;
+			item.appendChild(snippet);
+
+			footnotes[citation.index] = { snippet };
+			list.appendChild(item);
+		});
+
+		bubble.appendChild(list);
+	}
+
+	// Thumbs up/down under an answer; rating opens an optional comment box
+	function addFeedbackControls(messageDiv, messageId, feedback) {
+		if (!messageId) return;
+
+		messageDiv.style.flexDirection = 'column';
+		messageDiv.style.alignItems = 'flex-start';
+
+		const controls = document.createElement('div');
+		controls.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      margin: 2px 0 0 4px;
+      font-size: 11px;
+      color: #9ca3af;
+    `;
+
+		let currentRating = feedback?.rating || null;
+		const buttons = {};
+
+		function highlightRating() {
+			FEEDBACK_OPTIONS.forEach(function (option) {
+				const selected = currentRating === option.rating;
+				buttons[option.rating].style.opacity = selected ? '1' : '0.5';
+				buttons[option.rating].style.borderColor = selected
+					? finalConfig.color
+					: 'transparent';
+			});
+		}
+
+		FEEDBACK_OPTIONS.forEach(function (option) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.textContent = option.icon;
+			button.title = option.title;
+			button.style.cssText = `
+        background: none;
+        border: 1px solid transparent;
+        border-radius: 6px;
+        padding: 1px 4px;
+        font-size: 12px;
+        cursor: pointer;
+      `;
+			button.addEventListener('click', async function () {
+				const saved = await submitFeedback(messageId, option.rating);
+				if (!saved) return;
+				currentRating = option.rating;
+				highlightRating();
+				showCommentForm();
+			});
+			buttons[option.rating] = button;
+			controls.appendChild(button);
+		});
+
+		const status = document.createElement('span');
+		controls.appendChild(status);
+
+		function showCommentForm() {
+			const existing = messageDiv.querySelector('.plugrag-feedback-form');
+			if (existing) return;
+
+			const form = document.createElement('form');
+			form.className = 'plugrag-feedback-form';
+			form.style.cssText = `
+        display: flex;
+        gap: 4px;
+        margin: 4px 0 0 4px;
+        width: 80%;
+      `;
+
+			const input = document.createElement('input');
+			input.type = 'text';
+			input.maxLength = 1000;
+			input.placeholder = 'Tell us more (optional)';
+			input.style.cssText = `
+        flex: 1;
+        min-width: 0;
+        padding: 4px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-size: 12px;
+        outline: none;
+      `;
+
+			const send = document.createElement('button');
+			send.type = 'submit';
+			send.textContent = 'Send';
+			send.style.cssText = `
+        padding: 4px 8px;
+        background-color: ${finalConfig.color};
+        color: white;
+        border: none;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+      `;
+
+			form.appendChild(input);
+			form.appendChild(send);
+			form.addEventListener('submit', async function (e) {
+				e.preventDefault();
+				const comment = input.value.trim();
+				if (comment) {
+					const saved = await submitFeedback(messageId, currentRating, comment);
+					if (!saved) return;
+				}
+				form.remove();
+				status.textContent = 'Thanks for your feedback';
+			});
+
+			messageDiv.appendChild(form);
+			input.focus();
+		}
+
+		highlightRating();
+		messageDiv.appendChild(controls);
+	}
+
+	// Send a rating (and comment) for an answer
+	async function submitFeedback(messageId, rating, comment = '') {
+		try {
+			const response = await fetch(
+				`${finalConfig.apiBase}/api/chat/${finalConfig.botId}/feedback`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						sessionId: sessionId,
+						messageId: messageId,
+						rating: rating,
+						comment: comment,
+					}),
+				}
+			);
+			const data = await response.json();
+			if (!data.success) {
+				console.error('PlugRAG: Error saving feedback:', data.error);
+			}
+			return data.success;
+		} catch (error) {
+			console.error('PlugRAG: Error saving feedback:', error);
+			return false;
+		}
 	}
 
 	function removeLoadingMessage() {
@@ -531,6 +876,120 @@
 		}
 	}
 
+	// Show a small centered note in the conversation
+	function addNotice(text) {
+		const messagesContainer = document.getElementById('plugrag-messages');
+		if (!messagesContainer) return;
+
+		const notice = document.createElement('div');
+		notice.style.cssText = `
+      text-align: center;
+      padding: 6px;
+      margin: 6px 0;
+      color: #9ca3af;
+      font-size: 11px;
+    `;
+		notice.textContent = text;
+		messagesContainer.appendChild(notice);
+		messagesContainer.scrollTop = messagesContainer.scrollHeight;
+	}
+
+	function isHandedOff() {
+		return HANDOFF_STATUSES.includes(conversationStatus);
+	}
+
+	// Remember which server messages were already shown
+	function trackServerMessages(serverMessages) {
+		serverMessages.forEach((msg) => {
+			if (msg.role === 'agent' && msg._id) {
+				shownAgentMessageIds.add(msg._id);
+			}
+			if (msg.timestamp && (!lastMessageAt || msg.timestamp > lastMessageAt)) {
+				lastMessageAt = msg.timestamp;
+			}
+		});
+	}
+
+	// Update the handoff state, polling for operator replies while handed off
+	function setConversationStatus(status, announce = true) {
+		const wasHandedOff = isHandedOff();
+		conversationStatus = status || 'active';
+
+		const handoffButton = document.getElementById('plugrag-handoff-button');
+		if (handoffButton) {
+			handoffButton.style.display =
+				handoffEnabled && !isHandedOff() ? 'inline-block' : 'none';
+		}
+
+		if (isHandedOff()) {
+			if (!handoffPollTimer) {
+				handoffPollTimer = setInterval(
+					pollAgentMessages,
+					HANDOFF_POLL_INTERVAL
+				);
+			}
+		} else {
+			clearInterval(handoffPollTimer);
+			handoffPollTimer = null;
+			if (wasHandedOff && announce) {
+				addNotice('You are chatting with the assistant again');
+			}
+		}
+	}
+
+	// Fetch replies sent by a person since the newest known message
+	async function pollAgentMessages() {
+		try {
+			const query = lastMessageAt
+				? `?after=${encodeURIComponent(lastMessageAt)}`
+				: '';
+			const response = await fetch(
+				`${finalConfig.apiBase}/api/chat/${finalConfig.botId}/history/${sessionId}${query}`
+			);
+			if (!response.ok) return;
+
+			const data = await response.json();
+			if (!data.success) return;
+
+			(data.data.messages || []).forEach((msg) => {
+				if (msg.role === 'agent' && !shownAgentMessageIds.has(msg._id)) {
+					addMessage(msg.content, 'agent');
+				}
+			});
+			trackServerMessages(data.data.messages || []);
+			setConversationStatus(data.data.status);
+		} catch (error) {
+			console.error('PlugRAG: Error checking for replies:', error);
+		}
+	}
+
+	// Ask for a person from the header button
+	async function handleRequestHandoff() {
+		try {
+			const response = await fetch(
+				`${finalConfig.apiBase}/api/chat/${finalConfig.botId}/handoff`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ sessionId: sessionId }),
+				}
+			);
+			const data = await response.json();
+
+			if (data.success) {
+				if (data.data.message) {
+					addMessage(data.data.message, 'bot');
+				}
+				setConversationStatus(data.data.conversationStatus);
+			} else {
+				addNotice(data.error || 'Sorry, no one is available right now.');
+			}
+		} catch (error) {
+			console.error('PlugRAG: Error requesting a person:', error);
+			addNotice('Sorry, we could not reach the team. Please try again.');
+		}
+	}
+
 	async function handleSendMessage(e) {
 		e.preventDefault();
 
@@ -554,15 +1013,25 @@
 					method: 'POST',
 					headers: {
 						'Content-Type': 'application/json',
+						Accept: finalConfig.streaming
+							? 'text/event-stream'
+							: 'application/json',
 					},
 					body: JSON.stringify({
 						message: message,
 						sessionId: sessionId,
 						domain: window.location.hostname,
+						stream: !!finalConfig.streaming,
 					}),
 				}
 			);
 
+			const contentType = response.headers.get('content-type') || '';
+			if (contentType.includes('text/event-stream')) {
+				await handleStreamedResponse(response);
+				return;
+			}
+
 			const data = await response.json();
 
 			// Remove loading message
@@ -572,9 +1041,20 @@
 				// The API returns: { success: true, data: { message: "bot response" }, message: "Message sent successfully" }
 				// We want the message from inside data, not the top-level message
 				const botMessage = data.data?.message;
-
-				if (botMessage) {
-					addMessage(botMessage, 'bot');
+				const wasHandedOff = isHandedOff();
+				setConversationStatus(data.data?.conversationStatus);
+
+				if (!botMessage && wasHandedOff && isHandedOff()) {
+					// A person is answering; their reply arrives by polling
+				} else if (botMessage) {
+					const bubble = addMessage(
+						botMessage,
+						'bot',
+						false,
+						false,
+						data.data?.citations
+					);
+					addFeedbackControls(bubble.parentNode, data.data?.messageId);
 				} else {
 					console.warn('PlugRAG: No message found in response:', data);
 					addMessage(
@@ -595,6 +1075,92 @@
 		}
 	}
 
+	// Render a streamed (text/event-stream) reply as tokens arrive
+	async function handleStreamedResponse(response) {
+		const messagesContainer = document.getElementById('plugrag-messages');
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+		let bubble = null;
+		let streamedText = '';
+		let finalMessage = null;
+		let finalCitations = [];
+		let finalStatus = null;
+		let finalMessageId = null;
+
+		function handleEvent(event, data) {
+			if (event === 'token') {
+				streamedText += data.content || '';
+				if (!bubble) {
+					removeLoadingMessage();
+					bubble = addMessage('', 'bot', false, true);
+				}
+				bubble.textContent = streamedText;
+				messagesContainer.scrollTop = messagesContainer.scrollHeight;
+			} else if (event === 'done') {
+				finalMessage = data.message || streamedText;
+				finalCitations = data.citations || [];
+				finalStatus = data.conversationStatus;
+				finalMessageId = data.messageId;
+			} else if (event === 'error') {
+				console.error('PlugRAG: Stream error:', data.message);
+			}
+		}
+
+		while (true) {
+			const { value, done } = await reader.read();
+			if (done) break;
+
+			buffer += decoder.decode(value, { stream: true });
+
+			// Events are separated by a blank line
+			let boundary;
+			while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+				const block = buffer.slice(0, boundary);
+				buffer = buffer.slice(boundary + 2);
+
+				let event = 'message';
+				let data = '';
+				block.split('\n').forEach(function (line) {
+					if (line.indexOf('event:') === 0) {
+						event = line.slice(6).trim();
+					} else if (line.indexOf('data:') === 0) {
+						data += line.slice(5).trim();
+					}
+				});
+
+				handleEvent(event, data ? JSON.parse(data) : {});
+			}
+		}
+
+		removeLoadingMessage();
+
+		// A person is answering; their reply arrives by polling
+		const wasHandedOff = isHandedOff();
+		setConversationStatus(finalStatus || conversationStatus);
+		if (!finalMessage && wasHandedOff && isHandedOff()) {
+			return;
+		}
+
+		if (!finalMessage) {
+			finalMessage =
+				streamedText || 'Sorry, I encountered an error. Please try again.';
+		}
+
+		// Swap in the final cleaned-up reply and record it in history
+		if (bubble) {
+			renderMessageContent(bubble, finalMessage, finalCitations);
+			messages.push({
+				content: finalMessage,
+				sender: 'bot',
+				timestamp: Date.now(),
+			});
+		} else {
+			bubble = addMessage(finalMessage, 'bot', false, false, finalCitations);
+		}
+		addFeedbackControls(bubble.parentNode, finalMessageId);
+	}
+
 	// Add CSS animations
 	function addStyles() {
 		try {
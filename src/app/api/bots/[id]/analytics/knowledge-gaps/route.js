@@ -0,0 +1,107 @@
+import { auth } from '@clerk/nextjs/server';
+import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
+import { chatService } from '@/lib/core/chatService';
+import knowledgeGapService, {
+	DEFAULT_KNOWLEDGE_GAP_CONFIG,
+} from '@/lib/core/knowledgeGapService';
+import {
+	apiSuccess,
+	authError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+import mongoose from 'mongoose';
+
+/**
+ * GET /api/bots/[id]/analytics/knowledge-gaps - Cluster unanswered questions
+ *
+ * Collects visitor questions whose answer found no relevant documents or
+ * was rated thumbs down, groups similar ones with embeddings and ranks the
+ * groups by how often they were asked. Turn a group into a FAQ with
+ * POST /api/bots/[id]/faqs.
+ *
+ * Query parameters:
+ * - startDate: ISO date string (optional, defaults to 30 days ago)
+ * - endDate: ISO date string (optional, defaults to now)
+ * - threshold: Similarity to join a cluster, 0.5-0.99 (optional, defaults to 0.8)
+ *
+ * @param {Request} request - The request object
+ * @param {Object} params - Route parameters containing bot ID
+ * @returns {Response} Summary counts and ranked clusters
+ */
+export async function GET(request, { params }) {
+	try {
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		// Step 2: Await params and validate bot ID
+		const { id: botId } = await params;
+		if (!mongoose.Types.ObjectId.isValid(botId)) {
+			return validationError('Invalid bot ID format');
+		}
+
+		// Step 3: Parse query parameters
+		const { searchParams } = new URL(request.url);
+		const endDate = searchParams.get('endDate')
+			? new Date(searchParams.get('endDate'))
+			: new Date();
+		const startDate = searchParams.get('startDate')
+			? new Date(searchParams.get('startDate'))
+			: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+		if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+			return validationError('Invalid date format. Use ISO 8601 format.');
+		}
+		if (startDate > endDate) {
+			return validationError('startDate must be before endDate');
+		}
+
+		const threshold = searchParams.get('threshold')
+			? Number(searchParams.get('threshold'))
+			: DEFAULT_KNOWLEDGE_GAP_CONFIG.similarityThreshold;
+		if (isNaN(threshold) || threshold < 0.5 || threshold > 0.99) {
+			return validationError('threshold must be between 0.5 and 0.99');
+		}
+
+		// Step 4: Verify bot ownership
+		await connect();
+		const bot = await Bot.findOne({ _id: botId, ownerId: userId });
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		// Step 5: Questions are clustered with the bot's embedding model
+		let apiKey;
+		try {
+			({ apiKey } = await chatService.getOpenAIConfig(bot._id, userId));
+		} catch {
+			return forbiddenError(
+				'An API key is required to group questions. Please configure your API key first.'
+			);
+		}
+
+		// Step 6: Build the report
+		const report = await knowledgeGapService.getReport(bot, apiKey, {
+			startDate,
+			endDate,
+			similarityThreshold: threshold,
+		});
+
+		return apiSuccess({
+			period: {
+				startDate: startDate.toISOString(),
+				endDate: endDate.toISOString(),
+			},
+			threshold,
+			summary: report.summary,
+			clusters: report.clusters,
+		});
+	} catch (error) {
+		console.error('Error building knowledge gap report:', error);
+		return serverError('Failed to build knowledge gap report');
+	}
+}
@@ -96,6 +96,18 @@ export async function GET(request, { params }) {
 			granularity
 		);
 
+		// Name the FAQs answered verbatim; deleted FAQs keep their ID only
+		const faqQuestions = new Map(
+			(bot.faqs || []).map((faq) => [faq._id.toString(), faq.question])
+		);
+		analytics.breakdown.topFAQs = analytics.breakdown.topFAQs.map(
+			({ name, count }) => ({
+				faqId: name,
+				question: faqQuestions.get(name) || null,
+				count,
+			})
+		);
+
 		return apiSuccess({
 			period: {
 				startDate: startDate.toISOString(),
@@ -140,14 +152,18 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 				rag: 0,
 				simple_llm: 0,
 				small_talk: 0,
+				handoff: 0,
 			},
+			feedback: { up: 0, down: 0 },
 		});
 	});
 
 	// Trackers for summary and breakdown
 	const domainCount = new Map();
 	const userAgentCount = new Map();
+	const faqCount = new Map();
 	const uniqueSessions = new Set();
+	let handoffSessions = 0;
 	let totalMessages = 0;
 	let totalTokens = 0;
 	let totalResponseTime = 0;
@@ -157,7 +173,11 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 		rag: 0,
 		simple_llm: 0,
 		small_talk: 0,
+		handoff: 0,
 	};
+	const feedbackTotals = { up: 0, down: 0 };
+	const feedbackByResponseType = new Map();
+	const feedbackBySource = new Map();
 
 	// Process each conversation
 	conversations.forEach((conversation) => {
@@ -170,6 +190,11 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 			bucket.sessions++;
 			uniqueSessions.add(conversation.sessionId);
 
+			// Handed off to the owner at some point
+			if (conversation.handoff?.requestedAt) {
+				handoffSessions++;
+			}
+
 			// Track domain
 			if (conversation.domain) {
 				domainCount.set(
@@ -209,6 +234,29 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 						bucket.responseTypes[message.responseType]++;
 						responseTypeTotals[message.responseType]++;
 					}
+
+					// FAQ answered verbatim
+					if (message.faqId) {
+						const faqId = message.faqId.toString();
+						faqCount.set(faqId, (faqCount.get(faqId) || 0) + 1);
+					}
+
+					// Visitor feedback, also credited to every source file used
+					const rating = message.feedback?.rating;
+					if (rating) {
+						bucket.feedback[rating]++;
+						feedbackTotals[rating]++;
+						countFeedback(
+							feedbackByResponseType,
+							message.responseType || 'unknown',
+							rating
+						);
+						new Set(
+							(message.sources || []).map((source) => source.fileName)
+						).forEach((fileName) => {
+							if (fileName) countFeedback(feedbackBySource, fileName, rating);
+						});
+					}
 				}
 			});
 		}
@@ -225,6 +273,10 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 				? Math.round(bucket.totalResponseTime / bucket.responseCount)
 				: 0,
 		responseTypes: bucket.responseTypes,
+		feedback: {
+			...bucket.feedback,
+			satisfactionRate: getSatisfactionRate(bucket.feedback),
+		},
 	}));
 
 	// Calculate summary statistics
@@ -242,6 +294,18 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 				: 0,
 		avgTokensPerMessage:
 			totalMessages > 0 ? Math.round(totalTokens / totalMessages) : 0,
+		// Share of answers served from FAQs without an LLM call
+		faqHitRate:
+			totalMessages > 0
+				? parseFloat(
+						((responseTypeTotals.faq / totalMessages) * 100).toFixed(2)
+					)
+				: 0,
+		// Sessions handed off to a person
+		handoffSessions,
+		// Answers rated by visitors and the share rated thumbs up
+		feedbackCount: feedbackTotals.up + feedbackTotals.down,
+		satisfactionRate: getSatisfactionRate(feedbackTotals),
 	};
 
 	// Calculate breakdowns
@@ -249,6 +313,9 @@ function calculateAnalytics(conversations, startDate, endDate, granularity) {
 		responseTypes: calculatePercentages(responseTypeTotals, totalMessages),
 		topDomains: getTopItems(domainCount, 10),
 		topBrowsers: getTopItems(userAgentCount, 10),
+		topFAQs: getTopItems(faqCount, 10),
+		satisfactionByResponseType: getSatisfactionItems(feedbackByResponseType),
+		satisfactionBySource: getSatisfactionItems(feedbackBySource, 20),
 	};
 
 	return {
@@ -338,6 +405,48 @@ function getTopItems(countMap, limit) {
 		.map(([name, count]) => ({ name, count }));
 }
 
+/**
+ * Count one rating for an item
+ *
+ * @param {Map} feedbackMap - Map of items to { up, down }
+ * @param {string} name - Item name
+ * @param {string} rating - 'up' or 'down'
+ */
+function countFeedback(feedbackMap, name, rating) {
+	const counts = feedbackMap.get(name) || { up: 0, down: 0 };
+	counts[rating]++;
+	feedbackMap.set(name, counts);
+}
+
+/**
+ * Calculate the share of thumbs up ratings
+ *
+ * @param {Object} counts - { up, down }
+ * @returns {number|null} Percentage, or null when nothing was rated
+ */
+function getSatisfactionRate({ up, down }) {
+	const total = up + down;
+	return total > 0 ? parseFloat(((up / total) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Get satisfaction per item, most rated first
+ *
+ * @param {Map} feedbackMap - Map of items to { up, down }
+ * @param {number} limit - Number of items to return (all by default)
+ * @returns {Array} Array of {name, up, down, satisfactionRate} objects
+ */
+function getSatisfactionItems(feedbackMap, limit = Infinity) {
+	return Array.from(feedbackMap.entries())
+		.sort((a, b) => b[1].up + b[1].down - (a[1].up + a[1].down))
+		.slice(0, limit)
+		.map(([name, counts]) => ({
+			name,
+			...counts,
+			satisfactionRate: getSatisfactionRate(counts),
+		}));
+}
+
 /**
  * Parse user agent to extract browser name
  *
@@ -1,5 +1,6 @@
 import { auth } from '@clerk/nextjs/server';
 import { apiKeyService } from '@/lib/core/apiKeyService.js';
+import { chatService } from '@/lib/core/chatService.js';
 import connect from '@/lib/integrations/mongo';
 import {
 	apiSuccess,
@@ -11,7 +12,8 @@ import {
 
 /**
  * API Key Management Endpoints
- * Handles CRUD operations for custom OpenAI API keys per bot
+ * Handles CRUD operations for custom API keys per bot (OpenAI, Azure OpenAI
+ * or an OpenAI-compatible server, depending on the bot's llmProvider)
  */
 
 /**
@@ -56,19 +58,13 @@ export async function POST(request, { params }) {
 			return validationError('Valid API key is required');
 		}
 
-		// Basic API key format validation
-		if (!apiKey.startsWith('sk-')) {
-			return validationError(
-				'Invalid API key format. OpenAI API keys start with "sk-"'
-			);
-		}
-
 		await connect();
 
-		// Store the API key with validation
+		// Store the API key with validation against the bot's LLM provider
 		const result = await apiKeyService.storeApiKey(botId, apiKey, userId, {
 			fallbackToGlobal,
 		});
+		chatService.clearAPIKeyCache(botId);
 
 		return apiSuccess(
 			{
@@ -110,6 +106,7 @@ export async function DELETE(request, { params }) {
 		await connect();
 
 		await apiKeyService.removeApiKey(botId, userId);
+		chatService.clearAPIKeyCache(botId);
 
 		return apiSuccess(null, 'API key removed successfully.');
 	} catch (error) {
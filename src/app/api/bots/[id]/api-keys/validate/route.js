@@ -1,9 +1,13 @@
 import { auth } from '@clerk/nextjs/server';
-import { validateOpenAIKey } from '@/lib/integrations/openai.js';
+import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
+import { validateProviderConnection } from '@/lib/integrations/llmProvider.js';
+import { getProviderConfig, LLM_PROVIDERS } from '@/lib/core/modelConfig';
 import {
   apiSuccess,
   authError,
   validationError,
+  notFoundError,
   serverError
 } from '@/lib/utils/apiResponse';
 
@@ -18,6 +22,7 @@ export async function POST(request, { params }) {
       return authError();
     }
 
+    const { id: botId } = await params;
     const { apiKey } = await request.json();
 
     // Validate input
@@ -25,13 +30,21 @@ export async function POST(request, { params }) {
       return validationError('API key is required');
     }
 
-    // Basic format validation
-    if (!apiKey.startsWith('sk-')) {
+    // Keys are checked against the bot's configured provider
+    await connect();
+    const bot = await Bot.findOne({ _id: botId, ownerId: userId }).select('llmProvider');
+    if (!bot) {
+      return notFoundError('Bot');
+    }
+    const provider = getProviderConfig(bot);
+
+    // Basic format validation (only OpenAI keys have a known prefix)
+    if (provider.type === LLM_PROVIDERS.OPENAI && !apiKey.startsWith('sk-')) {
       return validationError('Invalid API key format. OpenAI API keys start with "sk-"');
     }
 
-    // Validate the API key with OpenAI
-    const validation = await validateOpenAIKey(apiKey);
+    // Validate the API key with the provider
+    const validation = await validateProviderConnection(apiKey, provider);
 
     if (validation.isValid) {
       return apiSuccess({
@@ -0,0 +1,101 @@
+import connect from '@/lib/integrations/mongo';
+import Conversation from '@/models/Conversation';
+import Bot from '@/models/Bot';
+import { auth } from '@clerk/nextjs/server';
+import {
+	apiSuccess,
+	apiError,
+	authError,
+	notFoundError,
+	forbiddenError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+import { logError } from '@/lib/utils/logger';
+import { validateChatMessage } from '@/lib/utils/sanitization';
+import handoffService, { isHandoffActive } from '@/lib/core/handoffService';
+import mongoose from 'mongoose';
+
+/**
+ * POST /api/bots/[id]/conversations/[sessionId]/messages
+ *
+ * Sends a reply from the bot owner to a conversation that was handed off.
+ * The widget picks it up while polling the session's history.
+ *
+ * Body:
+ * - content: Reply text
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+		const { userId } = await auth();
+
+		// Step 1: Authentication check
+		if (!userId) {
+			return authError('Authentication required');
+		}
+
+		const { id: botId, sessionId } = await params;
+
+		// Step 2: Validate reply
+		const body = await request.json();
+		const messageValidation = validateChatMessage(body.content);
+		if (!messageValidation.valid) {
+			return validationError(messageValidation.error);
+		}
+
+		// Step 3: Verify bot ownership
+		const bot = await Bot.findById(botId);
+		if (!bot) {
+			return notFoundError('Bot not found');
+		}
+
+		if (bot.ownerId.toString() !== userId) {
+			return forbiddenError('Access denied');
+		}
+
+		// Step 4: Only conversations handed off take owner replies
+		const conversation = await Conversation.findOne({
+			botId: new mongoose.Types.ObjectId(botId),
+			sessionId,
+		});
+
+		if (!conversation) {
+			return notFoundError('Conversation not found');
+		}
+
+		if (!isHandoffActive(conversation)) {
+			return validationError(
+				'Conversation is not handed off. The AI is answering it.'
+			);
+		}
+
+		// Step 5: Deliver the reply
+		const updated = await handoffService.addAgentMessage(
+			conversation,
+			userId,
+			messageValidation.sanitized
+		);
+		const message = updated.messages[updated.messages.length - 1];
+
+		return apiSuccess(
+			{
+				message: {
+					id: message._id,
+					role: message.role,
+					content: message.content,
+					timestamp: message.timestamp,
+					agentId: message.agentId,
+				},
+				status: updated.status,
+			},
+			'Reply sent'
+		);
+	} catch (error) {
+		logError('Error sending agent message', error, {
+			botId: params?.id,
+			sessionId: params?.sessionId,
+		});
+
+		return apiError('Failed to send reply', 500, 'SERVER_ERROR');
+	}
+}
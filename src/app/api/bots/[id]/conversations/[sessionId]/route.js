@@ -8,8 +8,10 @@ import {
 	authError,
 	notFoundError,
 	forbiddenError,
+	validationError,
 } from '@/lib/utils/apiResponse';
 import { logInfo, logError } from '@/lib/utils/logger';
+import handoffService, { isHandoffActive } from '@/lib/core/handoffService';
 import mongoose from 'mongoose';
 
 /**
@@ -109,11 +111,17 @@ export async function GET(request, { params }) {
 				timestamp: msg.timestamp,
 			};
 
+			// Add the visitor's rating of an assistant answer
+			if (msg.feedback?.rating) {
+				baseMessage.feedback = msg.feedback;
+			}
+
 			if (includeMetadata) {
 				// Add detailed metadata for assistant messages
 				if (msg.role === 'assistant') {
 					baseMessage.metadata = {
 						sources: msg.sources || msg.retrievedChunks || [],
+						citations: msg.citations || [],
 						hasRelevantContext: msg.hasRelevantContext,
 						tokens: msg.tokens || 0,
 						responseTime: msg.responseTime || 0,
@@ -125,14 +133,30 @@ export async function GET(request, { params }) {
 						baseMessage.metadata.sources = baseMessage.metadata.sources.map(
 							(source) => ({
 								fileName: source.fileName || source.content || 'Unknown file',
-								pageNumber: source.pageNumber,
+								sourceUrl: source.sourceUrl || null,
+								pageNumber: source.pageNumber ?? source.pageNumbers?.[0],
+								pageNumbers: source.pageNumbers,
 								chunkIndex: source.chunkIndex,
-								score: source.score,
+								chunkIndices: source.chunkIndices,
+								chunkCount: source.chunkCount,
+								score: source.score ?? source.maxScore,
+								maxScore: source.maxScore,
+								avgScore: source.avgScore,
 							})
 						);
 					}
 				}
 
+				// Add who replied for messages sent by the owner
+				if (msg.role === 'agent') {
+					baseMessage.agentId = msg.agentId;
+				}
+
+				// Add the standalone query used for retrieval, if it was rewritten
+				if (msg.role === 'user' && msg.rewrittenQuery) {
+					baseMessage.rewrittenQuery = msg.rewrittenQuery;
+				}
+
 				// Add token count for user messages if available
 				if (msg.tokens) {
 					baseMessage.tokens = msg.tokens;
@@ -148,6 +172,7 @@ export async function GET(request, { params }) {
 			userMessages: messages.filter((msg) => msg.role === 'user').length,
 			assistantMessages: messages.filter((msg) => msg.role === 'assistant')
 				.length,
+			agentMessages: messages.filter((msg) => msg.role === 'agent').length,
 			totalTokensUsed: messages.reduce(
 				(sum, msg) => sum + (msg.tokens || 0),
 				0
@@ -188,6 +213,14 @@ export async function GET(request, { params }) {
 		const sessionInfo = {
 			sessionId: conversation.sessionId,
 			status: conversation.status,
+			handoff: conversation.handoff?.requestedAt
+				? {
+						reason: conversation.handoff.reason,
+						requestedAt: conversation.handoff.requestedAt,
+						acceptedAt: conversation.handoff.acceptedAt,
+						resolvedAt: conversation.handoff.resolvedAt,
+					}
+				: null,
 			userFingerprint: conversation.userFingerprint,
 			userAgent: conversation.userAgent,
 			ipAddress: conversation.ipAddress,
@@ -234,6 +267,74 @@ export async function GET(request, { params }) {
 	}
 }
 
+/**
+ * PATCH /api/bots/[id]/conversations/[sessionId]
+ *
+ * Hands a conversation that was handed off back to the AI
+ *
+ * Body:
+ * - status: 'active'
+ */
+export async function PATCH(request, { params }) {
+	try {
+		await connect();
+		const { userId } = await auth();
+
+		// Authentication check
+		if (!userId) {
+			return authError('Authentication required');
+		}
+
+		const { id: botId, sessionId } = await params;
+		const body = await request.json();
+
+		if (body.status !== 'active') {
+			return validationError("Status can only be changed to 'active'");
+		}
+
+		// Verify bot ownership
+		const bot = await Bot.findById(botId);
+		if (!bot) {
+			return notFoundError('Bot not found');
+		}
+
+		if (bot.ownerId.toString() !== userId) {
+			return forbiddenError('Access denied');
+		}
+
+		const conversation = await Conversation.findOne({
+			botId: new mongoose.Types.ObjectId(botId),
+			sessionId,
+		});
+
+		if (!conversation) {
+			return notFoundError('Conversation not found');
+		}
+
+		if (!isHandoffActive(conversation)) {
+			return validationError('Conversation is not handed off');
+		}
+
+		const updated = await handoffService.resolveHandoff(conversation);
+
+		return apiSuccess(
+			{
+				sessionId,
+				status: updated.status,
+				handoff: updated.handoff,
+			},
+			'Conversation handed back to the AI'
+		);
+	} catch (error) {
+		logError('Error updating conversation', error, {
+			botId: params?.id,
+			sessionId: params?.sessionId,
+		});
+
+		return apiError('Failed to update conversation', 500, 'SERVER_ERROR');
+	}
+}
+
 /**
  * DELETE /api/bots/[id]/conversations/[sessionId]
  *
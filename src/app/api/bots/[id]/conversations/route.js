@@ -20,7 +20,7 @@ import mongoose from 'mongoose';
  * Query Parameters:
  * - page: Page number (default: 1)
  * - limit: Number of conversations per page (default: 20, max: 100)
- * - status: Filter by conversation status ('active', 'ended', or 'all')
+ * - status: Filter by conversation status ('active', 'awaiting_agent', 'agent_active', 'ended', or 'all')
  * - dateFrom: Filter conversations from this date (ISO string)
  * - dateTo: Filter conversations until this date (ISO string)
  * - search: Search in conversation messages (partial text match)
@@ -134,6 +134,7 @@ export async function GET(request, { params }) {
 						domain: 1,
 						referrer: 1,
 						status: 1,
+						handoff: 1,
 						totalMessages: 1,
 						totalTokens: 1,
 						lastMessageAt: 1,
@@ -192,6 +193,7 @@ export async function GET(request, { params }) {
 						domain: 1,
 						referrer: 1,
 						status: 1,
+						handoff: 1,
 						totalMessages: 1,
 						totalTokens: 1,
 						lastMessageAt: 1,
@@ -225,6 +227,10 @@ export async function GET(request, { params }) {
 					activeConversations: {
 						$sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] },
 					},
+					// Handed off and waiting for the owner's first reply
+					awaitingAgentConversations: {
+						$sum: { $cond: [{ $eq: ['$status', 'awaiting_agent'] }, 1, 0] },
+					},
 					totalMessages: {
 						$sum: { $size: '$messages' },
 					},
@@ -251,6 +257,7 @@ export async function GET(request, { params }) {
 		const stats = statsResult[0] || {
 			totalConversations: 0,
 			activeConversations: 0,
+			awaitingAgentConversations: 0,
 			totalMessages: 0,
 			totalTokens: 0,
 			avgMessagesPerConversation: 0,
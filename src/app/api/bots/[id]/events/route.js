@@ -0,0 +1,81 @@
+import { auth } from '@clerk/nextjs/server';
+import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
+import {
+	authError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+import { createEventStream } from '@/lib/utils/eventStream';
+import realtimeService from '@/lib/core/realtimeService';
+import mongoose from 'mongoose';
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * GET /api/bots/[id]/events - Live dashboard events for a bot
+ *
+ * Server-Sent Events stream, open until the client disconnects:
+ * - ready: Stream connected
+ * - conversation.updated: { sessionId, status, isNew } after a new message
+ *   or a handoff status change
+ * - file.progress: { fileId, progress } while a file is processed
+ * - file.status: { fileId, embeddingStatus } when processing completes or fails
+ * - ping: Heartbeat
+ *
+ * @param {Request} request - The request object
+ * @param {Object} params - Route parameters containing bot ID
+ * @returns {Response} Event stream
+ */
+export async function GET(request, { params }) {
+	try {
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		// Step 2: Await params and validate bot ID
+		const { id: botId } = await params;
+		if (!mongoose.Types.ObjectId.isValid(botId)) {
+			return validationError('Invalid bot ID format');
+		}
+
+		// Step 3: Verify bot ownership
+		await connect();
+		const bot = await Bot.findOne({ _id: botId, ownerId: userId })
+			.select('_id')
+			.lean();
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		// Step 4: Relay the bot's events until the client disconnects
+		return createEventStream(async (send) => {
+			const unsubscribe = await realtimeService.subscribe(botId, send);
+			send('ready', { botId });
+
+			await new Promise((resolve) => {
+				const heartbeat = setInterval(
+					() => send('ping', {}),
+					HEARTBEAT_INTERVAL
+				);
+				const close = () => {
+					clearInterval(heartbeat);
+					resolve();
+				};
+
+				if (request.signal.aborted) {
+					close();
+				} else {
+					request.signal.addEventListener('abort', close, { once: true });
+				}
+			});
+
+			await unsubscribe();
+		});
+	} catch (error) {
+		console.error('Bot events error:', error);
+		return serverError('Failed to open event stream');
+	}
+}
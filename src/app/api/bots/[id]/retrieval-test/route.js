@@ -0,0 +1,155 @@
+// Retrieval playground: run a query through the bot's pipeline and return
+// every step (intent, rewritten query, scored candidates, prompt, answer)
+// so owners can see why the bot answered the way it did
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import connect from '@/lib/integrations/mongo';
+import { chatService } from '@/lib/core/chatService';
+import { ragService } from '@/lib/core/ragService';
+import intentClassifier, { INTENT_TYPES } from '@/lib/core/intentClassifier';
+import faqService from '@/lib/core/faqService';
+import {
+	apiSuccess,
+	authError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+import { validateChatMessage } from '@/lib/utils/sanitization';
+
+/**
+ * Shape a retrieval candidate for the playground
+ * @param {Object} candidate - Candidate from the retrieval trace
+ * @param {Array} contextIds - IDs of the chunks sent to the model, in order
+ */
+function formatCandidate(candidate, contextIds) {
+	const { document } = candidate;
+	const metadata = document.metadata || {};
+	const contextIndex = contextIds.indexOf(document.id);
+
+	return {
+		id: document.id,
+		fileId: metadata.fileId || null,
+		fileName:
+			metadata.fileName ||
+			metadata.source ||
+			metadata.filename ||
+			'Unknown file',
+		chunkIndex: metadata.chunkIndex ?? null,
+		pageNumber: metadata.pageNumber ?? null,
+		pageEnd: metadata.pageEnd ?? null,
+		headingPath: metadata.headingPath || '',
+		content: document.pageContent,
+		vectorScore: candidate.vectorScore,
+		keywordScore: candidate.keywordScore,
+		fusedScore: candidate.fusedScore,
+		rerankScore: metadata.rerankScore ?? null,
+		belowThreshold: candidate.belowThreshold,
+		selected: candidate.selected,
+		// Position in the prompt context ([N] citation number), or null
+		contextNumber: contextIndex >= 0 ? contextIndex + 1 : null,
+	};
+}
+
+/**
+ * POST /api/bots/:id/retrieval-test
+ * Run a test query through intent classification, retrieval and generation
+ * (owner only). Nothing is saved to conversations or analytics.
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		// Step 2: Validate the query
+		const { query } = await request.json();
+		const queryValidation = validateChatMessage(query);
+		if (!queryValidation.valid) {
+			return validationError(queryValidation.error);
+		}
+		const testQuery = queryValidation.sanitized;
+
+		// Step 3: Load the bot and its API key
+		const bot = await Bot.findOne({ _id: id, ownerId: userId });
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		let apiKey;
+		try {
+			({ apiKey } = await chatService.getOpenAIConfig(bot._id, userId));
+		} catch {
+			return forbiddenError(
+				'An API key is required to test retrieval. Please configure your API key first.'
+			);
+		}
+
+		// Step 4: Check FAQs and classify intent like the chat endpoint does.
+		// Retrieval runs either way so the chunks can still be inspected.
+		const faqMatch = await faqService.matchFAQ(bot, testQuery, apiKey);
+		const intent = await intentClassifier.classify(testQuery, bot, apiKey);
+
+		// Step 5: Retrieve and generate, recording each step
+		const trace = {};
+		const startTime = Date.now();
+		const response = await ragService.generateResponse(
+			bot,
+			apiKey,
+			testQuery,
+			[],
+			{ trace }
+		);
+
+		const contextIds = (trace.documents || []).map((doc) => doc.id);
+
+		return apiSuccess(
+			{
+				query: testQuery,
+				intent: {
+					type: intent.type,
+					confidence: intent.confidence,
+					usesRetrieval: intent.type === INTENT_TYPES.NEEDS_RAG,
+				},
+				// Chat answers with this FAQ verbatim instead of the answer below
+				faqMatch: faqMatch && {
+					id: faqMatch.faq._id.toString(),
+					question: faqMatch.faq.question,
+					answer: faqMatch.faq.answer,
+					score: faqMatch.score,
+				},
+				searchQuery: trace.searchQuery || testQuery,
+				retrievalConfig: ragService.getRetrievalConfig(bot),
+				candidates: (trace.candidates || []).map((candidate) =>
+					formatCandidate(candidate, contextIds)
+				),
+				context: trace.documents?.length
+					? ragService.formatDocumentsAsContext(trace.documents)
+					: null,
+				prompt: trace.prompt || null,
+				answer: {
+					content: response.content,
+					citations: response.citations || [],
+					sources: response.sources || [],
+					model: response.model,
+					tokensUsed: response.tokensUsed,
+					hasRelevantContext: response.hasRelevantContext,
+				},
+				responseTime: Date.now() - startTime,
+			},
+			'Retrieval test completed'
+		);
+	} catch (error) {
+		console.error('[RETRIEVAL-TEST] Error running retrieval test:', error);
+		return serverError('Failed to run retrieval test');
+	}
+}
@@ -2,8 +2,37 @@ import { auth } from '@clerk/nextjs/server';
 import connect from '@/lib/integrations/mongo';
 import Bot from '@/models/Bot';
 import File from '@/models/File';
+import WebSource from '@/models/WebSource';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
 import { getCurrentDBUser, syncUserWithDB } from '@/lib/integrations/clerk';
 import { deleteCollection } from '@/lib/integrations/qdrant';
+import { fileService } from '@/lib/core/fileService';
+import { chatService } from '@/lib/core/chatService';
+import { getFAQMatchingConfig } from '@/lib/core/faqService';
+import { getHandoffConfig } from '@/lib/core/handoffService';
+import { INTENT_TYPES } from '@/lib/core/intentClassifier';
+import {
+	isValidSyncCron,
+	scheduleBotSync,
+	unscheduleBotSync,
+} from '@/lib/queues/syncQueue';
+import {
+	CHAT_MODELS,
+	EMBEDDING_MODELS,
+	LLM_PROVIDERS,
+	getCollectionName,
+	getEmbeddingConfig,
+	getModelConfig,
+	getProviderConfig,
+} from '@/lib/core/modelConfig';
+import {
+	PERSONA_PRESETS,
+	PERSONA_STRICTNESS,
+	PERSONA_TONES,
+	getPersonaConfig,
+	validatePersonaInstructions,
+} from '@/lib/core/promptConfig';
 import {
 	apiSuccess,
 	authError,
@@ -13,6 +42,303 @@ import {
 } from '@/lib/utils/apiResponse';
 import mongoose from 'mongoose';
 
+/**
+ * Validate retrieval settings from a PATCH body
+ * @param {Object} retrieval - Partial retrieval settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRetrievalSettings(retrieval) {
+	if (typeof retrieval !== 'object' || retrieval === null) {
+		return 'Retrieval settings must be an object';
+	}
+
+	const { rewriteQuery, topK, minScore, mmr, rerank, hybrid } = retrieval;
+
+	if (rewriteQuery !== undefined && typeof rewriteQuery !== 'boolean') {
+		return 'Query rewriting setting must be a boolean';
+	}
+	if (
+		topK !== undefined &&
+		(!Number.isInteger(topK) || topK < 1 || topK > 20)
+	) {
+		return 'topK must be an integer between 1 and 20';
+	}
+	if (
+		minScore !== undefined &&
+		(typeof minScore !== 'number' || minScore < 0 || minScore > 1)
+	) {
+		return 'Minimum score must be a number between 0 and 1';
+	}
+
+	if (mmr !== undefined) {
+		if (typeof mmr !== 'object' || mmr === null) {
+			return 'MMR settings must be an object';
+		}
+		if (mmr.enabled !== undefined && typeof mmr.enabled !== 'boolean') {
+			return 'MMR enabled must be a boolean';
+		}
+		if (
+			mmr.lambda !== undefined &&
+			(typeof mmr.lambda !== 'number' || mmr.lambda < 0 || mmr.lambda > 1)
+		) {
+			return 'MMR lambda must be a number between 0 and 1';
+		}
+		if (
+			mmr.fetchK !== undefined &&
+			(!Number.isInteger(mmr.fetchK) || mmr.fetchK < 5 || mmr.fetchK > 100)
+		) {
+			return 'MMR fetchK must be an integer between 5 and 100';
+		}
+	}
+
+	if (rerank !== undefined) {
+		if (typeof rerank !== 'object' || rerank === null) {
+			return 'Rerank settings must be an object';
+		}
+		if (rerank.enabled !== undefined && typeof rerank.enabled !== 'boolean') {
+			return 'Rerank enabled must be a boolean';
+		}
+		if (
+			rerank.strategy !== undefined &&
+			!['lexical', 'llm'].includes(rerank.strategy)
+		) {
+			return 'Rerank strategy must be either "lexical" or "llm"';
+		}
+		if (
+			rerank.candidates !== undefined &&
+			(!Number.isInteger(rerank.candidates) ||
+				rerank.candidates < 5 ||
+				rerank.candidates > 50)
+		) {
+			return 'Rerank candidates must be an integer between 5 and 50';
+		}
+	}
+
+	if (hybrid !== undefined) {
+		if (typeof hybrid !== 'object' || hybrid === null) {
+			return 'Hybrid settings must be an object';
+		}
+		if (hybrid.enabled !== undefined && typeof hybrid.enabled !== 'boolean') {
+			return 'Hybrid enabled must be a boolean';
+		}
+		for (const weight of ['vectorWeight', 'keywordWeight']) {
+			if (
+				hybrid[weight] !== undefined &&
+				(typeof hybrid[weight] !== 'number' ||
+					hybrid[weight] < 0 ||
+					hybrid[weight] > 10)
+			) {
+				return `Hybrid ${weight} must be a number between 0 and 10`;
+			}
+		}
+		if (
+			hybrid.rrfK !== undefined &&
+			(!Number.isInteger(hybrid.rrfK) || hybrid.rrfK < 1 || hybrid.rrfK > 1000)
+		) {
+			return 'Hybrid rrfK must be an integer between 1 and 1000';
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Validate model settings from a PATCH body
+ * OpenAI bots must use known models; Azure deployments and compatible
+ * servers accept any model name.
+ * @param {Object} models - Partial model settings
+ * @param {string} providerType - Bot's LLM provider type
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateModelSettings(models, providerType) {
+	if (typeof models !== 'object' || models === null) {
+		return 'Model settings must be an object';
+	}
+
+	const { chat, classifier, embeddings, temperature, maxTokens } = models;
+
+	for (const [label, name] of [
+		['Chat', chat],
+		['Classifier', classifier],
+		['Embedding', embeddings],
+	]) {
+		if (
+			name !== undefined &&
+			(typeof name !== 'string' || !name.trim() || name.length > 100)
+		) {
+			return `${label} model must be a non-empty string`;
+		}
+	}
+
+	if (providerType === LLM_PROVIDERS.OPENAI) {
+		if (chat !== undefined && !CHAT_MODELS.includes(chat)) {
+			return `Chat model must be one of: ${CHAT_MODELS.join(', ')}`;
+		}
+		if (classifier !== undefined && !CHAT_MODELS.includes(classifier)) {
+			return `Classifier model must be one of: ${CHAT_MODELS.join(', ')}`;
+		}
+		if (embeddings !== undefined && !EMBEDDING_MODELS[embeddings]) {
+			return `Embedding model must be one of: ${Object.keys(
+				EMBEDDING_MODELS
+			).join(', ')}`;
+		}
+	}
+	// null clears an override so each response mode uses its own default
+	if (
+		temperature != null &&
+		(typeof temperature !== 'number' || temperature < 0 || temperature > 2)
+	) {
+		return 'Temperature must be a number between 0 and 2';
+	}
+	if (
+		maxTokens != null &&
+		(!Number.isInteger(maxTokens) || maxTokens < 50 || maxTokens > 4096)
+	) {
+		return 'Max tokens must be an integer between 50 and 4096';
+	}
+
+	return null;
+}
+
+/**
+ * Validate LLM provider settings from a PATCH body
+ * @param {Object} llmProvider - Partial provider settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateProviderSettings(llmProvider) {
+	if (typeof llmProvider !== 'object' || llmProvider === null) {
+		return 'Provider settings must be an object';
+	}
+
+	const { type, baseURL, apiVersion } = llmProvider;
+
+	if (type !== undefined && !Object.values(LLM_PROVIDERS).includes(type)) {
+		return `Provider must be one of: ${Object.values(LLM_PROVIDERS).join(', ')}`;
+	}
+	if (baseURL !== undefined && baseURL !== '') {
+		try {
+			const url = new URL(baseURL);
+			if (!['http:', 'https:'].includes(url.protocol)) {
+				return 'Base URL must use http or https';
+			}
+		} catch {
+			return 'Base URL must be a valid URL';
+		}
+	}
+	if (
+		apiVersion !== undefined &&
+		(typeof apiVersion !== 'string' || !apiVersion.trim())
+	) {
+		return 'API version must be a non-empty string';
+	}
+
+	return null;
+}
+
+/**
+ * Validate persona settings from a PATCH body
+ * @param {Object} persona - Partial persona settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePersonaSettings(persona) {
+	if (typeof persona !== 'object' || persona === null) {
+		return 'Persona settings must be an object';
+	}
+
+	const { preset, instructions, tone, language, strictness } = persona;
+
+	if (preset !== undefined && !Object.hasOwn(PERSONA_PRESETS, preset)) {
+		return `Preset must be one of: ${Object.keys(PERSONA_PRESETS).join(', ')}`;
+	}
+	// Empty instructions fall back to the preset's
+	if (instructions !== undefined && instructions !== '') {
+		const instructionsError = validatePersonaInstructions(instructions);
+		if (instructionsError) {
+			return instructionsError;
+		}
+	}
+	if (tone !== undefined && !PERSONA_TONES.includes(tone)) {
+		return `Tone must be one of: ${PERSONA_TONES.join(', ')}`;
+	}
+	if (
+		language !== undefined &&
+		(typeof language !== 'string' || !language.trim() || language.length > 50)
+	) {
+		return 'Language must be "auto" or a language name of up to 50 characters';
+	}
+	if (
+		strictness !== undefined &&
+		!Object.values(PERSONA_STRICTNESS).includes(strictness)
+	) {
+		return `Strictness must be one of: ${Object.values(PERSONA_STRICTNESS).join(', ')}`;
+	}
+
+	return null;
+}
+
+/**
+ * Validate human handoff settings from a PATCH body
+ * @param {Object} handoff - Partial handoff settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateHandoffSettings(handoff) {
+	if (typeof handoff !== 'object' || handoff === null) {
+		return 'Handoff settings must be an object';
+	}
+
+	const { enabled, triggerIntents, unansweredThreshold, message } = handoff;
+	const intentTypes = Object.values(INTENT_TYPES);
+
+	if (enabled !== undefined && typeof enabled !== 'boolean') {
+		return 'Handoff enabled must be a boolean';
+	}
+	if (
+		triggerIntents !== undefined &&
+		(!Array.isArray(triggerIntents) ||
+			triggerIntents.some((intent) => !intentTypes.includes(intent)))
+	) {
+		return `Trigger intents must be a list of: ${intentTypes.join(', ')}`;
+	}
+	if (
+		unansweredThreshold !== undefined &&
+		(!Number.isInteger(unansweredThreshold) ||
+			unansweredThreshold < 0 ||
+			unansweredThreshold > 10)
+	) {
+		return 'Unanswered threshold must be a whole number between 0 and 10';
+	}
+	if (
+		message !== undefined &&
+		(typeof message !== 'string' || !message.trim() || message.length > 500)
+	) {
+		return 'Handoff message must be a non-empty string of up to 500 characters';
+	}
+
+	return null;
+}
+
+/**
+ * Validate scheduled sync settings from a PATCH body
+ * @param {Object} sync - Partial sync settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSyncSettings(sync) {
+	if (typeof sync !== 'object' || sync === null) {
+		return 'Sync settings must be an object';
+	}
+
+	const { enabled, cron } = sync;
+
+	if (enabled !== undefined && typeof enabled !== 'boolean') {
+		return 'Sync enabled must be a boolean';
+	}
+	if (cron !== undefined && !isValidSyncCron(cron)) {
+		return 'Sync schedule must be a 5-field cron expression that runs at most once an hour (e.g. "0 3 * * *")';
+	}
+
+	return null;
+}
+
 /**
  * GET /api/bots/[id] - Get individual bot details
  *
@@ -82,6 +408,14 @@ export async function GET(request, { params }) {
 
 			customization: bot.customization || {},
 			vectorStorage: bot.vectorStorage || { enabled: true },
+			retrieval: bot.retrieval || {},
+			citations: bot.citations || {},
+			persona: getPersonaConfig(bot),
+			faqMatching: getFAQMatchingConfig(bot),
+			handoff: getHandoffConfig(bot),
+			models: getModelConfig(bot),
+			llmProvider: getProviderConfig(bot),
+			sync: bot.sync || {},
 			limits: bot.limits || {},
 			createdAt: bot.createdAt,
 			updatedAt: bot.updatedAt,
@@ -101,6 +435,10 @@ export async function GET(request, { params }) {
  * Supports updating:
  * - Basic information (name, description, status)
  * - Customization settings (colors, position, messages)
+ * - Retrieval settings (topK, score threshold, MMR, reranking, hybrid search)
+ * - Persona (preset, custom instructions, tone, language, strictness)
+ * - FAQ matching (enabled, similarity threshold)
+ * - Scheduled knowledge sync (enabled, cron)
  * - Limits and configuration
  *
  * @param {Request} request - The request object with update data
@@ -125,6 +463,14 @@ export async function PATCH(request, { params }) {
 			'status',
 			'customization',
 			'domainWhitelist',
+			'retrieval',
+			'citations',
+			'persona',
+			'faqMatching',
+			'handoff',
+			'models',
+			'llmProvider',
+			'sync',
 		];
 
 		const updateData = {};
@@ -236,6 +582,75 @@ export async function PATCH(request, { params }) {
 			].filter((d) => d.length > 0);
 		}
 
+		if (updateData.retrieval !== undefined) {
+			const retrievalError = validateRetrievalSettings(updateData.retrieval);
+			if (retrievalError) {
+				return validationError(retrievalError);
+			}
+		}
+
+		if (updateData.citations !== undefined) {
+			if (
+				typeof updateData.citations !== 'object' ||
+				updateData.citations === null ||
+				(updateData.citations.allowSourceLinks !== undefined &&
+					typeof updateData.citations.allowSourceLinks !== 'boolean')
+			) {
+				return validationError(
+					'Citation settings must be an object with a boolean allowSourceLinks'
+				);
+			}
+		}
+
+		if (updateData.persona !== undefined) {
+			const personaError = validatePersonaSettings(updateData.persona);
+			if (personaError) {
+				return validationError(personaError);
+			}
+		}
+
+		if (updateData.faqMatching !== undefined) {
+			const { enabled, threshold } = updateData.faqMatching || {};
+			if (
+				typeof updateData.faqMatching !== 'object' ||
+				updateData.faqMatching === null ||
+				(enabled !== undefined && typeof enabled !== 'boolean')
+			) {
+				return validationError(
+					'FAQ matching settings must be an object with a boolean enabled'
+				);
+			}
+			if (
+				threshold !== undefined &&
+				(typeof threshold !== 'number' || threshold < 0.5 || threshold > 1)
+			) {
+				return validationError(
+					'FAQ matching threshold must be a number between 0.5 and 1'
+				);
+			}
+		}
+
+		if (updateData.handoff !== undefined) {
+			const handoffError = validateHandoffSettings(updateData.handoff);
+			if (handoffError) {
+				return validationError(handoffError);
+			}
+		}
+
+		if (updateData.llmProvider !== undefined) {
+			const providerError = validateProviderSettings(updateData.llmProvider);
+			if (providerError) {
+				return validationError(providerError);
+			}
+		}
+
+		if (updateData.sync !== undefined) {
+			const syncError = validateSyncSettings(updateData.sync);
+			if (syncError) {
+				return validationError(syncError);
+			}
+		}
+
 		// Step 7: Find bot and verify ownership (using ownerId which stores Clerk ID)
 		const existingBot = await Bot.findOne({
 			_id: botId,
@@ -246,12 +661,152 @@ export async function PATCH(request, { params }) {
 			return notFoundError('Bot not found or access denied');
 		}
 
-		// Step 8: Update bot with new data
+		// Provider settings are merged; model names depend on the resulting provider
+		const currentProvider = getProviderConfig(existingBot);
+		const nextProvider = updateData.llmProvider
+			? { ...currentProvider, ...updateData.llmProvider }
+			: currentProvider;
+
+		if (nextProvider.type !== LLM_PROVIDERS.OPENAI && !nextProvider.baseURL) {
+			return validationError(
+				'A base URL is required for Azure OpenAI and OpenAI-compatible providers'
+			);
+		}
+
+		if (updateData.models !== undefined) {
+			const modelsError = validateModelSettings(
+				updateData.models,
+				nextProvider.type
+			);
+			if (modelsError) {
+				return validationError(modelsError);
+			}
+		}
+
+		// Step 8: Update bot with new data (retrieval, citation, persona, FAQ matching and handoff settings are merged, not replaced)
+		if (updateData.retrieval) {
+			const currentRetrieval = existingBot.toObject().retrieval || {};
+			updateData.retrieval = {
+				...currentRetrieval,
+				...updateData.retrieval,
+				mmr: {
+					...currentRetrieval.mmr,
+					...updateData.retrieval.mmr,
+				},
+				rerank: {
+					...currentRetrieval.rerank,
+					...updateData.retrieval.rerank,
+				},
+				hybrid: {
+					...currentRetrieval.hybrid,
+					...updateData.retrieval.hybrid,
+				},
+			};
+		}
+
+		if (updateData.citations) {
+			updateData.citations = {
+				...existingBot.toObject().citations,
+				...updateData.citations,
+			};
+		}
+
+		if (updateData.persona) {
+			updateData.persona = {
+				...existingBot.toObject().persona,
+				...updateData.persona,
+				...(updateData.persona.instructions !== undefined && {
+					instructions: updateData.persona.instructions.trim(),
+				}),
+				...(updateData.persona.language !== undefined && {
+					language: updateData.persona.language.trim(),
+				}),
+			};
+		}
+
+		if (updateData.faqMatching) {
+			updateData.faqMatching = {
+				...existingBot.toObject().faqMatching,
+				...updateData.faqMatching,
+			};
+		}
+
+		if (updateData.handoff) {
+			updateData.handoff = {
+				...existingBot.toObject().handoff,
+				...updateData.handoff,
+				...(updateData.handoff.message !== undefined && {
+					message: updateData.handoff.message.trim(),
+				}),
+			};
+		}
+
+		// Only the schedule is client-editable; the last run is kept
+		if (updateData.sync) {
+			existingBot.sync.enabled =
+				updateData.sync.enabled ?? existingBot.sync.enabled;
+			existingBot.sync.cron =
+				updateData.sync.cron?.trim() || existingBot.sync.cron;
+			delete updateData.sync;
+		}
+		const syncChanged =
+			existingBot.isModified('sync.enabled') ||
+			existingBot.isModified('sync.cron');
+
+		// Model settings live under openaiApiConfig; a new embedding model
+		// means every file has to be embedded again (compared with the model
+		// of a re-embedding in progress, so saving other settings keeps it)
+		let reembedding = null;
+		const { models } = updateData;
+		delete updateData.models;
+		const embeddingModelChanged =
+			models?.embeddings !== undefined &&
+			models.embeddings !==
+				(existingBot.vectorStorage?.reembedding?.model ||
+					getEmbeddingConfig(existingBot).model);
+
+		if (models) {
+			existingBot.openaiApiConfig.models = {
+				...getModelConfig(existingBot),
+				...models,
+			};
+		}
+
+		// A stored key belongs to the old provider, so switching requires a new one
+		if (updateData.llmProvider) {
+			updateData.llmProvider = nextProvider;
+			if (
+				nextProvider.type !== currentProvider.type ||
+				nextProvider.baseURL !== currentProvider.baseURL
+			) {
+				existingBot.openaiApiConfig.apiKeyEncrypted = null;
+				existingBot.openaiApiConfig.keyStatus = 'none';
+				existingBot.openaiApiConfig.lastValidated = null;
+				chatService.clearAPIKeyCache(botId);
+			}
+		}
+
 		Object.assign(existingBot, updateData);
 		existingBot.updatedAt = new Date();
 
 		await existingBot.save();
 
+		if (syncChanged) {
+			if (existingBot.sync.enabled) {
+				await scheduleBotSync(botId, userId, existingBot.sync.cron);
+			} else {
+				await unscheduleBotSync(botId);
+			}
+		}
+
+		if (embeddingModelChanged) {
+			reembedding = await fileService.reembedBot(
+				botId,
+				userId,
+				models.embeddings
+			);
+		}
+
 		// Step 9: Format response data
 		const botData = {
 			id: existingBot._id.toString(),
@@ -262,6 +817,15 @@ export async function PATCH(request, { params }) {
 			customization: existingBot.customization,
 			domainWhitelist: existingBot.domainWhitelist || [],
 			vectorStorage: existingBot.vectorStorage,
+			retrieval: existingBot.retrieval,
+			citations: existingBot.citations,
+			persona: getPersonaConfig(existingBot),
+			faqMatching: getFAQMatchingConfig(existingBot),
+			handoff: getHandoffConfig(existingBot),
+			models: getModelConfig(existingBot),
+			llmProvider: getProviderConfig(existingBot),
+			sync: existingBot.sync,
+			reembedding,
 			limits: existingBot.limits,
 			analytics: existingBot.analytics,
 			createdAt: existingBot.createdAt,
@@ -282,6 +846,7 @@ export async function PATCH(request, { params }) {
  * - Bot document from MongoDB
  * - All associated files and their chunks
  * - Vector collection from Qdrant
+ * - Website sources and the scheduled sync
  * - Chat conversations and messages
  *
  * This operation cannot be undone.
@@ -321,14 +886,32 @@ export async function DELETE(request, { params }) {
 
 		const totalSize = fileSize[0]?.totalSize || 0;
 
-		// Step 7: Delete all associated files first
+		// Step 7: Delete all associated files, website sources and webhooks first
 		const deletedFiles = await File.deleteMany({ botId: bot._id });
+		await WebSource.deleteMany({ botId: bot._id });
+		await Webhook.deleteMany({ botId: bot._id });
+		await WebhookDelivery.deleteMany({ botId: bot._id });
+
+		try {
+			await unscheduleBotSync(botId);
+		} catch (queueError) {
+			console.warn(
+				`Failed to remove sync schedule for bot ${botId}:`,
+				queueError.message
+			);
+			// The next scheduled run stops itself once the bot is gone
+		}
 
 		// Step 8: Delete vector collection if it exists
 		let vectorCollectionDeleted = false;
+		const reembeddingCollection =
+			bot.vectorStorage?.reembedding?.collectionName;
+		if (reembeddingCollection) {
+			await deleteCollection(reembeddingCollection).catch(() => {});
+		}
 		try {
 			// Import vector store functions
-			await deleteCollection(botId.toString());
+			await deleteCollection(getCollectionName(bot));
 			vectorCollectionDeleted = true;
 			console.log(`Deleted vector collection for bot ${botId}`);
 		} catch (vectorError) {
@@ -0,0 +1,84 @@
+// Re-crawl a website source; unchanged pages are skipped, changed pages re-embedded
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import WebSource from '@/models/WebSource';
+import connect from '@/lib/integrations/mongo';
+import { addWebCrawlJob } from '@/lib/queues/webCrawlQueue';
+import {
+	apiSuccess,
+	authError,
+	conflictError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+/**
+ * POST /api/bots/:id/sources/:sourceId/crawl
+ * Queue a new crawl of a website source (owner only)
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, sourceId } = await params;
+		if (
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(sourceId)
+		) {
+			return validationError('Invalid bot or source ID');
+		}
+
+		// Step 2: Validate bot and source
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select(
+			'openaiApiConfig.keyStatus'
+		);
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		if (bot.openaiApiConfig?.keyStatus !== 'valid') {
+			return forbiddenError(
+				'A valid API key is required to embed website pages. Please configure your API key first.'
+			);
+		}
+
+		const webSource = await WebSource.findOne({
+			_id: sourceId,
+			botId: id,
+			ownerId: userId,
+		});
+		if (!webSource) {
+			return notFoundError('Website source');
+		}
+
+		if (['queued', 'crawling'].includes(webSource.status)) {
+			return conflictError('This website is already being crawled');
+		}
+
+		// Step 3: Queue the crawl
+		webSource.status = 'queued';
+		webSource.lastError = '';
+		await webSource.save();
+
+		await addWebCrawlJob({
+			webSourceId: webSource._id.toString(),
+			botId: id,
+			userId,
+		});
+
+		return apiSuccess(
+			{ id: sourceId, status: webSource.status },
+			'Crawl queued successfully'
+		);
+	} catch (error) {
+		console.error('[WEB-SOURCES] Error queueing crawl:', error);
+		return serverError('Failed to queue crawl');
+	}
+}
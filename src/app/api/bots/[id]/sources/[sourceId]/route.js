@@ -0,0 +1,92 @@
+// Remove a website source together with every page crawled from it
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import File from '@/models/File';
+import WebSource from '@/models/WebSource';
+import connect from '@/lib/integrations/mongo';
+import fileService from '@/lib/core/fileService';
+import {
+	apiSuccess,
+	authError,
+	conflictError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+/**
+ * DELETE /api/bots/:id/sources/:sourceId
+ * Delete a website source, its page snapshots and their vectors (owner only)
+ */
+export async function DELETE(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, sourceId } = await params;
+		if (
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(sourceId)
+		) {
+			return validationError('Invalid bot or source ID');
+		}
+
+		// Step 2: Find the source
+		const webSource = await WebSource.findOne({
+			_id: sourceId,
+			botId: id,
+			ownerId: userId,
+		});
+		if (!webSource) {
+			return notFoundError('Website source');
+		}
+
+		// A running crawl would keep adding pages
+		if (['queued', 'crawling'].includes(webSource.status)) {
+			return conflictError(
+				'This website is being crawled. Delete it once the crawl has finished.'
+			);
+		}
+
+		// Step 3: Delete every crawled page like a regular file
+		const pages = await File.find({
+			webSourceId: webSource._id,
+			ownerId: userId,
+			status: { $ne: 'deleted' },
+		}).select('_id');
+
+		let pagesDeleted = 0;
+		const warnings = [];
+		for (const page of pages) {
+			try {
+				const result = await fileService.deleteFile(page._id, userId);
+				pagesDeleted++;
+				warnings.push(...result.data.warnings);
+			} catch (pageError) {
+				warnings.push(`Page ${page._id}: ${pageError.message}`);
+			}
+		}
+
+		// Step 4: Delete the source
+		await WebSource.deleteOne({ _id: webSource._id });
+
+		console.log('[WEB-SOURCES] Website source deleted', {
+			webSourceId: sourceId,
+			botId: id,
+			pagesDeleted,
+		});
+
+		return apiSuccess(
+			{ id: sourceId, pagesDeleted, warnings },
+			warnings.length > 0
+				? 'Website source deleted with warnings - some cleanup pending'
+				: 'Website source and its pages deleted successfully'
+		);
+	} catch (error) {
+		console.error('[WEB-SOURCES] Error deleting source:', error);
+		return serverError('Failed to delete website source');
+	}
+}
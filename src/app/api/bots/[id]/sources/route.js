@@ -0,0 +1,226 @@
+// Website knowledge sources: list crawled sites and add new ones
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import File from '@/models/File';
+import WebSource from '@/models/WebSource';
+import connect from '@/lib/integrations/mongo';
+import {
+	getCurrentDBUser,
+	checkUserLimitsFromUser,
+} from '@/lib/integrations/clerk';
+import { validateCrawlUrl, normalizeUrl } from '@/lib/processors/webCrawler';
+import { addWebCrawlJob } from '@/lib/queues/webCrawlQueue';
+import {
+	apiSuccess,
+	authError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+const MAX_START_URLS = 10;
+
+/**
+ * Format a web source for API responses
+ */
+function formatWebSource(source, pageCounts = {}) {
+	return {
+		id: source._id.toString(),
+		name: source.name || '',
+		startUrls: source.startUrls,
+		sitemapUrl: source.sitemapUrl || '',
+		maxDepth: source.maxDepth,
+		maxPages: source.maxPages,
+		sameDomainOnly: source.sameDomainOnly,
+		status: source.status,
+		lastCrawledAt: source.lastCrawledAt,
+		lastError: source.lastError || '',
+		stats: source.stats,
+		pages: pageCounts.pages || 0,
+		pagesEmbedded: pageCounts.pagesEmbedded || 0,
+		createdAt: source.createdAt,
+	};
+}
+
+/**
+ * GET /api/bots/:id/sources
+ * List the bot's website sources with their page counts (owner only)
+ */
+export async function GET(request, { params }) {
+	try {
+		await connect();
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select('_id');
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		const sources = await WebSource.find({ botId: bot._id })
+			.sort({ createdAt: -1 })
+			.lean();
+
+		// Count pages per source in one query
+		const pageCounts = await File.aggregate([
+			{
+				$match: {
+					botId: bot._id,
+					sourceType: 'url',
+					status: { $ne: 'deleted' },
+				},
+			},
+			{
+				$group: {
+					_id: '$webSourceId',
+					pages: { $sum: 1 },
+					pagesEmbedded: {
+						$sum: { $cond: [{ $eq: ['$embeddingStatus', 'completed'] }, 1, 0] },
+					},
+				},
+			},
+		]);
+		const countsBySource = new Map(
+			pageCounts.map((count) => [count._id?.toString(), count])
+		);
+
+		const formattedSources = sources.map((source) =>
+			formatWebSource(source, countsBySource.get(source._id.toString()))
+		);
+
+		return apiSuccess(
+			{ sources: formattedSources, count: formattedSources.length },
+			`Retrieved ${formattedSources.length} website sources`
+		);
+	} catch (error) {
+		console.error('[WEB-SOURCES] Error fetching sources:', error);
+		return serverError('Failed to fetch website sources');
+	}
+}
+
+/**
+ * POST /api/bots/:id/sources
+ * Add a website (start URLs and/or a sitemap) and queue its first crawl
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		const user = await getCurrentDBUser(userId);
+		if (!user) {
+			return notFoundError('User not found');
+		}
+
+		const { limits } = checkUserLimitsFromUser(user);
+		if (limits.storageReached) {
+			return forbiddenError('Plan limits reached', limits);
+		}
+
+		// Step 2: Validate request data
+		const body = await request.json();
+		const {
+			name = '',
+			sitemapUrl = '',
+			maxDepth = 2,
+			maxPages = 50,
+			sameDomainOnly = true,
+		} = body;
+		const startUrls = (
+			Array.isArray(body.startUrls) ? body.startUrls : [body.startUrls]
+		)
+			.filter((url) => typeof url === 'string' && url.trim())
+			.map((url) => url.trim());
+
+		if (startUrls.length === 0 && !sitemapUrl) {
+			return validationError('Provide at least one start URL or a sitemap URL');
+		}
+
+		if (startUrls.length > MAX_START_URLS) {
+			return validationError(
+				`A website source can have at most ${MAX_START_URLS} start URLs`
+			);
+		}
+
+		for (const url of [...startUrls, ...(sitemapUrl ? [sitemapUrl] : [])]) {
+			const urlError = await validateCrawlUrl(url);
+			if (urlError) {
+				return validationError(urlError);
+			}
+		}
+
+		if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 5) {
+			return validationError('maxDepth must be an integer between 0 and 5');
+		}
+
+		if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > 500) {
+			return validationError('maxPages must be an integer between 1 and 500');
+		}
+
+		// Step 3: Validate bot ownership and configuration
+		const bot = await Bot.findOne({ _id: id, ownerId: userId });
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		if (bot.openaiApiConfig?.keyStatus !== 'valid') {
+			return forbiddenError(
+				'A valid API key is required to embed website pages. Please configure your API key first.',
+				{
+					keyStatus: bot.openaiApiConfig?.keyStatus || 'none',
+					requiredAction: 'Configure custom API key in bot settings',
+				}
+			);
+		}
+
+		// Step 4: Create the source and queue its first crawl
+		const webSource = await WebSource.create({
+			botId: bot._id,
+			ownerId: userId,
+			name: String(name).trim(),
+			startUrls: startUrls.map((url) => normalizeUrl(url)),
+			sitemapUrl: sitemapUrl ? normalizeUrl(sitemapUrl) : '',
+			maxDepth,
+			maxPages,
+			sameDomainOnly: sameDomainOnly !== false,
+			status: 'queued',
+		});
+
+		await addWebCrawlJob({
+			webSourceId: webSource._id.toString(),
+			botId: bot._id.toString(),
+			userId,
+		});
+
+		console.log('[WEB-SOURCES] Website source added', {
+			webSourceId: webSource._id,
+			botId: bot._id.toString(),
+			startUrls: webSource.startUrls.length,
+			hasSitemap: !!webSource.sitemapUrl,
+		});
+
+		return apiSuccess(
+			formatWebSource(webSource),
+			'Website source added. Crawling has started.',
+			201
+		);
+	} catch (error) {
+		console.error('[WEB-SOURCES] Error adding source:', error);
+		return serverError('Failed to add website source');
+	}
+}
@@ -0,0 +1,85 @@
+// Scheduled knowledge sync status and "sync now"
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import connect from '@/lib/integrations/mongo';
+import { addBotSyncJob } from '@/lib/queues/syncQueue';
+import {
+	apiSuccess,
+	authError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+/**
+ * GET /api/bots/:id/sync
+ * Get the bot's sync schedule and the result of the last run (owner only)
+ */
+export async function GET(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		// Step 2: Load the bot's sync settings
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select('sync');
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		return apiSuccess(bot.sync, 'Sync status retrieved successfully');
+	} catch (error) {
+		console.error('[SYNC] Error retrieving sync status:', error);
+		return serverError('Failed to retrieve sync status');
+	}
+}
+
+/**
+ * POST /api/bots/:id/sync
+ * Queue an immediate re-sync of the bot's files and websites (owner only)
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		// Step 2: Validate bot
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select(
+			'openaiApiConfig.keyStatus'
+		);
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		if (bot.openaiApiConfig?.keyStatus !== 'valid') {
+			return forbiddenError(
+				'A valid API key is required to re-embed changed content. Please configure your API key first.'
+			);
+		}
+
+		// Step 3: Queue the sync
+		const job = await addBotSyncJob(id, userId);
+
+		return apiSuccess({ jobId: job.id }, 'Sync queued successfully', 202);
+	} catch (error) {
+		console.error('[SYNC] Error queueing sync:', error);
+		return serverError('Failed to queue sync');
+	}
+}
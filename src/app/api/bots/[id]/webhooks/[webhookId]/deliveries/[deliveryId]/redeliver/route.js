@@ -0,0 +1,78 @@
+// Send a logged delivery's payload again
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import connect from '@/lib/integrations/mongo';
+import webhookService from '@/lib/core/webhookService';
+import {
+	apiSuccess,
+	authError,
+	conflictError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+/**
+ * POST /api/bots/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Queue the same payload (same event ID) as a new delivery (owner only)
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, webhookId, deliveryId } = await params;
+		if (
+			![id, webhookId, deliveryId].every((value) =>
+				mongoose.Types.ObjectId.isValid(value)
+			)
+		) {
+			return validationError('Invalid bot, webhook or delivery ID');
+		}
+
+		// Step 2: Find the webhook and the delivery
+		const webhook = await Webhook.findOne({
+			_id: webhookId,
+			botId: id,
+			ownerId: userId,
+		});
+		if (!webhook) {
+			return notFoundError('Webhook');
+		}
+
+		if (!webhook.enabled) {
+			return conflictError('Enable the webhook before redelivering');
+		}
+
+		const delivery = await WebhookDelivery.findOne({
+			_id: deliveryId,
+			webhookId: webhook._id,
+		});
+		if (!delivery) {
+			return notFoundError('Delivery');
+		}
+
+		// Step 3: Queue the new delivery
+		const redelivery = await webhookService.redeliver(webhook, delivery);
+
+		return apiSuccess(
+			{
+				id: redelivery._id.toString(),
+				event: redelivery.event,
+				status: redelivery.status,
+				redeliveryOf: delivery._id.toString(),
+				createdAt: redelivery.createdAt,
+			},
+			'Redelivery queued',
+			201
+		);
+	} catch (error) {
+		console.error('[WEBHOOKS] Error redelivering:', error);
+		return serverError('Failed to redeliver webhook');
+	}
+}
@@ -0,0 +1,105 @@
+// Delivery log of a webhook endpoint
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import connect from '@/lib/integrations/mongo';
+import {
+	apiSuccess,
+	authError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * GET /api/bots/:id/webhooks/:webhookId/deliveries
+ * List a webhook's deliveries, newest first (owner only)
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Deliveries per page (default: 20, max: 50)
+ * - status: 'pending' | 'delivered' | 'failed' (optional)
+ */
+export async function GET(request, { params }) {
+	try {
+		await connect();
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, webhookId } = await params;
+		if (
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(webhookId)
+		) {
+			return validationError('Invalid bot or webhook ID');
+		}
+
+		const { searchParams } = new URL(request.url);
+		const page = Math.max(1, parseInt(searchParams.get('page')) || 1);
+		const limit = Math.min(
+			50,
+			Math.max(1, parseInt(searchParams.get('limit')) || 20)
+		);
+		const status = searchParams.get('status');
+		if (status && !DELIVERY_STATUSES.includes(status)) {
+			return validationError(
+				`status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+			);
+		}
+
+		const webhook = await Webhook.findOne({
+			_id: webhookId,
+			botId: id,
+			ownerId: userId,
+		}).select('_id');
+		if (!webhook) {
+			return notFoundError('Webhook');
+		}
+
+		const query = { webhookId: webhook._id, ...(status && { status }) };
+		const [deliveries, total] = await Promise.all([
+			WebhookDelivery.find(query)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.lean(),
+			WebhookDelivery.countDocuments(query),
+		]);
+
+		const totalPages = Math.ceil(total / limit);
+
+		return apiSuccess(
+			{
+				deliveries: deliveries.map((delivery) => ({
+					id: delivery._id.toString(),
+					event: delivery.event,
+					status: delivery.status,
+					attempts: delivery.attempts,
+					responseStatus: delivery.responseStatus ?? null,
+					responseBody: delivery.responseBody || '',
+					error: delivery.error || '',
+					durationMs: delivery.durationMs ?? null,
+					payload: delivery.payload,
+					redeliveryOf: delivery.redeliveryOf?.toString() || null,
+					lastAttemptAt: delivery.lastAttemptAt || null,
+					deliveredAt: delivery.deliveredAt || null,
+					createdAt: delivery.createdAt,
+				})),
+				pagination: {
+					currentPage: page,
+					totalPages,
+					totalDeliveries: total,
+					hasNextPage: page < totalPages,
+					hasPrevPage: page > 1,
+				},
+			},
+			`Retrieved ${deliveries.length} deliveries`
+		);
+	} catch (error) {
+		console.error('[WEBHOOKS] Error fetching deliveries:', error);
+		return serverError('Failed to fetch webhook deliveries');
+	}
+}
@@ -0,0 +1,155 @@
+// Update or remove a webhook endpoint
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Webhook from '@/models/Webhook';
+import WebhookDelivery from '@/models/WebhookDelivery';
+import connect from '@/lib/integrations/mongo';
+import {
+	formatWebhook,
+	generateWebhookSecret,
+	validateWebhookEvents,
+	validateWebhookUrl,
+} from '@/lib/core/webhookService';
+import { normalizeUrl } from '@/lib/processors/webCrawler';
+import {
+	apiSuccess,
+	authError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+/**
+ * PATCH /api/bots/:id/webhooks/:webhookId
+ * Update a webhook (owner only)
+ *
+ * Body (all optional):
+ * - url, events, description, enabled
+ * - rotateSecret: true to replace the signing secret; the new secret is
+ *   returned once
+ */
+export async function PATCH(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, webhookId } = await params;
+		if (
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(webhookId)
+		) {
+			return validationError('Invalid bot or webhook ID');
+		}
+
+		// Step 2: Validate request data
+		const body = await request.json();
+		const updates = {};
+
+		if (body.url !== undefined) {
+			const urlError = await validateWebhookUrl(body.url);
+			if (urlError) {
+				return validationError(urlError);
+			}
+			updates.url = normalizeUrl(body.url);
+		}
+
+		if (body.events !== undefined) {
+			const eventsError = validateWebhookEvents(body.events);
+			if (eventsError) {
+				return validationError(eventsError);
+			}
+			updates.events = [...new Set(body.events)];
+		}
+
+		if (body.description !== undefined) {
+			if (
+				typeof body.description !== 'string' ||
+				body.description.length > 200
+			) {
+				return validationError('Description must be at most 200 characters');
+			}
+			updates.description = body.description.trim();
+		}
+
+		if (body.enabled !== undefined) {
+			if (typeof body.enabled !== 'boolean') {
+				return validationError('enabled must be a boolean');
+			}
+			updates.enabled = body.enabled;
+		}
+
+		let secret = null;
+		if (body.rotateSecret === true) {
+			const generated = generateWebhookSecret();
+			secret = generated.secret;
+			updates.secret = generated.encrypted;
+			updates.secretPreview = generated.preview;
+		}
+
+		// Step 3: Update the owner's webhook
+		const webhook = await Webhook.findOneAndUpdate(
+			{ _id: webhookId, botId: id, ownerId: userId },
+			updates,
+			{ new: true }
+		);
+		if (!webhook) {
+			return notFoundError('Webhook');
+		}
+
+		return apiSuccess(
+			{ ...formatWebhook(webhook), ...(secret && { secret }) },
+			secret
+				? 'Signing secret rotated. Copy it now; it will not be shown again.'
+				: 'Webhook updated'
+		);
+	} catch (error) {
+		console.error('[WEBHOOKS] Error updating webhook:', error);
+		return serverError('Failed to update webhook');
+	}
+}
+
+/**
+ * DELETE /api/bots/:id/webhooks/:webhookId
+ * Delete a webhook and its delivery log (owner only)
+ */
+export async function DELETE(request, { params }) {
+	try {
+		await connect();
+
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id, webhookId } = await params;
+		if (
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(webhookId)
+		) {
+			return validationError('Invalid bot or webhook ID');
+		}
+
+		const webhook = await Webhook.findOneAndDelete({
+			_id: webhookId,
+			botId: id,
+			ownerId: userId,
+		});
+		if (!webhook) {
+			return notFoundError('Webhook');
+		}
+
+		// Deliveries still queued are skipped once their log entry is gone
+		await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+		console.log('[WEBHOOKS] Webhook deleted', {
+			webhookId,
+			botId: id,
+		});
+
+		return apiSuccess({ id: webhookId }, 'Webhook deleted');
+	} catch (error) {
+		console.error('[WEBHOOKS] Error deleting webhook:', error);
+		return serverError('Failed to delete webhook');
+	}
+}
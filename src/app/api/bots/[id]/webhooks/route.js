@@ -0,0 +1,139 @@
+// Outbound webhooks: list a bot's endpoints and register new ones
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import Webhook from '@/models/Webhook';
+import connect from '@/lib/integrations/mongo';
+import {
+	formatWebhook,
+	generateWebhookSecret,
+	validateWebhookEvents,
+	validateWebhookUrl,
+} from '@/lib/core/webhookService';
+import { normalizeUrl } from '@/lib/processors/webCrawler';
+import {
+	apiSuccess,
+	authError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+const MAX_WEBHOOKS_PER_BOT = 10;
+
+/**
+ * GET /api/bots/:id/webhooks
+ * List the bot's webhook endpoints (owner only)
+ */
+export async function GET(request, { params }) {
+	try {
+		await connect();
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select('_id');
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		const webhooks = await Webhook.find({ botId: bot._id })
+			.sort({ createdAt: -1 })
+			.lean();
+
+		return apiSuccess(
+			{ webhooks: webhooks.map(formatWebhook), count: webhooks.length },
+			`Retrieved ${webhooks.length} webhooks`
+		);
+	} catch (error) {
+		console.error('[WEBHOOKS] Error fetching webhooks:', error);
+		return serverError('Failed to fetch webhooks');
+	}
+}
+
+/**
+ * POST /api/bots/:id/webhooks
+ * Register a webhook endpoint. The signing secret is only returned here
+ * and when it is rotated.
+ *
+ * Body:
+ * - url: Endpoint receiving POST requests
+ * - events: Event names to send (see WEBHOOK_EVENTS)
+ * - description: Optional note
+ */
+export async function POST(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const { id } = await params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return validationError('Invalid bot ID');
+		}
+
+		// Step 2: Validate request data
+		const { url, events, description = '' } = await request.json();
+
+		const urlError = await validateWebhookUrl(url);
+		if (urlError) {
+			return validationError(urlError);
+		}
+
+		const eventsError = validateWebhookEvents(events);
+		if (eventsError) {
+			return validationError(eventsError);
+		}
+
+		if (typeof description !== 'string' || description.length > 200) {
+			return validationError('Description must be at most 200 characters');
+		}
+
+		// Step 3: Validate bot ownership and the endpoint limit
+		const bot = await Bot.findOne({ _id: id, ownerId: userId }).select('_id');
+		if (!bot) {
+			return notFoundError('Bot');
+		}
+
+		const webhookCount = await Webhook.countDocuments({ botId: bot._id });
+		if (webhookCount >= MAX_WEBHOOKS_PER_BOT) {
+			return forbiddenError(
+				`A bot can have at most ${MAX_WEBHOOKS_PER_BOT} webhooks`
+			);
+		}
+
+		// Step 4: Create the webhook with a new signing secret
+		const { secret, encrypted, preview } = generateWebhookSecret();
+		const webhook = await Webhook.create({
+			botId: bot._id,
+			ownerId: userId,
+			url: normalizeUrl(url),
+			description: description.trim(),
+			events: [...new Set(events)],
+			secret: encrypted,
+			secretPreview: preview,
+		});
+
+		console.log('[WEBHOOKS] Webhook added', {
+			webhookId: webhook._id,
+			botId: bot._id.toString(),
+			events: webhook.events,
+		});
+
+		return apiSuccess(
+			{ ...formatWebhook(webhook), secret },
+			'Webhook added. Copy the signing secret now; it will not be shown again.',
+			201
+		);
+	} catch (error) {
+		console.error('[WEBHOOKS] Error adding webhook:', error);
+		return serverError('Failed to add webhook');
+	}
+}
@@ -0,0 +1,118 @@
+import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
+import Conversation from '@/models/Conversation';
+import realtimeService, { REALTIME_EVENTS } from '@/lib/core/realtimeService';
+import webhookService, { WEBHOOK_EVENTS } from '@/lib/core/webhookService';
+import {
+	apiSuccess,
+	validationError,
+	notFoundError,
+	serverError,
+} from '@/lib/utils/apiResponse';
+import { checkRateLimit } from '@/lib/utils/rateLimit';
+import { sanitizeText, validateSessionId } from '@/lib/utils/sanitization';
+import mongoose from 'mongoose';
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 1000;
+
+// Helper function to add CORS headers
+function addCorsHeaders(response) {
+	response.headers.set('Access-Control-Allow-Origin', '*');
+	response.headers.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+	response.headers.set(
+		'Access-Control-Allow-Headers',
+		'Content-Type, Authorization'
+	);
+	return response;
+}
+
+// Handle OPTIONS requests for CORS
+export async function OPTIONS(request) {
+	return addCorsHeaders(new Response(null, { status: 200 }));
+}
+
+/**
+ * POST /api/chat/[botId]/feedback - Rate an answer (Public, no authentication required)
+ *
+ * Body: { sessionId, messageId, rating: 'up' | 'down', comment? }
+ * Rating the same answer again replaces the earlier feedback.
+ */
+export async function POST(request, { params }) {
+	try {
+		const { botId } = await params;
+		if (!botId) {
+			return addCorsHeaders(validationError('Bot ID is required'));
+		}
+
+		// Step 1: Validate input
+		const body = await request.json();
+		const sessionValidation = validateSessionId(body.sessionId);
+		if (!sessionValidation.valid) {
+			return addCorsHeaders(validationError(sessionValidation.error));
+		}
+		const sanitizedSessionId = sessionValidation.sanitized;
+
+		if (!mongoose.Types.ObjectId.isValid(body.messageId)) {
+			return addCorsHeaders(validationError('Invalid message ID'));
+		}
+		if (!FEEDBACK_RATINGS.includes(body.rating)) {
+			return addCorsHeaders(validationError("Rating must be 'up' or 'down'"));
+		}
+		const comment = sanitizeText(body.comment || '', MAX_COMMENT_LENGTH);
+
+		const rateLimitError = checkRateLimit(request, sanitizedSessionId);
+		if (rateLimitError) {
+			return addCorsHeaders(rateLimitError);
+		}
+
+		// Step 2: Verify bot exists and is active
+		await connect();
+		const bot = await Bot.findOne({ _id: botId, status: 'active' });
+		if (!bot) {
+			return addCorsHeaders(notFoundError('Bot'));
+		}
+
+		// Step 3: Store the feedback on the assistant message
+		const feedback = {
+			rating: body.rating,
+			comment,
+			submittedAt: new Date(),
+		};
+		const conversation = await Conversation.findOneAndUpdate(
+			{
+				botId: bot._id,
+				sessionId: sanitizedSessionId,
+				messages: {
+					$elemMatch: { _id: body.messageId, role: 'assistant' },
+				},
+			},
+			{ $set: { 'messages.$.feedback': feedback } },
+			{ new: true, projection: { status: 1 } }
+		);
+		if (!conversation) {
+			return addCorsHeaders(notFoundError('Message'));
+		}
+
+		// Step 4: Notify the owner's dashboards and webhooks
+		await realtimeService.publish(
+			bot._id,
+			REALTIME_EVENTS.CONVERSATION_UPDATED,
+			{ sessionId: sanitizedSessionId, status: conversation.status }
+		);
+		// Not awaited: webhooks must never delay the visitor's request
+		webhookService.dispatch(bot._id, WEBHOOK_EVENTS.FEEDBACK_SUBMITTED, {
+			sessionId: sanitizedSessionId,
+			messageId: body.messageId,
+			rating: feedback.rating,
+			comment,
+		});
+
+		return addCorsHeaders(
+			apiSuccess({ messageId: body.messageId, feedback }, 'Feedback submitted')
+		);
+	} catch (error) {
+		console.error('Feedback API error:', error);
+		return addCorsHeaders(serverError('Failed to submit feedback'));
+	}
+}
@@ -0,0 +1,90 @@
+import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
+import handoffService, { getHandoffConfig } from '@/lib/core/handoffService';
+import {
+	apiSuccess,
+	validationError,
+	notFoundError,
+	serverError,
+} from '@/lib/utils/apiResponse';
+import { checkRateLimit } from '@/lib/utils/rateLimit';
+import { validateSessionId } from '@/lib/utils/sanitization';
+
+// Helper function to add CORS headers
+function addCorsHeaders(response) {
+	response.headers.set('Access-Control-Allow-Origin', '*');
+	response.headers.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+	response.headers.set(
+		'Access-Control-Allow-Headers',
+		'Content-Type, Authorization'
+	);
+	return response;
+}
+
+// Handle OPTIONS requests for CORS
+export async function OPTIONS(request) {
+	return addCorsHeaders(new Response(null, { status: 200 }));
+}
+
+/**
+ * POST /api/chat/[botId]/handoff - Ask for a person (Public, no authentication required)
+ *
+ * Used by the widget's "Talk to a person" button. The conversation is
+ * handed off to the bot owner and the AI stays silent until the owner
+ * hands it back.
+ */
+export async function POST(request, { params }) {
+	try {
+		const { botId } = await params;
+		if (!botId) {
+			return addCorsHeaders(validationError('Bot ID is required'));
+		}
+
+		// Step 1: Validate session
+		const body = await request.json();
+		const sessionValidation = validateSessionId(body.sessionId);
+		if (!sessionValidation.valid) {
+			return addCorsHeaders(validationError(sessionValidation.error));
+		}
+		const sanitizedSessionId = sessionValidation.sanitized;
+
+		const rateLimitError = checkRateLimit(request, sanitizedSessionId);
+		if (rateLimitError) {
+			return addCorsHeaders(rateLimitError);
+		}
+
+		// Step 2: Verify bot exists, is active and accepts handoffs
+		await connect();
+		const bot = await Bot.findOne({ _id: botId, status: 'active' });
+		if (!bot) {
+			return addCorsHeaders(notFoundError('Bot not found or inactive'));
+		}
+		if (!getHandoffConfig(bot).enabled) {
+			return addCorsHeaders(
+				validationError('This bot does not hand conversations off')
+			);
+		}
+
+		// Step 3: Hand the conversation off
+		const { status, message } = await handoffService.requestHandoff(
+			bot,
+			sanitizedSessionId
+		);
+
+		return addCorsHeaders(
+			apiSuccess(
+				{
+					sessionId: sanitizedSessionId,
+					conversationStatus: status,
+					message: message?.content || null,
+				},
+				message
+					? 'Conversation handed off'
+					: 'Conversation is already handed off'
+			)
+		);
+	} catch (error) {
+		console.error('Handoff API error:', error);
+		return addCorsHeaders(serverError('Failed to hand conversation off'));
+	}
+}
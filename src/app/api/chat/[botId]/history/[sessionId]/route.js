@@ -1,6 +1,8 @@
 import connect from '@/lib/integrations/mongo';
 import Bot from '@/models/Bot';
 import Conversation from '@/models/Conversation';
+import { ragService } from '@/lib/core/ragService';
+import { getHandoffConfig } from '@/lib/core/handoffService';
 import {
 	apiSuccess,
 	notFoundError,
@@ -31,6 +33,11 @@ export async function OPTIONS(request) {
  * Public endpoint to retrieve conversation history for a specific session
  * This is used by the embed widget to restore previous conversations
  * No authentication required - sessions are public by design
+ *
+ * Query params:
+ * - after: ISO timestamp; only messages sent after it are returned. The
+ *   widget polls with it for operator replies while a conversation is
+ *   handed off.
  */
 export async function GET(request, { params }) {
 	try {
@@ -48,6 +55,14 @@ export async function GET(request, { params }) {
 		}
 		const sanitizedSessionId = sessionValidation.sanitized;
 
+		const { searchParams } = new URL(request.url);
+		const after = searchParams.get('after')
+			? new Date(searchParams.get('after'))
+			: null;
+		if (after && isNaN(after.getTime())) {
+			return addCorsHeaders(validationError('Invalid after timestamp'));
+		}
+
 		// Connect to database
 		await connect();
 
@@ -61,7 +76,9 @@ export async function GET(request, { params }) {
 		const conversation = await Conversation.findOne({
 			sessionId: sanitizedSessionId,
 			botId: botId,
-		}).select('messages sessionId createdAt updatedAt');
+		}).select('messages sessionId status createdAt updatedAt');
+
+		const handoffEnabled = getHandoffConfig(bot).enabled;
 
 		// If no conversation found, return empty array (new session)
 		if (!conversation) {
@@ -69,16 +86,30 @@ export async function GET(request, { params }) {
 				apiSuccess({
 					messages: [],
 					sessionId: sanitizedSessionId,
+					status: 'active',
+					handoffEnabled,
 					isNewSession: true,
 				})
 			);
 		}
 
-		// Return conversation messages
+		// Return conversation messages (citations get links if the owner allows them)
+		const messages = (conversation.messages || [])
+			.filter((msg) => !after || msg.timestamp > after)
+			.map((msg) => {
+				const message = msg.toObject();
+				if (message.citations?.length > 0) {
+					message.citations = ragService.linkCitations(bot, message.citations);
+				}
+				return message;
+			});
+
 		return addCorsHeaders(
 			apiSuccess({
-				messages: conversation.messages || [],
+				messages,
 				sessionId: conversation.sessionId,
+				status: conversation.status,
+				handoffEnabled,
 				createdAt: conversation.createdAt,
 				updatedAt: conversation.updatedAt,
 				isNewSession: false,
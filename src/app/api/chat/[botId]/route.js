@@ -1,6 +1,7 @@
 import connect from '@/lib/integrations/mongo';
 import Bot from '@/models/Bot';
 import { chatService } from '@/lib/core/chatService';
+import { ragService } from '@/lib/core/ragService';
 import {
 	apiSuccess,
 	validationError,
@@ -14,6 +15,7 @@ import {
 	sanitizeDomain,
 	sanitizeFingerprint,
 } from '@/lib/utils/sanitization';
+import { createEventStream, wantsEventStream } from '@/lib/utils/eventStream';
 
 // Helper function to add CORS headers
 function addCorsHeaders(response) {
@@ -55,8 +57,27 @@ function validateDomain(bot, requestDomain) {
 	});
 }
 
+// Helper function to shape the assistant reply for the client
+function formatChatResponse(bot, aiResponse, sessionId) {
+	return {
+		message: aiResponse.content,
+		messageId: aiResponse._id,
+		sessionId,
+		sources: aiResponse.sources,
+		citations: ragService.linkCitations(bot, aiResponse.citations),
+		hasRelevantContext: aiResponse.hasRelevantContext,
+		model: aiResponse.model,
+		// awaiting_agent / agent_active: a person answers, message is empty
+		conversationStatus: aiResponse.conversationStatus,
+	};
+}
+
 /**
  * POST /api/chat/[botId] - Handle chat messages (Public, no authentication required)
+ *
+ * Streaming is opt-in: send `stream: true` in the body or an
+ * `Accept: text/event-stream` header to receive `token` events as the answer
+ * is generated, followed by a final `done` event with sources and metadata.
  */
 export async function POST(request, { params }) {
 	try {
@@ -115,28 +136,42 @@ export async function POST(request, { params }) {
 
 		// Get client IP for tracking
 		const clientIp = getClientIp(request);
+		const sessionMetadata = {
+			userFingerprint: sanitizedFingerprint,
+			domain: sanitizedDomain,
+			ipAddress: clientIp,
+			userAgent: request.headers.get('user-agent') || '',
+		};
+
+		// Stream tokens as they are generated if the client opted in
+		if (wantsEventStream(request, body)) {
+			const response = createEventStream(async (send) => {
+				send('start', { sessionId: sanitizedSessionId });
+
+				const aiResponse = await chatService.sendMessage(
+					bot,
+					sanitizedMessage,
+					sanitizedSessionId,
+					sessionMetadata,
+					{ onToken: (content) => send('token', { content }) }
+				);
+
+				send('done', formatChatResponse(bot, aiResponse, sanitizedSessionId));
+			});
+
+			return addCorsHeaders(response);
+		}
 
 		// Use chat service to handle message processing
 		const aiResponse = await chatService.sendMessage(
 			bot,
 			sanitizedMessage,
 			sanitizedSessionId,
-			{
-				userFingerprint: sanitizedFingerprint,
-				domain: sanitizedDomain,
-				ipAddress: clientIp,
-				userAgent: request.headers.get('user-agent') || '',
-			}
+			sessionMetadata
 		);
 
 		const response = apiSuccess(
-			{
-				message: aiResponse.content,
-				sessionId: sanitizedSessionId,
-				sources: aiResponse.sources,
-				hasRelevantContext: aiResponse.hasRelevantContext,
-				model: aiResponse.model,
-			},
+			formatChatResponse(bot, aiResponse, sanitizedSessionId),
 			'Message sent successfully'
 		);
 
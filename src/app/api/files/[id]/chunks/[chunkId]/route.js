@@ -0,0 +1,139 @@
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import File from '@/models/File';
+import connect from '@/lib/integrations/mongo';
+import chunkService, { MAX_CHUNK_LENGTH } from '@/lib/core/chunkService';
+import {
+	apiSuccess,
+	authError,
+	conflictError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+const ACTIVE_EMBEDDING_STATUSES = ['queued', 'processing', 'retrying'];
+
+/**
+ * Find the file and chunk for a request
+ * Chunks can't be changed while the file is (re)processed, since processing
+ * rewrites them.
+ * @returns {Promise<Object>} { file, point } or { response } on failure
+ */
+async function findEditableChunk(params, userId) {
+	const { id: fileId, chunkId } = await params;
+	if (!mongoose.Types.ObjectId.isValid(fileId)) {
+		return { response: validationError('Invalid fileId') };
+	}
+
+	const file = await File.findOne({
+		_id: fileId,
+		ownerId: userId,
+		status: { $ne: 'deleted' },
+	});
+	if (!file) {
+		return { response: notFoundError('File') };
+	}
+
+	if (ACTIVE_EMBEDDING_STATUSES.includes(file.embeddingStatus)) {
+		return {
+			response: conflictError(
+				'This file is being processed. Try again when it has finished.'
+			),
+		};
+	}
+
+	const point = await chunkService.getChunk(file, chunkId);
+	if (!point) {
+		return { response: notFoundError('Chunk') };
+	}
+
+	return { file, point };
+}
+
+/**
+ * PATCH /api/files/[id]/chunks/[chunkId] - Edit or enable/disable a chunk
+ * Body: { content?: string, disabled?: boolean }
+ * New content is re-embedded; disabled chunks are left out of retrieval.
+ */
+export async function PATCH(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		// Step 2: Validate the changes
+		const body = await request.json();
+		const changes = {};
+
+		if (body.content !== undefined) {
+			if (typeof body.content !== 'string' || !body.content.trim()) {
+				return validationError('Chunk content cannot be empty');
+			}
+			if (body.content.length > MAX_CHUNK_LENGTH) {
+				return validationError(
+					`Chunk content cannot exceed ${MAX_CHUNK_LENGTH} characters`
+				);
+			}
+			changes.content = body.content.trim();
+		}
+
+		if (body.disabled !== undefined) {
+			if (typeof body.disabled !== 'boolean') {
+				return validationError('disabled must be a boolean');
+			}
+			changes.disabled = body.disabled;
+		}
+
+		if (Object.keys(changes).length === 0) {
+			return validationError('Provide content and/or disabled to update');
+		}
+
+		// Step 3: Find the chunk
+		const { file, point, response } = await findEditableChunk(params, userId);
+		if (response) return response;
+
+		// Step 4: Apply the changes
+		const chunk = await chunkService.updateChunk(file, point, changes, userId);
+
+		return apiSuccess({ chunk }, 'Chunk updated successfully');
+	} catch (error) {
+		console.error('Update chunk error:', error);
+
+		if (error.message.includes('API key')) {
+			return validationError(
+				'An API key is required to re-embed edited chunks. Add one in the bot settings.'
+			);
+		}
+
+		return serverError('Failed to update chunk');
+	}
+}
+
+/**
+ * DELETE /api/files/[id]/chunks/[chunkId] - Delete a chunk
+ * The chunk stays deleted when the file is re-processed.
+ */
+export async function DELETE(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		// Step 2: Find the chunk
+		const { file, point, response } = await findEditableChunk(params, userId);
+		if (response) return response;
+
+		// Step 3: Remove it from the vector store
+		await chunkService.deleteChunk(file, point);
+
+		return apiSuccess({ chunkId: point.id }, 'Chunk deleted successfully');
+	} catch (error) {
+		console.error('Delete chunk error:', error);
+		return serverError('Failed to delete chunk');
+	}
+}
@@ -0,0 +1,91 @@
+import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import File from '@/models/File';
+import connect from '@/lib/integrations/mongo';
+import chunkService from '@/lib/core/chunkService';
+import {
+	apiSuccess,
+	authError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+
+const CHUNK_STATUS_FILTERS = ['all', 'enabled', 'disabled', 'edited'];
+
+/**
+ * GET /api/files/[id]/chunks - List a file's chunks in document order
+ * Query: page, limit (max 100), search (case-insensitive text match) and
+ * status ('all', 'enabled', 'disabled' or 'edited').
+ */
+export async function GET(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const fileId = (await params).id;
+		if (!mongoose.Types.ObjectId.isValid(fileId)) {
+			return validationError('Invalid fileId');
+		}
+
+		// Step 2: Parse query parameters
+		const { searchParams } = new URL(request.url);
+		const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+		const limit = Math.min(
+			Math.max(parseInt(searchParams.get('limit')) || 20, 1),
+			100
+		);
+		const search = searchParams.get('search')?.trim() || '';
+		const status = searchParams.get('status') || 'all';
+
+		if (!CHUNK_STATUS_FILTERS.includes(status)) {
+			return validationError(
+				`Invalid status. Use one of: ${CHUNK_STATUS_FILTERS.join(', ')}`
+			);
+		}
+
+		// Step 3: Find the file
+		const file = await File.findOne({
+			_id: fileId,
+			ownerId: userId,
+			status: { $ne: 'deleted' },
+		});
+		if (!file) {
+			return notFoundError('File');
+		}
+
+		// Step 4: Load chunks from the vector store
+		const { chunks, totalCount, counts } = await chunkService.listChunks(file, {
+			page,
+			limit,
+			search,
+			status,
+		});
+		const totalPages = Math.ceil(totalCount / limit);
+
+		return apiSuccess(
+			{
+				fileId: file._id,
+				filename: file.filename,
+				embeddingStatus: file.embeddingStatus,
+				chunks,
+				counts,
+				pagination: {
+					currentPage: page,
+					totalPages,
+					totalCount,
+					limit,
+					hasNextPage: page < totalPages,
+					hasPrevPage: page > 1,
+				},
+			},
+			'Chunks retrieved successfully'
+		);
+	} catch (error) {
+		console.error('List chunks error:', error);
+		return serverError('Failed to retrieve chunks');
+	}
+}
@@ -1,29 +1,78 @@
 // Get presigned URL for downloading a file from S3
+//
+// Owners can always download their files. Widget visitors can open a file
+// cited in an answer by passing `botId` when the bot owner has enabled
+// `citations.allowSourceLinks`. Pass `redirect=1` to be sent straight to the
+// file (with `page` appended as a PDF page fragment) instead of receiving JSON.
 
+import mongoose from 'mongoose';
+import { NextResponse } from 'next/server';
 import { auth } from '@clerk/nextjs/server';
 import connect from '@/lib/integrations/mongo';
+import Bot from '@/models/Bot';
 import File from '@/models/File';
 import { generatePresignedDownloadUrl } from '@/lib/integrations/s3';
-import { apiSuccess, serverError } from '@/lib/utils/apiResponse';
+import {
+	apiSuccess,
+	authError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
 
 export async function GET(request, { params }) {
 	try {
 		await connect();
 		const { userId } = await auth();
-		if (!userId) return authError();
 
 		const fileId = (await params).id;
+		const { searchParams } = new URL(request.url);
+		const botId = searchParams.get('botId');
+		const shouldRedirect = ['1', 'true'].includes(searchParams.get('redirect'));
+		const page = parseInt(searchParams.get('page'), 10);
+
+		if (!userId && !botId) return authError();
+
+		if (
+			!mongoose.Types.ObjectId.isValid(fileId) ||
+			(botId && !mongoose.Types.ObjectId.isValid(botId))
+		) {
+			return validationError('Invalid file or bot ID');
+		}
+
+		// Find file owned by the signed-in user
+		let file = userId
+			? await File.findOne({ _id: fileId, ownerId: userId })
+			: null;
+
+		// Otherwise allow visitors to open cited files if the bot owner opted in
+		if (!file && botId) {
+			const bot = await Bot.findOne({ _id: botId, status: 'active' }).select(
+				'citations'
+			);
+			if (bot?.citations?.allowSourceLinks) {
+				file = await File.findOne({
+					_id: fileId,
+					botId,
+					status: { $ne: 'deleted' },
+				});
+			}
+		}
 
-		// Find file
-		const file = await File.findOne({ _id: fileId, ownerId: userId });
 		if (!file) {
-			return notFoundError('File not found or access denied');
+			return notFoundError('File');
 		}
 
 		const s3Key = file.s3Key;
 
 		const presignedUrl = await generatePresignedDownloadUrl(s3Key, 900); // URL valid for 15 minutes
 
+		if (shouldRedirect) {
+			const pageFragment =
+				file.fileType === 'pdf' && page > 0 ? `#page=${page}` : '';
+			return NextResponse.redirect(`${presignedUrl}${pageFragment}`);
+		}
+
 		return apiSuccess(
 			{
 				downloadUrl: presignedUrl,
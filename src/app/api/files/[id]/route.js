@@ -1,6 +1,82 @@
 import { auth } from '@clerk/nextjs/server';
+import mongoose from 'mongoose';
+import Bot from '@/models/Bot';
+import File from '@/models/File';
+import connect from '@/lib/integrations/mongo';
 import fileService from '@/lib/core/fileService';
-import { apiSuccess, authError, serverError } from '@/lib/utils/apiResponse';
+import {
+	deleteFile,
+	fileExistsInS3,
+	generatePresignedUploadUrl,
+} from '@/lib/integrations/s3';
+import {
+	addFileProcessingJob,
+	removeFileProcessingJob,
+} from '@/lib/queues/fileProcessingQueue';
+import {
+	apiSuccess,
+	authError,
+	conflictError,
+	forbiddenError,
+	notFoundError,
+	serverError,
+	validationError,
+} from '@/lib/utils/apiResponse';
+import {
+	ALLOWED_MIME_TYPES,
+	MAX_FILE_SIZE,
+	MIME_TO_FILE_TYPE,
+	resolveMimeType,
+} from '@/lib/utils/fileTypes';
+
+const MAX_FILE_VERSIONS = 10; // Older versions are removed from S3
+const ACTIVE_EMBEDDING_STATUSES = ['queued', 'processing', 'retrying'];
+
+/**
+ * Version history of a file, including the live version
+ * Files uploaded before versioning only have their live version.
+ */
+function getVersionHistory(file) {
+	if (file.versions?.length) {
+		return file.versions;
+	}
+
+	return [
+		{
+			version: file.version || 1,
+			s3Key: file.s3Key,
+			filename: file.filename,
+			mimeType: file.mimeType,
+			fileType: file.fileType,
+			size: file.size,
+			status: 'uploaded',
+			createdAt: file.createdAt,
+		},
+	];
+}
+
+/**
+ * Check a version's size against the bot's storage limit
+ * Only the live version counts towards storage.
+ * @returns {Object|null} Limit details when exceeded, or null
+ */
+async function getStorageOverage(file, newSize) {
+	const bot = await Bot.findById(file.botId).select('analytics limits');
+	const currentStorage = bot?.analytics?.storageUsed || 0;
+	const maxStorage = bot?.limits?.maxTotalStorage || 52428800; // 50MB default
+	const sizeDelta = newSize - (file.processedAt ? file.size : 0);
+
+	if (sizeDelta <= 0 || currentStorage + sizeDelta <= maxStorage) {
+		return null;
+	}
+
+	return {
+		currentStorage,
+		maxStorage,
+		requestedSize: newSize,
+		available: maxStorage - currentStorage,
+	};
+}
 
 /**
  * GET /api/files/[id] - Get file details
@@ -26,6 +102,20 @@ export async function GET(request, { params }) {
 				fileType: file.fileType,
 				mimeType: file.mimeType,
 				size: file.size,
+				sourceType: file.sourceType || 'upload',
+				sourceUrl: file.sourceUrl || null,
+				version: file.version || 1,
+				pendingVersion: file.pendingVersion ?? null,
+				versions: getVersionHistory(file).map((entry) => ({
+					version: entry.version,
+					filename: entry.filename,
+					mimeType: entry.mimeType,
+					size: entry.size,
+					status: entry.status,
+					processingError: entry.processingError || '',
+					createdAt: entry.createdAt,
+					isLive: entry.version === (file.version || 1),
+				})),
 				status: file.status,
 				processingError: file.processingError,
 				s3Bucket: file.s3Bucket,
@@ -33,6 +123,7 @@ export async function GET(request, { params }) {
 				storageUrl: file.storageUrl,
 				embeddingStatus: file.embeddingStatus,
 				totalChunks: file.totalChunks,
+				ocrConfidence: file.ocrConfidence ?? null,
 				embeddingTokens: file.embeddingTokens || 0,
 				estimatedCost: file.estimatedCost || 0,
 				embeddedAt: file.embeddedAt,
@@ -48,6 +139,280 @@ export async function GET(request, { params }) {
 	}
 }
 
+/**
+ * PUT /api/files/[id] - Start uploading a new version of a file
+ *
+ * Returns a presigned URL for the new version. The live version keeps
+ * answering questions until the new one is activated with PATCH and has
+ * finished embedding.
+ */
+export async function PUT(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const fileId = (await params).id;
+		if (!mongoose.Types.ObjectId.isValid(fileId)) {
+			return validationError('Invalid fileId');
+		}
+
+		// Step 2: Validate the new version's metadata
+		const {
+			filename,
+			fileSize,
+			mimeType: reportedMimeType,
+		} = await request.json();
+
+		if (!filename || !fileSize) {
+			return validationError('Missing required fields: filename, fileSize');
+		}
+
+		if (fileSize <= 0 || fileSize > MAX_FILE_SIZE) {
+			return validationError(
+				`File size must be between 1 byte and ${MAX_FILE_SIZE / 1024 / 1024}MB`
+			);
+		}
+
+		const mimeType = resolveMimeType(reportedMimeType, filename);
+		const fileType = MIME_TO_FILE_TYPE[mimeType];
+		if (!fileType) {
+			return validationError(
+				`File type ${reportedMimeType || filename} is not supported. Allowed types: ${ALLOWED_MIME_TYPES.join(
+					', '
+				)}`
+			);
+		}
+
+		// Step 3: Find the file and check it can be replaced
+		const file = await File.findOne({
+			_id: fileId,
+			ownerId: userId,
+			status: { $ne: 'deleted' },
+		});
+		if (!file) {
+			return notFoundError('File not found or access denied');
+		}
+
+		if (file.sourceType === 'url') {
+			return validationError(
+				'Crawled pages are updated by crawling their website again'
+			);
+		}
+
+		if (ACTIVE_EMBEDDING_STATUSES.includes(file.embeddingStatus)) {
+			return conflictError(
+				'This file is still being processed. Try again when it has finished.'
+			);
+		}
+
+		const bot = await Bot.findById(file.botId).select(
+			'openaiApiConfig.keyStatus'
+		);
+		if (bot?.openaiApiConfig?.keyStatus !== 'valid') {
+			return forbiddenError(
+				'A valid API key is required to process the new version. Please configure your API key first.'
+			);
+		}
+
+		const storageOverage = await getStorageOverage(file, fileSize);
+		if (storageOverage) {
+			return forbiddenError(
+				'Bot storage limit exceeded. Please delete some files or upgrade your plan.',
+				storageOverage
+			);
+		}
+
+		// Step 4: Record the new version
+		const versions = getVersionHistory(file).map((entry) =>
+			entry.toObject ? entry.toObject() : entry
+		);
+		const version = Math.max(...versions.map((entry) => entry.version)) + 1;
+		const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+		const s3Key = `${userId}/${file.botId}/${Date.now()}-${sanitizedFilename}`;
+
+		versions.push({
+			version,
+			s3Key,
+			filename: sanitizedFilename,
+			mimeType,
+			fileType,
+			size: fileSize,
+			status: 'initialized',
+		});
+
+		// Drop the oldest versions, never the live one
+		while (versions.length > MAX_FILE_VERSIONS) {
+			const index = versions.findIndex(
+				(entry) => entry.version !== file.version
+			);
+			const [removed] = versions.splice(index, 1);
+			try {
+				await deleteFile(removed.s3Key);
+			} catch (s3Error) {
+				console.warn(
+					`[FILE-VERSION] Failed to delete old version ${removed.version}: ${s3Error.message}`
+				);
+			}
+		}
+
+		file.versions = versions;
+		file.pendingVersion = version;
+		await file.save();
+
+		// Step 5: Generate presigned upload URL
+		const uploadUrl = await generatePresignedUploadUrl(s3Key, mimeType);
+
+		console.log('[FILE-VERSION] Upload initialized', {
+			fileId,
+			version,
+			filename: sanitizedFilename,
+			size: fileSize,
+		});
+
+		return apiSuccess(
+			{
+				uploadUrl,
+				fileId,
+				version,
+				s3Key,
+				mimeType, // Upload with this Content-Type
+				expiresIn: 3600, // 1 hour
+			},
+			'Upload URL for the new version generated successfully'
+		);
+	} catch (error) {
+		console.error('[FILE-VERSION] Error starting replacement:', error);
+		return serverError('Failed to start file replacement');
+	}
+}
+
+/**
+ * PATCH /api/files/[id] - Make a version of a file live
+ *
+ * Body: { version }. Activates a newly uploaded version or rolls back to an
+ * earlier one. The version is processed in the background (unchanged chunks
+ * keep their vectors) and replaces the live version once embedding completes.
+ */
+export async function PATCH(request, { params }) {
+	try {
+		await connect();
+
+		// Step 1: Authenticate user
+		const { userId } = await auth();
+		if (!userId) return authError();
+
+		const fileId = (await params).id;
+		if (!mongoose.Types.ObjectId.isValid(fileId)) {
+			return validationError('Invalid fileId');
+		}
+
+		const { version } = await request.json();
+		if (!Number.isInteger(version) || version < 1) {
+			return validationError('version must be a positive integer');
+		}
+
+		// Step 2: Find the file and the requested version
+		const file = await File.findOne({
+			_id: fileId,
+			ownerId: userId,
+			status: { $ne: 'deleted' },
+		});
+		if (!file) {
+			return notFoundError('File not found or access denied');
+		}
+
+		const versionEntry = file.versions.find(
+			(entry) => entry.version === version
+		);
+		if (!versionEntry) {
+			return notFoundError(`Version ${version}`);
+		}
+
+		if (version === file.version && file.embeddingStatus === 'completed') {
+			return validationError(`Version ${version} is already live`);
+		}
+
+		if (ACTIVE_EMBEDDING_STATUSES.includes(file.embeddingStatus)) {
+			return conflictError(
+				'This file is still being processed. Try again when it has finished.'
+			);
+		}
+
+		const storageOverage = await getStorageOverage(file, versionEntry.size);
+		if (storageOverage) {
+			return forbiddenError(
+				'Bot storage limit exceeded. Please delete some files or upgrade your plan.',
+				storageOverage
+			);
+		}
+
+		// Step 3: Verify the version exists in S3
+		const exists = await fileExistsInS3(file.s3Bucket, versionEntry.s3Key);
+		if (!exists) {
+			versionEntry.status = 'failed';
+			versionEntry.processingError = 'File not found in S3';
+			if (file.pendingVersion === version) {
+				file.pendingVersion = null;
+			}
+			await file.save();
+
+			return validationError(
+				`Version ${version} was not found in storage. Upload it again with PUT /api/files/${fileId}.`
+			);
+		}
+
+		// Step 4: Queue the version for processing
+		versionEntry.status = 'uploaded';
+		versionEntry.processingError = '';
+		file.pendingVersion = version;
+		file.embeddingStatus = 'queued';
+		await file.save();
+
+		// A finished job with the same ID would block the new one
+		try {
+			await removeFileProcessingJob(fileId);
+		} catch (queueError) {
+			console.log(`[FILE-VERSION] No old job to remove: ${fileId}`);
+		}
+
+		await addFileProcessingJob({
+			fileId,
+			botId: file.botId.toString(),
+			userId,
+			s3Key: versionEntry.s3Key,
+			filename: versionEntry.filename,
+			mimeType: versionEntry.mimeType,
+			size: versionEntry.size,
+			reprocess: !!file.processedAt,
+			version,
+		});
+
+		console.log('[FILE-VERSION] Version queued for processing', {
+			fileId,
+			version,
+			rollback: version < file.version,
+		});
+
+		return apiSuccess(
+			{
+				fileId,
+				version,
+				liveVersion: file.version,
+				status: 'queued',
+			},
+			version < file.version
+				? `Rolling back to version ${version}`
+				: `Version ${version} queued for processing`
+		);
+	} catch (error) {
+		console.error('[FILE-VERSION] Error activating version:', error);
+		return serverError('Failed to activate file version');
+	}
+}
+
 /**
  * DELETE /api/files/[id] - Delete a file and its associated data
  */
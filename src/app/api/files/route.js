@@ -65,6 +65,10 @@ export async function GET(request) {
 			filename: file.filename,
 			mimeType: file.mimeType,
 			size: file.size,
+			sourceType: file.sourceType || 'upload',
+			sourceUrl: file.sourceUrl || null,
+			version: file.version || 1,
+			pendingVersion: file.pendingVersion ?? null,
 			status: file.status,
 			embeddingStatus: file.embeddingStatus,
 			totalChunks: file.totalChunks || 0,
@@ -72,6 +76,7 @@ export async function GET(request) {
 			embeddingTokens: file.embeddingTokens || 0,
 			estimatedCost: file.estimatedCost || 0,
 			processingError: file.processingError,
+			ocrConfidence: file.ocrConfidence ?? null,
 			embeddedAt: file.embeddedAt,
 			processedAt: file.processedAt,
 			createdAt: file.createdAt,
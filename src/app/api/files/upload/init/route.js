@@ -18,27 +18,12 @@ import {
 	validationError,
 } from '@/lib/utils/apiResponse';
 import { S3_BUCKET, S3_REGION } from '@/lib/utils/envConfig';
-
-// File validation constants
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-const ALLOWED_MIME_TYPES = [
-	'application/pdf',
-	'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-	'text/plain',
-	'text/csv',
-	'text/html',
-	'text/markdown',
-];
-
-const MIME_TO_FILE_TYPE = {
-	'application/pdf': 'pdf',
-	'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-		'docx',
-	'text/plain': 'txt',
-	'text/csv': 'csv',
-	'text/html': 'html',
-	'text/markdown': 'md',
-};
+import {
+	ALLOWED_MIME_TYPES,
+	MAX_FILE_SIZE,
+	MIME_TO_FILE_TYPE,
+	resolveMimeType,
+} from '@/lib/utils/fileTypes';
 
 export async function POST(request) {
 	try {
@@ -64,12 +49,12 @@ export async function POST(request) {
 		const botIdString = formData.get('botId');
 		const filename = formData.get('filename');
 		const fileSize = parseInt(formData.get('fileSize'));
-		const mimeType = formData.get('mimeType');
+		const reportedMimeType = formData.get('mimeType');
 
 		// Validate required fields
-		if (!botIdString || !filename || !fileSize || !mimeType) {
+		if (!botIdString || !filename || !fileSize) {
 			return validationError(
-				'Missing required fields: botId, filename, fileSize, mimeType'
+				'Missing required fields: botId, filename, fileSize'
 			);
 		}
 
@@ -88,9 +73,11 @@ export async function POST(request) {
 			);
 		}
 
-		if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+		// Browsers leave the type empty for some formats; fall back to the extension
+		const mimeType = resolveMimeType(reportedMimeType, filename);
+		if (!mimeType) {
 			return validationError(
-				`File type ${mimeType} is not supported. Allowed types: ${ALLOWED_MIME_TYPES.join(
+				`File type ${reportedMimeType || filename} is not supported. Allowed types: ${ALLOWED_MIME_TYPES.join(
 					', '
 				)}`
 			);
@@ -173,6 +160,7 @@ export async function POST(request) {
 				uploadUrl,
 				fileId: fileRecord._id,
 				s3Key,
+				mimeType, // Upload with this Content-Type
 				expiresIn: 3600, // 1 hour
 			},
 			'Upload URL generated successfully'
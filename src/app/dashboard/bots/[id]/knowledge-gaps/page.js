@@ -0,0 +1,198 @@
+'use client';
+import { useState, useEffect, useCallback, use } from 'react';
+import Link from 'next/link';
+import DashboardLayout from '@/components/layout/DashboardLayout';
+import KnowledgeGapCluster from '@/components/dashboard/KnowledgeGapCluster';
+import { LoadingSpinner, RefreshIcon } from '@/components/ui/icons';
+import { useBot } from '@/hooks/useBot';
+import { useNotification } from '@/hooks/useNotification';
+
+const RANGE_OPTIONS = [
+	{ days: 7, label: 'Last 7 days' },
+	{ days: 30, label: 'Last 30 days' },
+	{ days: 90, label: 'Last 90 days' },
+];
+
+/**
+ * Knowledge Gaps - Questions the bot could not answer, grouped by topic
+ */
+export default function KnowledgeGapsPage({ params }) {
+	const resolvedParams = use(params);
+	const botId = resolvedParams?.id;
+
+	const { bot } = useBot(botId);
+	const { notification, showNotification } = useNotification();
+
+	const [days, setDays] = useState(30);
+	const [report, setReport] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	const fetchReport = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const startDate = new Date(
+				Date.now() - days * 24 * 60 * 60 * 1000
+			).toISOString();
+			const response = await fetch(
+				`/api/bots/${botId}/analytics/knowledge-gaps?startDate=${encodeURIComponent(startDate)}`
+			);
+			const data = await response.json();
+
+			if (data.success) {
+				setReport(data.data);
+			} else {
+				setError(data.error || data.message || 'Failed to load report');
+			}
+		} catch (err) {
+			console.error('Error fetching knowledge gaps:', err);
+			setError('Failed to load report');
+		} finally {
+			setLoading(false);
+		}
+	}, [botId, days]);
+
+	useEffect(() => {
+		fetchReport();
+	}, [fetchReport]);
+
+	return (
+		<DashboardLayout>
+			<div className="space-y-6">
+				{/* Notification */}
+				{notification && (
+					<div
+						className={`fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg ${
+							notification.type === 'error'
+								? 'bg-red-900 border border-red-700 text-red-100'
+								: 'bg-green-900 border border-green-700 text-green-100'
+						}`}>
+						{notification.message}
+					</div>
+				)}
+
+				{/* Header */}
+				<div>
+					<Link
+						href={`/dashboard/bots/${botId}`}
+						className="text-gray-300 hover:text-gray-200 transition-colors">
+						← Back to {bot?.name || 'Bot'}
+					</Link>
+					<div className="flex flex-wrap items-end justify-between gap-4 mt-2">
+						<div>
+							<h1 className="text-2xl font-bold text-white">Knowledge Gaps</h1>
+							<p className="mt-2 text-gray-200 max-w-2xl">
+								Questions your documents couldn&apos;t answer or that visitors
+								rated not helpful, grouped by topic. Answer a topic once as a
+								FAQ, or upload documents that cover it.
+							</p>
+						</div>
+						<div className="flex items-center space-x-2">
+							<select
+								value={days}
+								onChange={(e) => setDays(Number(e.target.value))}
+								className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-orange-500">
+								{RANGE_OPTIONS.map((option) => (
+									<option key={option.days} value={option.days}>
+										{option.label}
+									</option>
+								))}
+							</select>
+							<button
+								onClick={fetchReport}
+								disabled={loading}
+								title="Refresh"
+								className="p-2 text-gray-400 hover:text-white disabled:opacity-50">
+								{loading ? (
+									<LoadingSpinner className="w-5 h-5" />
+								) : (
+									<RefreshIcon className="w-5 h-5" />
+								)}
+							</button>
+						</div>
+					</div>
+				</div>
+
+				{error && (
+					<div className="bg-red-900/30 border border-red-700 rounded-lg p-4 text-red-200 text-sm">
+						{error}
+					</div>
+				)}
+
+				{report && (
+					<>
+						<div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+							<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+								<p className="text-xs text-gray-400">Questions</p>
+								<p className="text-2xl font-bold text-white">
+									{report.summary.totalQuestions}
+								</p>
+							</div>
+							<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+								<p className="text-xs text-gray-400">
+									Without relevant documents
+								</p>
+								<p className="text-2xl font-bold text-yellow-400">
+									{report.summary.unanswered}
+								</p>
+							</div>
+							<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+								<p className="text-xs text-gray-400">Rated not helpful</p>
+								<p className="text-2xl font-bold text-red-400">
+									{report.summary.downvoted}
+								</p>
+							</div>
+							<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+								<p className="text-xs text-gray-400">Topics</p>
+								<p className="text-2xl font-bold text-orange-400">
+									{report.summary.clusters}
+								</p>
+							</div>
+						</div>
+
+						{report.summary.analyzedQuestions <
+							report.summary.totalQuestions && (
+							<p className="text-xs text-gray-500">
+								Grouped the {report.summary.analyzedQuestions} most recent
+								questions.
+							</p>
+						)}
+
+						{report.summary.conversationLimitReached && (
+							<p className="text-xs text-gray-500">
+								Searched the {report.summary.searchedConversations} most
+								recently active conversations. Narrow the date range to see
+								older ones.
+							</p>
+						)}
+
+						{report.clusters.length === 0 ? (
+							<div className="bg-gray-900 rounded-lg border border-gray-800 p-8 text-center">
+								<p className="text-gray-300">
+									No knowledge gaps in this period
+								</p>
+								<p className="text-sm text-gray-500 mt-1">
+									Every question found relevant documents and no answer was
+									rated not helpful.
+								</p>
+							</div>
+						) : (
+							<div className="space-y-3">
+								{report.clusters.map((cluster, index) => (
+									<KnowledgeGapCluster
+										key={cluster.id}
+										botId={botId}
+										cluster={cluster}
+										rank={index + 1}
+										showNotification={showNotification}
+									/>
+								))}
+							</div>
+						)}
+					</>
+				)}
+			</div>
+		</DashboardLayout>
+	);
+}
@@ -7,12 +7,15 @@ import BotDetailSkeleton from '@/components/ui/BotDetailSkeleton';
 import { useBot } from '@/hooks/useBot';
 import { useNotification } from '@/hooks/useNotification';
 import { useApiKeyStatus } from '@/hooks/useApiKeyStatus';
+import { useHandoffAlerts } from '@/hooks/useHandoffAlerts';
 import OverviewTab from '@/components/dashboard/botDetail/tabs/OverviewTab';
 import ConversationsTab from '@/components/dashboard/botDetail/tabs/ConversationsTab';
 import APIConfigTab from '@/components/dashboard/botDetail/tabs/APIConfigTab';
 import ChatTab from '@/components/dashboard/botDetail/tabs/ChatTab';
 import FAQTab from '@/components/dashboard/botDetail/tabs/FAQTab';
 import EmbedTab from '@/components/dashboard/botDetail/tabs/EmbedTab';
+import PlaygroundTab from '@/components/dashboard/botDetail/tabs/PlaygroundTab';
+import WebhooksTab from '@/components/dashboard/botDetail/tabs/WebhooksTab';
 
 export default function BotDetail({ params }) {
 	const router = useRouter();
@@ -43,6 +46,16 @@ export default function BotDetail({ params }) {
 	const { status: apiKeyStatus, refresh: refreshApiKeyStatus } =
 		useApiKeyStatus(botId);
 
+	// Alert the owner when a visitor starts waiting for a person
+	const { awaitingCount } = useHandoffAlerts(botId, {
+		enabled: !!bot?.handoff?.enabled,
+		onNewHandoff: (count) =>
+			showNotification(
+				`${count} visitor${count === 1 ? ' is' : 's are'} waiting for a person. Reply from the Conversations tab.`,
+				'warning'
+			),
+	});
+
 	// Bot editing state
 	const [isEditing, setIsEditing] = useState(false);
 	const [editForm, setEditForm] = useState({
@@ -284,11 +297,18 @@ export default function BotDetail({ params }) {
 								</button>
 							</div>
 						) : (
-							<button
-								onClick={handleEdit}
-								className="px-4 py-2 border border-gray-700 text-gray-200 rounded-lg hover:bg-gray-700 font-medium transition-colors">
-								Edit
-							</button>
+							<>
+								<Link
+									href={`/dashboard/bots/${botId}/knowledge-gaps`}
+									className="px-4 py-2 border border-gray-700 text-gray-200 rounded-lg hover:bg-gray-700 font-medium transition-colors">
+									Knowledge Gaps
+								</Link>
+								<button
+									onClick={handleEdit}
+									className="px-4 py-2 border border-gray-700 text-gray-200 rounded-lg hover:bg-gray-700 font-medium transition-colors">
+									Edit
+								</button>
+							</>
 						)}
 					</div>
 				</div>
@@ -313,6 +333,13 @@ export default function BotDetail({ params }) {
 									: 'border-transparent text-gray-400 hover:text-gray-200 hover:border-gray-700'
 							}`}>
 							Conversations
+							{awaitingCount > 0 && (
+								<span
+									className="ml-2 px-1.5 py-0.5 rounded-full bg-yellow-500 text-gray-900 text-xs font-semibold"
+									title="Visitors waiting for a person">
+									{awaitingCount}
+								</span>
+							)}
 						</button>
 						<button
 							onClick={() => setActiveTab('api-config')}
@@ -350,6 +377,24 @@ export default function BotDetail({ params }) {
 							}`}>
 							Test Chat
 						</button>
+						<button
+							onClick={() => setActiveTab('playground')}
+							className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+								activeTab === 'playground'
+									? 'border-orange-500 text-orange-400'
+									: 'border-transparent text-gray-400 hover:text-gray-200 hover:border-gray-700'
+							}`}>
+							Retrieval Playground
+						</button>
+						<button
+							onClick={() => setActiveTab('webhooks')}
+							className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+								activeTab === 'webhooks'
+									? 'border-orange-500 text-orange-400'
+									: 'border-transparent text-gray-400 hover:text-gray-200 hover:border-gray-700'
+							}`}>
+							Webhooks
+						</button>
 					</nav>
 				</div>
 
@@ -390,7 +435,11 @@ export default function BotDetail({ params }) {
 					)}
 
 					{activeTab === 'faqs' && (
-						<FAQTab botId={botId} showNotification={showNotification} />
+						<FAQTab
+							botId={botId}
+							faqMatching={bot?.faqMatching}
+							showNotification={showNotification}
+						/>
 					)}
 
 					{activeTab === 'embed' && (
@@ -408,6 +457,14 @@ export default function BotDetail({ params }) {
 							onNavigateToApiConfig={() => setActiveTab('api-config')}
 						/>
 					)}
+
+					{activeTab === 'playground' && (
+						<PlaygroundTab botId={botId} showNotification={showNotification} />
+					)}
+
+					{activeTab === 'webhooks' && (
+						<WebhooksTab botId={botId} showNotification={showNotification} />
+					)}
 				</div>
 			</div>
 		</DashboardLayout>
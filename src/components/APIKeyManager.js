@@ -244,16 +244,21 @@ export default function APIKeyManager({ botId, onKeyUpdate }) {
     return new Intl.NumberFormat().format(num || 0);
   };
 
+  // Keys for Azure or OpenAI-compatible servers have no fixed format
+  const isOpenAI = !configuration?.provider || configuration.provider.type === 'openai';
+
   return (
     <div className="space-y-6">
       {/* Header */}
       <div>
         <h3 className="text-lg font-semibold text-white flex items-center gap-2">
           <KeyIcon className="w-5 h-5" />
-          OpenAI API Configuration
+          {isOpenAI ? 'OpenAI API Configuration' : 'Provider API Key'}
         </h3>
         <p className="text-sm text-gray-200 mt-1">
-          Configure a custom OpenAI API key for this bot to use your own OpenAI account and billing.
+          {isOpenAI
+            ? 'Configure a custom OpenAI API key for this bot to use your own OpenAI account and billing.'
+            : `Enter the key for ${configuration.provider.baseURL}. For servers without authentication any value works; it is checked by listing the server's models.`}
         </p>
       </div>
 
@@ -337,7 +342,7 @@ export default function APIKeyManager({ botId, onKeyUpdate }) {
         
         <div>
           <label className="block text-sm font-medium text-gray-200 mb-2">
-            OpenAI API Key
+            {isOpenAI ? 'OpenAI API Key' : 'API Key'}
           </label>
           <div className="relative">
             <input
@@ -349,7 +354,7 @@ export default function APIKeyManager({ botId, onKeyUpdate }) {
                 setError('');
                 setSuccessMessage('');
               }}
-              placeholder="sk-proj-..."
+              placeholder={isOpenAI ? 'sk-proj-...' : 'API key'}
               className="w-full px-3 py-2 pr-10 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-400 focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
               disabled={isLoading || isValidating}
             />
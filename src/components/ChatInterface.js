@@ -1,6 +1,7 @@
 'use client';
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { ChatSession } from '@/lib/utils/sessionUtils';
+import { ThumbUpIcon, ThumbDownIcon } from '@/components/ui/icons';
 
 // Icons
 const SendIcon = ({ className }) => (
@@ -76,18 +77,20 @@ const SourceDisplay = ({ sources = [] }) => {
 			acc[fileName] = {
 				fileName,
 				pageNumbers: new Set(),
-				maxScore: source.score || 0,
+				maxScore: 0,
 			};
 		}
 
-		// Add page number if it exists
-		if (source.pageNumber) {
-			acc[fileName].pageNumbers.add(source.pageNumber);
-		}
+		// Add page numbers (grouped sources carry a list, legacy ones a single page)
+		const pages = source.pageNumbers || [source.pageNumber];
+		pages.forEach((page) => {
+			if (page) acc[fileName].pageNumbers.add(page);
+		});
 
 		// Keep track of the highest score for this file
-		if (source.score && source.score > acc[fileName].maxScore) {
-			acc[fileName].maxScore = source.score;
+		const score = source.maxScore ?? source.score;
+		if (score && score > acc[fileName].maxScore) {
+			acc[fileName].maxScore = score;
 		}
 
 		return acc;
@@ -154,10 +157,98 @@ const SourceDisplay = ({ sources = [] }) => {
 	);
 };
 
+/**
+ * Thumbs up/down for an assistant answer, with an optional comment
+ * once rated
+ */
+const MessageFeedback = ({ feedback, onSubmit }) => {
+	const [comment, setComment] = useState('');
+	const [showComment, setShowComment] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+
+	const submit = async (rating, text = '') => {
+		setSubmitting(true);
+		const saved = await onSubmit(rating, text);
+		setSubmitting(false);
+		return saved;
+	};
+
+	const handleRate = async (rating) => {
+		if (await submit(rating)) {
+			setShowComment(true);
+		}
+	};
+
+	const handleComment = async (e) => {
+		e.preventDefault();
+		if (!comment.trim() || (await submit(feedback.rating, comment.trim()))) {
+			setShowComment(false);
+		}
+	};
+
+	const buttonClass = (rating) =>
+		`p-1 rounded transition-colors disabled:opacity-50 ${
+			feedback?.rating === rating
+				? 'text-orange-400'
+				: 'text-gray-500 hover:text-gray-300'
+		}`;
+
+	return (
+		<div className="mt-1">
+			<div className="flex items-center space-x-1">
+				<button
+					onClick={() => handleRate('up')}
+					disabled={submitting}
+					title="Helpful"
+					className={buttonClass('up')}>
+					<ThumbUpIcon className="w-4 h-4" />
+				</button>
+				<button
+					onClick={() => handleRate('down')}
+					disabled={submitting}
+					title="Not helpful"
+					className={buttonClass('down')}>
+					<ThumbDownIcon className="w-4 h-4" />
+				</button>
+				{feedback?.comment && !showComment && (
+					<span className="text-xs text-gray-500 truncate">
+						&ldquo;{feedback.comment}&rdquo;
+					</span>
+				)}
+			</div>
+
+			{showComment && (
+				<form onSubmit={handleComment} className="flex space-x-2 mt-1">
+					<input
+						type="text"
+						value={comment}
+						onChange={(e) => setComment(e.target.value)}
+						placeholder="Tell us more (optional)"
+						maxLength={1000}
+						className="flex-1 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white placeholder-gray-500 focus:outline-none focus:border-orange-500"
+					/>
+					<button
+						type="submit"
+						disabled={submitting}
+						className="px-2 py-1 bg-gray-800 hover:bg-gray-700 text-gray-200 text-xs rounded disabled:opacity-50">
+						{comment.trim() ? 'Send' : 'Skip'}
+					</button>
+				</form>
+			)}
+		</div>
+	);
+};
+
 /**
  * Individual message bubble component
  */
-const MessageBubble = ({ message, isUser, sources = [] }) => {
+const MessageBubble = ({
+	message,
+	isUser,
+	sources = [],
+	feedback,
+	onFeedback,
+}) => {
 	return (
 		<div className={`flex ${isUser ? 'justify-end' : 'justify-start'} mb-4`}>
 			<div className={`max-w-[80%] ${isUser ? 'order-2' : 'order-1'}`}>
@@ -184,6 +275,11 @@ const MessageBubble = ({ message, isUser, sources = [] }) => {
 						minute: '2-digit',
 					})}
 				</div>
+
+				{/* Rate assistant answers that were stored */}
+				{onFeedback && (
+					<MessageFeedback feedback={feedback} onSubmit={onFeedback} />
+				)}
 			</div>
 		</div>
 	);
@@ -302,14 +398,40 @@ const ChatInterface = ({ botId, botName = 'Assistant', onClearConversation }) =>
 		setMessages((prev) => [...prev, userMessage]);
 		setInputMessage('');
 
+		// Placeholder for the streamed assistant reply
+		const assistantId = `assistant_${Date.now()}`;
+		let streamedContent = '';
+
 		try {
-			// Use ChatSession to send message
-			const response = await chatSession.sendMessage(message);
+			// Use ChatSession to stream the reply as it is generated
+			const response = await chatSession.streamMessage(message, (token) => {
+				streamedContent += token;
+				setMessages((prev) => {
+					const existing = prev.find((msg) => msg.id === assistantId);
+					if (!existing) {
+						return [
+							...prev,
+							{
+								id: assistantId,
+								role: 'assistant',
+								content: streamedContent,
+								timestamp: new Date(),
+								sources: [],
+								isStreaming: true,
+							},
+						];
+					}
+					return prev.map((msg) =>
+						msg.id === assistantId ? { ...msg, content: streamedContent } : msg
+					);
+				});
+			});
 
 			if (response.success) {
-				// Add assistant response with sources and metadata
+				// Replace the streamed text with the final response and its sources
 				const assistantMessage = {
-					id: response.data.messageId || `assistant_${Date.now()}`,
+					id: assistantId,
+					messageId: response.data.messageId,
 					role: 'assistant',
 					content: response.data.message,
 					timestamp: new Date(),
@@ -319,7 +441,10 @@ const ChatInterface = ({ botId, botName = 'Assistant', onClearConversation }) =>
 					hasRelevantContext: response.data.hasRelevantContext,
 				};
 
-				setMessages((prev) => [...prev, assistantMessage]);
+				setMessages((prev) => [
+					...prev.filter((msg) => msg.id !== assistantId),
+					assistantMessage,
+				]);
 			} else {
 				throw new Error(response.error || 'Failed to get response');
 			}
@@ -336,12 +461,38 @@ const ChatInterface = ({ botId, botName = 'Assistant', onClearConversation }) =>
 				sources: [],
 			};
 
-			setMessages((prev) => [...prev, errorMessage]);
+			setMessages((prev) => [
+				...prev.filter((msg) => msg.id !== assistantId),
+				errorMessage,
+			]);
 		} finally {
 			setIsLoading(false);
 		}
 	};
 
+	// Rate an assistant answer
+	const submitFeedback = async (messageId, rating, comment) => {
+		try {
+			const response = await chatSession.sendFeedback(
+				messageId,
+				rating,
+				comment
+			);
+			setMessages((prev) =>
+				prev.map((msg) =>
+					msg.messageId === messageId
+						? { ...msg, feedback: response.data.feedback }
+						: msg
+				)
+			);
+			return true;
+		} catch (error) {
+			console.error('Error saving feedback:', error);
+			setError('Failed to save feedback. Please try again.');
+			return false;
+		}
+	};
+
 	// Clear conversation
 	const clearConversation = useCallback(async () => {
 		if (!chatSession) {
@@ -442,13 +593,20 @@ const ChatInterface = ({ botId, botName = 'Assistant', onClearConversation }) =>
 								message={message.content}
 								isUser={message.role === 'user'}
 								sources={message.sources}
+								feedback={message.feedback}
+								onFeedback={
+									message.messageId
+										? (rating, comment) =>
+												submitFeedback(message.messageId, rating, comment)
+										: null
+								}
 							/>
 						))}
 					</>
 				)}
 
-				{/* Loading indicator */}
-				{isLoading && (
+				{/* Loading indicator (hidden once streamed text starts arriving) */}
+				{isLoading && !messages.some((msg) => msg.isStreaming) && (
 					<div className="flex justify-start mb-4">
 						<div className="bg-gray-800 border border-gray-700 rounded-lg px-4 py-2">
 							<LoadingDots />
@@ -7,46 +7,41 @@ import React, {
 	useImperativeHandle,
 } from 'react';
 import { apiUtils } from '@/lib/clientAPI';
+import {
+	ACCEPTED_FILE_EXTENSIONS,
+	ALLOWED_MIME_TYPES,
+	resolveMimeType,
+} from '@/lib/utils/fileTypes';
 
 const FileUpload = forwardRef(({ onFilesUploaded, maxFiles = 10 }, ref) => {
 	const [files, setFiles] = useState([]);
 	const [isDragging, setIsDragging] = useState(false);
 
-	const acceptedTypes = useMemo(
-		() => ({
-			'application/pdf': '.pdf',
-			'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-				'.docx',
-			'text/plain': '.txt',
-			'text/csv': '.csv',
-			'text/html': '.html',
-		}),
-		[]
-	);
-
 	const maxFileSize = useMemo(() => 30 * 1024 * 1024, []); // 30MB
 
 	const validateFile = useCallback(
 		(file) => {
 			const validation = apiUtils.validateFile(file, {
 				maxSize: maxFileSize,
-				allowedTypes: Object.keys(acceptedTypes),
+				allowedTypes: ALLOWED_MIME_TYPES,
 			});
 			return validation.isValid ? null : validation.error;
 		},
-		[acceptedTypes, maxFileSize]
+		[maxFileSize]
 	);
 
 	const processFiles = useCallback(
 		(fileList) => {
 			const newFiles = Array.from(fileList).map((file) => {
-				const error = validateFile(file);
+				// Browsers leave the type empty for some formats (e.g. .md, .jsonl)
+				const type = resolveMimeType(file.type, file.name) || file.type;
+				const error = validateFile({ name: file.name, size: file.size, type });
 				return {
 					id: Math.random().toString(36).substr(2, 9),
 					file,
 					name: file.name,
 					size: file.size,
-					type: file.type,
+					type,
 					status: error ? 'error' : 'ready',
 					error,
 				};
@@ -158,13 +153,14 @@ const FileUpload = forwardRef(({ onFilesUploaded, maxFiles = 10 }, ref) => {
 						id="file-upload"
 						type="file"
 						multiple
-						accept={Object.values(acceptedTypes).join(',')}
+						accept={ACCEPTED_FILE_EXTENSIONS.join(',')}
 						onChange={handleFileSelect}
 						className="hidden"
 					/>
 				</div>
 				<p className="text-sm text-gray-200">
-					PDF, DOCX, TXT, CSV, HTML up to 30MB each
+					PDF, DOCX, PPTX, XLSX, EPUB, ODT, RTF, TXT, MD, CSV, HTML, JSON, PNG,
+					JPG up to 30MB each
 				</p>
 			</div>
 
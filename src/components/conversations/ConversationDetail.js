@@ -6,8 +6,17 @@ import {
 	FileIcon, 
 	CheckIcon,
 	WarningIcon,
-	RefreshIcon
+	RefreshIcon,
+	ThumbUpIcon,
+	ThumbDownIcon
 } from '@/components/ui/icons';
+import { HANDOFF_STATUSES, STATUS_BADGE_STYLES, STATUS_LABELS } from './conversationStatus';
+
+const HANDOFF_REASONS = {
+	visitor_request: 'Visitor asked for a person',
+	intent: 'Message matched a handoff intent',
+	unanswered: 'The bot could not answer several questions'
+};
 
 /**
  * ConversationDetail Component
@@ -17,6 +26,7 @@ import {
  * - User information and session details
  * - Analytics and performance metrics
  * - Message search and navigation
+ * - Replying as the owner while the conversation is handed off
  */
 const ConversationDetail = ({
 	conversation,
@@ -26,12 +36,17 @@ const ConversationDetail = ({
 	onClose,
 	onDelete,
 	onRefresh,
+	onSendReply,
+	onResolveHandoff,
 	isLoading = false,
 	error = null
 }) => {
 	const [searchTerm, setSearchTerm] = useState('');
 	const [filteredMessages, setFilteredMessages] = useState([]);
 	const [selectedMessageIndex, setSelectedMessageIndex] = useState(-1);
+	const [openCitation, setOpenCitation] = useState(null);
+	const [replyText, setReplyText] = useState('');
+	const [sendingReply, setSendingReply] = useState(false);
 	const messagesEndRef = useRef(null);
 	const messageRefs = useRef([]);
 
@@ -75,6 +90,37 @@ const ConversationDetail = ({
 		setSelectedMessageIndex(index);
 	};
 
+	// Toggle the snippet of a cited passage
+	const toggleCitation = (messageId, index) => {
+		const key = `${messageId}-${index}`;
+		setOpenCitation(prev => prev === key ? null : key);
+	};
+
+	// Render message text with clickable [N] citation markers
+	const renderMessageContent = (message) => {
+		const citations = message.metadata?.citations || [];
+		if (message.role !== 'assistant' || citations.length === 0) {
+			return message.content;
+		}
+
+		const citedIndexes = new Set(citations.map(citation => citation.index));
+		return message.content.split(/(\[\d+\])/).map((part, i) => {
+			const match = part.match(/^\[(\d+)\]$/);
+			if (!match || !citedIndexes.has(Number(match[1]))) {
+				return part;
+			}
+			return (
+				<sup
+					key={i}
+					onClick={() => toggleCitation(message.id, Number(match[1]))}
+					className="text-orange-400 font-semibold cursor-pointer hover:text-orange-300"
+				>
+					{part}
+				</sup>
+			);
+		});
+	};
+
 	// Format timestamp
 	const formatTimestamp = (timestamp) => {
 		const date = new Date(timestamp);
@@ -101,6 +147,19 @@ const ConversationDetail = ({
 		}
 	};
 
+	// Send an owner reply to the visitor
+	const handleSendReply = async (e) => {
+		e.preventDefault();
+		if (!replyText.trim() || !onSendReply) return;
+
+		setSendingReply(true);
+		const sent = await onSendReply(conversation.sessionId, replyText.trim());
+		if (sent) {
+			setReplyText('');
+		}
+		setSendingReply(false);
+	};
+
 	// Search navigation
 	const navigateSearch = (direction) => {
 		if (filteredMessages.length === 0) return;
@@ -268,14 +327,20 @@ const ConversationDetail = ({
 										<div className={`max-w-[85%] ${
 											message.role === 'user'
 												? 'bg-orange-500 text-white'
-												: 'bg-gray-800 border border-gray-700 text-gray-100'
+												: message.role === 'agent'
+													? 'bg-blue-900/40 border border-blue-700 text-gray-100'
+													: 'bg-gray-800 border border-gray-700 text-gray-100'
 										} rounded-lg p-4`}>
 											{/* Message Header */}
 											<div className="flex items-center justify-between mb-2">
 												<span className={`text-xs font-medium ${
 													message.role === 'user' ? 'text-orange-100' : 'text-gray-400'
 												}`}>
-													{message.role === 'user' ? 'User' : botInfo?.name || 'Assistant'}
+													{message.role === 'user'
+														? 'User'
+														: message.role === 'agent'
+															? 'You (operator)'
+															: botInfo?.name || 'Assistant'}
 												</span>
 												<span className={`text-xs ${
 													message.role === 'user' ? 'text-orange-200' : 'text-gray-500'
@@ -287,10 +352,85 @@ const ConversationDetail = ({
 											{/* Message Content */}
 											<div className="prose prose-sm max-w-none">
 												<p className="whitespace-pre-wrap break-words">
-													{message.content}
+													{renderMessageContent(message)}
 												</p>
 											</div>
 
+											{/* Citation Footnotes */}
+											{message.role === 'assistant' && message.metadata?.citations?.length > 0 && (
+												<div className="mt-3 pt-2 border-t border-gray-700 space-y-1">
+													{message.metadata.citations.map((citation) => (
+														<div key={citation.index} className="text-xs">
+															<div className="flex items-center space-x-2">
+																<button
+																	onClick={() => toggleCitation(message.id, citation.index)}
+																	className="text-gray-400 hover:text-gray-200 text-left truncate"
+																>
+																	<span className="text-orange-400 font-mono">[{citation.index}]</span>{' '}
+																	{citation.fileName}
+																	{citation.pageNumber && (citation.pageEnd
+																		? `, pages ${citation.pageNumber}-${citation.pageEnd}`
+																		: `, page ${citation.pageNumber}`)}
+																	{citation.headingPath && (
+																		<span className="text-gray-500"> · {citation.headingPath}</span>
+																	)}
+																	{citation.chunkIndex !== undefined && citation.chunkIndex !== null && (
+																		<span className="text-gray-500"> · chunk {citation.chunkIndex}</span>
+																	)}
+																</button>
+																{(citation.sourceUrl || citation.fileId) && (
+																	<a
+																		href={citation.sourceUrl || `/api/files/${citation.fileId}/download?redirect=1${
+																			citation.pageNumber ? `&page=${citation.pageNumber}` : ''
+																		}`}
+																		target="_blank"
+																		rel="noopener noreferrer"
+																		className="text-orange-400 hover:text-orange-300 underline flex-shrink-0"
+																	>
+																		Open
+																	</a>
+																)}
+															</div>
+															{openCitation === `${message.id}-${citation.index}` && citation.snippet && (
+																<p className="mt-1 p-2 bg-gray-900 rounded border border-gray-600 text-gray-300 italic">
+																	{citation.snippet}
+																</p>
+															)}
+														</div>
+													))}
+												</div>
+											)}
+
+											{/* Rewritten Retrieval Query */}
+											{message.role === 'user' && message.rewrittenQuery && (
+												<p className="mt-2 text-xs text-orange-100 italic">
+													Searched as: {message.rewrittenQuery}
+												</p>
+											)}
+
+											{/* Visitor Feedback */}
+											{message.feedback && (
+												<div className={`mt-3 flex items-start space-x-2 text-xs px-2 py-1 rounded border ${
+													message.feedback.rating === 'up'
+														? 'bg-green-900/30 text-green-300 border-green-700/30'
+														: 'bg-red-900/30 text-red-300 border-red-700/30'
+												}`}>
+													{message.feedback.rating === 'up' ? (
+														<ThumbUpIcon className="w-3 h-3 flex-shrink-0 mt-0.5" />
+													) : (
+														<ThumbDownIcon className="w-3 h-3 flex-shrink-0 mt-0.5" />
+													)}
+													<span>
+														{message.feedback.rating === 'up' ? 'Visitor found this helpful' : 'Visitor found this unhelpful'}
+														{message.feedback.comment && (
+															<span className="block mt-0.5 text-gray-300 italic">
+																&ldquo;{message.feedback.comment}&rdquo;
+															</span>
+														)}
+													</span>
+												</div>
+											)}
+
 											{/* Assistant Message Metadata */}
 											{message.role === 'assistant' && message.metadata && (
 												<div className="mt-3 pt-3 border-t border-gray-700">
@@ -429,6 +569,47 @@ const ConversationDetail = ({
 						<div ref={messagesEndRef} />
 					</div>
 
+					{/* Owner Reply (while handed off) */}
+					{HANDOFF_STATUSES.includes(conversation.status) && (
+						<div className="p-4 border-t border-gray-800 space-y-3">
+							<div className="flex items-center justify-between">
+								<p className="text-xs text-yellow-300">
+									{conversation.status === 'awaiting_agent'
+										? 'The visitor is waiting for a person. The AI will not reply until you hand the conversation back.'
+										: 'You are answering this conversation. The AI will not reply until you hand it back.'}
+								</p>
+								<button
+									onClick={() => onResolveHandoff?.(conversation.sessionId)}
+									className="ml-3 px-3 py-1 flex-shrink-0 border border-gray-700 text-gray-300 hover:bg-gray-800 text-xs rounded-lg transition-colors"
+								>
+									Hand back to AI
+								</button>
+							</div>
+							<form onSubmit={handleSendReply} className="flex items-end space-x-2">
+								<textarea
+									value={replyText}
+									onChange={(e) => setReplyText(e.target.value)}
+									onKeyDown={(e) => {
+										if (e.key === 'Enter' && !e.shiftKey) {
+											handleSendReply(e);
+										}
+									}}
+									rows={2}
+									maxLength={5000}
+									placeholder="Reply to the visitor..."
+									className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-orange-500 resize-none"
+								/>
+								<button
+									type="submit"
+									disabled={sendingReply || !replyText.trim()}
+									className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+								>
+									{sendingReply ? <LoadingSpinner className="w-4 h-4" /> : 'Send'}
+								</button>
+							</form>
+						</div>
+					)}
+
 					{/* Scroll to bottom button */}
 					{conversation.messages && conversation.messages.length > 5 && (
 						<div className="p-4 border-t border-gray-800">
@@ -452,11 +633,9 @@ const ConversationDetail = ({
 								<div>
 									<span className="text-gray-400">Status:</span>
 									<div className={`mt-1 px-2 py-1 rounded text-center font-medium ${
-										conversation.status === 'active' 
-											? 'bg-green-900 text-green-200' 
-											: 'bg-gray-700 text-gray-300'
+										STATUS_BADGE_STYLES[conversation.status] || STATUS_BADGE_STYLES.ended
 									}`}>
-										{conversation.status}
+										{STATUS_LABELS[conversation.status] || conversation.status}
 									</div>
 								</div>
 								<div>
@@ -467,6 +646,23 @@ const ConversationDetail = ({
 								</div>
 							</div>
 
+							{conversation.handoff && (
+								<div>
+									<span className="text-gray-400">Handed off:</span>
+									<div className="mt-1 text-white">
+										{formatTimestamp(conversation.handoff.requestedAt)}
+									</div>
+									<div className="text-gray-400">
+										{HANDOFF_REASONS[conversation.handoff.reason] || conversation.handoff.reason}
+									</div>
+									{conversation.handoff.resolvedAt && (
+										<div className="text-gray-400">
+											Handed back {formatTimestamp(conversation.handoff.resolvedAt)}
+										</div>
+									)}
+								</div>
+							)}
+
 							<div>
 								<span className="text-gray-400">Started:</span>
 								<div className="mt-1 text-white">
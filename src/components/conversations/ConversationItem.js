@@ -1,5 +1,6 @@
 import React from 'react';
 import { ChatIcon, XIcon, LoadingSpinner } from '@/components/ui/icons';
+import { STATUS_BADGE_STYLES, STATUS_LABELS } from './conversationStatus';
 
 /**
  * ConversationItem Component
@@ -126,11 +127,9 @@ const ConversationItem = ({
 								Session {conversation.sessionId.slice(-8)}
 							</span>
 							<span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
-								conversation.status === 'active' 
-									? 'bg-green-900 text-green-200' 
-									: 'bg-gray-700 text-gray-300'
+								STATUS_BADGE_STYLES[conversation.status] || STATUS_BADGE_STYLES.ended
 							}`}>
-								{conversation.status}
+								{STATUS_LABELS[conversation.status] || conversation.status}
 							</span>
 						</div>
 						
@@ -0,0 +1,19 @@
+/**
+ * Display labels and badge colors for conversation statuses
+ */
+export const STATUS_LABELS = {
+	active: 'active',
+	awaiting_agent: 'waiting for you',
+	agent_active: 'you are replying',
+	ended: 'ended',
+};
+
+export const STATUS_BADGE_STYLES = {
+	active: 'bg-green-900 text-green-200',
+	awaiting_agent: 'bg-yellow-900 text-yellow-200',
+	agent_active: 'bg-blue-900 text-blue-200',
+	ended: 'bg-gray-700 text-gray-300',
+};
+
+// Handed off to the owner; the AI stays silent
+export const HANDOFF_STATUSES = ['awaiting_agent', 'agent_active'];
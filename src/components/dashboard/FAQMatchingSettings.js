@@ -0,0 +1,120 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+
+const DEFAULT_THRESHOLD = 0.85;
+
+/**
+ * FAQ Matching Settings - Answer close FAQ matches verbatim, without the LLM
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.faqMatching - Current FAQ matching settings from the bot
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function FAQMatchingSettings({
+	botId,
+	faqMatching,
+	showNotification,
+}) {
+	const [enabled, setEnabled] = useState(faqMatching?.enabled ?? true);
+	const [threshold, setThreshold] = useState(
+		faqMatching?.threshold ?? DEFAULT_THRESHOLD
+	);
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setEnabled(faqMatching?.enabled ?? true);
+		setThreshold(faqMatching?.threshold ?? DEFAULT_THRESHOLD);
+	}, [faqMatching]);
+
+	const saveSettings = async () => {
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					faqMatching: { enabled, threshold: Number(threshold) },
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				showNotification('FAQ matching settings saved');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save FAQ matching settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving FAQ matching settings:', err);
+			showNotification('Failed to save FAQ matching settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<div className="bg-gray-900 border border-gray-800 rounded-lg p-6">
+			<div className="mb-4">
+				<h2 className="text-lg font-semibold text-white">FAQ Matching</h2>
+				<p className="text-sm text-gray-400 mt-1">
+					Questions similar enough to a FAQ get its answer word for word, with
+					no model call. Other questions use FAQs as guidance for the
+					model&apos;s answer.
+				</p>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={enabled}
+						onChange={(e) => setEnabled(e.target.checked)}
+						className="accent-orange-500"
+					/>
+					<span>Answer matching questions with the FAQ answer</span>
+				</label>
+
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Similarity threshold: {Number(threshold).toFixed(2)}
+					</label>
+					<input
+						type="range"
+						min={0.5}
+						max={1}
+						step={0.01}
+						value={threshold}
+						onChange={(e) => setThreshold(e.target.value)}
+						disabled={!enabled}
+						className="w-full accent-orange-500 disabled:opacity-50"
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						Lower values match more paraphrases but risk answering the wrong
+						question. Test questions in the Retrieval Playground.
+					</p>
+				</div>
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Settings'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
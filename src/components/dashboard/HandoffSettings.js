@@ -0,0 +1,193 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+
+const DEFAULT_MESSAGE =
+	"I'm connecting you with a member of our team. They'll reply here shortly.";
+
+const TRIGGER_INTENTS = [
+	{ value: 'HUMAN_AGENT', label: 'Visitor asks for a person' },
+	{ value: 'NEEDS_RAG', label: 'Questions about your documents' },
+	{ value: 'GENERAL_CHAT', label: 'General questions' },
+	{ value: 'SMALL_TALK', label: 'Greetings and small talk' },
+];
+
+/**
+ * Merge stored handoff settings with defaults
+ */
+function toFormState(handoff = {}) {
+	return {
+		enabled: handoff.enabled ?? false,
+		triggerIntents: handoff.triggerIntents || ['HUMAN_AGENT'],
+		unansweredThreshold: handoff.unansweredThreshold ?? 2,
+		message: handoff.message || DEFAULT_MESSAGE,
+	};
+}
+
+/**
+ * Human Handoff Settings - When conversations are escalated to you
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.handoff - Current handoff settings from the bot
+ * @param {Function} props.onHandoffChange - Called with saved settings
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function HandoffSettings({
+	botId,
+	handoff,
+	onHandoffChange,
+	showNotification,
+}) {
+	const [form, setForm] = useState(() => toFormState(handoff));
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setForm(toFormState(handoff));
+	}, [handoff]);
+
+	const updateField = (field, value) => {
+		setForm((prev) => ({ ...prev, [field]: value }));
+	};
+
+	const toggleIntent = (intent) => {
+		setForm((prev) => ({
+			...prev,
+			triggerIntents: prev.triggerIntents.includes(intent)
+				? prev.triggerIntents.filter((value) => value !== intent)
+				: [...prev.triggerIntents, intent],
+		}));
+	};
+
+	const saveSettings = async () => {
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					handoff: {
+						enabled: form.enabled,
+						triggerIntents: form.triggerIntents,
+						unansweredThreshold: Number(form.unansweredThreshold),
+						message: form.message.trim() || DEFAULT_MESSAGE,
+					},
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				onHandoffChange?.(data.data.handoff);
+				showNotification('Handoff settings saved');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save handoff settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving handoff settings:', err);
+			showNotification('Failed to save handoff settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm disabled:opacity-50';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="mb-4">
+				<h3 className="text-lg font-medium text-white">Human Handoff</h3>
+				<p className="text-sm text-gray-400 mt-1">
+					Hand conversations to you when the bot can&apos;t help. The AI stays
+					silent while you reply from the Conversations tab.
+				</p>
+			</div>
+
+			<label className="flex items-center space-x-2 text-sm text-gray-200">
+				<input
+					type="checkbox"
+					checked={form.enabled}
+					onChange={(e) => updateField('enabled', e.target.checked)}
+					className="accent-orange-500"
+				/>
+				<span>
+					Enable handoff and show a &quot;Talk to a person&quot; button in the
+					widget
+				</span>
+			</label>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+				<div>
+					<p className="text-sm text-gray-300 mb-1">Hand off on</p>
+					<div className="space-y-1">
+						{TRIGGER_INTENTS.map((intent) => (
+							<label
+								key={intent.value}
+								className="flex items-center space-x-2 text-sm text-gray-300">
+								<input
+									type="checkbox"
+									checked={form.triggerIntents.includes(intent.value)}
+									onChange={() => toggleIntent(intent.value)}
+									disabled={!form.enabled}
+									className="accent-orange-500"
+								/>
+								<span>{intent.label}</span>
+							</label>
+						))}
+					</div>
+				</div>
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Unanswered questions before handing off
+					</label>
+					<input
+						type="number"
+						min={0}
+						max={10}
+						value={form.unansweredThreshold}
+						onChange={(e) => updateField('unansweredThreshold', e.target.value)}
+						disabled={!form.enabled}
+						className={inputClass}
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						Consecutive answers without relevant documents. 0 turns this off.
+					</p>
+				</div>
+			</div>
+
+			<div className="mt-4">
+				<label className="block text-sm text-gray-300 mb-1">
+					Message shown to the visitor
+				</label>
+				<textarea
+					rows={2}
+					maxLength={500}
+					value={form.message}
+					onChange={(e) => updateField('message', e.target.value)}
+					disabled={!form.enabled}
+					className={inputClass}
+				/>
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Settings'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
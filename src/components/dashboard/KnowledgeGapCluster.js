@@ -0,0 +1,182 @@
+'use client';
+import { useState } from 'react';
+import { CheckIcon, LoadingSpinner, PlusIcon } from '@/components/ui/icons';
+
+/**
+ * Knowledge Gap Cluster - Similar unanswered questions, with a form to
+ * answer them once as a FAQ
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.cluster - Cluster from the knowledge gap report
+ * @param {number} props.rank - Position in the report
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function KnowledgeGapCluster({
+	botId,
+	cluster,
+	rank,
+	showNotification,
+}) {
+	const [showForm, setShowForm] = useState(false);
+	const [question, setQuestion] = useState(cluster.question);
+	const [answer, setAnswer] = useState('');
+	const [saving, setSaving] = useState(false);
+	const [faqCreated, setFaqCreated] = useState(false);
+
+	const createFAQ = async (e) => {
+		e.preventDefault();
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}/faqs?genKeywords=true`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({
+					question: question.trim(),
+					answer: answer.trim(),
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setFaqCreated(true);
+				setShowForm(false);
+				showNotification('FAQ created');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to create FAQ',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error creating FAQ:', err);
+			showNotification('Failed to create FAQ', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+			<div className="flex items-start justify-between gap-4">
+				<div className="min-w-0">
+					<p className="text-white font-medium break-words">
+						<span className="text-gray-500 mr-2">#{rank}</span>
+						{cluster.question}
+					</p>
+					<div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs">
+						<span className="text-orange-400">
+							Asked {cluster.count} time{cluster.count === 1 ? '' : 's'}
+						</span>
+						<span className="text-gray-400">
+							{cluster.sessionCount} visitor
+							{cluster.sessionCount === 1 ? '' : 's'}
+						</span>
+						{cluster.unansweredCount > 0 && (
+							<span className="text-yellow-400">
+								{cluster.unansweredCount} without relevant documents
+							</span>
+						)}
+						{cluster.downvotedCount > 0 && (
+							<span className="text-red-400">
+								{cluster.downvotedCount} rated not helpful
+							</span>
+						)}
+						<span className="text-gray-500">
+							Last asked {new Date(cluster.lastAskedAt).toLocaleDateString()}
+						</span>
+					</div>
+				</div>
+
+				{faqCreated ? (
+					<span className="flex items-center space-x-1 text-sm text-green-400 flex-shrink-0">
+						<CheckIcon className="w-4 h-4" />
+						<span>FAQ added</span>
+					</span>
+				) : (
+					<button
+						onClick={() => setShowForm((prev) => !prev)}
+						className="flex items-center space-x-1 px-3 py-1.5 bg-gray-800 hover:bg-gray-700 text-gray-200 text-sm rounded-lg flex-shrink-0">
+						<PlusIcon className="w-4 h-4" />
+						<span>Create FAQ</span>
+					</button>
+				)}
+			</div>
+
+			{cluster.examples.length > 1 && (
+				<details className="mt-3">
+					<summary className="text-xs text-gray-400 cursor-pointer">
+						Similar questions
+					</summary>
+					<ul className="mt-2 space-y-1">
+						{cluster.examples.map((example) => (
+							<li
+								key={example.question}
+								className="flex justify-between gap-4 text-sm text-gray-300">
+								<span className="break-words">{example.question}</span>
+								<span className="text-gray-500 flex-shrink-0">
+									×{example.count}
+								</span>
+							</li>
+						))}
+					</ul>
+				</details>
+			)}
+
+			{showForm && (
+				<form
+					onSubmit={createFAQ}
+					className="mt-4 pt-4 border-t border-gray-800 space-y-3">
+					<div>
+						<label className="block text-sm text-gray-300 mb-1">Question</label>
+						<input
+							type="text"
+							value={question}
+							onChange={(e) => setQuestion(e.target.value)}
+							minLength={3}
+							maxLength={500}
+							required
+							className={inputClass}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm text-gray-300 mb-1">Answer</label>
+						<textarea
+							rows={3}
+							value={answer}
+							onChange={(e) => setAnswer(e.target.value)}
+							minLength={3}
+							maxLength={2000}
+							required
+							placeholder="The answer visitors should get"
+							className={inputClass}
+						/>
+					</div>
+					<div className="flex justify-end space-x-2">
+						<button
+							type="button"
+							onClick={() => setShowForm(false)}
+							className="px-4 py-2 border border-gray-700 text-gray-200 text-sm rounded-lg hover:bg-gray-800">
+							Cancel
+						</button>
+						<button
+							type="submit"
+							disabled={saving}
+							className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed">
+							{saving ? (
+								<>
+									<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+									Saving...
+								</>
+							) : (
+								'Save FAQ'
+							)}
+						</button>
+					</div>
+				</form>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,410 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+import {
+	CHAT_MODELS,
+	DEFAULT_MODEL_CONFIG,
+	DEFAULT_PROVIDER_CONFIG,
+	EMBEDDING_MODELS,
+	LLM_PROVIDERS,
+	RESPONSE_MODE_DEFAULTS,
+} from '@/lib/core/modelConfig';
+
+const PROVIDER_OPTIONS = [
+	{ value: LLM_PROVIDERS.OPENAI, label: 'OpenAI' },
+	{ value: LLM_PROVIDERS.AZURE, label: 'Azure OpenAI' },
+	{
+		value: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+		label: 'OpenAI-compatible server (Ollama, vLLM, llama.cpp)',
+	},
+];
+
+const BASE_URL_PLACEHOLDERS = {
+	[LLM_PROVIDERS.AZURE]: 'https://your-resource.openai.azure.com',
+	[LLM_PROVIDERS.OPENAI_COMPATIBLE]: 'http://localhost:11434/v1',
+};
+
+/**
+ * Model Settings - Choose the provider, models and generation settings a bot uses
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.models - Current model settings from the bot
+ * @param {Object} props.llmProvider - Current provider settings from the bot
+ * @param {Function} props.onModelsChange - Called with saved settings
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function ModelSettings({
+	botId,
+	models,
+	llmProvider,
+	onModelsChange,
+	showNotification,
+}) {
+	const [form, setForm] = useState({ ...DEFAULT_MODEL_CONFIG, ...models });
+	const [provider, setProvider] = useState({
+		...DEFAULT_PROVIDER_CONFIG,
+		...llmProvider,
+	});
+	const [saved, setSaved] = useState({
+		embeddings: models?.embeddings || DEFAULT_MODEL_CONFIG.embeddings,
+		type: llmProvider?.type || DEFAULT_PROVIDER_CONFIG.type,
+		baseURL: llmProvider?.baseURL || DEFAULT_PROVIDER_CONFIG.baseURL,
+	});
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setForm({ ...DEFAULT_MODEL_CONFIG, ...models });
+		setProvider({ ...DEFAULT_PROVIDER_CONFIG, ...llmProvider });
+		setSaved({
+			embeddings: models?.embeddings || DEFAULT_MODEL_CONFIG.embeddings,
+			type: llmProvider?.type || DEFAULT_PROVIDER_CONFIG.type,
+			baseURL: llmProvider?.baseURL || DEFAULT_PROVIDER_CONFIG.baseURL,
+		});
+	}, [models, llmProvider]);
+
+	const updateField = (field, value) => {
+		setForm((prev) => ({ ...prev, [field]: value }));
+	};
+
+	const updateProvider = (field, value) => {
+		setProvider((prev) => ({ ...prev, [field]: value }));
+
+		// OpenAI only serves known models, so drop custom names when switching back
+		if (field === 'type' && value === LLM_PROVIDERS.OPENAI) {
+			setForm((prev) => ({
+				...prev,
+				chat: CHAT_MODELS.includes(prev.chat)
+					? prev.chat
+					: DEFAULT_MODEL_CONFIG.chat,
+				classifier: CHAT_MODELS.includes(prev.classifier)
+					? prev.classifier
+					: DEFAULT_MODEL_CONFIG.classifier,
+				embeddings: EMBEDDING_MODELS[prev.embeddings]
+					? prev.embeddings
+					: DEFAULT_MODEL_CONFIG.embeddings,
+			}));
+		}
+	};
+
+	const isOpenAI = provider.type === LLM_PROVIDERS.OPENAI;
+	const embeddingsChanged = form.embeddings !== saved.embeddings;
+	const providerChanged =
+		provider.type !== saved.type || provider.baseURL !== saved.baseURL;
+
+	const saveSettings = async () => {
+		if (
+			embeddingsChanged &&
+			!confirm(
+				'Changing the embedding model re-embeds every file of this bot. Answers keep using the current embeddings until every file is done. Continue?'
+			)
+		) {
+			return;
+		}
+
+		if (
+			providerChanged &&
+			!confirm(
+				'Changing the provider removes the stored API key. You will need to enter a key for the new provider. Continue?'
+			)
+		) {
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					llmProvider: {
+						type: provider.type,
+						baseURL: isOpenAI ? '' : provider.baseURL.trim(),
+						apiVersion: provider.apiVersion,
+					},
+					models: {
+						chat: form.chat,
+						classifier: form.classifier,
+						embeddings: form.embeddings,
+						// Empty settings use each response mode's default
+						temperature:
+							form.temperature == null ? null : Number(form.temperature),
+						maxTokens:
+							form.maxTokens == null || form.maxTokens === ''
+								? null
+								: Number(form.maxTokens),
+					},
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setSaved({
+					embeddings: data.data.models.embeddings,
+					type: data.data.llmProvider.type,
+					baseURL: data.data.llmProvider.baseURL,
+				});
+				onModelsChange?.(data.data.models);
+				showNotification(
+					data.data.reembedding
+						? `Model settings saved. Re-embedding ${data.data.reembedding.queuedFiles} file(s)`
+						: 'Model settings saved'
+				);
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save model settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving model settings:', err);
+			showNotification('Failed to save model settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="mb-4">
+				<h3 className="text-lg font-medium text-white">Models</h3>
+				<p className="text-sm text-gray-400 mt-1">
+					Choose where the bot&apos;s models run and which models answer
+					questions, route messages and embed your documents.
+				</p>
+			</div>
+
+			{/* Provider */}
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 pb-6 border-b border-gray-800">
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">Provider</label>
+					<select
+						value={provider.type}
+						onChange={(e) => updateProvider('type', e.target.value)}
+						className={inputClass}>
+						{PROVIDER_OPTIONS.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+					<p className="text-xs text-gray-500 mt-1">
+						{isOpenAI
+							? 'Requests go to api.openai.com.'
+							: 'Requests go only to the URL below; nothing is sent to OpenAI.'}
+					</p>
+				</div>
+
+				{!isOpenAI && (
+					<div>
+						<label className="block text-sm text-gray-300 mb-1">
+							{provider.type === LLM_PROVIDERS.AZURE
+								? 'Azure endpoint'
+								: 'Base URL'}
+						</label>
+						<input
+							type="url"
+							value={provider.baseURL}
+							placeholder={BASE_URL_PLACEHOLDERS[provider.type]}
+							onChange={(e) => updateProvider('baseURL', e.target.value)}
+							className={inputClass}
+						/>
+						<p className="text-xs text-gray-500 mt-1">
+							{provider.type === LLM_PROVIDERS.AZURE
+								? 'Model names below are your deployment names.'
+								: 'Servers without authentication accept any API key.'}
+						</p>
+					</div>
+				)}
+
+				{provider.type === LLM_PROVIDERS.AZURE && (
+					<div>
+						<label className="block text-sm text-gray-300 mb-1">
+							API version
+						</label>
+						<input
+							type="text"
+							value={provider.apiVersion}
+							onChange={(e) => updateProvider('apiVersion', e.target.value)}
+							className={inputClass}
+						/>
+					</div>
+				)}
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">Chat model</label>
+					{isOpenAI ? (
+						<select
+							value={form.chat}
+							onChange={(e) => updateField('chat', e.target.value)}
+							className={inputClass}>
+							{CHAT_MODELS.map((model) => (
+								<option key={model} value={model}>
+									{model}
+								</option>
+							))}
+						</select>
+					) : (
+						<input
+							type="text"
+							value={form.chat}
+							onChange={(e) => updateField('chat', e.target.value)}
+							className={inputClass}
+						/>
+					)}
+					<p className="text-xs text-gray-500 mt-1">
+						Writes every answer, with or without documents.
+					</p>
+				</div>
+
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Classifier model
+					</label>
+					{isOpenAI ? (
+						<select
+							value={form.classifier}
+							onChange={(e) => updateField('classifier', e.target.value)}
+							className={inputClass}>
+							{CHAT_MODELS.map((model) => (
+								<option key={model} value={model}>
+									{model}
+								</option>
+							))}
+						</select>
+					) : (
+						<input
+							type="text"
+							value={form.classifier}
+							onChange={(e) => updateField('classifier', e.target.value)}
+							className={inputClass}
+						/>
+					)}
+					<p className="text-xs text-gray-500 mt-1">
+						Detects intent and rewrites follow-up questions. A small model is
+						usually enough.
+					</p>
+				</div>
+
+				<div>
+					<div className="flex items-center justify-between mb-1">
+						<label className="block text-sm text-gray-300">
+							Temperature:{' '}
+							{form.temperature == null
+								? 'Default'
+								: Number(form.temperature).toFixed(1)}
+						</label>
+						{(form.temperature != null ||
+							(form.maxTokens != null && form.maxTokens !== '')) && (
+							<button
+								type="button"
+								onClick={() =>
+									setForm((prev) => ({
+										...prev,
+										temperature: null,
+										maxTokens: null,
+									}))
+								}
+								className="text-xs text-orange-400 hover:text-orange-300">
+								Use defaults
+							</button>
+						)}
+					</div>
+					<input
+						type="range"
+						min={0}
+						max={2}
+						step={0.1}
+						value={form.temperature ?? RESPONSE_MODE_DEFAULTS.rag.temperature}
+						onChange={(e) => updateField('temperature', e.target.value)}
+						className="w-full accent-orange-500"
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						Lower values give more focused, repeatable answers. Default:{' '}
+						{RESPONSE_MODE_DEFAULTS.rag.temperature} with documents,{' '}
+						{RESPONSE_MODE_DEFAULTS.general.temperature} without,{' '}
+						{RESPONSE_MODE_DEFAULTS.small_talk.temperature} for small talk.
+					</p>
+				</div>
+
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Max tokens per answer
+					</label>
+					<input
+						type="number"
+						min={50}
+						max={4096}
+						value={form.maxTokens ?? ''}
+						onChange={(e) => updateField('maxTokens', e.target.value)}
+						placeholder="Default"
+						className={inputClass}
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						Upper limit on answer length (50-4096). Leave empty for{' '}
+						{RESPONSE_MODE_DEFAULTS.rag.maxTokens} with documents and{' '}
+						{RESPONSE_MODE_DEFAULTS.general.maxTokens} without.
+					</p>
+				</div>
+			</div>
+
+			{/* Embeddings */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="block text-sm text-gray-300 mb-1">
+					Embedding model
+				</label>
+				{isOpenAI ? (
+					<select
+						value={form.embeddings}
+						onChange={(e) => updateField('embeddings', e.target.value)}
+						className={`${inputClass} md:w-1/2`}>
+						{Object.entries(EMBEDDING_MODELS).map(([model, dimensions]) => (
+							<option key={model} value={model}>
+								{model} ({dimensions} dimensions)
+							</option>
+						))}
+					</select>
+				) : (
+					<input
+						type="text"
+						value={form.embeddings}
+						onChange={(e) => updateField('embeddings', e.target.value)}
+						className={`${inputClass} md:w-1/2`}
+					/>
+				)}
+				{embeddingsChanged ? (
+					<p className="text-xs text-yellow-400 mt-1">
+						Saving re-embeds all files with the new model. Answers switch to it
+						once every file is done.
+					</p>
+				) : (
+					<p className="text-xs text-gray-500 mt-1">
+						Used for both stored documents and search queries.
+					</p>
+				)}
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Settings'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,253 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+import {
+	AUTO_LANGUAGE,
+	DEFAULT_PERSONA_CONFIG,
+	MAX_INSTRUCTIONS_LENGTH,
+	PERSONA_PRESETS,
+	PERSONA_STRICTNESS,
+	PERSONA_TONES,
+	PROMPT_PLACEHOLDERS,
+	validatePersonaInstructions,
+} from '@/lib/core/promptConfig';
+
+const STRICTNESS_OPTIONS = [
+	{
+		value: PERSONA_STRICTNESS.STRICT,
+		label: 'Only answer from documents and FAQs',
+	},
+	{
+		value: PERSONA_STRICTNESS.FLEXIBLE,
+		label: 'Allow general knowledge when documents have no answer',
+	},
+];
+
+/**
+ * Merge stored persona settings with defaults
+ */
+function toFormState(persona = {}) {
+	const preset = PERSONA_PRESETS[persona.preset]
+		? persona.preset
+		: DEFAULT_PERSONA_CONFIG.preset;
+
+	return {
+		preset,
+		instructions: persona.instructions || PERSONA_PRESETS[preset].instructions,
+		tone: persona.tone || DEFAULT_PERSONA_CONFIG.tone,
+		language: persona.language || DEFAULT_PERSONA_CONFIG.language,
+		strictness: persona.strictness || DEFAULT_PERSONA_CONFIG.strictness,
+	};
+}
+
+/**
+ * Persona Settings - System instructions, tone, language and strictness
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.persona - Current persona settings from the bot
+ * @param {Function} props.onPersonaChange - Called with saved settings
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function PersonaSettings({
+	botId,
+	persona,
+	onPersonaChange,
+	showNotification,
+}) {
+	const [form, setForm] = useState(() => toFormState(persona));
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setForm(toFormState(persona));
+	}, [persona]);
+
+	const updateField = (field, value) => {
+		setForm((prev) => ({ ...prev, [field]: value }));
+	};
+
+	// A preset replaces the instructions and suggests a tone and strictness
+	const applyPreset = (presetKey) => {
+		const preset = PERSONA_PRESETS[presetKey];
+		if (
+			form.instructions !== PERSONA_PRESETS[form.preset].instructions &&
+			!confirm('Replace your instructions with this preset?')
+		) {
+			return;
+		}
+
+		setForm((prev) => ({
+			...prev,
+			preset: presetKey,
+			instructions: preset.instructions,
+			tone: preset.tone,
+			strictness: preset.strictness,
+		}));
+	};
+
+	const instructionsError = validatePersonaInstructions(form.instructions);
+
+	const saveSettings = async () => {
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					persona: {
+						preset: form.preset,
+						// Unchanged preset text is stored empty so preset updates apply
+						instructions:
+							form.instructions.trim() ===
+							PERSONA_PRESETS[form.preset].instructions
+								? ''
+								: form.instructions,
+						tone: form.tone,
+						language: form.language.trim() || AUTO_LANGUAGE,
+						strictness: form.strictness,
+					},
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				onPersonaChange?.(data.data.persona);
+				showNotification('Persona settings saved');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save persona settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving persona settings:', err);
+			showNotification('Failed to save persona settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="mb-4">
+				<h3 className="text-lg font-medium text-white">
+					Persona & Instructions
+				</h3>
+				<p className="text-sm text-gray-400 mt-1">
+					Write the system instructions your bot follows, or start from a preset
+					persona.
+				</p>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Preset persona
+					</label>
+					<select
+						value={form.preset}
+						onChange={(e) => applyPreset(e.target.value)}
+						className={inputClass}>
+						{Object.entries(PERSONA_PRESETS).map(([key, preset]) => (
+							<option key={key} value={key}>
+								{preset.label}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">Tone</label>
+					<select
+						value={form.tone}
+						onChange={(e) => updateField('tone', e.target.value)}
+						className={`${inputClass} capitalize`}>
+						{PERSONA_TONES.map((tone) => (
+							<option key={tone} value={tone}>
+								{tone}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Reply language
+					</label>
+					<input
+						type="text"
+						maxLength={50}
+						value={form.language}
+						onChange={(e) => updateField('language', e.target.value)}
+						placeholder="auto"
+						className={inputClass}
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						&quot;auto&quot; replies in the visitor&apos;s language, or enter
+						one such as &quot;Spanish&quot;.
+					</p>
+				</div>
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">Strictness</label>
+					<select
+						value={form.strictness}
+						onChange={(e) => updateField('strictness', e.target.value)}
+						className={inputClass}>
+						{STRICTNESS_OPTIONS.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+				</div>
+			</div>
+
+			<div className="mt-4">
+				<div className="flex items-center justify-between mb-1">
+					<label className="block text-sm text-gray-300">
+						System instructions
+					</label>
+					<span className="text-xs text-gray-500">
+						{form.instructions.length}/{MAX_INSTRUCTIONS_LENGTH}
+					</span>
+				</div>
+				<textarea
+					rows={12}
+					value={form.instructions}
+					onChange={(e) => updateField('instructions', e.target.value)}
+					className={`${inputClass} font-mono`}
+				/>
+				{instructionsError ? (
+					<p className="text-xs text-red-400 mt-1">{instructionsError}</p>
+				) : (
+					<ul className="text-xs text-gray-500 mt-1 space-y-0.5">
+						{Object.entries(PROMPT_PLACEHOLDERS).map(([name, description]) => (
+							<li key={name}>
+								<code className="text-gray-400">{`{${name}}`}</code> -{' '}
+								{description}
+							</li>
+						))}
+					</ul>
+				)}
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving || !!instructionsError}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Settings'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,376 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+
+const DEFAULT_SETTINGS = {
+	rewriteQuery: true,
+	topK: 4,
+	minScore: 0.2,
+	mmr: { enabled: false, lambda: 0.5, fetchK: 20 },
+	rerank: { enabled: false, strategy: 'lexical', candidates: 20 },
+	hybrid: { enabled: false, vectorWeight: 1, keywordWeight: 1, rrfK: 60 },
+};
+
+/**
+ * Merge stored retrieval and citation settings with defaults
+ */
+function toFormState(retrieval = {}, citations = {}) {
+	return {
+		allowSourceLinks: citations.allowSourceLinks ?? false,
+		rewriteQuery: retrieval.rewriteQuery ?? DEFAULT_SETTINGS.rewriteQuery,
+		topK: retrieval.topK ?? DEFAULT_SETTINGS.topK,
+		minScore: retrieval.minScore ?? DEFAULT_SETTINGS.minScore,
+		mmr: { ...DEFAULT_SETTINGS.mmr, ...retrieval.mmr },
+		rerank: { ...DEFAULT_SETTINGS.rerank, ...retrieval.rerank },
+		hybrid: { ...DEFAULT_SETTINGS.hybrid, ...retrieval.hybrid },
+	};
+}
+
+/**
+ * Retrieval Settings - Tune how many chunks are retrieved and how they are filtered
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.retrieval - Current retrieval settings from the bot
+ * @param {Object} props.citations - Current citation settings from the bot
+ * @param {Function} props.onRetrievalChange - Called with saved settings
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function RetrievalSettings({
+	botId,
+	retrieval,
+	citations,
+	onRetrievalChange,
+	showNotification,
+}) {
+	const [form, setForm] = useState(() => toFormState(retrieval, citations));
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setForm(toFormState(retrieval, citations));
+	}, [retrieval, citations]);
+
+	const updateField = (field, value) => {
+		setForm((prev) => ({ ...prev, [field]: value }));
+	};
+
+	const updateNested = (group, field, value) => {
+		setForm((prev) => ({
+			...prev,
+			[group]: { ...prev[group], [field]: value },
+		}));
+	};
+
+	const saveSettings = async () => {
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					retrieval: {
+						rewriteQuery: form.rewriteQuery,
+						topK: Number(form.topK),
+						minScore: Number(form.minScore),
+						mmr: {
+							enabled: form.mmr.enabled,
+							lambda: Number(form.mmr.lambda),
+							fetchK: Number(form.mmr.fetchK),
+						},
+						rerank: {
+							enabled: form.rerank.enabled,
+							strategy: form.rerank.strategy,
+							candidates: Number(form.rerank.candidates),
+						},
+						hybrid: {
+							enabled: form.hybrid.enabled,
+							vectorWeight: Number(form.hybrid.vectorWeight),
+							keywordWeight: Number(form.hybrid.keywordWeight),
+						},
+					},
+					citations: {
+						allowSourceLinks: form.allowSourceLinks,
+					},
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				onRetrievalChange?.(data.data.retrieval);
+				showNotification('Retrieval settings saved');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save retrieval settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving retrieval settings:', err);
+			showNotification('Failed to save retrieval settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="mb-4">
+				<h3 className="text-lg font-medium text-white">Retrieval Settings</h3>
+				<p className="text-sm text-gray-400 mt-1">
+					Control how many document chunks are sent to the model and how
+					relevant they must be.
+				</p>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Chunks per answer (topK)
+					</label>
+					<input
+						type="number"
+						min={1}
+						max={20}
+						value={form.topK}
+						onChange={(e) => updateField('topK', e.target.value)}
+						className={inputClass}
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						More chunks give more context but cost more tokens (1-20).
+					</p>
+				</div>
+
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">
+						Minimum similarity score: {Number(form.minScore).toFixed(2)}
+					</label>
+					<input
+						type="range"
+						min={0}
+						max={1}
+						step={0.05}
+						value={form.minScore}
+						onChange={(e) => updateField('minScore', e.target.value)}
+						className="w-full accent-orange-500"
+					/>
+					<p className="text-xs text-gray-500 mt-1">
+						Chunks scoring below this are dropped before the model sees them.
+					</p>
+				</div>
+			</div>
+
+			{/* Query rewriting */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={form.rewriteQuery}
+						onChange={(e) => updateField('rewriteQuery', e.target.checked)}
+						className="accent-orange-500"
+					/>
+					<span>Rewrite follow-up questions before searching</span>
+				</label>
+				<p className="text-xs text-gray-500 mt-1 ml-6">
+					Turns questions like &quot;what about the enterprise plan?&quot; into
+					a standalone query using the conversation so far.
+				</p>
+			</div>
+
+			{/* MMR */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={form.mmr.enabled}
+						onChange={(e) => updateNested('mmr', 'enabled', e.target.checked)}
+						className="accent-orange-500"
+					/>
+					<span>Diversify results (maximal marginal relevance)</span>
+				</label>
+				<p className="text-xs text-gray-500 mt-1 ml-6">
+					Avoids sending several near-identical chunks from the same passage.
+				</p>
+
+				{form.mmr.enabled && (
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 ml-6">
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Relevance vs. diversity: {Number(form.mmr.lambda).toFixed(2)}
+							</label>
+							<input
+								type="range"
+								min={0}
+								max={1}
+								step={0.05}
+								value={form.mmr.lambda}
+								onChange={(e) => updateNested('mmr', 'lambda', e.target.value)}
+								className="w-full accent-orange-500"
+							/>
+							<p className="text-xs text-gray-500 mt-1">
+								1 = relevance only, 0 = maximum diversity.
+							</p>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Candidates considered
+							</label>
+							<input
+								type="number"
+								min={5}
+								max={100}
+								value={form.mmr.fetchK}
+								onChange={(e) => updateNested('mmr', 'fetchK', e.target.value)}
+								className={inputClass}
+							/>
+						</div>
+					</div>
+				)}
+			</div>
+
+			{/* Reranking */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={form.rerank.enabled}
+						onChange={(e) =>
+							updateNested('rerank', 'enabled', e.target.checked)
+						}
+						className="accent-orange-500"
+					/>
+					<span>Rerank retrieved chunks</span>
+				</label>
+				<p className="text-xs text-gray-500 mt-1 ml-6">
+					Fetches extra candidates, re-scores them against the question and
+					keeps only the best ones.
+				</p>
+
+				{form.rerank.enabled && (
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 ml-6">
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Reranker
+							</label>
+							<select
+								value={form.rerank.strategy}
+								onChange={(e) =>
+									updateNested('rerank', 'strategy', e.target.value)
+								}
+								className={inputClass}>
+								<option value="lexical">Lexical (free, runs locally)</option>
+								<option value="llm">LLM scorer (uses your OpenAI key)</option>
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Candidates to rerank
+							</label>
+							<input
+								type="number"
+								min={5}
+								max={50}
+								value={form.rerank.candidates}
+								onChange={(e) =>
+									updateNested('rerank', 'candidates', e.target.value)
+								}
+								className={inputClass}
+							/>
+						</div>
+					</div>
+				)}
+			</div>
+
+			{/* Hybrid search */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={form.hybrid.enabled}
+						onChange={(e) =>
+							updateNested('hybrid', 'enabled', e.target.checked)
+						}
+						className="accent-orange-500"
+					/>
+					<span>Hybrid search (keywords + semantic)</span>
+				</label>
+				<p className="text-xs text-gray-500 mt-1 ml-6">
+					Helps with exact terms like SKUs, error codes and product names.
+				</p>
+
+				{form.hybrid.enabled && (
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 ml-6">
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Semantic weight
+							</label>
+							<input
+								type="number"
+								min={0}
+								max={10}
+								step={0.1}
+								value={form.hybrid.vectorWeight}
+								onChange={(e) =>
+									updateNested('hybrid', 'vectorWeight', e.target.value)
+								}
+								className={inputClass}
+							/>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Keyword weight
+							</label>
+							<input
+								type="number"
+								min={0}
+								max={10}
+								step={0.1}
+								value={form.hybrid.keywordWeight}
+								onChange={(e) =>
+									updateNested('hybrid', 'keywordWeight', e.target.value)
+								}
+								className={inputClass}
+							/>
+						</div>
+					</div>
+				)}
+			</div>
+
+			{/* Citations */}
+			<div className="mt-6 pt-4 border-t border-gray-800">
+				<label className="flex items-center space-x-2 text-sm text-gray-200">
+					<input
+						type="checkbox"
+						checked={form.allowSourceLinks}
+						onChange={(e) => updateField('allowSourceLinks', e.target.checked)}
+						className="accent-orange-500"
+					/>
+					<span>Let visitors open cited documents</span>
+				</label>
+				<p className="text-xs text-gray-500 mt-1 ml-6">
+					Citation footnotes in the widget link to the source file. Anyone
+					chatting with this bot will be able to download files it cites.
+				</p>
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Settings'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,242 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { LoadingSpinner, RefreshIcon } from '@/components/ui/icons';
+
+const POLL_INTERVAL = 5000; // Refresh while a manual sync is running
+
+const SCHEDULE_PRESETS = [
+	{ value: '0 * * * *', label: 'Every hour' },
+	{ value: '0 */6 * * *', label: 'Every 6 hours' },
+	{ value: '0 3 * * *', label: 'Daily at 03:00 UTC' },
+	{ value: '0 3 * * 1', label: 'Weekly on Monday at 03:00 UTC' },
+];
+
+const CUSTOM_SCHEDULE = 'custom';
+
+/**
+ * Sync Settings - Re-check files and websites on a schedule
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Object} props.sync - Current sync settings from the bot
+ * @param {boolean} props.canSync - Whether the bot has a valid API key
+ * @param {Function} props.onFilesChange - Called when a sync finishes
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function SyncSettings({
+	botId,
+	sync,
+	canSync,
+	onFilesChange,
+	showNotification,
+}) {
+	const [enabled, setEnabled] = useState(!!sync?.enabled);
+	const [cron, setCron] = useState(sync?.cron || '0 3 * * *');
+	const [status, setStatus] = useState(sync || {});
+	const [saving, setSaving] = useState(false);
+	const [syncStartedAt, setSyncStartedAt] = useState(null);
+
+	useEffect(() => {
+		setEnabled(!!sync?.enabled);
+		setCron(sync?.cron || '0 3 * * *');
+		setStatus(sync || {});
+	}, [sync]);
+
+	const isPreset = SCHEDULE_PRESETS.some((preset) => preset.value === cron);
+
+	const fetchStatus = useCallback(async () => {
+		try {
+			const response = await fetch(`/api/bots/${botId}/sync`);
+			const data = await response.json();
+			if (data.success) {
+				setStatus(data.data);
+			}
+		} catch (err) {
+			console.error('Error fetching sync status:', err);
+		}
+	}, [botId]);
+
+	// Poll after "Sync now" until the run records its result
+	useEffect(() => {
+		if (!syncStartedAt) return;
+
+		const interval = setInterval(fetchStatus, POLL_INTERVAL);
+		return () => clearInterval(interval);
+	}, [syncStartedAt, fetchStatus]);
+
+	useEffect(() => {
+		if (
+			syncStartedAt &&
+			status.lastSyncedAt &&
+			new Date(status.lastSyncedAt) >= syncStartedAt
+		) {
+			setSyncStartedAt(null);
+			onFilesChange?.();
+			showNotification(
+				status.lastResult?.error
+					? 'Sync finished with errors'
+					: 'Sync finished',
+				status.lastResult?.error ? 'error' : 'success'
+			);
+		}
+	}, [status, syncStartedAt, onFilesChange, showNotification]);
+
+	const saveSettings = async () => {
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ sync: { enabled, cron: cron.trim() } }),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setStatus(data.data.sync);
+				showNotification(
+					data.data.sync.enabled
+						? 'Scheduled sync saved'
+						: 'Scheduled sync turned off'
+				);
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to save sync settings',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error saving sync settings:', err);
+			showNotification('Failed to save sync settings', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const syncNow = async () => {
+		try {
+			const response = await fetch(`/api/bots/${botId}/sync`, {
+				method: 'POST',
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setSyncStartedAt(new Date());
+				showNotification('Sync started');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to start sync',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error starting sync:', err);
+			showNotification('Failed to start sync', 'error');
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	const { lastResult } = status;
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="flex items-center justify-between mb-4">
+				<div>
+					<h3 className="text-lg font-medium text-white">Scheduled Sync</h3>
+					<p className="text-sm text-gray-400 mt-1">
+						Re-crawl websites and re-check uploaded files. Only content that
+						changed is embedded again.
+					</p>
+				</div>
+				<button
+					onClick={syncNow}
+					disabled={!canSync || !!syncStartedAt}
+					className="flex items-center px-3 py-1.5 text-sm text-gray-300 border border-gray-700 rounded-lg hover:text-white hover:border-gray-500 disabled:opacity-50 disabled:cursor-not-allowed">
+					{syncStartedAt ? (
+						<LoadingSpinner className="w-4 h-4 mr-2" />
+					) : (
+						<RefreshIcon className="w-4 h-4 mr-2" />
+					)}
+					{syncStartedAt ? 'Syncing...' : 'Sync now'}
+				</button>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<div>
+					<label className="flex items-center space-x-2 text-sm text-gray-200">
+						<input
+							type="checkbox"
+							checked={enabled}
+							onChange={(e) => setEnabled(e.target.checked)}
+							className="accent-orange-500"
+						/>
+						<span>Sync automatically</span>
+					</label>
+					{status.lastSyncedAt && (
+						<p className="text-xs text-gray-500 mt-3">
+							Last sync {new Date(status.lastSyncedAt).toLocaleString()}
+							{lastResult &&
+								`: ${lastResult.filesChecked} file(s) checked, ${lastResult.filesChanged} changed, ${lastResult.filesRemoved} removed, ${lastResult.sourcesCrawled} website(s) re-crawled`}
+						</p>
+					)}
+					{lastResult?.error && (
+						<p className="text-xs text-red-400 mt-1 whitespace-pre-line">
+							{lastResult.error}
+						</p>
+					)}
+				</div>
+
+				<div>
+					<label className="block text-sm text-gray-300 mb-1">Schedule</label>
+					<select
+						value={isPreset ? cron : CUSTOM_SCHEDULE}
+						onChange={(e) =>
+							setCron(e.target.value === CUSTOM_SCHEDULE ? '' : e.target.value)
+						}
+						disabled={!enabled}
+						className={`${inputClass} disabled:opacity-50`}>
+						{SCHEDULE_PRESETS.map((preset) => (
+							<option key={preset.value} value={preset.value}>
+								{preset.label}
+							</option>
+						))}
+						<option value={CUSTOM_SCHEDULE}>Custom (cron)</option>
+					</select>
+					{!isPreset && (
+						<>
+							<input
+								type="text"
+								value={cron}
+								onChange={(e) => setCron(e.target.value)}
+								placeholder="30 2 * * *"
+								disabled={!enabled}
+								className={`${inputClass} mt-2 font-mono disabled:opacity-50`}
+							/>
+							<p className="text-xs text-gray-500 mt-1">
+								minute hour day month weekday, in UTC. At most once an hour.
+							</p>
+						</>
+					)}
+				</div>
+			</div>
+
+			<div className="mt-6 flex justify-end">
+				<button
+					onClick={saveSettings}
+					disabled={saving || (enabled && !cron.trim())}
+					className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+					{saving ? (
+						<>
+							<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+							Saving...
+						</>
+					) : (
+						'Save Schedule'
+					)}
+				</button>
+			</div>
+		</div>
+	);
+}
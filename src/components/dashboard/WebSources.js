@@ -0,0 +1,380 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { LoadingSpinner, RefreshIcon, XIcon } from '@/components/ui/icons';
+
+const POLL_INTERVAL = 5000; // Refresh while a crawl is running
+
+const EMPTY_FORM = {
+	startUrls: '',
+	sitemapUrl: '',
+	maxDepth: 2,
+	maxPages: 50,
+	sameDomainOnly: true,
+};
+
+const STATUS_STYLES = {
+	queued: 'bg-blue-900/30 text-blue-300 border-blue-700/40',
+	crawling: 'bg-yellow-900/30 text-yellow-300 border-yellow-700/40',
+	completed: 'bg-green-900/30 text-green-300 border-green-700/40',
+	failed: 'bg-red-900/30 text-red-300 border-red-700/40',
+};
+
+/**
+ * Website Sources - Crawl websites into the bot's knowledge base
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {boolean} props.canCrawl - Whether the bot has a valid API key
+ * @param {Function} props.onPagesChange - Called when crawled pages change
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function WebSources({
+	botId,
+	canCrawl,
+	onPagesChange,
+	showNotification,
+}) {
+	const [sources, setSources] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [saving, setSaving] = useState(false);
+	const [busySourceId, setBusySourceId] = useState(null);
+
+	const fetchSources = useCallback(async () => {
+		try {
+			const response = await fetch(`/api/bots/${botId}/sources`);
+			const data = await response.json();
+			if (data.success) {
+				setSources(data.data.sources);
+			}
+		} catch (err) {
+			console.error('Error fetching website sources:', err);
+		} finally {
+			setLoading(false);
+		}
+	}, [botId]);
+
+	useEffect(() => {
+		fetchSources();
+	}, [fetchSources]);
+
+	// Poll while a crawl is running, then refresh the file list once
+	const isCrawling = sources.some((source) =>
+		['queued', 'crawling'].includes(source.status)
+	);
+	useEffect(() => {
+		if (!isCrawling) return;
+
+		const interval = setInterval(fetchSources, POLL_INTERVAL);
+		return () => {
+			clearInterval(interval);
+			onPagesChange?.();
+		};
+	}, [isCrawling, fetchSources, onPagesChange]);
+
+	const updateField = (field, value) => {
+		setForm((prev) => ({ ...prev, [field]: value }));
+	};
+
+	const addSource = async () => {
+		const startUrls = form.startUrls
+			.split('\n')
+			.map((url) => url.trim())
+			.filter(Boolean);
+
+		if (startUrls.length === 0 && !form.sitemapUrl.trim()) {
+			showNotification('Enter at least one URL or a sitemap URL', 'error');
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}/sources`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					startUrls,
+					sitemapUrl: form.sitemapUrl.trim(),
+					maxDepth: Number(form.maxDepth),
+					maxPages: Number(form.maxPages),
+					sameDomainOnly: form.sameDomainOnly,
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setSources((prev) => [data.data, ...prev]);
+				setForm(EMPTY_FORM);
+				showNotification('Website added. Crawling has started');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to add website',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error adding website source:', err);
+			showNotification('Failed to add website', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const recrawlSource = async (sourceId) => {
+		setBusySourceId(sourceId);
+		try {
+			const response = await fetch(
+				`/api/bots/${botId}/sources/${sourceId}/crawl`,
+				{ method: 'POST' }
+			);
+
+			const data = await response.json();
+			if (data.success) {
+				showNotification('Crawl queued');
+				await fetchSources();
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to queue crawl',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error queueing crawl:', err);
+			showNotification('Failed to queue crawl', 'error');
+		} finally {
+			setBusySourceId(null);
+		}
+	};
+
+	const deleteSource = async (source) => {
+		if (
+			!confirm(
+				`Delete this website and all ${source.pages} page(s) crawled from it? The bot will no longer answer from them.`
+			)
+		) {
+			return;
+		}
+
+		setBusySourceId(source.id);
+		try {
+			const response = await fetch(`/api/bots/${botId}/sources/${source.id}`, {
+				method: 'DELETE',
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				setSources((prev) => prev.filter((s) => s.id !== source.id));
+				onPagesChange?.();
+				showNotification(`Website deleted (${data.data.pagesDeleted} pages)`);
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to delete website',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error deleting website source:', err);
+			showNotification('Failed to delete website', 'error');
+		} finally {
+			setBusySourceId(null);
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+			<div className="flex items-center justify-between mb-4">
+				<div>
+					<h2 className="text-lg font-medium text-white">Websites</h2>
+					<p className="text-sm text-gray-400 mt-1">
+						Crawl pages from your site. Each page becomes a source the bot can
+						cite with its URL.
+					</p>
+				</div>
+				{loading && <LoadingSpinner className="w-4 h-4 text-gray-400" />}
+			</div>
+
+			{/* Existing sources */}
+			<div className="space-y-3 mb-6">
+				{sources.map((source) => (
+					<div
+						key={source.id}
+						className="p-4 bg-gray-800 rounded-lg border border-gray-700">
+						<div className="flex items-start justify-between">
+							<div className="min-w-0 flex-1">
+								<p className="text-sm text-white truncate">
+									{source.startUrls[0] || source.sitemapUrl}
+									{source.startUrls.length > 1 && (
+										<span className="text-gray-500">
+											{' '}
+											+{source.startUrls.length - 1} more
+										</span>
+									)}
+								</p>
+								<p className="text-xs text-gray-500 mt-1">
+									{source.sitemapUrl && source.startUrls.length > 0 && (
+										<>Sitemap: {source.sitemapUrl} · </>
+									)}
+									Depth {source.maxDepth} · up to {source.maxPages} pages ·{' '}
+									{source.pagesEmbedded}/{source.pages} pages embedded
+									{source.lastCrawledAt &&
+										` · last crawled ${new Date(
+											source.lastCrawledAt
+										).toLocaleString()}`}
+								</p>
+								{source.status === 'completed' && source.stats && (
+									<p className="text-xs text-gray-500 mt-1">
+										Last crawl: {source.stats.pagesFound} found,{' '}
+										{source.stats.pagesQueued} new or changed,{' '}
+										{source.stats.pagesUnchanged} unchanged,{' '}
+										{source.stats.pagesFailed} failed
+									</p>
+								)}
+								{source.lastError && (
+									<p className="text-xs text-red-400 mt-1 whitespace-pre-line">
+										{source.lastError}
+									</p>
+								)}
+							</div>
+
+							<div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+								<span
+									className={`text-xs px-2 py-0.5 rounded border ${
+										STATUS_STYLES[source.status]
+									}`}>
+									{source.status}
+								</span>
+								<button
+									onClick={() => recrawlSource(source.id)}
+									disabled={
+										!canCrawl ||
+										busySourceId === source.id ||
+										['queued', 'crawling'].includes(source.status)
+									}
+									title="Crawl again"
+									className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed">
+									<RefreshIcon className="w-4 h-4" />
+								</button>
+								<button
+									onClick={() => deleteSource(source)}
+									disabled={
+										busySourceId === source.id ||
+										['queued', 'crawling'].includes(source.status)
+									}
+									title="Delete website"
+									className="p-1.5 text-gray-400 hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed">
+									<XIcon className="w-4 h-4" />
+								</button>
+							</div>
+						</div>
+					</div>
+				))}
+
+				{sources.length === 0 && !loading && (
+					<p className="text-gray-500 text-sm">No websites added yet</p>
+				)}
+			</div>
+
+			{/* Add website */}
+			{canCrawl ? (
+				<div className="pt-4 border-t border-gray-800">
+					<h3 className="text-sm font-medium text-gray-300 mb-3">
+						Add Website
+					</h3>
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Start URLs (one per line)
+							</label>
+							<textarea
+								rows={3}
+								value={form.startUrls}
+								onChange={(e) => updateField('startUrls', e.target.value)}
+								placeholder="https://example.com/docs"
+								className={inputClass}
+							/>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Sitemap URL (optional)
+							</label>
+							<input
+								type="url"
+								value={form.sitemapUrl}
+								onChange={(e) => updateField('sitemapUrl', e.target.value)}
+								placeholder="https://example.com/sitemap.xml"
+								className={inputClass}
+							/>
+							<label className="flex items-center space-x-2 text-sm text-gray-200 mt-3">
+								<input
+									type="checkbox"
+									checked={form.sameDomainOnly}
+									onChange={(e) =>
+										updateField('sameDomainOnly', e.target.checked)
+									}
+									className="accent-orange-500"
+								/>
+								<span>Stay on the same domain</span>
+							</label>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Link depth
+							</label>
+							<input
+								type="number"
+								min={0}
+								max={5}
+								value={form.maxDepth}
+								onChange={(e) => updateField('maxDepth', e.target.value)}
+								className={inputClass}
+							/>
+							<p className="text-xs text-gray-500 mt-1">
+								How many links to follow from a start URL (0 = start URLs only).
+							</p>
+						</div>
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Maximum pages
+							</label>
+							<input
+								type="number"
+								min={1}
+								max={500}
+								value={form.maxPages}
+								onChange={(e) => updateField('maxPages', e.target.value)}
+								className={inputClass}
+							/>
+							<p className="text-xs text-gray-500 mt-1">
+								Pages count towards the bot&apos;s storage limit.
+							</p>
+						</div>
+					</div>
+
+					<div className="mt-4 flex justify-end">
+						<button
+							onClick={addSource}
+							disabled={saving}
+							className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+							{saving ? (
+								<>
+									<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+									Adding...
+								</>
+							) : (
+								'Crawl Website'
+							)}
+						</button>
+					</div>
+				</div>
+			) : (
+				<p className="text-sm text-gray-500 pt-4 border-t border-gray-800">
+					Configure a valid API key to crawl websites.
+				</p>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,190 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { LoadingSpinner, RefreshIcon } from '@/components/ui/icons';
+
+const STATUS_STYLES = {
+	pending: 'bg-blue-900/30 text-blue-300 border-blue-700/40',
+	delivered: 'bg-green-900/30 text-green-300 border-green-700/40',
+	failed: 'bg-red-900/30 text-red-300 border-red-700/40',
+};
+
+/**
+ * Webhook Deliveries - Delivery log of one webhook with redelivery
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {string} props.webhookId - Webhook ID
+ * @param {boolean} props.canRedeliver - Whether the webhook is enabled
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function WebhookDeliveries({
+	botId,
+	webhookId,
+	canRedeliver,
+	showNotification,
+}) {
+	const [deliveries, setDeliveries] = useState([]);
+	const [pagination, setPagination] = useState(null);
+	const [page, setPage] = useState(1);
+	const [loading, setLoading] = useState(true);
+	const [redeliveringId, setRedeliveringId] = useState(null);
+
+	const fetchDeliveries = useCallback(async () => {
+		setLoading(true);
+		try {
+			const response = await fetch(
+				`/api/bots/${botId}/webhooks/${webhookId}/deliveries?page=${page}`
+			);
+			const data = await response.json();
+			if (data.success) {
+				setDeliveries(data.data.deliveries);
+				setPagination(data.data.pagination);
+			}
+		} catch (err) {
+			console.error('Error fetching webhook deliveries:', err);
+		} finally {
+			setLoading(false);
+		}
+	}, [botId, webhookId, page]);
+
+	useEffect(() => {
+		fetchDeliveries();
+	}, [fetchDeliveries]);
+
+	const redeliver = async (deliveryId) => {
+		setRedeliveringId(deliveryId);
+		try {
+			const response = await fetch(
+				`/api/bots/${botId}/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`,
+				{ method: 'POST' }
+			);
+
+			const data = await response.json();
+			if (data.success) {
+				showNotification('Redelivery queued');
+				if (page === 1) {
+					await fetchDeliveries();
+				} else {
+					setPage(1);
+				}
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to redeliver',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error redelivering webhook:', err);
+			showNotification('Failed to redeliver', 'error');
+		} finally {
+			setRedeliveringId(null);
+		}
+	};
+
+	return (
+		<div className="mt-4 pt-4 border-t border-gray-700">
+			<div className="flex items-center justify-between mb-3">
+				<h4 className="text-sm font-medium text-gray-300">Recent deliveries</h4>
+				<button
+					onClick={fetchDeliveries}
+					disabled={loading}
+					title="Refresh"
+					className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50">
+					{loading ? (
+						<LoadingSpinner className="w-4 h-4" />
+					) : (
+						<RefreshIcon className="w-4 h-4" />
+					)}
+				</button>
+			</div>
+
+			{deliveries.length === 0 && !loading && (
+				<p className="text-gray-500 text-sm">No deliveries yet</p>
+			)}
+
+			<div className="space-y-2">
+				{deliveries.map((delivery) => (
+					<details
+						key={delivery.id}
+						className="bg-gray-900 rounded-lg border border-gray-700">
+						<summary className="px-3 py-2 cursor-pointer flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+							<span
+								className={`px-2 py-0.5 rounded border ${
+									STATUS_STYLES[delivery.status]
+								}`}>
+								{delivery.status}
+							</span>
+							<span className="text-white font-mono">{delivery.event}</span>
+							<span className="text-gray-400">
+								{new Date(delivery.createdAt).toLocaleString()}
+							</span>
+							{delivery.responseStatus && (
+								<span className="text-gray-400">
+									HTTP {delivery.responseStatus}
+								</span>
+							)}
+							<span className="text-gray-500">
+								{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+								{delivery.durationMs != null && ` · ${delivery.durationMs}ms`}
+							</span>
+							{delivery.redeliveryOf && (
+								<span className="text-gray-500">redelivery</span>
+							)}
+						</summary>
+
+						<div className="px-3 pb-3 space-y-2">
+							{delivery.error && (
+								<p className="text-xs text-red-400">{delivery.error}</p>
+							)}
+							<div>
+								<p className="text-xs text-gray-400 mb-1">Payload</p>
+								<pre className="text-xs text-gray-300 bg-gray-800 rounded p-2 whitespace-pre-wrap break-words">
+									{JSON.stringify(delivery.payload, null, 2)}
+								</pre>
+							</div>
+							{delivery.responseBody && (
+								<div>
+									<p className="text-xs text-gray-400 mb-1">Response</p>
+									<pre className="text-xs text-gray-300 bg-gray-800 rounded p-2 whitespace-pre-wrap break-words">
+										{delivery.responseBody}
+									</pre>
+								</div>
+							)}
+							<div className="flex justify-end">
+								<button
+									onClick={() => redeliver(delivery.id)}
+									disabled={
+										!canRedeliver ||
+										delivery.status === 'pending' ||
+										redeliveringId === delivery.id
+									}
+									className="px-3 py-1.5 bg-gray-800 hover:bg-gray-700 text-gray-200 text-xs rounded-lg disabled:opacity-50 disabled:cursor-not-allowed">
+									{redeliveringId === delivery.id ? 'Queueing...' : 'Redeliver'}
+								</button>
+							</div>
+						</div>
+					</details>
+				))}
+			</div>
+
+			{pagination && pagination.totalPages > 1 && (
+				<div className="flex items-center justify-end space-x-2 mt-3 text-xs">
+					<button
+						onClick={() => setPage((prev) => prev - 1)}
+						disabled={!pagination.hasPrevPage || loading}
+						className="px-3 py-1 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed">
+						Prev
+					</button>
+					<span className="text-gray-400">
+						{pagination.currentPage} / {pagination.totalPages}
+					</span>
+					<button
+						onClick={() => setPage((prev) => prev + 1)}
+						disabled={!pagination.hasNextPage || loading}
+						className="px-3 py-1 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed">
+						Next
+					</button>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -2,6 +2,7 @@
 import { useState, useEffect } from 'react';
 import APIKeyManager from '@/components/APIKeyManager';
 import DomainWhitelist from '@/components/dashboard/DomainWhitelist';
+import ModelSettings from '@/components/dashboard/ModelSettings';
 import { CheckIcon } from '@/components/ui/icons';
 
 /**
@@ -23,6 +24,8 @@ export default function APIConfigTab({
 	showNotification,
 }) {
 	const [domains, setDomains] = useState([]);
+	// Remounts the key manager after a provider change clears the stored key
+	const [keyManagerVersion, setKeyManagerVersion] = useState(0);
 
 	useEffect(() => {
 		if (bot) {
@@ -42,9 +45,25 @@ export default function APIConfigTab({
 						ensure optimal performance.
 					</p>
 				</div>
-				<APIKeyManager botId={botId} onKeyUpdate={onApiKeyUpdate} />
+				<APIKeyManager
+					key={keyManagerVersion}
+					botId={botId}
+					onKeyUpdate={onApiKeyUpdate}
+				/>
 			</div>
 
+			{/* Model Selection */}
+			<ModelSettings
+				botId={botId}
+				models={bot?.models}
+				llmProvider={bot?.llmProvider}
+				onModelsChange={() => {
+					setKeyManagerVersion((version) => version + 1);
+					onApiKeyUpdate?.();
+				}}
+				showNotification={showNotification}
+			/>
+
 			{/* Domain Security */}
 			<DomainWhitelist
 				botId={botId}
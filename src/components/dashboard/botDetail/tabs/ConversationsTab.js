@@ -1,6 +1,8 @@
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import { LoadingSpinner, RefreshIcon, ChatIcon } from '@/components/ui/icons';
 import { useConversations } from '@/hooks/useConversations';
+import { useBotEvents } from '@/hooks/useBotEvents';
+import { REALTIME_EVENTS } from '@/lib/utils/realtimeEvents';
 import ConversationItem from '@/components/conversations/ConversationItem';
 import ConversationDetail from '@/components/conversations/ConversationDetail';
 
@@ -23,6 +25,8 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 		refresh: refreshConversations,
 		deleteConversation,
 		getConversationDetail,
+		sendAgentReply,
+		resolveHandoff,
 		loadNextPage,
 		loadPreviousPage,
 		resetFilters,
@@ -72,6 +76,59 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 		}
 	};
 
+	// Reload a conversation's detail without the loading state, ignoring
+	// results for a conversation that is no longer open
+	const reloadConversationDetail = useCallback(
+		async (sessionId) => {
+			try {
+				const detail = await getConversationDetail(sessionId);
+				setConversationDetail((prev) =>
+					prev?.conversation?.sessionId === sessionId ? detail : prev
+				);
+			} catch (error) {
+				// Keep showing the last loaded messages
+			}
+		},
+		[getConversationDetail]
+	);
+
+	// Keep the list and the open conversation current as messages arrive
+	const openSessionId = conversationDetail?.conversation?.sessionId;
+	useBotEvents(botId, (event, data) => {
+		if (event !== REALTIME_EVENTS.CONVERSATION_UPDATED) return;
+
+		refreshConversations();
+		if (data.sessionId === openSessionId) {
+			reloadConversationDetail(openSessionId);
+		}
+	});
+
+	// Helper function to send an owner reply to a handed-off conversation
+	const handleAgentReply = async (sessionId, content) => {
+		const result = await sendAgentReply(sessionId, content);
+		if (!result.success) {
+			showNotification(result.error || 'Failed to send reply', 'error');
+			return false;
+		}
+
+		await reloadConversationDetail(sessionId);
+		return true;
+	};
+
+	// Helper function to hand a conversation back to the AI
+	const handleResolveHandoff = async (sessionId) => {
+		const result = await resolveHandoff(sessionId);
+		if (result.success) {
+			showNotification('Conversation handed back to the AI');
+			await reloadConversationDetail(sessionId);
+		} else {
+			showNotification(
+				result.error || 'Failed to hand conversation back',
+				'error'
+			);
+		}
+	};
+
 	// Helper function to refresh conversation detail
 	const handleConversationDetailRefresh = async () => {
 		if (!selectedConversation) return;
@@ -117,7 +174,7 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 				</div>
 
 				{/* Conversation Statistics */}
-				<div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+				<div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
 					<div className="text-center">
 						<div className="text-2xl font-bold text-white">
 							{conversationStats?.totalConversations || 0}
@@ -130,6 +187,12 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 						</div>
 						<div className="text-xs text-gray-300">Active</div>
 					</div>
+					<div className="text-center">
+						<div className="text-2xl font-bold text-yellow-400">
+							{conversationStats?.awaitingAgentConversations || 0}
+						</div>
+						<div className="text-xs text-gray-300">Waiting for You</div>
+					</div>
 					<div className="text-center">
 						<div className="text-2xl font-bold text-blue-400">
 							{conversationStats?.totalMessages || 0}
@@ -165,6 +228,8 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 							className="w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-orange-500">
 							<option value="all">All Status</option>
 							<option value="active">Active</option>
+							<option value="awaiting_agent">Waiting for you</option>
+							<option value="agent_active">You are replying</option>
 							<option value="ended">Ended</option>
 						</select>
 					</div>
@@ -279,6 +344,8 @@ export default function ConversationsTab({ botId, bot, showNotification }) {
 						}}
 						onDelete={(sessionId) => handleConversationDelete(sessionId)}
 						onRefresh={handleConversationDetailRefresh}
+						onSendReply={handleAgentReply}
+						onResolveHandoff={handleResolveHandoff}
 						isLoading={conversationDetailLoading}
 						error={conversationDetailError}
 					/>
@@ -6,8 +6,9 @@ import {
 	TrashIcon,
 	CheckIcon,
 } from '@/components/ui/icons';
+import FAQMatchingSettings from '@/components/dashboard/FAQMatchingSettings';
 
-export default function FAQTab({ botId, showNotification }) {
+export default function FAQTab({ botId, faqMatching, showNotification }) {
 	const [faqs, setFaqs] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [submitting, setSubmitting] = useState(false);
@@ -272,6 +273,12 @@ export default function FAQTab({ botId, showNotification }) {
 
 	return (
 		<div className="lg:col-span-12 space-y-6">
+			<FAQMatchingSettings
+				botId={botId}
+				faqMatching={faqMatching}
+				showNotification={showNotification}
+			/>
+
 			{/* Create FAQ Form */}
 			<div className="bg-gray-900 border border-gray-800 rounded-lg p-6">
 				<h2 className="text-lg font-semibold text-white mb-4">
@@ -11,6 +11,11 @@ import {
 import { useBotFiles } from '@/hooks/useBotFiles';
 import FileItem from '@/components/files/FileItem';
 import QueuedFileItem from '@/components/files/QueuedFileItem';
+import RetrievalSettings from '@/components/dashboard/RetrievalSettings';
+import PersonaSettings from '@/components/dashboard/PersonaSettings';
+import HandoffSettings from '@/components/dashboard/HandoffSettings';
+import WebSources from '@/components/dashboard/WebSources';
+import SyncSettings from '@/components/dashboard/SyncSettings';
 
 /**
  * Overview Tab Component - Bot overview, files, and actions
@@ -77,7 +82,7 @@ export default function OverviewTab({
 		formData.append('botId', bot.id);
 		formData.append('filename', file.file.name);
 		formData.append('fileSize', file.file.size);
-		formData.append('mimeType', file.file.type);
+		formData.append('mimeType', file.type);
 
 		const response = await fetch('/api/files/upload/init', {
 			method: 'POST',
@@ -96,7 +101,7 @@ export default function OverviewTab({
 			hasUploadUrl: !!data.data.uploadUrl,
 		});
 
-		return data.data; // { uploadUrl, fileId, s3Key, expiresIn }
+		return data.data; // { uploadUrl, fileId, s3Key, mimeType, expiresIn }
 	};
 
 	/**
@@ -238,7 +243,7 @@ export default function OverviewTab({
 			await uploadFileToS3(
 				queuedFile.file,
 				initData.uploadUrl,
-				queuedFile.type || queuedFile.file.type,
+				initData.mimeType,
 				(progress) => {
 					setQueuedFiles((prev) =>
 						prev.map((f, i) => (i === index ? { ...f, progress } : f))
@@ -474,6 +479,96 @@ export default function OverviewTab({
 		}
 	};
 
+	/**
+	 * Make a version of a file live (new upload, rollback or retry)
+	 */
+	const activateFileVersion = async (fileId, version) => {
+		const response = await fetch(`/api/files/${fileId}`, {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ version }),
+		});
+
+		const data = await response.json();
+
+		if (!response.ok || !data.success) {
+			throw new Error(data.error || 'Failed to activate version');
+		}
+
+		return data.data;
+	};
+
+	/**
+	 * Upload a new version of a file; the current version keeps answering
+	 * until the new one has been embedded
+	 */
+	const handleReplaceFile = async (file, newFile) => {
+		if (
+			!confirm(
+				`Replace ${file.filename} with ${newFile.name}? The current version stays in the history.`
+			)
+		) {
+			return;
+		}
+
+		try {
+			const initResponse = await fetch(`/api/files/${file.id}`, {
+				method: 'PUT',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					filename: newFile.name,
+					fileSize: newFile.size,
+					mimeType: newFile.type,
+				}),
+			});
+
+			const initData = await initResponse.json();
+			if (!initResponse.ok || !initData.success) {
+				throw new Error(initData.error || 'Failed to start replacement');
+			}
+
+			const { uploadUrl, version, mimeType } = initData.data;
+			await uploadFileToS3(newFile, uploadUrl, mimeType, () => {});
+			await activateFileVersion(file.id, version);
+
+			showNotification(`Version ${version} of ${file.filename} is processing`);
+			await refetchFiles();
+		} catch (error) {
+			showNotification(
+				`Failed to replace ${file.filename}: ${error.message}`,
+				'error'
+			);
+		}
+	};
+
+	const handleActivateVersion = async (file, version) => {
+		if (
+			version < (file.version || 1) &&
+			!confirm(`Roll ${file.filename} back to version ${version}?`)
+		) {
+			return;
+		}
+
+		try {
+			const data = await activateFileVersion(file.id, version);
+			showNotification(
+				version < data.liveVersion
+					? `Rolling ${file.filename} back to version ${version}`
+					: `Version ${version} of ${file.filename} is processing`
+			);
+			await refetchFiles();
+		} catch (error) {
+			showNotification(
+				`Failed to switch ${file.filename} to version ${version}: ${error.message}`,
+				'error'
+			);
+		}
+	};
+
 	return (
 		<div className="lg:col-span-12 space-y-6">
 			{/* Stats */}
@@ -617,6 +712,8 @@ export default function OverviewTab({
 										onDelete={() => handleDeleteFile(file.id, file.filename)}
 										onRetry={handleRetryFile}
 										onCancel={handleCancelFile}
+										onReplace={handleReplaceFile}
+										onActivateVersion={handleActivateVersion}
 									/>
 								</div>
 							);
@@ -763,6 +860,52 @@ export default function OverviewTab({
 				</div>
 			</div>
 
+			{/* Website Sources */}
+			<WebSources
+				botId={bot.id}
+				canCrawl={
+					apiKeyStatus.hasCustomKey && apiKeyStatus.keyStatus === 'valid'
+				}
+				onPagesChange={refetchFiles}
+				showNotification={showNotification}
+			/>
+
+			{/* Scheduled Sync */}
+			<SyncSettings
+				botId={bot.id}
+				sync={bot.sync}
+				canSync={
+					apiKeyStatus.hasCustomKey && apiKeyStatus.keyStatus === 'valid'
+				}
+				onFilesChange={refetchFiles}
+				showNotification={showNotification}
+			/>
+
+			{/* Persona & Instructions */}
+			<PersonaSettings
+				botId={bot.id}
+				persona={bot.persona}
+				onPersonaChange={onBotUpdate}
+				showNotification={showNotification}
+			/>
+
+			{/* Human Handoff */}
+			<HandoffSettings
+				botId={bot.id}
+				handoff={bot.handoff}
+				onHandoffChange={onBotUpdate}
+				showNotification={showNotification}
+			/>
+
+			{/* Retrieval Settings */}
+			<RetrievalSettings
+				botId={bot.id}
+				retrieval={bot.retrieval}
+				citations={bot.citations}
+				onRetrievalChange={onBotUpdate}
+				showNotification={showNotification}
+			/>
+
 			{/* Bot Information */}
 			<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
 				<h3 className="text-lg font-medium text-white mb-4">Bot Information</h3>
@@ -0,0 +1,261 @@
+'use client';
+import { useState } from 'react';
+import { LoadingSpinner, SearchIcon } from '@/components/ui/icons';
+
+const INTENT_LABELS = {
+	NEEDS_RAG: 'Needs knowledge base',
+	GENERAL_CHAT: 'General chat',
+	SMALL_TALK: 'Small talk',
+	HUMAN_AGENT: 'Asks for a person',
+};
+
+/**
+ * Format a score for display
+ */
+const formatScore = (score, digits = 3) =>
+	score === null || score === undefined ? '—' : score.toFixed(digits);
+
+/**
+ * Describe why a candidate was or wasn't used
+ */
+const getCandidateStatus = (candidate) => {
+	if (candidate.contextNumber) {
+		return {
+			text: `In context [${candidate.contextNumber}]`,
+			color: 'text-green-400',
+		};
+	}
+	if (candidate.belowThreshold) {
+		return { text: 'Below min score', color: 'text-red-400' };
+	}
+	if (candidate.selected) {
+		return { text: 'Dropped by reranker', color: 'text-yellow-400' };
+	}
+	return { text: 'Not selected', color: 'text-gray-500' };
+};
+
+/**
+ * Collapsible block of preformatted text
+ */
+const TextBlock = ({ title, text }) => (
+	<details className="bg-gray-800 rounded-lg border border-gray-700">
+		<summary className="px-4 py-3 text-sm font-medium text-white cursor-pointer">
+			{title}
+		</summary>
+		<pre className="px-4 pb-4 text-xs text-gray-300 whitespace-pre-wrap break-words">
+			{text}
+		</pre>
+	</details>
+);
+
+/**
+ * Playground Tab Component - Run a query through the bot's retrieval
+ * pipeline and inspect every step
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function PlaygroundTab({ botId, showNotification }) {
+	const [query, setQuery] = useState('');
+	const [result, setResult] = useState(null);
+	const [running, setRunning] = useState(false);
+
+	const handleRun = async (e) => {
+		e.preventDefault();
+		if (!query.trim()) return;
+
+		try {
+			setRunning(true);
+			const response = await fetch(`/api/bots/${botId}/retrieval-test`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ query: query.trim() }),
+			});
+			const data = await response.json();
+
+			if (data.success) {
+				setResult(data.data);
+			} else {
+				showNotification(data.error || 'Failed to run test', 'error');
+			}
+		} catch (error) {
+			console.error('Error running retrieval test:', error);
+			showNotification('Failed to run test', 'error');
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	return (
+		<div className="lg:col-span-12 space-y-6">
+			<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+				<h2 className="text-lg font-medium text-white">Retrieval Playground</h2>
+				<p className="text-sm text-gray-400 mt-1">
+					See which chunks a question retrieves, how they score and the prompt
+					the model receives. Test queries are not saved as conversations.
+				</p>
+
+				<form onSubmit={handleRun} className="mt-4 flex gap-3">
+					<div className="relative flex-1">
+						<SearchIcon className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+						<input
+							type="text"
+							value={query}
+							onChange={(e) => setQuery(e.target.value)}
+							placeholder="Ask a question your visitors might ask..."
+							maxLength={5000}
+							className="w-full pl-9 pr-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-orange-500"
+						/>
+					</div>
+					<button
+						type="submit"
+						disabled={running || !query.trim()}
+						className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 flex items-center space-x-2">
+						{running && <LoadingSpinner className="w-4 h-4" />}
+						<span>{running ? 'Running...' : 'Run'}</span>
+					</button>
+				</form>
+			</div>
+
+			{result && (
+				<>
+					{result.faqMatch && (
+						<div className="bg-gray-900 rounded-lg border border-green-800 p-4">
+							<p className="text-sm text-green-400">
+								Chat answers this with a FAQ (similarity{' '}
+								{formatScore(result.faqMatch.score)}) without calling the model.
+							</p>
+							<p className="text-white text-sm mt-2">
+								{result.faqMatch.question}
+							</p>
+							<p className="text-gray-300 text-sm mt-1 whitespace-pre-wrap">
+								{result.faqMatch.answer}
+							</p>
+						</div>
+					)}
+
+					<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+						<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+							<p className="text-xs text-gray-400">Intent</p>
+							<p className="text-white mt-1">
+								{INTENT_LABELS[result.intent.type] || result.intent.type}{' '}
+								<span className="text-gray-400 text-sm">
+									({Math.round(result.intent.confidence * 100)}%)
+								</span>
+							</p>
+							{!result.intent.usesRetrieval && (
+								<p className="text-xs text-yellow-400 mt-1">
+									Chat answers this without the knowledge base
+								</p>
+							)}
+						</div>
+						<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+							<p className="text-xs text-gray-400">Search query</p>
+							<p className="text-white mt-1 break-words">
+								{result.searchQuery}
+							</p>
+						</div>
+						<div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+							<p className="text-xs text-gray-400">Retrieval settings</p>
+							<p className="text-white mt-1 text-sm">
+								Top {result.retrievalConfig.topK} · min score{' '}
+								{result.retrievalConfig.minScore}
+								{result.retrievalConfig.hybrid?.enabled && ' · hybrid'}
+								{result.retrievalConfig.mmr?.enabled && ' · MMR'}
+								{result.retrievalConfig.rerank?.enabled && ' · rerank'}
+							</p>
+							<p className="text-xs text-gray-400 mt-1">
+								{result.responseTime}ms
+							</p>
+						</div>
+					</div>
+
+					<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+						<h3 className="text-white font-medium mb-4">
+							Candidates ({result.candidates.length})
+						</h3>
+						{result.candidates.length === 0 ? (
+							<p className="text-sm text-gray-400">
+								No chunks were found. Check that the bot&apos;s files have
+								finished processing.
+							</p>
+						) : (
+							<div className="space-y-3">
+								{result.candidates.map((candidate) => {
+									const status = getCandidateStatus(candidate);
+									return (
+										<div
+											key={candidate.id}
+											className="p-3 bg-gray-800 rounded-lg border border-gray-700">
+											<div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs mb-2">
+												<span className={status.color}>{status.text}</span>
+												<span className="text-gray-200">
+													{candidate.fileName}
+												</span>
+												{candidate.pageNumber && (
+													<span className="text-gray-400">
+														p. {candidate.pageNumber}
+														{candidate.pageEnd &&
+															candidate.pageEnd !== candidate.pageNumber &&
+															`-${candidate.pageEnd}`}
+													</span>
+												)}
+												{candidate.chunkIndex !== null && (
+													<span className="text-gray-400">
+														chunk #{candidate.chunkIndex + 1}
+													</span>
+												)}
+												<span className="text-blue-400">
+													similarity {formatScore(candidate.vectorScore)}
+												</span>
+												{candidate.keywordScore !== null && (
+													<span className="text-gray-400">
+														keyword {formatScore(candidate.keywordScore, 2)}
+													</span>
+												)}
+												{candidate.fusedScore !== null && (
+													<span className="text-gray-400">
+														fused {formatScore(candidate.fusedScore, 4)}
+													</span>
+												)}
+												{candidate.rerankScore !== null && (
+													<span className="text-gray-400">
+														rerank {formatScore(candidate.rerankScore)}
+													</span>
+												)}
+											</div>
+											{candidate.headingPath && (
+												<p className="text-xs text-gray-500 mb-1">
+													{candidate.headingPath}
+												</p>
+											)}
+											<p className="text-sm text-gray-300 whitespace-pre-wrap break-words line-clamp-4">
+												{candidate.content}
+											</p>
+										</div>
+									);
+								})}
+							</div>
+						)}
+					</div>
+
+					{result.prompt && (
+						<TextBlock title="Prompt sent to the model" text={result.prompt} />
+					)}
+
+					<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+						<div className="flex items-center justify-between mb-3">
+							<h3 className="text-white font-medium">Answer</h3>
+							<span className="text-xs text-gray-400">
+								{result.answer.model} · ~{result.answer.tokensUsed} tokens
+							</span>
+						</div>
+						<p className="text-sm text-gray-200 whitespace-pre-wrap">
+							{result.answer.content}
+						</p>
+					</div>
+				</>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,423 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { LoadingSpinner, RefreshIcon, XIcon } from '@/components/ui/icons';
+import WebhookDeliveries from '@/components/dashboard/WebhookDeliveries';
+import { WEBHOOK_EVENTS } from '@/lib/utils/webhookEvents';
+
+const EVENT_LABELS = {
+	[WEBHOOK_EVENTS.CONVERSATION_STARTED]: 'A visitor starts a conversation',
+	[WEBHOOK_EVENTS.MESSAGE_CREATED]: 'A message is added to a conversation',
+	[WEBHOOK_EVENTS.HANDOFF_REQUESTED]: 'A conversation is handed off to you',
+	[WEBHOOK_EVENTS.FILE_PROCESSED]: 'A file finishes processing',
+	[WEBHOOK_EVENTS.FILE_FAILED]: 'A file fails processing',
+	[WEBHOOK_EVENTS.FEEDBACK_SUBMITTED]: 'A visitor rates an answer',
+};
+
+const EMPTY_FORM = {
+	url: '',
+	description: '',
+	events: [],
+};
+
+const LAST_DELIVERY_STYLES = {
+	delivered: 'text-green-400',
+	failed: 'text-red-400',
+};
+
+/**
+ * Webhooks Tab Component - Send bot events to the owner's endpoints
+ * @param {Object} props
+ * @param {string} props.botId - Bot ID
+ * @param {Function} props.showNotification - Notification callback
+ */
+export default function WebhooksTab({ botId, showNotification }) {
+	const [webhooks, setWebhooks] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [saving, setSaving] = useState(false);
+	const [busyWebhookId, setBusyWebhookId] = useState(null);
+	const [openWebhookId, setOpenWebhookId] = useState(null);
+	// Secret of a new or rotated webhook, shown once: { webhookId, secret }
+	const [revealedSecret, setRevealedSecret] = useState(null);
+
+	const fetchWebhooks = useCallback(async () => {
+		try {
+			const response = await fetch(`/api/bots/${botId}/webhooks`);
+			const data = await response.json();
+			if (data.success) {
+				setWebhooks(data.data.webhooks);
+			}
+		} catch (err) {
+			console.error('Error fetching webhooks:', err);
+		} finally {
+			setLoading(false);
+		}
+	}, [botId]);
+
+	useEffect(() => {
+		fetchWebhooks();
+	}, [fetchWebhooks]);
+
+	const toggleFormEvent = (event) => {
+		setForm((prev) => ({
+			...prev,
+			events: prev.events.includes(event)
+				? prev.events.filter((value) => value !== event)
+				: [...prev.events, event],
+		}));
+	};
+
+	const addWebhook = async () => {
+		if (!form.url.trim()) {
+			showNotification('Enter the URL of your endpoint', 'error');
+			return;
+		}
+		if (form.events.length === 0) {
+			showNotification('Select at least one event', 'error');
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const response = await fetch(`/api/bots/${botId}/webhooks`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					url: form.url.trim(),
+					description: form.description.trim(),
+					events: form.events,
+				}),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				const { secret, ...webhook } = data.data;
+				setWebhooks((prev) => [webhook, ...prev]);
+				setRevealedSecret({ webhookId: webhook.id, secret });
+				setForm(EMPTY_FORM);
+				showNotification('Webhook added');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to add webhook',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error adding webhook:', err);
+			showNotification('Failed to add webhook', 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const updateWebhook = async (webhookId, updates, successMessage) => {
+		setBusyWebhookId(webhookId);
+		try {
+			const response = await fetch(`/api/bots/${botId}/webhooks/${webhookId}`, {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify(updates),
+			});
+
+			const data = await response.json();
+			if (data.success) {
+				const { secret, ...webhook } = data.data;
+				setWebhooks((prev) =>
+					prev.map((w) => (w.id === webhookId ? webhook : w))
+				);
+				if (secret) {
+					setRevealedSecret({ webhookId, secret });
+				}
+				showNotification(successMessage);
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to update webhook',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error updating webhook:', err);
+			showNotification('Failed to update webhook', 'error');
+		} finally {
+			setBusyWebhookId(null);
+		}
+	};
+
+	const rotateSecret = (webhook) => {
+		if (
+			!confirm(
+				'Rotate the signing secret? Requests signed with the old secret will stop verifying.'
+			)
+		) {
+			return;
+		}
+		updateWebhook(webhook.id, { rotateSecret: true }, 'Signing secret rotated');
+	};
+
+	const deleteWebhook = async (webhook) => {
+		if (
+			!confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)
+		) {
+			return;
+		}
+
+		setBusyWebhookId(webhook.id);
+		try {
+			const response = await fetch(
+				`/api/bots/${botId}/webhooks/${webhook.id}`,
+				{ method: 'DELETE' }
+			);
+
+			const data = await response.json();
+			if (data.success) {
+				setWebhooks((prev) => prev.filter((w) => w.id !== webhook.id));
+				showNotification('Webhook deleted');
+			} else {
+				showNotification(
+					data.error || data.message || 'Failed to delete webhook',
+					'error'
+				);
+			}
+		} catch (err) {
+			console.error('Error deleting webhook:', err);
+			showNotification('Failed to delete webhook', 'error');
+		} finally {
+			setBusyWebhookId(null);
+		}
+	};
+
+	const copySecret = async () => {
+		try {
+			await navigator.clipboard.writeText(revealedSecret.secret);
+			showNotification('Signing secret copied');
+		} catch {
+			showNotification('Failed to copy the secret', 'error');
+		}
+	};
+
+	const inputClass =
+		'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-white text-sm';
+
+	return (
+		<div className="lg:col-span-12 space-y-6">
+			<div className="bg-gray-900 rounded-lg border border-gray-800 p-6">
+				<div className="flex items-center justify-between mb-4">
+					<div>
+						<h2 className="text-lg font-medium text-white">Webhooks</h2>
+						<p className="text-sm text-gray-400 mt-1">
+							Send this bot&apos;s events to your own systems. Each request is
+							signed in the{' '}
+							<code className="text-gray-300">X-PlugRAG-Signature</code> header
+							and failed deliveries are retried for a few minutes.
+						</p>
+					</div>
+					<button
+						onClick={fetchWebhooks}
+						disabled={loading}
+						title="Refresh"
+						className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50">
+						{loading ? (
+							<LoadingSpinner className="w-4 h-4" />
+						) : (
+							<RefreshIcon className="w-4 h-4" />
+						)}
+					</button>
+				</div>
+
+				{/* Existing webhooks */}
+				<div className="space-y-3 mb-6">
+					{webhooks.map((webhook) => (
+						<div
+							key={webhook.id}
+							className="p-4 bg-gray-800 rounded-lg border border-gray-700">
+							<div className="flex items-start justify-between">
+								<div className="min-w-0 flex-1">
+									<p className="text-sm text-white truncate">{webhook.url}</p>
+									{webhook.description && (
+										<p className="text-xs text-gray-400 mt-1">
+											{webhook.description}
+										</p>
+									)}
+									<p className="text-xs text-gray-500 mt-1 font-mono">
+										{webhook.events.join(', ')}
+									</p>
+									<p className="text-xs text-gray-500 mt-1">
+										Secret ending in {webhook.secretPreview}
+										{webhook.lastDeliveryAt && (
+											<>
+												{' · last delivery '}
+												<span
+													className={
+														LAST_DELIVERY_STYLES[webhook.lastDeliveryStatus]
+													}>
+													{webhook.lastDeliveryStatus}
+												</span>{' '}
+												{new Date(webhook.lastDeliveryAt).toLocaleString()}
+											</>
+										)}
+									</p>
+								</div>
+
+								<div className="flex items-center space-x-3 ml-4 flex-shrink-0">
+									<label className="flex items-center space-x-2 text-xs text-gray-300">
+										<input
+											type="checkbox"
+											checked={webhook.enabled}
+											onChange={(e) =>
+												updateWebhook(
+													webhook.id,
+													{ enabled: e.target.checked },
+													e.target.checked
+														? 'Webhook enabled'
+														: 'Webhook disabled'
+												)
+											}
+											disabled={busyWebhookId === webhook.id}
+											className="accent-orange-500"
+										/>
+										<span>Enabled</span>
+									</label>
+									<button
+										onClick={() =>
+											setOpenWebhookId((prev) =>
+												prev === webhook.id ? null : webhook.id
+											)
+										}
+										className="text-xs text-gray-400 hover:text-orange-400">
+										{openWebhookId === webhook.id ? 'Hide log' : 'Deliveries'}
+									</button>
+									<button
+										onClick={() => rotateSecret(webhook)}
+										disabled={busyWebhookId === webhook.id}
+										className="text-xs text-gray-400 hover:text-orange-400 disabled:opacity-50">
+										Rotate secret
+									</button>
+									<button
+										onClick={() => deleteWebhook(webhook)}
+										disabled={busyWebhookId === webhook.id}
+										title="Delete webhook"
+										className="p-1.5 text-gray-400 hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed">
+										<XIcon className="w-4 h-4" />
+									</button>
+								</div>
+							</div>
+
+							{revealedSecret?.webhookId === webhook.id && (
+								<div className="mt-3 p-3 bg-yellow-900/20 border border-yellow-700/40 rounded-lg">
+									<p className="text-xs text-yellow-300 mb-2">
+										Copy this signing secret now. It will not be shown again.
+									</p>
+									<div className="flex items-center space-x-2">
+										<code className="flex-1 text-xs text-white bg-gray-900 rounded px-2 py-1.5 break-all">
+											{revealedSecret.secret}
+										</code>
+										<button
+											onClick={copySecret}
+											className="px-3 py-1.5 bg-orange-500 hover:bg-orange-600 text-white text-xs rounded-lg">
+											Copy
+										</button>
+										<button
+											onClick={() => setRevealedSecret(null)}
+											className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-gray-200 text-xs rounded-lg">
+											Done
+										</button>
+									</div>
+								</div>
+							)}
+
+							{openWebhookId === webhook.id && (
+								<WebhookDeliveries
+									botId={botId}
+									webhookId={webhook.id}
+									canRedeliver={webhook.enabled}
+									showNotification={showNotification}
+								/>
+							)}
+						</div>
+					))}
+
+					{webhooks.length === 0 && !loading && (
+						<p className="text-gray-500 text-sm">No webhooks added yet</p>
+					)}
+				</div>
+
+				{/* Add webhook */}
+				<div className="pt-4 border-t border-gray-800">
+					<h3 className="text-sm font-medium text-gray-300 mb-3">
+						Add Webhook
+					</h3>
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+						<div>
+							<label className="block text-sm text-gray-300 mb-1">
+								Endpoint URL
+							</label>
+							<input
+								type="url"
+								value={form.url}
+								onChange={(e) =>
+									setForm((prev) => ({ ...prev, url: e.target.value }))
+								}
+								placeholder="https://example.com/webhooks/plugrag"
+								className={inputClass}
+							/>
+							<label className="block text-sm text-gray-300 mb-1 mt-3">
+								Description (optional)
+							</label>
+							<input
+								type="text"
+								maxLength={200}
+								value={form.description}
+								onChange={(e) =>
+									setForm((prev) => ({ ...prev, description: e.target.value }))
+								}
+								placeholder="CRM sync"
+								className={inputClass}
+							/>
+						</div>
+						<div>
+							<p className="text-sm text-gray-300 mb-1">Events</p>
+							<div className="space-y-1">
+								{Object.values(WEBHOOK_EVENTS).map((event) => (
+									<label
+										key={event}
+										className="flex items-center space-x-2 text-sm text-gray-300">
+										<input
+											type="checkbox"
+											checked={form.events.includes(event)}
+											onChange={() => toggleFormEvent(event)}
+											className="accent-orange-500"
+										/>
+										<span>{EVENT_LABELS[event]}</span>
+										<span className="text-xs text-gray-500 font-mono">
+											{event}
+										</span>
+									</label>
+								))}
+							</div>
+						</div>
+					</div>
+
+					<div className="mt-4 flex justify-end">
+						<button
+							onClick={addWebhook}
+							disabled={saving}
+							className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+							{saving ? (
+								<>
+									<LoadingSpinner className="w-4 h-4 mr-2 inline-block" />
+									Adding...
+								</>
+							) : (
+								'Add Webhook'
+							)}
+						</button>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,291 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LoadingSpinner, SearchIcon } from '@/components/ui/icons';
+
+const CHUNKS_PER_PAGE = 10;
+
+const STATUS_FILTERS = [
+	{ value: 'all', label: 'All chunks' },
+	{ value: 'enabled', label: 'Enabled' },
+	{ value: 'disabled', label: 'Disabled' },
+	{ value: 'edited', label: 'Edited' },
+];
+
+/**
+ * Format the page range a chunk came from
+ */
+const formatPages = (chunk) => {
+	if (!chunk.pageNumber) return null;
+	return chunk.pageEnd && chunk.pageEnd !== chunk.pageNumber
+		? `Pages ${chunk.pageNumber}-${chunk.pageEnd}`
+		: `Page ${chunk.pageNumber}`;
+};
+
+/**
+ * File Chunks - Browse a file's chunks and edit, disable or delete them
+ * @param {Object} props
+ * @param {string} props.fileId - File ID
+ * @param {boolean} props.canEdit - False while the file is being processed
+ */
+const FileChunks = ({ fileId, canEdit }) => {
+	const [chunks, setChunks] = useState([]);
+	const [counts, setCounts] = useState(null);
+	const [pagination, setPagination] = useState(null);
+	const [page, setPage] = useState(1);
+	const [searchInput, setSearchInput] = useState('');
+	const [search, setSearch] = useState('');
+	const [status, setStatus] = useState('all');
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState('');
+	const [editingId, setEditingId] = useState(null);
+	const [draft, setDraft] = useState('');
+	const [savingId, setSavingId] = useState(null);
+
+	const fetchChunks = useCallback(async () => {
+		try {
+			const params = new URLSearchParams({
+				page: page.toString(),
+				limit: CHUNKS_PER_PAGE.toString(),
+				status,
+			});
+			if (search) params.append('search', search);
+
+			const response = await fetch(`/api/files/${fileId}/chunks?${params}`);
+			const data = await response.json();
+			if (!data.success) {
+				throw new Error(data.error || 'Failed to load chunks');
+			}
+
+			setChunks(data.data.chunks);
+			setCounts(data.data.counts);
+			setPagination(data.data.pagination);
+		} catch (err) {
+			console.error('Error fetching chunks:', err);
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [fileId, page, search, status]);
+
+	useEffect(() => {
+		fetchChunks();
+	}, [fetchChunks]);
+
+	const handleSearch = (e) => {
+		e.preventDefault();
+		setPage(1);
+		setSearch(searchInput.trim());
+	};
+
+	const updateChunk = async (chunkId, changes) => {
+		setSavingId(chunkId);
+		setError('');
+		try {
+			const response = await fetch(`/api/files/${fileId}/chunks/${chunkId}`, {
+				method: 'PATCH',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(changes),
+			});
+			const data = await response.json();
+			if (!data.success) {
+				throw new Error(data.error || 'Failed to update chunk');
+			}
+
+			setEditingId(null);
+			await fetchChunks();
+		} catch (err) {
+			console.error('Error updating chunk:', err);
+			setError(err.message);
+		} finally {
+			setSavingId(null);
+		}
+	};
+
+	const deleteChunk = async (chunk) => {
+		if (
+			!confirm(
+				`Delete chunk #${chunk.chunkIndex + 1}? It won't be restored when the file is processed again.`
+			)
+		) {
+			return;
+		}
+
+		setSavingId(chunk.id);
+		setError('');
+		try {
+			const response = await fetch(`/api/files/${fileId}/chunks/${chunk.id}`, {
+				method: 'DELETE',
+			});
+			const data = await response.json();
+			if (!data.success) {
+				throw new Error(data.error || 'Failed to delete chunk');
+			}
+
+			await fetchChunks();
+		} catch (err) {
+			console.error('Error deleting chunk:', err);
+			setError(err.message);
+		} finally {
+			setSavingId(null);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner className="w-4 h-4 text-gray-400 mt-3" />;
+	}
+
+	return (
+		<div className="mt-3 pt-3 border-t border-gray-700 space-y-3">
+			<div className="flex items-center justify-between gap-3">
+				<form onSubmit={handleSearch} className="relative flex-1">
+					<SearchIcon className="w-4 h-4 text-gray-500 absolute left-2 top-1/2 -translate-y-1/2" />
+					<input
+						type="text"
+						value={searchInput}
+						onChange={(e) => setSearchInput(e.target.value)}
+						placeholder="Search chunk text..."
+						className="w-full pl-8 pr-3 py-1.5 text-sm bg-gray-900 border border-gray-600 rounded text-white placeholder-gray-500 focus:outline-none focus:border-orange-500"
+					/>
+				</form>
+				<select
+					value={status}
+					onChange={(e) => {
+						setPage(1);
+						setStatus(e.target.value);
+					}}
+					className="px-2 py-1.5 text-sm bg-gray-900 border border-gray-600 rounded text-white focus:outline-none focus:border-orange-500">
+					{STATUS_FILTERS.map((filter) => (
+						<option key={filter.value} value={filter.value}>
+							{filter.label}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{counts && (
+				<p className="text-xs text-gray-400">
+					{counts.total} chunks · {counts.disabled} disabled · {counts.edited}{' '}
+					edited
+					{!canEdit && ' · Editing is unavailable while the file is processed'}
+				</p>
+			)}
+
+			{error && <p className="text-sm text-red-400">{error}</p>}
+
+			{chunks.length === 0 ? (
+				<p className="text-sm text-gray-400">No chunks found.</p>
+			) : (
+				chunks.map((chunk) => (
+					<div
+						key={chunk.id}
+						className={`p-3 rounded border border-gray-700 bg-gray-900 ${
+							chunk.disabled ? 'opacity-60' : ''
+						}`}>
+						<div className="flex items-center justify-between text-xs mb-2">
+							<div className="flex items-center space-x-2 text-gray-400 min-w-0">
+								<span className="text-gray-200">#{chunk.chunkIndex + 1}</span>
+								{formatPages(chunk) && <span>{formatPages(chunk)}</span>}
+								{chunk.tokenCount != null && (
+									<span>{chunk.tokenCount} tokens</span>
+								)}
+								{chunk.headingPath && (
+									<span className="truncate">{chunk.headingPath}</span>
+								)}
+								{chunk.edited && <span className="text-blue-400">Edited</span>}
+								{chunk.disabled && (
+									<span className="text-yellow-400">Disabled</span>
+								)}
+							</div>
+							{canEdit && editingId !== chunk.id && (
+								<div className="flex items-center space-x-2 flex-shrink-0">
+									{savingId === chunk.id && (
+										<LoadingSpinner className="w-3 h-3 text-orange-400" />
+									)}
+									<button
+										onClick={() => {
+											setEditingId(chunk.id);
+											setDraft(chunk.content);
+										}}
+										disabled={savingId === chunk.id}
+										className="px-2 py-1 text-gray-300 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50">
+										Edit
+									</button>
+									<button
+										onClick={() =>
+											updateChunk(chunk.id, { disabled: !chunk.disabled })
+										}
+										disabled={savingId === chunk.id}
+										className="px-2 py-1 text-gray-300 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50">
+										{chunk.disabled ? 'Enable' : 'Disable'}
+									</button>
+									<button
+										onClick={() => deleteChunk(chunk)}
+										disabled={savingId === chunk.id}
+										className="px-2 py-1 text-red-400 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50">
+										Delete
+									</button>
+								</div>
+							)}
+						</div>
+
+						{editingId === chunk.id ? (
+							<div className="space-y-2">
+								<textarea
+									value={draft}
+									onChange={(e) => setDraft(e.target.value)}
+									rows={8}
+									className="w-full p-2 text-sm bg-gray-800 border border-gray-600 rounded text-white focus:outline-none focus:border-orange-500"
+								/>
+								<div className="flex items-center justify-end space-x-2 text-xs">
+									<span className="text-gray-400 mr-auto">
+										Saving re-embeds the chunk with the bot&apos;s embedding
+										model.
+									</span>
+									<button
+										onClick={() => setEditingId(null)}
+										disabled={savingId === chunk.id}
+										className="px-2 py-1 text-gray-300 border border-gray-600 rounded hover:bg-gray-700">
+										Cancel
+									</button>
+									<button
+										onClick={() => updateChunk(chunk.id, { content: draft })}
+										disabled={savingId === chunk.id || !draft.trim()}
+										className="px-2 py-1 text-white bg-orange-500 rounded hover:bg-orange-600 disabled:opacity-50">
+										{savingId === chunk.id ? 'Saving...' : 'Save'}
+									</button>
+								</div>
+							</div>
+						) : (
+							<p className="text-sm text-gray-300 whitespace-pre-wrap break-words">
+								{chunk.content}
+							</p>
+						)}
+					</div>
+				))
+			)}
+
+			{pagination && pagination.totalPages > 1 && (
+				<div className="flex items-center justify-between text-xs text-gray-400">
+					<span>
+						Page {pagination.currentPage} of {pagination.totalPages}
+					</span>
+					<div className="space-x-2">
+						<button
+							onClick={() => setPage((prev) => prev - 1)}
+							disabled={!pagination.hasPrevPage}
+							className="px-2 py-1 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50">
+							Previous
+						</button>
+						<button
+							onClick={() => setPage((prev) => prev + 1)}
+							disabled={!pagination.hasNextPage}
+							className="px-2 py-1 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50">
+							Next
+						</button>
+					</div>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default FileChunks;
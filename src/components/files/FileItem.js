@@ -1,11 +1,31 @@
+import { useState, useRef } from 'react';
 import {
 	FileIcon,
 	XIcon,
 	LoadingSpinner,
 	RefreshIcon,
+	UploadIcon,
 } from '@/components/ui/icons';
+import FileVersions from '@/components/files/FileVersions';
+import FileChunks from '@/components/files/FileChunks';
+import { ACCEPTED_FILE_EXTENSIONS } from '@/lib/utils/fileTypes';
+
+// OCR text below this confidence (0-100) is likely to contain errors
+const LOW_OCR_CONFIDENCE = 70;
+
+const FileItem = ({
+	file,
+	isProcessing,
+	onDelete,
+	onRetry,
+	onCancel,
+	onReplace,
+	onActivateVersion,
+}) => {
+	const [showVersions, setShowVersions] = useState(false);
+	const [showChunks, setShowChunks] = useState(false);
+	const replaceInputRef = useRef(null);
 
-const FileItem = ({ file, isProcessing, onDelete, onRetry, onCancel }) => {
 	const getFileStatus = () => {
 		// Priority: Check file.status first for critical states
 		if (file.status === 'deleted') {
@@ -18,12 +38,30 @@ const FileItem = ({ file, isProcessing, onDelete, onRetry, onCancel }) => {
 			return { color: 'text-gray-500', text: 'Canceled' };
 		}
 
+		// A new version is processed while the live one keeps answering
+		if (
+			file.pendingVersion &&
+			['queued', 'processing', 'retrying'].includes(file.embeddingStatus)
+		) {
+			return {
+				color: 'text-orange-400',
+				text: `Updating to v${file.pendingVersion}...`,
+			};
+		}
+
 		// Check embeddingStatus for processing states
 		switch (file.embeddingStatus) {
 			case 'completed':
 				return { color: 'text-green-400', text: 'Ready' };
 			case 'processing':
-				return { color: 'text-orange-400', text: 'Processing...' };
+				return {
+					color: 'text-orange-400',
+					// Progress arrives live from the worker
+					text:
+						file.progress != null
+							? `Processing ${file.progress}%`
+							: 'Processing...',
+				};
 			case 'queued':
 				return { color: 'text-blue-400', text: 'Queued' };
 			case 'retrying':
@@ -62,61 +100,144 @@ const FileItem = ({ file, isProcessing, onDelete, onRetry, onCancel }) => {
 	const canDelete =
 		file.status !== 'deleted' && file.embeddingStatus !== 'deleted';
 
+	// Crawled pages are updated by re-crawling their website
+	const canReplace =
+		canDelete &&
+		file.sourceType !== 'url' &&
+		!['queued', 'processing', 'retrying'].includes(file.embeddingStatus);
+
+	const handleReplaceSelected = (e) => {
+		const selectedFile = e.target.files?.[0];
+		e.target.value = '';
+		if (selectedFile) {
+			onReplace(file, selectedFile);
+		}
+	};
+
 	return (
-		<div className="flex items-center justify-between p-4 bg-gray-800 rounded-lg border border-gray-700">
-			<div className="flex items-center space-x-3">
-				<div className="w-9 h-9 bg-orange-500/20 rounded flex items-center justify-center">
-					<FileIcon className="w-6 h-6 text-orange-400" />
-				</div>
-				<div>
-					<p className="font-medium text-white">{file.filename}</p>
-					<div className="flex items-center space-x-3 text-sm">
-						<span className="text-gray-400">
-							{(file.size / 1024).toFixed(1)} KB
-						</span>
-						<span className={statusColor}>{statusText}</span>
-						{file.totalChunks > 0 && (
-							<span className="text-gray-400">{file.totalChunks} chunks</span>
-						)}
-						{file.embeddingTokens > 0 && (
-							<span className="text-blue-400">
-								{file.embeddingTokens} tokens
+		<div className="p-4 bg-gray-800 rounded-lg border border-gray-700">
+			<div className="flex items-center justify-between">
+				<div className="flex items-center space-x-3">
+					<div className="w-9 h-9 bg-orange-500/20 rounded flex items-center justify-center">
+						<FileIcon className="w-6 h-6 text-orange-400" />
+					</div>
+					<div>
+						<p className="font-medium text-white">
+							{file.filename}
+							{file.sourceType !== 'url' && (
+								<button
+									onClick={() => setShowVersions((prev) => !prev)}
+									className="ml-2 text-xs text-gray-400 hover:text-orange-400"
+									title="Version history">
+									v{file.version || 1}
+								</button>
+							)}
+						</p>
+						<div className="flex items-center space-x-3 text-sm">
+							<span className="text-gray-400">
+								{(file.size / 1024).toFixed(1)} KB
 							</span>
-						)}
+							<span className={statusColor}>{statusText}</span>
+							{file.totalChunks > 0 && (
+								<button
+									onClick={() => setShowChunks((prev) => !prev)}
+									className="text-gray-400 hover:text-orange-400"
+									title="Browse chunks">
+									{file.totalChunks} chunks
+								</button>
+							)}
+							{file.embeddingTokens > 0 && (
+								<span className="text-blue-400">
+									{file.embeddingTokens} tokens
+								</span>
+							)}
+							{file.ocrConfidence != null && (
+								<span
+									className={
+										file.ocrConfidence < LOW_OCR_CONFIDENCE
+											? 'text-yellow-400'
+											: 'text-gray-400'
+									}
+									title={
+										file.ocrConfidence < LOW_OCR_CONFIDENCE
+											? 'Text was read with OCR and may contain errors. Upload a cleaner scan or a text version if answers look wrong.'
+											: 'Text was read with OCR'
+									}>
+									OCR {file.ocrConfidence}%
+								</span>
+							)}
+						</div>
 					</div>
 				</div>
-			</div>
 
-			<div className="flex items-center space-x-2">
-				{isProcessing && <LoadingSpinner className="w-4 h-4 text-orange-400" />}
-
-				{canRetry && onRetry && (
-					<button
-						onClick={() => onRetry(file.id, file.filename)}
-						className="text-gray-400 hover:text-orange-400 transition-colors p-1"
-						title="Retry processing">
-						<RefreshIcon className="w-5 h-5" />
-					</button>
-				)}
-
-				{canCancel && onCancel && (
-					<button
-						onClick={() => onCancel(file.id, file.filename)}
-						className="text-gray-400 hover:text-yellow-400 transition-colors p-1 text-xs px-2 py-1 border border-gray-600 rounded hover:bg-gray-700"
-						title="Cancel processing">
-						Cancel
-					</button>
-				)}
-
-				{canDelete && onDelete && (
-					<button
-						onClick={onDelete}
-						className="text-gray-400 hover:text-red-400 transition-colors p-1"
-						title="Delete file">
-						<XIcon className="w-6 h-6 bg-red-500 rounded text-white hover:bg-red-700" />
-					</button>
-				)}
+				<div className="flex items-center space-x-2">
+					{isProcessing && (
+						<LoadingSpinner className="w-4 h-4 text-orange-400" />
+					)}
+
+					{canRetry && onRetry && (
+						<button
+							onClick={() => onRetry(file.id, file.filename)}
+							className="text-gray-400 hover:text-orange-400 transition-colors p-1"
+							title="Retry processing">
+							<RefreshIcon className="w-5 h-5" />
+						</button>
+					)}
+
+					{canReplace && onReplace && (
+						<>
+							<input
+								ref={replaceInputRef}
+								type="file"
+								accept={ACCEPTED_FILE_EXTENSIONS.join(',')}
+								className="hidden"
+								onChange={handleReplaceSelected}
+							/>
+							<button
+								onClick={() => replaceInputRef.current?.click()}
+								className="text-gray-400 hover:text-orange-400 transition-colors p-1"
+								title="Upload a new version">
+								<UploadIcon className="w-5 h-5" />
+							</button>
+						</>
+					)}
+
+					{canCancel && onCancel && (
+						<button
+							onClick={() => onCancel(file.id, file.filename)}
+							className="text-gray-400 hover:text-yellow-400 transition-colors p-1 text-xs px-2 py-1 border border-gray-600 rounded hover:bg-gray-700"
+							title="Cancel processing">
+							Cancel
+						</button>
+					)}
+
+					{canDelete && onDelete && (
+						<button
+							onClick={onDelete}
+							className="text-gray-400 hover:text-red-400 transition-colors p-1"
+							title="Delete file">
+							<XIcon className="w-6 h-6 bg-red-500 rounded text-white hover:bg-red-700" />
+						</button>
+					)}
+				</div>
 			</div>
+
+			{showVersions && (
+				<FileVersions
+					fileId={file.id}
+					pendingVersion={file.pendingVersion}
+					onRollback={(version) => onActivateVersion?.(file, version)}
+				/>
+			)}
+
+			{showChunks && (
+				<FileChunks
+					fileId={file.id}
+					canEdit={
+						!['queued', 'processing', 'retrying'].includes(file.embeddingStatus)
+					}
+				/>
+			)}
 		</div>
 	);
 };
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { LoadingSpinner } from '@/components/ui/icons';
+
+const VERSION_STATUS_STYLES = {
+	initialized: 'text-gray-400',
+	uploaded: 'text-green-400',
+	failed: 'text-red-400',
+};
+
+/**
+ * File Versions - Version history of a file with rollback
+ * @param {Object} props
+ * @param {string} props.fileId - File ID
+ * @param {number} props.pendingVersion - Version currently being processed
+ * @param {Function} props.onRollback - Called with a version number to make live
+ */
+const FileVersions = ({ fileId, pendingVersion, onRollback }) => {
+	const [versions, setVersions] = useState([]);
+	const [loading, setLoading] = useState(true);
+
+	useEffect(() => {
+		const fetchVersions = async () => {
+			try {
+				const response = await fetch(`/api/files/${fileId}`);
+				const data = await response.json();
+				if (data.success) {
+					setVersions([...data.data.file.versions].reverse());
+				}
+			} catch (err) {
+				console.error('Error fetching file versions:', err);
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchVersions();
+	}, [fileId, pendingVersion]);
+
+	const liveVersion = versions.find((entry) => entry.isLive)?.version;
+
+	const getActionLabel = (entry) => {
+		if (entry.status === 'failed') return 'Retry';
+		return entry.version > liveVersion ? 'Make live' : 'Roll back';
+	};
+
+	if (loading) {
+		return <LoadingSpinner className="w-4 h-4 text-gray-400 mt-3" />;
+	}
+
+	return (
+		<div className="mt-3 pt-3 border-t border-gray-700 space-y-2">
+			{versions.map((entry) => (
+				<div
+					key={entry.version}
+					className="flex items-center justify-between text-sm">
+					<div className="min-w-0">
+						<span className="text-gray-200">v{entry.version}</span>
+						<span className="text-gray-400 ml-2 truncate">
+							{entry.filename} · {(entry.size / 1024).toFixed(1)} KB ·{' '}
+							{new Date(entry.createdAt).toLocaleString()}
+						</span>
+						{entry.isLive ? (
+							<span className="ml-2 text-green-400">Live</span>
+						) : entry.version === pendingVersion ? (
+							<span className="ml-2 text-orange-400">Processing...</span>
+						) : (
+							<span
+								className={`ml-2 ${VERSION_STATUS_STYLES[entry.status]}`}
+								title={entry.processingError}>
+								{entry.status === 'initialized'
+									? 'Upload not finished'
+									: entry.status === 'failed'
+										? 'Failed'
+										: ''}
+							</span>
+						)}
+					</div>
+					{!entry.isLive &&
+						!pendingVersion &&
+						entry.status !== 'initialized' && (
+							<button
+								onClick={() => onRollback(entry.version)}
+								className="text-xs px-2 py-1 text-gray-300 border border-gray-600 rounded hover:bg-gray-700 flex-shrink-0">
+								{getActionLabel(entry)}
+							</button>
+						)}
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default FileVersions;
@@ -15,3 +15,5 @@ export { default as RefreshIcon } from './RefreshIcon';
 export { default as SettingsIcon } from './SettingsIcon';
 export { default as CheckIcon } from './CheckIcon';
 export { default as WarningIcon } from './WarningIcon';
+export { default as ThumbUpIcon } from './ThumbUpIcon';
+export { default as ThumbDownIcon } from './ThumbDownIcon';
@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import { REALTIME_EVENTS } from '@/lib/utils/realtimeEvents';
+
+// One event stream per bot, shared by every component listening to it
+const connections = new Map();
+
+/**
+ * Open (or reuse) the event stream for a bot
+ * @param {string} botId - Bot ID
+ * @returns {{ source: EventSource, listeners: Set<Function> }}
+ */
+function getConnection(botId) {
+	let connection = connections.get(botId);
+	if (connection) return connection;
+
+	const source = new EventSource(`/api/bots/${botId}/events`);
+	connection = { source, listeners: new Set() };
+
+	Object.values(REALTIME_EVENTS).forEach((event) => {
+		source.addEventListener(event, (e) => {
+			let data;
+			try {
+				data = JSON.parse(e.data);
+			} catch {
+				return;
+			}
+			connection.listeners.forEach((listener) => listener(event, data));
+		});
+	});
+
+	connections.set(botId, connection);
+	return connection;
+}
+
+/**
+ * Custom hook that receives live dashboard events for a bot
+ * The browser reconnects the stream on its own after network errors.
+ * @param {string} botId - The bot ID to listen to
+ * @param {Function} onEvent - Called with (event, data) for each REALTIME_EVENTS event
+ */
+export function useBotEvents(botId, onEvent) {
+	const onEventRef = useRef(onEvent);
+
+	useEffect(() => {
+		onEventRef.current = onEvent;
+	}, [onEvent]);
+
+	useEffect(() => {
+		if (!botId) return;
+
+		const connection = getConnection(botId);
+		const listener = (event, data) => onEventRef.current?.(event, data);
+		connection.listeners.add(listener);
+
+		return () => {
+			connection.listeners.delete(listener);
+			if (connection.listeners.size === 0) {
+				connection.source.close();
+				connections.delete(botId);
+			}
+		};
+	}, [botId]);
+}
@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { fileAPI } from '@/lib/clientAPI';
+import { useBotEvents } from '@/hooks/useBotEvents';
+import { REALTIME_EVENTS } from '@/lib/utils/realtimeEvents';
 
 /**
  * Custom hook for managing files for a specific bot
@@ -84,6 +86,20 @@ export function useBotFiles(botId) {
     }
   }, []);
 
+  // Live processing progress from the worker; finished files are reloaded
+  // for their chunk and token counts
+  useBotEvents(botId, (event, data) => {
+    if (event === REALTIME_EVENTS.FILE_PROGRESS) {
+      setFiles(prev => prev.map(f =>
+        f.id === data.fileId
+          ? { ...f, embeddingStatus: 'processing', progress: data.progress }
+          : f
+      ));
+    } else if (event === REALTIME_EVENTS.FILE_STATUS) {
+      fetchFiles();
+    }
+  });
+
   useEffect(() => {
     // Create AbortController to cancel requests if botId changes
     const abortController = new AbortController();
@@ -7,6 +7,7 @@ import { useState, useEffect, useCallback } from 'react';
  * - Fetch conversations with pagination and filtering
  * - Fetch detailed conversation data
  * - Delete conversations
+ * - Reply to and hand back conversations handed off to the owner
  * - Real-time data management
  * - Loading states and error handling
  */
@@ -24,6 +25,7 @@ export const useConversations = (botId) => {
 	const [statistics, setStatistics] = useState({
 		totalConversations: 0,
 		activeConversations: 0,
+		awaitingAgentConversations: 0,
 		totalMessages: 0,
 		totalTokens: 0,
 		avgMessagesPerConversation: 0,
@@ -209,6 +211,73 @@ export const useConversations = (botId) => {
 		}
 	}, [botId]);
 
+	/**
+	 * Send an owner reply to a conversation that was handed off
+	 */
+	const sendAgentReply = useCallback(async (sessionId, content) => {
+		if (!botId || !sessionId) {
+			throw new Error('Bot ID and Session ID are required');
+		}
+
+		try {
+			const response = await fetch(`/api/bots/${botId}/conversations/${sessionId}/messages`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ content })
+			});
+
+			const data = await response.json();
+
+			if (data.success) {
+				// Reflect the new status in the list
+				setConversations(prev =>
+					prev.map(conv =>
+						conv.sessionId === sessionId ? { ...conv, status: data.data.status } : conv
+					)
+				);
+				return { success: true, data: data.data };
+			} else {
+				throw new Error(data.error || 'Failed to send reply');
+			}
+		} catch (err) {
+			console.error('Error sending reply:', err);
+			return { success: false, error: err.message };
+		}
+	}, [botId]);
+
+	/**
+	 * Hand a conversation back to the AI
+	 */
+	const resolveHandoff = useCallback(async (sessionId) => {
+		if (!botId || !sessionId) {
+			throw new Error('Bot ID and Session ID are required');
+		}
+
+		try {
+			const response = await fetch(`/api/bots/${botId}/conversations/${sessionId}`, {
+				method: 'PATCH',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ status: 'active' })
+			});
+
+			const data = await response.json();
+
+			if (data.success) {
+				setConversations(prev =>
+					prev.map(conv =>
+						conv.sessionId === sessionId ? { ...conv, status: data.data.status } : conv
+					)
+				);
+				return { success: true };
+			} else {
+				throw new Error(data.error || 'Failed to hand conversation back');
+			}
+		} catch (err) {
+			console.error('Error handing conversation back:', err);
+			return { success: false, error: err.message };
+		}
+	}, [botId]);
+
 	/**
 	 * Get conversation detail
 	 */
@@ -301,6 +370,8 @@ export const useConversations = (botId) => {
 		refresh,
 		deleteConversation,
 		getConversationDetail,
+		sendAgentReply,
+		resolveHandoff,
 
 		// Navigation
 		loadNextPage,
@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef } from 'react';
+import { useBotEvents } from '@/hooks/useBotEvents';
+import { REALTIME_EVENTS } from '@/lib/utils/realtimeEvents';
+
+/**
+ * Custom hook that watches for conversations handed off to the bot owner
+ * The waiting count is checked again whenever a conversation changes.
+ * @param {string} botId - The bot ID to watch
+ * @param {Object} options
+ * @param {boolean} options.enabled - Only poll while handoff is enabled for the bot
+ * @param {Function} options.onNewHandoff - Called with the waiting count when more visitors start waiting
+ * @returns {{ awaitingCount: number }}
+ */
+export function useHandoffAlerts(botId, { enabled = true, onNewHandoff } = {}) {
+	const [awaitingCount, setAwaitingCount] = useState(0);
+	const [checkKey, setCheckKey] = useState(0);
+	const previousCount = useRef(null);
+	const onNewHandoffRef = useRef(onNewHandoff);
+
+	useEffect(() => {
+		onNewHandoffRef.current = onNewHandoff;
+	}, [onNewHandoff]);
+
+	useBotEvents(enabled ? botId : null, (event) => {
+		if (event === REALTIME_EVENTS.CONVERSATION_UPDATED) {
+			setCheckKey((key) => key + 1);
+		}
+	});
+
+	useEffect(() => {
+		if (!enabled || !botId) return;
+
+		const checkWaiting = async () => {
+			try {
+				const response = await fetch(
+					`/api/bots/${botId}/conversations?status=awaiting_agent&limit=1`
+				);
+				if (!response.ok) return;
+
+				const data = await response.json();
+				const count = data.data?.statistics?.awaitingAgentConversations || 0;
+
+				// The first check only sets the baseline
+				if (previousCount.current !== null && count > previousCount.current) {
+					onNewHandoffRef.current?.(count);
+				}
+				previousCount.current = count;
+				setAwaitingCount(count);
+			} catch (error) {
+				console.error('Error checking handed-off conversations:', error);
+			}
+		};
+
+		checkWaiting();
+	}, [botId, enabled, checkKey]);
+
+	return { awaitingCount };
+}
@@ -1,7 +1,12 @@
 import { encrypt, decrypt } from '../utils/encryption.js';
-import { validateOpenAIKey } from '../integrations/openai.js';
+import { validateProviderConnection } from '../integrations/llmProvider.js';
 import Bot from '../../models/Bot.js';
 import connect from '../integrations/mongo.js';
+import {
+	getModelConfig,
+	getProviderConfig,
+	LLM_PROVIDERS,
+} from './modelConfig.js';
 
 /**
  * API Key Management Service
@@ -20,9 +25,23 @@ export class ApiKeyService {
 		try {
 			await connect();
 
-			// Step 1: Validate the API key first
+			// Step 1: Validate the API key against the bot's provider
+			const existingBot = await Bot.findOne({
+				_id: botId,
+				ownerId: userId,
+			}).select('llmProvider');
+
+			if (!existingBot) {
+				throw new Error('Bot not found or unauthorized');
+			}
+
+			const provider = getProviderConfig(existingBot);
+			if (provider.type === LLM_PROVIDERS.OPENAI && !apiKey.startsWith('sk-')) {
+				throw new Error('Invalid API key: OpenAI API keys start with "sk-"');
+			}
+
 			console.log(`Validating API key for bot ${botId}...`);
-			const validation = await validateOpenAIKey(apiKey);
+			const validation = await validateProviderConnection(apiKey, provider);
 
 			if (!validation.isValid) {
 				throw new Error(`Invalid API key: ${validation.error}`);
@@ -95,7 +114,10 @@ export class ApiKeyService {
 			}
 
 			const apiConfig = bot.openaiApiConfig;
-			const fallbackEnabled = bot.fallbackToGlobal;
+			const provider = getProviderConfig(bot);
+			const isOpenAI = provider.type === LLM_PROVIDERS.OPENAI;
+			// The global key is an OpenAI key, so only OpenAI bots may fall back to it
+			const fallbackEnabled = bot.fallbackToGlobal && isOpenAI;
 
 			console.log(
 				`[ApiKeyService] Bot found. Has custom key: ${!!apiConfig?.apiKeyEncrypted}, Fallback enabled: ${fallbackEnabled}`
@@ -111,10 +133,8 @@ export class ApiKeyService {
 						apiKey: process.env.OPENAI_API_KEY,
 						source: 'global',
 						isCustom: false,
-						models: {
-							chat: 'gpt-4',
-							embeddings: 'text-embedding-3-small',
-						},
+						models: getModelConfig(bot),
+						provider,
 					};
 				}
 				console.log(
@@ -134,11 +154,11 @@ export class ApiKeyService {
 				}`
 			);
 
-			// Additional validation for API key format
+			// Additional validation for API key format (only OpenAI keys have a known prefix)
 			if (
 				!decryptedKey ||
-				!decryptedKey.startsWith('sk-') ||
-				decryptedKey.length < 20
+				(isOpenAI &&
+					(!decryptedKey.startsWith('sk-') || decryptedKey.length < 20))
 			) {
 				console.error(
 					'[ApiKeyService] Invalid API key format after decryption'
@@ -150,10 +170,8 @@ export class ApiKeyService {
 				apiKey: decryptedKey,
 				source: 'custom',
 				isCustom: true,
-				models: apiConfig.models || {
-					chat: 'gpt-4',
-					embeddings: 'text-embedding-3-small',
-				},
+				models: getModelConfig(bot),
+				provider,
 				keyStatus: apiConfig.keyStatus,
 				lastValidated: apiConfig.lastValidated,
 				usage: apiConfig.usage,
@@ -213,7 +231,7 @@ export class ApiKeyService {
 
 			const bot = await Bot.findOne(
 				{ _id: botId, ownerId: userId },
-				'openaiApiConfig'
+				'openaiApiConfig llmProvider fallbackToGlobal'
 			);
 
 			if (!bot) {
@@ -226,7 +244,8 @@ export class ApiKeyService {
 				hasCustomKey: !!config?.apiKeyEncrypted,
 				keyStatus: config?.keyStatus || 'none',
 				lastValidated: config?.lastValidated,
-				models: config?.models,
+				models: getModelConfig(bot),
+				provider: getProviderConfig(bot),
 				fallbackToGlobal: bot?.fallbackToGlobal,
 			};
 		} catch (error) {
@@ -1,11 +1,25 @@
+import mongoose from 'mongoose';
 import Conversation from '@/models/Conversation.js';
 import Bot from '@/models/Bot.js';
 import { apiKeyService } from './apiKeyService.js';
 import { ragService } from './ragService.js';
 import { logInfo, logError } from '../utils/logger.js';
 import intentClassifier, { INTENT_TYPES } from './intentClassifier.js';
-import { createOpenAIClient } from '../integrations/openai.js';
+import { createLLMClient } from '../integrations/llmProvider.js';
 import faqService from './faqService.js';
+import handoffService, {
+	getHandoffConfig,
+	isHandoffActive,
+} from './handoffService.js';
+import {
+	DEFAULT_MODEL_CONFIG,
+	getGenerationSettings,
+	getModelConfig,
+	getProviderConfig,
+} from './modelConfig.js';
+import { buildSystemPrompt } from './promptConfig.js';
+import realtimeService, { REALTIME_EVENTS } from './realtimeService.js';
+import webhookService, { WEBHOOK_EVENTS } from './webhookService.js';
 
 /**
  * Custom error class for chat-related operations
@@ -66,10 +80,6 @@ class ChatService {
 				apiKey: keyData.apiKey,
 				isCustom: keyData.isCustom,
 				source: keyData.source,
-				models: keyData.models || {
-					chat: 'gpt-4.1-mini',
-					embeddings: 'text-embedding-3-small',
-				},
 			};
 
 			// Cache the config
@@ -82,30 +92,8 @@ class ChatService {
 
 			return config;
 		} catch (error) {
-			// Fallback to global key if configured
-			if (process.env.OPENAI_API_KEY) {
-				const cacheKey = botId.toString();
-				console.warn(
-					`[ChatService] Using global API key fallback for bot ${cacheKey}: ${error.message}`
-				);
-				const config = {
-					apiKey: process.env.OPENAI_API_KEY,
-					isCustom: false,
-					source: 'global_fallback',
-					models: {
-						chat: 'gpt-4',
-						embeddings: 'text-embedding-3-small',
-					},
-				};
-
-				// Cache fallback config
-				this.apiKeyCache.set(cacheKey, {
-					config,
-					timestamp: Date.now(),
-				});
-
-				return config;
-			}
+			// getApiKey already falls back to the global key where that is allowed
+			// (OpenAI bots with fallbackToGlobal); other bots must use their own key
 			throw new Error(
 				`No OpenAI API key available for bot ${botId}: ${error.message}`
 			);
@@ -120,7 +108,8 @@ class ChatService {
 		userQuery,
 		conversationHistory = [],
 		botInfo = {},
-		apiKey
+		apiKey,
+		options = {}
 	) {
 		try {
 			// Delegate to ragService for RAG response generation
@@ -128,18 +117,21 @@ class ChatService {
 				bot,
 				apiKey,
 				userQuery,
-				conversationHistory
+				conversationHistory,
+				options
 			);
 
 			// Return RAG response
 			return {
 				content: ragResponse.content,
 				sources: ragResponse.sources,
+				citations: ragResponse.citations,
 				tokensUsed: ragResponse.tokensUsed,
 				model: ragResponse.model,
 				hasRelevantContext: ragResponse.hasRelevantContext,
 				documentsFound: ragResponse.documentsFound,
 				responseTime: ragResponse.responseTime,
+				searchQuery: ragResponse.searchQuery,
 			};
 		} catch (error) {
 			console.error('RAG generation error:', error);
@@ -164,9 +156,17 @@ class ChatService {
 	 * @param {string} userMessage - User's message
 	 * @param {string} sessionId - Session identifier
 	 * @param {Object} sessionMetadata - Optional session metadata (userFingerprint, domain, ipAddress, userAgent)
-	 * @returns {Promise<Object>} AI response with metadata
+	 * @param {Object} options - Optional settings
+	 * @param {Function} options.onToken - Called with each text fragment as the response streams in
+	 * @returns {Promise<Object>} AI response with metadata and the conversation status
 	 */
-	async sendMessage(bot, userMessage, sessionId, sessionMetadata = {}) {
+	async sendMessage(
+		bot,
+		userMessage,
+		sessionId,
+		sessionMetadata = {},
+		options = {}
+	) {
 		try {
 			logInfo('Sending message to chat service', {
 				botId: bot._id,
@@ -191,12 +191,39 @@ class ChatService {
 			);
 			const conversationHistory = conversation.messages || [];
 
+			// A person is answering: store the message and keep the AI silent
+			if (isHandoffActive(conversation)) {
+				await handoffService.addVisitorMessage(conversation, userMessage);
+				return {
+					role: 'assistant',
+					content: '',
+					sources: [],
+					citations: [],
+					tokensUsed: 0,
+					model: 'handoff',
+					hasRelevantContext: false,
+					responseType: 'handoff',
+					conversationStatus: conversation.status,
+				};
+			}
+
 			// Step 1: Fetch API key once (with caching)
 			const config = await this.getOpenAIConfig(bot._id, bot.ownerId);
 			const { apiKey } = config;
+			const modelConfig = getModelConfig(bot);
 
-			// Step 2: Classify intent to determine routing
-			const intent = await intentClassifier.classify(userMessage, bot, apiKey);
+			// Step 2: Answer close FAQ matches verbatim, before any LLM call
+			const faqResponse = await this.generateFAQResponse(
+				bot,
+				userMessage,
+				apiKey,
+				options
+			);
+
+			// Step 3: Classify intent to determine routing
+			const intent = faqResponse
+				? { type: null, confidence: null }
+				: await intentClassifier.classify(userMessage, bot, apiKey);
 
 			const userMessageObj = {
 				role: 'user',
@@ -209,9 +236,16 @@ class ChatService {
 			conversationHistory.push(userMessageObj);
 
 			let aiResponse;
-
-			// Step 3: Route based on intent
-			if (intent.type === INTENT_TYPES.NEEDS_RAG) {
+			let handoffReason = null;
+
+			// Step 4: Route based on intent
+			if (faqResponse) {
+				aiResponse = faqResponse;
+			} else if (handoffService.shouldHandoffForIntent(bot, intent.type)) {
+				// Hand off to the owner instead of answering
+				aiResponse = this.generateHandoffResponse(bot, options);
+				handoffReason = 'intent';
+			} else if (intent.type === INTENT_TYPES.NEEDS_RAG) {
 				// Full RAG pipeline
 				aiResponse = await this.generateRAGResponse(
 					bot,
@@ -221,17 +255,27 @@ class ChatService {
 						name: bot.name,
 						description: bot.description,
 					},
-					apiKey
+					apiKey,
+					options
 				);
 				aiResponse.responseType = 'rag';
-			} else if (intent.type === INTENT_TYPES.GENERAL_CHAT) {
-				// Simple LLM without retrieval
+
+				// Record the standalone query used for retrieval (for debugging)
+				if (aiResponse.searchQuery && aiResponse.searchQuery !== userMessage) {
+					userMessageObj.rewrittenQuery = aiResponse.searchQuery;
+				}
+			} else if (
+				intent.type === INTENT_TYPES.GENERAL_CHAT ||
+				intent.type === INTENT_TYPES.HUMAN_AGENT
+			) {
+				// Simple LLM without retrieval (also for agent requests without handoff)
 				aiResponse = await this.generateSimpleLLMResponse(
 					bot,
 					userMessage,
 					conversationHistory,
 					apiKey,
-					config.models.chat || 'gpt-4.1-mini'
+					modelConfig,
+					options
 				);
 			} else if (intent.type === INTENT_TYPES.SMALL_TALK) {
 				// AI-powered small talk
@@ -240,37 +284,85 @@ class ChatService {
 					userMessage,
 					conversationHistory,
 					apiKey,
-					config.models.chat || 'gpt-4.1-mini'
+					modelConfig,
+					options
 				);
 			}
 
-			// Create assistant message
+			// Create assistant message (the ID lets visitors rate it)
 			const assistantMessage = {
+				_id: new mongoose.Types.ObjectId(),
 				role: 'assistant',
 				content: aiResponse.content,
 				timestamp: new Date(),
 				sources: aiResponse.sources || [],
+				citations: aiResponse.citations || [],
 				responseTime: aiResponse.responseTime,
 				tokensUsed: aiResponse.tokensUsed,
 				model: aiResponse.model,
 				hasRelevantContext: aiResponse.hasRelevantContext,
 				responseType: aiResponse.responseType,
+				faqId: aiResponse.faqId,
 			};
 
 			// Add assistant message to conversation
 			conversationHistory.push(assistantMessage);
 
-			// Save updated conversation with metadata
+			// Step 5: Hand off after repeated answers without relevant context
+			if (
+				!handoffReason &&
+				handoffService.shouldHandoffForUnanswered(
+					bot,
+					conversationHistory,
+					conversation.handoff?.resolvedAt
+				)
+			) {
+				const notice = `\n\n${getHandoffConfig(bot).message}`;
+				assistantMessage.content += notice;
+				options.onToken?.(notice);
+				handoffReason = 'unanswered';
+			}
+
+			// Save the new message pair with metadata
 			await this.saveConversation(
 				bot._id,
 				sessionId,
-				conversationHistory,
+				[userMessageObj, assistantMessage],
 				sessionMetadata
 			);
 
 			// Determine if this is a new session (first message pair)
 			const isNewSession = conversationHistory.length === 2;
 
+			// Notify the owner's webhooks without waiting, so a queue outage
+			// never holds up the answer (dispatch logs its own errors)
+			const notifyWebhooks = async () => {
+				if (isNewSession) {
+					await webhookService.dispatch(
+						bot._id,
+						WEBHOOK_EVENTS.CONVERSATION_STARTED,
+						{ sessionId, domain: sessionMetadata.domain || 'unknown' }
+					);
+				}
+				await webhookService.messageCreated(bot._id, sessionId, userMessageObj);
+				await webhookService.messageCreated(
+					bot._id,
+					sessionId,
+					assistantMessage
+				);
+			};
+			notifyWebhooks();
+
+			let conversationStatus = conversation.status;
+			if (handoffReason) {
+				const handedOff = await handoffService.startHandoff(
+					bot,
+					sessionId,
+					handoffReason
+				);
+				conversationStatus = handedOff?.status || conversationStatus;
+			}
+
 			// Update bot analytics
 			await this.updateBotAnalytics(bot._id, {
 				messageCount: 1,
@@ -278,8 +370,15 @@ class ChatService {
 				isNewSession,
 			});
 
+			await realtimeService.publish(
+				bot._id,
+				REALTIME_EVENTS.CONVERSATION_UPDATED,
+				{ sessionId, status: conversationStatus, isNew: isNewSession }
+			);
+
 			return {
 				...assistantMessage,
+				conversationStatus,
 			};
 		} catch (error) {
 			logError('Error sending message', error, {
@@ -490,20 +589,16 @@ class ChatService {
 	 */
 	/**
 	 * Save conversation to database
+	 * New messages are appended, so owner replies and visitor feedback
+	 * stored while the answer was generated are kept.
 	 * @param {string} botId - Bot ID
 	 * @param {string} sessionId - Session ID
-	 * @param {Array} messages - Message history
+	 * @param {Array} messages - Messages to append
 	 * @param {Object} sessionMetadata - Session metadata (userFingerprint, domain, ipAddress, userAgent)
 	 */
 	async saveConversation(botId, sessionId, messages, sessionMetadata = {}) {
 		try {
 			const updateData = {
-				messages,
-				totalMessages: messages.filter((m) => m.role === 'assistant').length,
-				totalTokens: messages.reduce(
-					(sum, m) => sum + (m.tokensUsed || m.tokens || 0),
-					0
-				),
 				lastMessageAt: new Date(),
 				updatedAt: new Date(),
 			};
@@ -522,10 +617,25 @@ class ChatService {
 				updateData.userAgent = sessionMetadata.userAgent || '';
 			}
 
-			await Conversation.findOneAndUpdate({ botId, sessionId }, updateData, {
-				upsert: true,
-				new: true,
-			});
+			await Conversation.findOneAndUpdate(
+				{ botId, sessionId },
+				{
+					$set: updateData,
+					$push: { messages: { $each: messages } },
+					$inc: {
+						totalMessages: messages.filter((m) => m.role === 'assistant')
+							.length,
+						totalTokens: messages.reduce(
+							(sum, m) => sum + (m.tokensUsed || m.tokens || 0),
+							0
+						),
+					},
+				},
+				{
+					upsert: true,
+					new: true,
+				}
+			);
 
 			logInfo('Conversation saved', {
 				botId,
@@ -664,64 +774,153 @@ class ChatService {
 		}
 	}
 
+	/**
+	 * Run a chat completion, streaming text fragments to onToken when provided
+	 * @param {OpenAI} client - OpenAI client
+	 * @param {Object} params - Chat completion parameters
+	 * @param {Function} onToken - Optional callback for streamed text fragments
+	 * @returns {Promise<Object>} { content, tokensUsed }
+	 */
+	async createChatCompletion(client, params, onToken = null) {
+		if (!onToken) {
+			const response = await client.chat.completions.create(params);
+			return {
+				content: response.choices[0].message.content,
+				tokensUsed: response.usage?.total_tokens || 0,
+			};
+		}
+
+		const stream = await client.chat.completions.create({
+			...params,
+			stream: true,
+			stream_options: { include_usage: true },
+		});
+
+		let content = '';
+		let tokensUsed = 0;
+		for await (const chunk of stream) {
+			const delta = chunk.choices?.[0]?.delta?.content;
+			if (delta) {
+				content += delta;
+				onToken(delta);
+			}
+			if (chunk.usage) {
+				tokensUsed = chunk.usage.total_tokens || 0;
+			}
+		}
+
+		return { content, tokensUsed };
+	}
+
+	/**
+	 * Answer with a FAQ's curated answer when the question matches it
+	 * Matching failures never block the message; it falls through to the
+	 * intent-based routing.
+	 * @returns {Promise<Object|null>} FAQ response, or null when no FAQ matches
+	 */
+	async generateFAQResponse(bot, userMessage, apiKey, options = {}) {
+		const startTime = Date.now();
+
+		let match;
+		try {
+			match = await faqService.matchFAQ(bot, userMessage, apiKey);
+		} catch (error) {
+			logError('Error matching FAQs', error, { botId: bot._id });
+			return null;
+		}
+		if (!match) return null;
+
+		const { faq, score } = match;
+		options.onToken?.(faq.answer);
+
+		logInfo('FAQ response used', {
+			botId: bot._id,
+			faqId: faq._id.toString(),
+			score,
+		});
+
+		return {
+			content: faq.answer,
+			sources: [],
+			responseTime: Date.now() - startTime,
+			tokensUsed: 0,
+			model: 'faq',
+			hasRelevantContext: true,
+			responseType: 'faq',
+			faqId: faq._id,
+		};
+	}
+
+	/**
+	 * Reply with the bot's handoff notice while the owner is notified
+	 * @returns {Object} Handoff response
+	 */
+	generateHandoffResponse(bot, options = {}) {
+		const { message } = getHandoffConfig(bot);
+		options.onToken?.(message);
+
+		return {
+			content: message,
+			sources: [],
+			responseTime: 0,
+			tokensUsed: 0,
+			model: 'handoff',
+			hasRelevantContext: false,
+			responseType: 'handoff',
+		};
+	}
+
 	/**
 	 * Generate simple LLM response without RAG retrieval
 	 * Used for general chat that doesn't need document context
+	 * @param {Object} modelConfig - Bot model settings (see getModelConfig)
 	 */
 	async generateSimpleLLMResponse(
 		bot,
 		userMessage,
 		conversationHistory,
 		apiKey,
-		model = 'gpt-4.1-mini'
+		modelConfig = DEFAULT_MODEL_CONFIG,
+		options = {}
 	) {
 		const startTime = Date.now();
+		const model = modelConfig.chat;
+		const { temperature, maxTokens } = getGenerationSettings(
+			modelConfig,
+			'general'
+		);
 
 		try {
-			const client = createOpenAIClient(apiKey);
+			const client = createLLMClient(apiKey, getProviderConfig(bot));
 
 			// Get last 5 messages for context (not 10 like RAG)
 			const recentMessages = conversationHistory.slice(-5);
 
-			// Build FAQ context
-			const faqContext = faqService.buildFAQContext(bot);
-
-			let systemPrompt = `You are a helpful assistant for ${bot.name}.`;
-
-			if (bot.description) {
-				systemPrompt += `\n\nABOUT THIS ASSISTANT:\n${bot.description}`;
-			}
-
-			if (faqContext) {
-				systemPrompt += `\n${faqContext}`;
-			}
-
-			systemPrompt += `\n\nIMPORTANT GUIDELINES:
-- Answer questions based on the information provided above
-- If a question matches a FAQ, use that guidance but respond naturally (don't just copy the FAQ answer)
-- If asked about topics outside your knowledge, politely explain what you can help with
-- Keep responses clear, concise, and friendly
-- Be honest about limitations - don't make up information
-
-Provide helpful, accurate responses within your knowledge scope.`;
+			// Build the system prompt from the bot's persona with FAQs as context
+			const systemPrompt = buildSystemPrompt(bot, {
+				mode: 'general',
+				context: faqService.buildFAQContext(bot),
+			});
 
 			const messages = [
 				{ role: 'system', content: systemPrompt },
 				...recentMessages.map((msg) => ({
-					role: msg.role,
+					// Owner replies read as the assistant's own
+					role: msg.role === 'agent' ? 'assistant' : msg.role,
 					content: msg.content,
 				})),
 			];
 
-			const response = await client.chat.completions.create({
-				model,
-				messages,
-				temperature: 0.7,
-				max_tokens: 200,
-			});
-
-			const content = response.choices[0].message.content;
-			const tokensUsed = response.usage?.total_tokens || 0;
+			const { content, tokensUsed } = await this.createChatCompletion(
+				client,
+				{
+					model,
+					messages,
+					temperature,
+					max_tokens: maxTokens,
+				},
+				options.onToken
+			);
 			const responseTime = Date.now() - startTime;
 
 			logInfo('Simple LLM response generated', {
@@ -749,60 +948,54 @@ Provide helpful, accurate responses within your knowledge scope.`;
 	/**
 	 * Generate small talk response using AI
 	 * Used for greetings, thanks, goodbyes, and casual conversation
+	 * @param {Object} modelConfig - Bot model settings (see getModelConfig)
 	 */
 	async generateSmallTalkResponse(
 		bot,
 		userMessage,
 		conversationHistory,
 		apiKey,
-		model = 'gpt-4.1-mini'
+		modelConfig = DEFAULT_MODEL_CONFIG,
+		options = {}
 	) {
 		const startTime = Date.now();
+		const model = modelConfig.chat;
+		const { temperature, maxTokens } = getGenerationSettings(
+			modelConfig,
+			'small_talk'
+		);
 
 		try {
-			const client = createOpenAIClient(apiKey);
+			const client = createLLMClient(apiKey, getProviderConfig(bot));
 
 			// Get last 3 messages for minimal context
 			const recentMessages = conversationHistory.slice(-3);
 
-			// Build FAQ context
-			const faqContext = faqService.buildFAQContext(bot);
-
-			let systemPrompt = `You are a friendly assistant for ${bot.name}.`;
-
-			if (bot.description) {
-				systemPrompt += `\n\nABOUT THIS ASSISTANT:\n${bot.description}`;
-			}
-
-			if (faqContext) {
-				systemPrompt += `\n${faqContext}`;
-			}
-
-			systemPrompt += `\n\nYOUR ROLE:
-- Respond warmly to greetings, thanks, and casual conversation
-- Keep responses brief and friendly (1-2 sentences max)
-- If appropriate, gently guide users toward what you can help with
-- Use FAQs as guidance when relevant to the conversation
-
-Be personable and welcoming while staying concise.`;
+			// Build the system prompt from the bot's persona with FAQs as context
+			const systemPrompt = buildSystemPrompt(bot, {
+				mode: 'small_talk',
+				context: faqService.buildFAQContext(bot),
+			});
 
 			const messages = [
 				{ role: 'system', content: systemPrompt },
 				...recentMessages.map((msg) => ({
-					role: msg.role,
+					// Owner replies read as the assistant's own
+					role: msg.role === 'agent' ? 'assistant' : msg.role,
 					content: msg.content,
 				})),
 			];
 
-			const response = await client.chat.completions.create({
-				model,
-				messages,
-				temperature: 0.8,
-				max_tokens: 100,
-			});
-
-			const content = response.choices[0].message.content;
-			const tokensUsed = response.usage?.total_tokens || 0;
+			const { content, tokensUsed } = await this.createChatCompletion(
+				client,
+				{
+					model,
+					messages,
+					temperature,
+					max_tokens: Math.min(maxTokens, 100), // Keep small talk brief
+				},
+				options.onToken
+			);
 			const responseTime = Date.now() - startTime;
 
 			logInfo('Small talk response generated', {
@@ -0,0 +1,254 @@
+/**
+ * Chunk Service
+ *
+ * Lets owners inspect and fix the chunks stored for a file: list them with
+ * their payloads, edit a chunk's text (re-embedding it), disable it from
+ * retrieval or delete it. Edited and disabled chunks keep their point ID
+ * (derived from the original chunk text), so re-processing an unchanged
+ * file leaves them as they are.
+ */
+
+import crypto from 'crypto';
+import { Document } from '@langchain/core/documents';
+import File from '../../models/File.js';
+import Bot from '../../models/Bot.js';
+import connect from '../integrations/mongo.js';
+import {
+	applyDocumentChanges,
+	getChunkPointId,
+	getDocuments,
+	scrollDocuments,
+} from '../integrations/qdrant.js';
+import { getAccurateTokenCount } from '../processors/chunker.js';
+import apiKeyService from './apiKeyService.js';
+import { ragService } from './ragService.js';
+import { hybridRetriever } from './hybridRetriever.js';
+import { getStorageTarget } from './modelConfig.js';
+
+export const MAX_CHUNK_LENGTH = 8000; // Characters; well below embedding input limits
+
+/**
+ * Load where a bot's chunks are stored
+ * While the bot is re-embedded, processed files live in the new collection.
+ * @param {string} botId - Bot ID
+ * @returns {Promise<Object>} { collectionName, embedding } (see getStorageTarget)
+ */
+async function getChunkStorage(botId) {
+	await connect();
+	const bot = await Bot.findById(botId).select(
+		'vectorStorage openaiApiConfig.models llmProvider'
+	);
+	return bot
+		? getStorageTarget(bot)
+		: { collectionName: botId.toString(), embedding: undefined };
+}
+
+/**
+ * Shape a stored point for the API
+ */
+function formatChunk(point) {
+	const { metadata } = point;
+
+	return {
+		id: point.id,
+		chunkIndex: metadata.chunkIndex ?? null,
+		content: point.pageContent,
+		tokenCount: metadata.tokenCount ?? null,
+		pageNumber: metadata.pageNumber ?? null,
+		pageEnd: metadata.pageEnd ?? null,
+		headingPath: metadata.headingPath || '',
+		disabled: !!metadata.disabled,
+		edited: !!metadata.edited,
+		editedAt: metadata.editedAt || null,
+	};
+}
+
+export class ChunkService {
+	/**
+	 * List a file's chunks in document order
+	 * @param {Object} file - File document
+	 * @param {Object} options - { page, limit, search, status }
+	 * @param {string} options.status - 'all', 'enabled', 'disabled' or 'edited'
+	 * @returns {Promise<Object>} { chunks, totalCount, counts }
+	 */
+	async listChunks(file, options = {}) {
+		const { page = 1, limit = 20, search = '', status = 'all' } = options;
+
+		const { collectionName } = await getChunkStorage(file.botId);
+
+		let points = [];
+		try {
+			points = await scrollDocuments(collectionName, {
+				filter: { fileId: file._id.toString() },
+			});
+		} catch (error) {
+			// The bot's collection doesn't exist until its first file is embedded
+			console.log(
+				`[CHUNKS] No chunks found for file ${file._id}: ${error.message}`
+			);
+		}
+
+		const chunks = points
+			.map(formatChunk)
+			.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+
+		const searchTerm = search.toLowerCase();
+		const matching = chunks.filter(
+			(chunk) =>
+				(!searchTerm || chunk.content.toLowerCase().includes(searchTerm)) &&
+				(status === 'all' ||
+					(status === 'enabled' && !chunk.disabled) ||
+					(status === 'disabled' && chunk.disabled) ||
+					(status === 'edited' && chunk.edited))
+		);
+
+		return {
+			chunks: matching.slice((page - 1) * limit, page * limit),
+			totalCount: matching.length,
+			counts: {
+				total: chunks.length,
+				disabled: chunks.filter((chunk) => chunk.disabled).length,
+				edited: chunks.filter((chunk) => chunk.edited).length,
+			},
+		};
+	}
+
+	/**
+	 * Load a chunk and make sure it belongs to the file
+	 * @returns {Promise<Object|null>} Stored point or null
+	 */
+	async getChunk(file, chunkId) {
+		const { collectionName } = await getChunkStorage(file.botId);
+
+		let points = [];
+		try {
+			points = await getDocuments(collectionName, [chunkId]);
+		} catch (error) {
+			console.log(`[CHUNKS] Chunk ${chunkId} not found: ${error.message}`);
+		}
+
+		const point = points[0];
+		return point?.metadata.fileId === file._id.toString() ? point : null;
+	}
+
+	/**
+	 * Edit a chunk's text and/or enable or disable it
+	 * New text is embedded with the bot's embedding model and replaces the
+	 * chunk's vector under the same point ID.
+	 * @param {Object} file - File document
+	 * @param {Object} point - Stored point (see getChunk)
+	 * @param {Object} changes - { content, disabled }
+	 * @param {string} userId - Owner ID
+	 * @returns {Promise<Object>} Updated chunk
+	 */
+	async updateChunk(file, point, changes, userId) {
+		const { collectionName, embedding } = await getChunkStorage(file.botId);
+		const metadata = { ...point.metadata };
+		let content = point.pageContent;
+		let pointId = point.id;
+
+		if (changes.disabled !== undefined) {
+			metadata.disabled = changes.disabled;
+		}
+
+		const contentChanged =
+			changes.content !== undefined && changes.content !== point.pageContent;
+
+		if (contentChanged) {
+			const keyData = await apiKeyService.getApiKey(file.botId, userId);
+			if (!keyData.apiKey) {
+				throw new Error('No API key available for embedding');
+			}
+
+			const tokenCount = getAccurateTokenCount(changes.content);
+
+			content = changes.content;
+			Object.assign(metadata, {
+				// Same hash re-processing computes for the original text
+				chunkHash:
+					metadata.chunkHash ||
+					crypto.createHash('sha256').update(point.pageContent).digest('hex'),
+				tokenCount,
+				chunkSize: content.length,
+				edited: true,
+				editedAt: new Date().toISOString(),
+			});
+
+			// chunkHash stays the original one, so the point ID is unchanged.
+			// Chunks stored before IDs were deterministic move to their new ID.
+			pointId = getChunkPointId(
+				file.botId.toString(),
+				metadata.fileId,
+				metadata.chunkHash
+			);
+
+			await ragService.applyDocumentChanges(
+				file.botId,
+				keyData.apiKey,
+				{
+					documents: [new Document({ pageContent: content, metadata })],
+					deleteIds: pointId === point.id ? [] : [point.id],
+				},
+				{},
+				embedding,
+				collectionName
+			);
+
+			await File.findByIdAndUpdate(file._id, {
+				$inc: {
+					embeddingTokens: tokenCount - (point.metadata.tokenCount || 0),
+				},
+			});
+			await Bot.findByIdAndUpdate(file.botId, {
+				$inc: { 'analytics.totalTokensUsed': tokenCount },
+			});
+		} else {
+			await applyDocumentChanges(collectionName, null, {
+				metadataUpdates: [{ id: point.id, metadata }],
+			});
+		}
+
+		// Retrieval must see the new text or state right away
+		hybridRetriever.invalidate(file.botId);
+
+		console.log(`[CHUNKS] Updated chunk ${pointId} of file ${file._id}`, {
+			contentChanged,
+			disabled: !!metadata.disabled,
+		});
+
+		return formatChunk({ id: pointId, pageContent: content, metadata });
+	}
+
+	/**
+	 * Delete a chunk
+	 * Its hash is recorded on the file so re-processing doesn't restore it.
+	 * @param {Object} file - File document
+	 * @param {Object} point - Stored point (see getChunk)
+	 */
+	async deleteChunk(file, point) {
+		const { collectionName } = await getChunkStorage(file.botId);
+
+		await applyDocumentChanges(collectionName, null, {
+			deleteIds: [point.id],
+		});
+		hybridRetriever.invalidate(file.botId);
+
+		await File.findByIdAndUpdate(file._id, {
+			...(point.metadata.chunkHash && {
+				$addToSet: { deletedChunkHashes: point.metadata.chunkHash },
+			}),
+			$inc: {
+				totalChunks: -1,
+				embeddingTokens: -(point.metadata.tokenCount || 0),
+			},
+		});
+		await Bot.findByIdAndUpdate(file.botId, {
+			$inc: { 'analytics.totalEmbeddings': -1 },
+		});
+
+		console.log(`[CHUNKS] Deleted chunk ${point.id} of file ${file._id}`);
+	}
+}
+
+export const chunkService = new ChunkService();
+export default chunkService;
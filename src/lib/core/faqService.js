@@ -1,8 +1,62 @@
 /**
  * FAQ Service
- * Provides FAQ context for AI responses instead of keyword matching
+ * Provides FAQ context for AI responses and matches questions against
+ * curated FAQs so close matches are answered verbatim without the LLM
  */
+
+import crypto from 'crypto';
+import { cosineSimilarity } from '@langchain/core/utils/math';
+import { createEmbeddingModel } from '../integrations/llmProvider.js';
+import { getEmbeddingConfig } from './modelConfig.js';
+import { logInfo } from '../utils/logger.js';
+
+/**
+ * Default FAQ matching configuration (mirrors Bot.faqMatching)
+ */
+export const DEFAULT_FAQ_MATCHING_CONFIG = {
+	enabled: true,
+	threshold: 0.85, // Minimum cosine similarity for a verbatim answer
+};
+
+// FAQ embeddings are kept in memory; the oldest are dropped past this size
+const MAX_CACHED_EMBEDDINGS = 5000;
+
+/**
+ * Resolve a bot's FAQ matching settings with defaults applied
+ * @param {Object} bot - Bot document
+ * @returns {Object} { enabled, threshold }
+ */
+export function getFAQMatchingConfig(bot) {
+	const faqMatching = bot?.faqMatching || {};
+
+	return {
+		enabled: faqMatching.enabled ?? DEFAULT_FAQ_MATCHING_CONFIG.enabled,
+		threshold: faqMatching.threshold ?? DEFAULT_FAQ_MATCHING_CONFIG.threshold,
+	};
+}
+
+/**
+ * Texts a question is compared against: the FAQ question and its keywords
+ * @param {Object} faq - FAQ entry
+ * @returns {string[]} Texts to embed
+ */
+function getFAQTexts(faq) {
+	const texts = [];
+	if (faq.question?.trim()) {
+		texts.push(faq.question.trim());
+	}
+	if (faq.keywords?.length > 0) {
+		texts.push(faq.keywords.join(', '));
+	}
+	return texts;
+}
+
 class FAQService {
+	constructor() {
+		// FAQ text embeddings: { "botId:model:textHash": vector }
+		this.embeddingCache = new Map();
+	}
+
 	/**
 	 * Build FAQ context string for inclusion in AI prompts
 	 * @param {Object} bot - Bot object with optional faqs array
@@ -31,6 +85,80 @@ class FAQService {
 
 		return `\nFREQUENTLY ASKED QUESTIONS:\nUse these FAQs to guide your responses when relevant:\n\n${faqList}`;
 	}
+
+	/**
+	 * Find the FAQ closest to a question by embedding similarity
+	 * The question is compared with each enabled FAQ's question and keywords.
+	 * FAQ embeddings are cached by text, so edited FAQs are embedded again
+	 * on their next match and unchanged ones cost nothing.
+	 * @param {Object} bot - Bot document
+	 * @param {string} query - User's question
+	 * @param {string} apiKey - API key for embeddings
+	 * @returns {Promise<Object|null>} { faq, score } above the bot's threshold, or null
+	 */
+	async matchFAQ(bot, query, apiKey) {
+		const config = getFAQMatchingConfig(bot);
+		if (!config.enabled) return null;
+
+		const faqs = (bot.faqs || []).filter(
+			(faq) =>
+				faq.enabled !== false &&
+				faq.answer?.trim() &&
+				getFAQTexts(faq).length > 0
+		);
+		if (faqs.length === 0) return null;
+
+		const embeddingConfig = getEmbeddingConfig(bot);
+		const getCacheKey = (text) =>
+			`${bot._id}:${embeddingConfig.model}:${crypto
+				.createHash('sha256')
+				.update(text)
+				.digest('hex')}`;
+
+		// Embed the question together with any FAQ text not cached yet
+		const missingTexts = [...new Set(faqs.flatMap(getFAQTexts))].filter(
+			(text) => !this.embeddingCache.has(getCacheKey(text))
+		);
+
+		const embeddings = createEmbeddingModel(apiKey, embeddingConfig.provider, {
+			model: embeddingConfig.model,
+			dimensions: embeddingConfig.dimensions,
+		});
+		const [queryVector, ...missingVectors] = await embeddings.embedDocuments([
+			query,
+			...missingTexts,
+		]);
+
+		missingTexts.forEach((text, index) => {
+			this.embeddingCache.set(getCacheKey(text), missingVectors[index]);
+		});
+
+		let best = null;
+		for (const faq of faqs) {
+			const vectors = getFAQTexts(faq).map((text) =>
+				this.embeddingCache.get(getCacheKey(text))
+			);
+			const score = Math.max(...cosineSimilarity([queryVector], vectors)[0]);
+
+			if (!best || score > best.score) {
+				best = { faq, score };
+			}
+		}
+
+		while (this.embeddingCache.size > MAX_CACHED_EMBEDDINGS) {
+			this.embeddingCache.delete(this.embeddingCache.keys().next().value);
+		}
+
+		logInfo('FAQ match checked', {
+			botId: bot._id,
+			faqId: best.faq._id?.toString(),
+			score: Number(best.score.toFixed(4)),
+			threshold: config.threshold,
+			embedded: missingTexts.length,
+		});
+
+		return best.score >= config.threshold ? best : null;
+	}
 }
 
 // Export singleton instance
@@ -1,9 +1,24 @@
-import File from '@/models/File';
-import Bot from '@/models/Bot';
-import connect from '../integrations/mongo';
-import { deleteDocuments } from '../integrations/qdrant';
-import { deleteFile, fileExistsInS3 } from '../integrations/s3';
-import { removeFileProcessingJob } from '../queues/fileProcessingQueue';
+import File from '../../models/File.js';
+import Bot from '../../models/Bot.js';
+import connect from '../integrations/mongo.js';
+import {
+	deleteCollection,
+	deleteDocuments,
+	getCollectionInfo,
+} from '../integrations/qdrant.js';
+import { deleteFile, fileExistsInS3 } from '../integrations/s3.js';
+import {
+	addFileProcessingJob,
+	removeFileProcessingJob,
+} from '../queues/fileProcessingQueue.js';
+import { hybridRetriever } from './hybridRetriever.js';
+import {
+	EMBEDDING_MODELS,
+	getCollectionName,
+	getEmbeddingConfig,
+} from './modelConfig.js';
+
+const PENDING_EMBEDDING_STATUSES = ['queued', 'processing', 'retrying'];
 
 export class FileService {
 	async getFileById(fileId, ownerId) {
@@ -52,13 +67,27 @@ export class FileService {
 			}
 		}
 
-		// Step 4: Delete vectors from Qdrant (only if completed)
-		if (file.embeddingStatus === 'completed') {
+		// Step 4: Delete vectors from Qdrant (only if completed, or while the
+		// bot is re-embedded and the file may be in both collections)
+		const bot = await Bot.findById(file.botId).select('vectorStorage');
+		const reembeddingCollection =
+			bot?.vectorStorage?.reembedding?.collectionName;
+		if (file.embeddingStatus === 'completed' || reembeddingCollection) {
 			try {
-				const vectorDeleteCount = await deleteDocuments(file.botId.toString(), {
-					fileId: file._id.toString(),
-				});
+				const filter = { fileId: file._id.toString() };
+				let vectorDeleteCount = await deleteDocuments(
+					bot ? getCollectionName(bot) : file.botId.toString(),
+					filter
+				);
+				if (reembeddingCollection) {
+					// The new collection only exists once a file was stored in it
+					vectorDeleteCount += await deleteDocuments(
+						reembeddingCollection,
+						filter
+					).catch(() => 0);
+				}
 				deletionResults.vectorDeleteCount = vectorDeleteCount;
+				hybridRetriever.invalidate(file.botId);
 				console.log(
 					`[FILE-DELETE] Deleted ${vectorDeleteCount} vectors for file ${file._id}`
 				);
@@ -86,6 +115,14 @@ export class FileService {
 				deletionResults.s3Deleted = true;
 				console.log(`[FILE-DELETE] Deleted from S3: ${file.s3Key}`);
 			}
+
+			// Earlier and unfinished versions are stored under their own keys
+			for (const { s3Key } of file.versions || []) {
+				if (s3Key !== file.s3Key) {
+					await deleteFile(s3Key);
+					console.log(`[FILE-DELETE] Deleted version from S3: ${s3Key}`);
+				}
+			}
 		} catch (s3Error) {
 			console.error(
 				`[FILE-DELETE] S3 deletion failed: ${s3Error.message}`
@@ -147,6 +184,172 @@ export class FileService {
 			},
 		};
 	}
+
+	/**
+	 * Re-embed every file of a bot with a new embedding model
+	 * Vectors from different models can't share a collection, so each file is
+	 * queued again and stored in a new collection while answers keep using
+	 * the current one. finishReembedding switches over once every file is
+	 * processed. Choosing the current model again cancels a re-embedding.
+	 * @param {string} botId - Bot ID
+	 * @param {string} userId - Owner ID
+	 * @param {string} model - New embedding model
+	 * @returns {Promise<Object>} { model, dimensions, queuedFiles }
+	 */
+	async reembedBot(botId, userId, model) {
+		await connect();
+
+		const bot = await Bot.findOne({ _id: botId, ownerId: userId }).select(
+			'vectorStorage openaiApiConfig.models llmProvider'
+		);
+		const dimensions = EMBEDDING_MODELS[model] ?? null;
+
+		// Step 1: Drop the collection of an unfinished re-embedding
+		const previousCollection = bot.vectorStorage?.reembedding?.collectionName;
+		if (previousCollection) {
+			try {
+				await deleteCollection(previousCollection);
+			} catch (collectionError) {
+				console.log(
+					`[FILE-REEMBED] No collection to delete for bot ${botId}: ${collectionError.message}`
+				);
+			}
+		}
+
+		// Step 2: The current collection already uses this model
+		if (model === getEmbeddingConfig(bot).model) {
+			await Bot.findByIdAndUpdate(botId, {
+				$unset: { 'vectorStorage.reembedding': 1 },
+			});
+			return { model, dimensions, queuedFiles: 0 };
+		}
+
+		// Step 3: Record the collection to build (size of custom models is
+		// only known once the collection is created)
+		const collectionName = `${botId}_${Date.now()}`;
+		await Bot.findByIdAndUpdate(botId, {
+			$set: {
+				'vectorStorage.reembedding': {
+					collectionName,
+					model,
+					dimensions,
+					startedAt: new Date(),
+				},
+			},
+		});
+
+		// Step 4: Queue every embedded (or failed) file again
+		const files = await File.find({
+			botId,
+			ownerId: userId,
+			status: { $ne: 'deleted' },
+			embeddingStatus: { $in: ['completed', 'failed'] },
+		});
+
+		for (const file of files) {
+			try {
+				await removeFileProcessingJob(file._id.toString());
+			} catch (queueError) {
+				console.log(`[FILE-REEMBED] No old job to remove: ${file._id}`);
+			}
+
+			await addFileProcessingJob({
+				fileId: file._id.toString(),
+				botId: file.botId.toString(),
+				userId: file.ownerId,
+				s3Key: file.s3Key,
+				filename: file.filename,
+				mimeType: file.mimeType,
+				size: file.size,
+				reprocess: true,
+			});
+
+			file.embeddingStatus = 'queued';
+			await file.save();
+		}
+
+		console.log(
+			`[FILE-REEMBED] Queued ${files.length} files for bot ${botId} (${model} -> ${collectionName})`
+		);
+
+		// A bot without files switches right away
+		await this.finishReembedding(botId);
+
+		return { model, dimensions, queuedFiles: files.length };
+	}
+
+	/**
+	 * Switch a bot to its re-embedded collection once no file is waiting
+	 * Called after each processed file; the old collection is deleted once
+	 * answers use the new one.
+	 * @param {string} botId - Bot ID
+	 * @returns {Promise<boolean>} True if this call switched the collection
+	 */
+	async finishReembedding(botId) {
+		await connect();
+
+		const bot = await Bot.findById(botId).select('vectorStorage');
+		const reembedding = bot?.vectorStorage?.reembedding;
+		if (!reembedding?.collectionName) {
+			return false;
+		}
+
+		const pendingFiles = await File.countDocuments({
+			botId,
+			status: { $ne: 'deleted' },
+			embeddingStatus: { $in: PENDING_EMBEDDING_STATUSES },
+		});
+		if (pendingFiles > 0) {
+			return false;
+		}
+
+		// The collection doesn't exist if no file produced any chunks
+		let totalEmbeddings = 0;
+		try {
+			totalEmbeddings = (await getCollectionInfo(reembedding.collectionName))
+				.pointsCount;
+		} catch (collectionError) {
+			console.log(
+				`[FILE-REEMBED] New collection of bot ${botId} is empty: ${collectionError.message}`
+			);
+		}
+
+		// Only one worker switches when several files finish at once
+		const switched = await Bot.findOneAndUpdate(
+			{
+				_id: botId,
+				'vectorStorage.reembedding.collectionName': reembedding.collectionName,
+			},
+			{
+				$set: {
+					'vectorStorage.collectionName': reembedding.collectionName,
+					'vectorStorage.model': reembedding.model,
+					'vectorStorage.dimensions': reembedding.dimensions,
+					'analytics.totalEmbeddings': totalEmbeddings,
+				},
+				$unset: { 'vectorStorage.reembedding': 1 },
+			}
+		);
+		if (!switched) {
+			return false;
+		}
+
+		const previousCollection = getCollectionName(bot);
+		try {
+			await deleteCollection(previousCollection);
+		} catch (collectionError) {
+			console.log(
+				`[FILE-REEMBED] No collection to delete for bot ${botId}: ${collectionError.message}`
+			);
+		}
+		hybridRetriever.invalidate(botId);
+
+		console.log(
+			`[FILE-REEMBED] Bot ${botId} switched to ${reembedding.collectionName} (${reembedding.model})`
+		);
+
+		return true;
+	}
 }
 
 export const fileService = new FileService();
@@ -0,0 +1,302 @@
+/**
+ * Handoff Service
+ * Escalates widget conversations to a live operator (the bot owner).
+ * While a conversation is handed off the AI stays silent: visitor messages
+ * are stored, and the owner replies from the dashboard as an `agent`.
+ */
+
+import Conversation from '@/models/Conversation.js';
+import { logInfo } from '../utils/logger.js';
+import realtimeService, { REALTIME_EVENTS } from './realtimeService.js';
+import webhookService, { WEBHOOK_EVENTS } from './webhookService.js';
+
+/**
+ * Default handoff configuration (mirrors Bot.handoff)
+ */
+export const DEFAULT_HANDOFF_CONFIG = {
+	enabled: false,
+	triggerIntents: ['HUMAN_AGENT'],
+	unansweredThreshold: 2, // Consecutive answers without context (0 = never)
+	message:
+		"I'm connecting you with a member of our team. They'll reply here shortly.",
+};
+
+/**
+ * Conversation statuses in which a person, not the AI, answers
+ */
+export const HANDOFF_STATUSES = ['awaiting_agent', 'agent_active'];
+
+/**
+ * Resolve a bot's handoff settings with defaults applied
+ * @param {Object} bot - Bot document
+ * @returns {Object} { enabled, triggerIntents, unansweredThreshold, message }
+ */
+export function getHandoffConfig(bot) {
+	const handoff = bot?.handoff || {};
+
+	return {
+		enabled: handoff.enabled ?? DEFAULT_HANDOFF_CONFIG.enabled,
+		triggerIntents: handoff.triggerIntents
+			? [...handoff.triggerIntents]
+			: DEFAULT_HANDOFF_CONFIG.triggerIntents,
+		unansweredThreshold:
+			handoff.unansweredThreshold ?? DEFAULT_HANDOFF_CONFIG.unansweredThreshold,
+		message: handoff.message?.trim() || DEFAULT_HANDOFF_CONFIG.message,
+	};
+}
+
+/**
+ * Check whether a conversation is currently handed off to a person
+ * @param {Object} conversation - Conversation document
+ * @returns {boolean}
+ */
+export function isHandoffActive(conversation) {
+	return HANDOFF_STATUSES.includes(conversation?.status);
+}
+
+class HandoffService {
+	/**
+	 * Check whether a classified intent should hand the conversation off
+	 * @param {Object} bot - Bot document
+	 * @param {string} intentType - Classified intent
+	 * @returns {boolean}
+	 */
+	shouldHandoffForIntent(bot, intentType) {
+		const config = getHandoffConfig(bot);
+		return config.enabled && config.triggerIntents.includes(intentType);
+	}
+
+	/**
+	 * Check whether the latest AI answers went unanswered often enough to hand off
+	 * Counts trailing assistant answers without relevant context, ignoring
+	 * visitor messages in between. FAQ and small talk answers break the streak.
+	 * @param {Object} bot - Bot document
+	 * @param {Array} messages - Conversation messages, latest answer last
+	 * @param {Date} since - Only count answers after this time (the last handoff's end)
+	 * @returns {boolean}
+	 */
+	shouldHandoffForUnanswered(bot, messages, since = null) {
+		const config = getHandoffConfig(bot);
+		if (!config.enabled || config.unansweredThreshold === 0) return false;
+
+		let streak = 0;
+		for (let i = messages.length - 1; i >= 0; i--) {
+			const message = messages[i];
+			if (since && message.timestamp <= since) break;
+			if (message.role === 'user') continue;
+			if (
+				message.role !== 'assistant' ||
+				message.responseType !== 'rag' ||
+				message.hasRelevantContext
+			) {
+				break;
+			}
+			streak++;
+		}
+
+		return streak >= config.unansweredThreshold;
+	}
+
+	/**
+	 * Tell the bot's open dashboards that a conversation changed
+	 * @param {Object} conversation - Conversation document
+	 * @param {string} status - Conversation status after the change
+	 */
+	async notifyDashboards(conversation, status) {
+		await realtimeService.publish(
+			conversation.botId,
+			REALTIME_EVENTS.CONVERSATION_UPDATED,
+			{ sessionId: conversation.sessionId, status }
+		);
+	}
+
+	/**
+	 * Hand a conversation off to the bot owner
+	 * Conversations already handed off are left as they are.
+	 * @param {Object} bot - Bot document
+	 * @param {string} sessionId - Session identifier
+	 * @param {string} reason - 'visitor_request', 'intent' or 'unanswered'
+	 * @returns {Promise<Object|null>} Updated conversation, or null when already handed off
+	 */
+	async startHandoff(bot, sessionId, reason) {
+		const conversation = await Conversation.findOneAndUpdate(
+			{
+				botId: bot._id,
+				sessionId,
+				status: { $nin: HANDOFF_STATUSES },
+			},
+			{
+				status: 'awaiting_agent',
+				handoff: { reason, requestedAt: new Date() },
+			},
+			{ new: true }
+		);
+
+		if (conversation) {
+			// The dashboard alerts the owner when awaiting conversations appear
+			logInfo('Conversation handed off to owner', {
+				botId: bot._id,
+				ownerId: bot.ownerId,
+				sessionId,
+				reason,
+			});
+			// Not awaited: webhooks must never delay the conversation
+			webhookService.dispatch(bot._id, WEBHOOK_EVENTS.HANDOFF_REQUESTED, {
+				sessionId,
+				reason,
+			});
+		}
+
+		return conversation;
+	}
+
+	/**
+	 * Hand a conversation off at the visitor's request
+	 * The handoff notice is added as an assistant message.
+	 * @param {Object} bot - Bot document
+	 * @param {string} sessionId - Session identifier
+	 * @returns {Promise<Object>} { status, message } with the notice, or null message when already handed off
+	 */
+	async requestHandoff(bot, sessionId) {
+		const config = getHandoffConfig(bot);
+		const notice = {
+			role: 'assistant',
+			content: config.message,
+			timestamp: new Date(),
+			tokensUsed: 0,
+			model: 'handoff',
+			responseType: 'handoff',
+		};
+
+		// Visitors can ask before sending their first message
+		await Conversation.updateOne(
+			{ botId: bot._id, sessionId },
+			{ $setOnInsert: { messages: [] } },
+			{ upsert: true }
+		);
+
+		const conversation = await this.startHandoff(
+			bot,
+			sessionId,
+			'visitor_request'
+		);
+		if (!conversation) {
+			const existing = await Conversation.findOne(
+				{ botId: bot._id, sessionId },
+				'status'
+			);
+			return { status: existing.status, message: null };
+		}
+
+		await Conversation.updateOne(
+			{ _id: conversation._id },
+			{
+				$push: { messages: notice },
+				$set: { lastMessageAt: new Date() },
+			}
+		);
+		await this.notifyDashboards(conversation, conversation.status);
+		webhookService.messageCreated(bot._id, sessionId, notice);
+
+		return { status: conversation.status, message: notice };
+	}
+
+	/**
+	 * Store a visitor message while a person is in control
+	 * @param {Object} conversation - Conversation document
+	 * @param {string} content - Visitor's message
+	 * @returns {Promise<Object>} Stored message
+	 */
+	async addVisitorMessage(conversation, content) {
+		const message = {
+			role: 'user',
+			content,
+			timestamp: new Date(),
+		};
+
+		await Conversation.updateOne(
+			{ _id: conversation._id },
+			{
+				$push: { messages: message },
+				$set: { lastMessageAt: new Date() },
+			}
+		);
+		await this.notifyDashboards(conversation, conversation.status);
+		webhookService.messageCreated(
+			conversation.botId,
+			conversation.sessionId,
+			message
+		);
+
+		return message;
+	}
+
+	/**
+	 * Send a reply from the bot owner
+	 * The first reply marks the handoff as accepted.
+	 * @param {Object} conversation - Conversation document
+	 * @param {string} agentId - Clerk ID of the replying owner
+	 * @param {string} content - Reply text
+	 * @returns {Promise<Object>} Updated conversation
+	 */
+	async addAgentMessage(conversation, agentId, content) {
+		const now = new Date();
+		const update = {
+			$push: {
+				messages: { role: 'agent', content, agentId, timestamp: now },
+			},
+			$set: {
+				status: 'agent_active',
+				lastMessageAt: now,
+			},
+		};
+		if (conversation.status !== 'agent_active') {
+			update.$set['handoff.acceptedAt'] = now;
+		}
+
+		const updated = await Conversation.findByIdAndUpdate(
+			conversation._id,
+			update,
+			{ new: true }
+		);
+
+		logInfo('Agent message sent', {
+			conversationId: conversation._id,
+			agentId,
+		});
+		await this.notifyDashboards(conversation, updated.status);
+		webhookService.messageCreated(
+			conversation.botId,
+			conversation.sessionId,
+			updated.messages[updated.messages.length - 1]
+		);
+
+		return updated;
+	}
+
+	/**
+	 * Hand a conversation back to the AI
+	 * @param {Object} conversation - Conversation document
+	 * @returns {Promise<Object>} Updated conversation
+	 */
+	async resolveHandoff(conversation) {
+		const updated = await Conversation.findByIdAndUpdate(
+			conversation._id,
+			{
+				$set: { status: 'active', 'handoff.resolvedAt': new Date() },
+			},
+			{ new: true }
+		);
+
+		logInfo('Conversation handed back to AI', {
+			conversationId: conversation._id,
+		});
+		await this.notifyDashboards(conversation, updated.status);
+
+		return updated;
+	}
+}
+
+// Export singleton instance
+export const handoffService = new HandoffService();
+export default handoffService;
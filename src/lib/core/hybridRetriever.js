@@ -0,0 +1,267 @@
+/**
+ * Hybrid Retriever
+ *
+ * Adds lexical (BM25) search over a bot's stored chunks and fuses it with
+ * vector search results using reciprocal rank fusion (RRF). Exact terms such
+ * as SKUs, error codes and product names score well lexically even when
+ * their embeddings are not close to the query.
+ */
+
+import { Document } from '@langchain/core/documents';
+import { scrollDocuments } from '../integrations/qdrant.js';
+
+/**
+ * Default hybrid retrieval configuration (mirrors Bot.retrieval.hybrid)
+ */
+export const DEFAULT_HYBRID_CONFIG = {
+	enabled: false,
+	vectorWeight: 1,
+	keywordWeight: 1,
+	rrfK: 60,
+};
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Keyword index cache settings
+const INDEX_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_INDEXED_CHUNKS = 20000;
+
+/**
+ * Split text into lowercase search terms
+ * Keeps identifiers like "SKU-1042" or "ERR_TIMEOUT" whole and also
+ * indexes their parts so partial matches still score.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+export function tokenize(text) {
+	if (!text) return [];
+
+	const terms = [];
+	const rawTokens = text
+		.toLowerCase()
+		.match(/[\p{L}\p{N}][\p{L}\p{N}_.\-/]*/gu);
+
+	for (const raw of rawTokens || []) {
+		const token = raw.replace(/[_.\-/]+$/, '');
+		if (!token) continue;
+
+		terms.push(token);
+
+		// Index the parts of compound identifiers as well
+		if (/[_.\-/]/.test(token)) {
+			for (const part of token.split(/[_.\-/]+/)) {
+				if (part) terms.push(part);
+			}
+		}
+	}
+
+	return terms;
+}
+
+/**
+ * Hybrid Retriever Class
+ */
+class HybridRetriever {
+	constructor() {
+		// Keyword index cache: { collectionName: { index, pointsCount, timestamp } }
+		this.indexCache = new Map();
+	}
+
+	/**
+	 * Drop the cached keyword indexes of a bot's collections (or all bots)
+	 * A re-embedded bot's collections are named "<botId>_<timestamp>".
+	 * @param {string} botId - Optional bot ID
+	 */
+	invalidate(botId = null) {
+		if (!botId) {
+			this.indexCache.clear();
+			return;
+		}
+
+		const id = botId.toString();
+		for (const collectionName of this.indexCache.keys()) {
+			if (collectionName === id || collectionName.startsWith(`${id}_`)) {
+				this.indexCache.delete(collectionName);
+			}
+		}
+	}
+
+	/**
+	 * Build a BM25 index from stored points
+	 * @param {Array} points - Points from scrollDocuments
+	 * @returns {Object} Index with per-document term frequencies
+	 */
+	buildIndex(points) {
+		const docs = [];
+		const docFreq = new Map();
+		let totalLength = 0;
+
+		for (const point of points) {
+			// Disabled chunks are kept out of retrieval
+			if (point.metadata?.disabled) continue;
+
+			const terms = tokenize(point.pageContent);
+			const termFreqs = new Map();
+
+			for (const term of terms) {
+				termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+			}
+
+			for (const term of termFreqs.keys()) {
+				docFreq.set(term, (docFreq.get(term) || 0) + 1);
+			}
+
+			totalLength += terms.length;
+			docs.push({
+				id: point.id,
+				pageContent: point.pageContent,
+				metadata: point.metadata,
+				length: terms.length,
+				termFreqs,
+			});
+		}
+
+		return {
+			docs,
+			docFreq,
+			avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+		};
+	}
+
+	/**
+	 * Get (or build) the keyword index for a bot's collection
+	 * The index is rebuilt when the collection's point count changes or the
+	 * cache entry expires.
+	 * @param {string} collectionName - Bot's collection (see getCollectionName)
+	 * @param {number} pointsCount - Current number of points in the collection
+	 * @returns {Promise<Object>} BM25 index
+	 */
+	async getIndex(collectionName, pointsCount) {
+		const cached = this.indexCache.get(collectionName);
+
+		if (
+			cached &&
+			cached.pointsCount === pointsCount &&
+			Date.now() - cached.timestamp < INDEX_TTL
+		) {
+			return cached.index;
+		}
+
+		console.log(`🔤 [HYBRID] Building keyword index for: ${collectionName}`);
+
+		const points = await scrollDocuments(collectionName, {
+			limit: MAX_INDEXED_CHUNKS,
+		});
+
+		if (points.length >= MAX_INDEXED_CHUNKS) {
+			console.warn(
+				`⚠️ [HYBRID] Keyword index truncated to ${MAX_INDEXED_CHUNKS} chunks`
+			);
+		}
+
+		const index = this.buildIndex(points);
+		this.indexCache.set(collectionName, {
+			index,
+			pointsCount,
+			timestamp: Date.now(),
+		});
+
+		console.log(`✅ [HYBRID] Indexed ${index.docs.length} chunks`);
+
+		return index;
+	}
+
+	/**
+	 * Score chunks against a query with BM25
+	 * @param {string} collectionName - Bot's collection (see getCollectionName)
+	 * @param {string} query - Search query
+	 * @param {number} topK - Number of results to return
+	 * @param {number} pointsCount - Current number of points in the collection
+	 * @returns {Promise<Array>} [{ document, score }] sorted by score
+	 */
+	async keywordSearch(collectionName, query, topK, pointsCount) {
+		const index = await this.getIndex(collectionName, pointsCount);
+		const queryTerms = [...new Set(tokenize(query))];
+
+		if (index.docs.length === 0 || queryTerms.length === 0) {
+			return [];
+		}
+
+		const totalDocs = index.docs.length;
+		const results = [];
+
+		for (const doc of index.docs) {
+			let score = 0;
+
+			for (const term of queryTerms) {
+				const tf = doc.termFreqs.get(term);
+				if (!tf) continue;
+
+				const df = index.docFreq.get(term) || 0;
+				const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+				const norm =
+					BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / index.avgLength);
+
+				score += idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+			}
+
+			if (score > 0) {
+				results.push({
+					document: new Document({
+						id: doc.id,
+						pageContent: doc.pageContent,
+						metadata: { ...doc.metadata },
+					}),
+					score,
+				});
+			}
+		}
+
+		return results.sort((a, b) => b.score - a.score).slice(0, topK);
+	}
+
+	/**
+	 * Fuse vector and keyword rankings with reciprocal rank fusion
+	 * score = vectorWeight / (rrfK + vectorRank) + keywordWeight / (rrfK + keywordRank)
+	 * @param {Array} vectorResults - [{ document, score }] sorted by similarity
+	 * @param {Array} keywordResults - [{ document, score }] sorted by BM25 score
+	 * @param {Object} config - Hybrid configuration (weights and rrfK)
+	 * @returns {Array} [{ document, fusedScore, vectorScore, keywordScore }]
+	 */
+	fuseRankings(vectorResults, keywordResults, config = {}) {
+		const { vectorWeight, keywordWeight, rrfK } = {
+			...DEFAULT_HYBRID_CONFIG,
+			...config,
+		};
+		const fused = new Map();
+
+		const addRanking = (results, weight, scoreKey) => {
+			results.forEach(({ document, score }, rank) => {
+				const key = document.id || document.metadata?.documentId;
+				const entry = fused.get(key) || {
+					document,
+					fusedScore: 0,
+					vectorScore: null,
+					keywordScore: null,
+				};
+
+				entry.fusedScore += weight / (rrfK + rank + 1);
+				entry[scoreKey] = score;
+				fused.set(key, entry);
+			});
+		};
+
+		addRanking(vectorResults, vectorWeight, 'vectorScore');
+		addRanking(keywordResults, keywordWeight, 'keywordScore');
+
+		return Array.from(fused.values()).sort(
+			(a, b) => b.fusedScore - a.fusedScore
+		);
+	}
+}
+
+// Export singleton instance
+export const hybridRetriever = new HybridRetriever();
+export default hybridRetriever;
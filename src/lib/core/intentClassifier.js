@@ -1,17 +1,19 @@
-import { createOpenAIClient } from '../integrations/openai.js';
+import { createLLMClient } from '../integrations/llmProvider.js';
 import { logError, logInfo, logWarn } from '../utils/logger.js';
+import { getModelConfig, getProviderConfig } from './modelConfig.js';
 
 const INTENT_TYPES = {
 	NEEDS_RAG: 'NEEDS_RAG',
 	GENERAL_CHAT: 'GENERAL_CHAT',
 	SMALL_TALK: 'SMALL_TALK',
+	HUMAN_AGENT: 'HUMAN_AGENT',
 };
 
 const CONFIDENCE_THRESHOLD = 0.7;
 
 class IntentClassifier {
 	/**
-	 * Classify user query intent using GPT-3.5-turbo
+	 * Classify user query intent using the bot's classifier model
 	 * @param {string} query - User's message
 	 * @param {Object} bot - Bot object with description/purpose
 	 * @param {string} apiKey - OpenAI API key
@@ -19,7 +21,7 @@ class IntentClassifier {
 	 */
 	async classify(query, bot, apiKey) {
 		try {
-			const client = createOpenAIClient(apiKey);
+			const client = createLLMClient(apiKey, getProviderConfig(bot));
 
 			const systemPrompt = `You are an intent classifier. Analyze the user's message and classify it into ONE of these categories:
 
@@ -32,12 +34,16 @@ class IntentClassifier {
 3. SMALL_TALK - Greetings, thanks, goodbyes, and casual pleasantries
    Examples: "Hello", "Hi there", "Hey", "Thank you", "Thanks!", "Goodbye", "Bye", "How are you?", "Good morning"
 
+4. HUMAN_AGENT - User asks to talk to a human, a real person, an agent or the support team
+   Examples: "Can I talk to a human?", "Connect me to support", "I want to speak to a real person", "Is there an agent available?"
+
 Bot Context: ${bot.description || bot.name || 'General assistant'}
 
 IMPORTANT: 
 - Classify common greetings, thanks, and goodbyes as SMALL_TALK with high confidence
 - Only use NEEDS_RAG when the user is clearly asking for specific factual information
 - Use GENERAL_CHAT for questions about capabilities and general inquiries
+- Only use HUMAN_AGENT when the user asks for a person, not for questions about support policies
 
 Respond ONLY with a JSON object in this exact format:
 {"type": "NEEDS_RAG", "confidence": 0.95}
@@ -45,7 +51,7 @@ Respond ONLY with a JSON object in this exact format:
 Use confidence score 0-1 based on how certain you are.`;
 
 			const response = await client.chat.completions.create({
-				model: 'gpt-4.1-mini',
+				model: getModelConfig(bot).classifier,
 				messages: [
 					{ role: 'system', content: systemPrompt },
 					{ role: 'user', content: query },
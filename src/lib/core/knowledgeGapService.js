@@ -0,0 +1,323 @@
+/**
+ * Knowledge Gap Service
+ * Collects visitor questions the bot could not answer from its documents,
+ * or whose answers visitors rated thumbs down, and groups similar questions
+ * with embeddings so owners see which topics their knowledge base is missing.
+ */
+
+import crypto from 'crypto';
+import { cosineSimilarity } from '@langchain/core/utils/math';
+import Conversation from '@/models/Conversation.js';
+import { createEmbeddingModel } from '../integrations/llmProvider.js';
+import { getEmbeddingConfig } from './modelConfig.js';
+import { logInfo } from '../utils/logger.js';
+
+/**
+ * Default knowledge gap report configuration
+ */
+export const DEFAULT_KNOWLEDGE_GAP_CONFIG = {
+	similarityThreshold: 0.8, // Minimum cosine similarity to join a cluster
+	maxQuestions: 500, // Most recent gap questions included in a report
+	maxConversations: 2000, // Most recently active conversations searched
+	examplesPerCluster: 5, // Distinct questions listed per cluster
+};
+
+// Question embeddings are kept in memory; the oldest are dropped past this size
+const MAX_CACHED_EMBEDDINGS = 5000;
+
+// Only the message fields findGapQuestions reads are loaded
+const GAP_MESSAGE_FIELDS = [
+	'role',
+	'content',
+	'timestamp',
+	'rewrittenQuery',
+	'hasRelevantContext',
+	'responseType',
+	'feedback.rating',
+];
+
+/**
+ * Normalize a question so repeats of it are counted together
+ * @param {string} text - Question text
+ * @returns {string}
+ */
+function normalizeQuestion(text) {
+	return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the questions of a conversation that exposed a knowledge gap
+ * A gap is a visitor question whose AI answer found no relevant documents,
+ * or whose answer the visitor rated thumbs down.
+ * @param {Object} conversation - Conversation with sessionId and messages
+ * @param {Date} startDate - Only questions asked from this date
+ * @param {Date} endDate - Only questions asked until this date
+ * @returns {Array} [{ question, searchText, unanswered, downvoted, sessionId, askedAt }]
+ */
+export function findGapQuestions(conversation, startDate, endDate) {
+	const gaps = [];
+	let question = null;
+
+	for (const message of conversation.messages || []) {
+		if (message.role === 'user') {
+			question = message;
+			continue;
+		}
+
+		const answer = message.role === 'assistant' ? message : null;
+		const askedAt = new Date(question?.timestamp);
+		if (answer && question && askedAt >= startDate && askedAt <= endDate) {
+			// Only retrieval answers can miss context; small talk never has any
+			const unanswered =
+				answer.hasRelevantContext === false &&
+				(!answer.responseType || answer.responseType === 'rag');
+			const downvoted = answer.feedback?.rating === 'down';
+
+			if (unanswered || downvoted) {
+				gaps.push({
+					question: question.content,
+					// Follow-ups are clustered by their standalone rewrite
+					searchText: question.rewrittenQuery || question.content,
+					unanswered,
+					downvoted,
+					sessionId: conversation.sessionId,
+					askedAt,
+				});
+			}
+		}
+
+		// Each question is judged by the first reply it got
+		question = null;
+	}
+
+	return gaps;
+}
+
+/**
+ * Group vectors greedily: each joins the closest cluster centroid above
+ * the threshold, or starts a new cluster
+ * @param {Array<number[]>} vectors - Vectors in the order to assign them
+ * @param {number} threshold - Minimum cosine similarity to join a cluster
+ * @returns {Array<number[]>} Indices of the vectors in each cluster
+ */
+export function clusterVectors(vectors, threshold) {
+	const centroids = [];
+	const clusters = [];
+
+	vectors.forEach((vector, index) => {
+		let best = -1;
+		if (centroids.length > 0) {
+			const scores = cosineSimilarity([vector], centroids)[0];
+			scores.forEach((score, clusterIndex) => {
+				if (score >= threshold && (best < 0 || score > scores[best])) {
+					best = clusterIndex;
+				}
+			});
+		}
+
+		if (best < 0) {
+			centroids.push([...vector]);
+			clusters.push([index]);
+			return;
+		}
+
+		// Move the centroid to the mean of its members
+		const size = clusters[best].length;
+		centroids[best] = centroids[best].map(
+			(value, dimension) => (value * size + vector[dimension]) / (size + 1)
+		);
+		clusters[best].push(index);
+	});
+
+	return clusters;
+}
+
+class KnowledgeGapService {
+	constructor() {
+		// Question embeddings: { "model:textHash": vector }
+		this.embeddingCache = new Map();
+	}
+
+	/**
+	 * Embed question texts, reusing cached vectors
+	 * @param {Object} bot - Bot document
+	 * @param {string[]} texts - Texts to embed
+	 * @param {string} apiKey - API key for embeddings
+	 * @returns {Promise<Array<number[]>>} Vectors in the order of texts
+	 */
+	async embedQuestions(bot, texts, apiKey) {
+		const embeddingConfig = getEmbeddingConfig(bot);
+		const getCacheKey = (text) =>
+			`${embeddingConfig.model}:${crypto
+				.createHash('sha256')
+				.update(text)
+				.digest('hex')}`;
+
+		const missingTexts = texts.filter(
+			(text) => !this.embeddingCache.has(getCacheKey(text))
+		);
+		if (missingTexts.length > 0) {
+			const embeddings = createEmbeddingModel(
+				apiKey,
+				embeddingConfig.provider,
+				{
+					model: embeddingConfig.model,
+					dimensions: embeddingConfig.dimensions,
+				}
+			);
+			const missingVectors = await embeddings.embedDocuments(missingTexts);
+			missingTexts.forEach((text, index) => {
+				this.embeddingCache.set(getCacheKey(text), missingVectors[index]);
+			});
+		}
+
+		const vectors = texts.map((text) =>
+			this.embeddingCache.get(getCacheKey(text))
+		);
+
+		while (this.embeddingCache.size > MAX_CACHED_EMBEDDINGS) {
+			this.embeddingCache.delete(this.embeddingCache.keys().next().value);
+		}
+
+		return vectors;
+	}
+
+	/**
+	 * Build a bot's knowledge gap report
+	 * Clusters are ranked by how often their questions were asked.
+	 * @param {Object} bot - Bot document
+	 * @param {string} apiKey - API key for embeddings
+	 * @param {Object} options - { startDate, endDate, similarityThreshold }
+	 * @returns {Promise<Object>} { summary, clusters }
+	 */
+	async getReport(bot, apiKey, options = {}) {
+		const config = { ...DEFAULT_KNOWLEDGE_GAP_CONFIG, ...options };
+		const { startDate, endDate } = config;
+
+		// Step 1: Collect gap questions from the most recently active
+		// conversations in the range (one extra tells whether more exist)
+		const conversations = await Conversation.find(
+			{
+				botId: bot._id,
+				createdAt: { $lte: endDate },
+				lastMessageAt: { $gte: startDate },
+			},
+			[
+				'sessionId',
+				...GAP_MESSAGE_FIELDS.map((field) => `messages.${field}`),
+			].join(' ')
+		)
+			.sort({ lastMessageAt: -1 })
+			.limit(config.maxConversations + 1)
+			.lean();
+		const conversationLimitReached =
+			conversations.length > config.maxConversations;
+		if (conversationLimitReached) {
+			conversations.pop();
+		}
+
+		const gaps = conversations
+			.flatMap((conversation) =>
+				findGapQuestions(conversation, startDate, endDate)
+			)
+			.sort((a, b) => b.askedAt - a.askedAt);
+		const analyzed = gaps.slice(0, config.maxQuestions);
+
+		// Step 2: Count repeats of the same question together
+		const questionMap = new Map();
+		for (const gap of analyzed) {
+			const key = normalizeQuestion(gap.searchText);
+			const entry = questionMap.get(key) || {
+				question: gap.question,
+				searchText: gap.searchText,
+				count: 0,
+				unansweredCount: 0,
+				downvotedCount: 0,
+				sessions: new Set(),
+				lastAskedAt: gap.askedAt,
+			};
+			entry.count++;
+			if (gap.unanswered) entry.unansweredCount++;
+			if (gap.downvoted) entry.downvotedCount++;
+			entry.sessions.add(gap.sessionId);
+			questionMap.set(key, entry);
+		}
+
+		// Most asked questions first, so they seed the clusters
+		const questions = [...questionMap.values()].sort(
+			(a, b) => b.count - a.count
+		);
+
+		// Step 3: Cluster similar questions
+		const vectors = await this.embedQuestions(
+			bot,
+			questions.map((entry) => entry.searchText),
+			apiKey
+		);
+		const clusters = clusterVectors(vectors, config.similarityThreshold)
+			.map((indices) =>
+				this.formatCluster(
+					indices.map((index) => questions[index]),
+					config.examplesPerCluster
+				)
+			)
+			.sort((a, b) => b.count - a.count || b.lastAskedAt - a.lastAskedAt);
+
+		logInfo('Knowledge gap report built', {
+			botId: bot._id,
+			conversations: conversations.length,
+			questions: gaps.length,
+			analyzed: analyzed.length,
+			clusters: clusters.length,
+		});
+
+		return {
+			summary: {
+				totalQuestions: gaps.length,
+				analyzedQuestions: analyzed.length,
+				unanswered: analyzed.filter((gap) => gap.unanswered).length,
+				downvoted: analyzed.filter((gap) => gap.downvoted).length,
+				clusters: clusters.length,
+				searchedConversations: conversations.length,
+				conversationLimitReached,
+			},
+			clusters,
+		};
+	}
+
+	/**
+	 * Summarize the questions of one cluster
+	 * @param {Array} questions - Counted questions, most asked first
+	 * @param {number} examplesLimit - Distinct questions to list
+	 * @returns {Object} Cluster with its most asked question as the title
+	 */
+	formatCluster(questions, examplesLimit) {
+		const sessions = new Set(questions.flatMap((entry) => [...entry.sessions]));
+		const sum = (field) =>
+			questions.reduce((total, entry) => total + entry[field], 0);
+
+		return {
+			id: crypto
+				.createHash('sha256')
+				.update(normalizeQuestion(questions[0].searchText))
+				.digest('hex')
+				.slice(0, 12),
+			question: questions[0].question,
+			count: sum('count'),
+			unansweredCount: sum('unansweredCount'),
+			downvotedCount: sum('downvotedCount'),
+			sessionCount: sessions.size,
+			lastAskedAt: new Date(
+				Math.max(...questions.map((entry) => entry.lastAskedAt))
+			),
+			examples: questions.slice(0, examplesLimit).map((entry) => ({
+				question: entry.question,
+				count: entry.count,
+			})),
+		};
+	}
+}
+
+// Export singleton instance
+export const knowledgeGapService = new KnowledgeGapService();
+export default knowledgeGapService;
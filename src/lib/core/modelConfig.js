@@ -0,0 +1,187 @@
+/**
+ * Model Configuration
+ *
+ * Supported models, LLM providers and helpers that resolve a bot's model
+ * (Bot.openaiApiConfig.models) and provider (Bot.llmProvider) settings with
+ * defaults applied, so every call site honours the same configuration.
+ */
+
+/**
+ * LLM providers a bot can talk to
+ * - openai: api.openai.com
+ * - azure: Azure OpenAI resource (model names are deployment names)
+ * - openai_compatible: any server exposing the OpenAI API (Ollama, vLLM,
+ *   llama.cpp server, ...), model names are whatever the server serves
+ */
+export const LLM_PROVIDERS = {
+	OPENAI: 'openai',
+	AZURE: 'azure',
+	OPENAI_COMPATIBLE: 'openai_compatible',
+};
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Default provider configuration (mirrors Bot.llmProvider)
+ */
+export const DEFAULT_PROVIDER_CONFIG = {
+	type: LLM_PROVIDERS.OPENAI,
+	baseURL: '',
+	apiVersion: DEFAULT_AZURE_API_VERSION,
+};
+
+/**
+ * Chat models selectable for answers and intent classification
+ */
+export const CHAT_MODELS = [
+	'gpt-4.1',
+	'gpt-4.1-mini',
+	'gpt-4.1-nano',
+	'gpt-4o',
+	'gpt-4o-mini',
+	'gpt-4-turbo',
+	'gpt-3.5-turbo',
+];
+
+// Former schema default stored on older bots that never picked a model;
+// it was never used for answers, so it reads as unset
+const LEGACY_DEFAULT_CHAT_MODEL = 'gpt-4';
+
+/**
+ * Embedding models and their vector dimensions
+ */
+export const EMBEDDING_MODELS = {
+	'text-embedding-3-small': 1536,
+	'text-embedding-3-large': 3072,
+};
+
+/**
+ * Default model configuration (mirrors Bot.openaiApiConfig.models)
+ * A null temperature or maxTokens means each response mode uses its own
+ * default (see RESPONSE_MODE_DEFAULTS).
+ */
+export const DEFAULT_MODEL_CONFIG = {
+	chat: 'gpt-4.1-mini',
+	classifier: 'gpt-4.1-mini',
+	embeddings: 'text-embedding-3-small',
+	temperature: null,
+	maxTokens: null,
+};
+
+/**
+ * Generation settings per response mode when the owner sets none
+ * - rag: answers grounded in documents stay focused
+ * - general: answers without documents
+ * - small_talk: greetings, thanks and goodbyes stay brief
+ */
+export const RESPONSE_MODE_DEFAULTS = {
+	rag: { temperature: 0.3, maxTokens: 600 },
+	general: { temperature: 0.7, maxTokens: 200 },
+	small_talk: { temperature: 0.8, maxTokens: 100 },
+};
+
+/**
+ * Resolve a bot's model settings with defaults applied
+ * @param {Object} bot - Bot document
+ * @returns {Object} { chat, classifier, embeddings, temperature, maxTokens }
+ */
+export function getModelConfig(bot) {
+	const models = bot?.openaiApiConfig?.models || {};
+	const isLegacyChatModel =
+		models.chat === LEGACY_DEFAULT_CHAT_MODEL &&
+		getProviderConfig(bot).type === LLM_PROVIDERS.OPENAI;
+
+	return {
+		chat: (!isLegacyChatModel && models.chat) || DEFAULT_MODEL_CONFIG.chat,
+		classifier: models.classifier || DEFAULT_MODEL_CONFIG.classifier,
+		embeddings: models.embeddings || DEFAULT_MODEL_CONFIG.embeddings,
+		temperature: models.temperature ?? DEFAULT_MODEL_CONFIG.temperature,
+		maxTokens: models.maxTokens ?? DEFAULT_MODEL_CONFIG.maxTokens,
+	};
+}
+
+/**
+ * Resolve the temperature and token limit for one response mode
+ * The owner's settings win; unset ones fall back to the mode's default.
+ * @param {Object} modelConfig - Bot model settings (see getModelConfig)
+ * @param {string} mode - Key of RESPONSE_MODE_DEFAULTS
+ * @returns {Object} { temperature, maxTokens }
+ */
+export function getGenerationSettings(modelConfig, mode) {
+	const defaults = RESPONSE_MODE_DEFAULTS[mode];
+
+	return {
+		temperature: modelConfig?.temperature ?? defaults.temperature,
+		maxTokens: modelConfig?.maxTokens ?? defaults.maxTokens,
+	};
+}
+
+/**
+ * Resolve a bot's LLM provider settings with defaults applied
+ * @param {Object} bot - Bot document
+ * @returns {Object} { type, baseURL, apiVersion }
+ */
+export function getProviderConfig(bot) {
+	const provider = bot?.llmProvider || {};
+
+	return {
+		type: provider.type || DEFAULT_PROVIDER_CONFIG.type,
+		baseURL: provider.baseURL || DEFAULT_PROVIDER_CONFIG.baseURL,
+		apiVersion: provider.apiVersion || DEFAULT_PROVIDER_CONFIG.apiVersion,
+	};
+}
+
+/**
+ * Resolve the embedding model used for a bot's vector collection
+ * The collection's recorded model (vectorStorage.model) wins so queries are
+ * always embedded with the same model as the stored chunks. Dimensions are
+ * only set for known OpenAI models; other servers use their native size.
+ * @param {Object} bot - Bot document
+ * @returns {Object} { model, dimensions, provider }
+ */
+export function getEmbeddingConfig(bot) {
+	const model = bot?.vectorStorage?.model || getModelConfig(bot).embeddings;
+
+	return {
+		model,
+		dimensions: EMBEDDING_MODELS[model],
+		provider: getProviderConfig(bot),
+	};
+}
+
+/**
+ * Name of the Qdrant collection a bot's answers are retrieved from
+ * Bots that were never re-embedded use their ID.
+ * @param {Object} bot - Bot document
+ * @returns {string} Collection name
+ */
+export function getCollectionName(bot) {
+	return bot?.vectorStorage?.collectionName || bot._id.toString();
+}
+
+/**
+ * Resolve where new chunks of a bot are stored
+ * While the bot is re-embedded (vectorStorage.reembedding), files are written
+ * to the new collection with the new model; answers keep using the current
+ * collection until every file is done.
+ * @param {Object} bot - Bot document
+ * @returns {Object} { collectionName, embedding } (see getEmbeddingConfig)
+ */
+export function getStorageTarget(bot) {
+	const reembedding = bot?.vectorStorage?.reembedding;
+	if (!reembedding?.collectionName) {
+		return {
+			collectionName: getCollectionName(bot),
+			embedding: getEmbeddingConfig(bot),
+		};
+	}
+
+	return {
+		collectionName: reembedding.collectionName,
+		embedding: {
+			model: reembedding.model,
+			dimensions: EMBEDDING_MODELS[reembedding.model],
+			provider: getProviderConfig(bot),
+		},
+	};
+}
@@ -0,0 +1,305 @@
+/**
+ * Prompt Configuration
+ *
+ * Persona presets and helpers that build a bot's system prompt from its
+ * persona settings (Bot.persona): owner-written instructions with
+ * placeholders, tone, reply language and strictness. The RAG, general chat
+ * and small talk paths all build their system prompt here.
+ */
+
+export const PERSONA_TONES = [
+	'professional',
+	'friendly',
+	'casual',
+	'formal',
+	'enthusiastic',
+];
+
+/**
+ * How closely answers must stick to the knowledge base
+ * - strict: answer only from documents and FAQs, decline otherwise
+ * - flexible: prefer documents, fall back to general knowledge
+ */
+export const PERSONA_STRICTNESS = {
+	STRICT: 'strict',
+	FLEXIBLE: 'flexible',
+};
+
+// Replies follow the visitor's language unless the owner picks one
+export const AUTO_LANGUAGE = 'auto';
+
+export const MAX_INSTRUCTIONS_LENGTH = 4000;
+
+/**
+ * Placeholders available in persona instructions
+ */
+export const PROMPT_PLACEHOLDERS = {
+	bot_name: "The bot's name",
+	bot_description: "The bot's description",
+	context:
+		'Knowledge for the answer: retrieved document passages, or FAQs for conversational replies',
+	rules: 'Answering rules built from the tone, language and strictness',
+};
+
+// Without these the model never sees the knowledge base or the answering rules
+export const REQUIRED_PLACEHOLDERS = ['context', 'rules'];
+
+const DEFAULT_INSTRUCTIONS = `You are an AI assistant, and your name is {bot_name}.
+You are very polite and helpful.
+You help the user by answering questions based on the provided context.
+
+{bot_description}
+
+{rules}
+
+CONTEXT:
+{context}`;
+
+/**
+ * Starting points for persona instructions
+ */
+export const PERSONA_PRESETS = {
+	default: {
+		label: 'General assistant',
+		tone: 'professional',
+		strictness: PERSONA_STRICTNESS.STRICT,
+		instructions: DEFAULT_INSTRUCTIONS,
+	},
+	support: {
+		label: 'Customer support agent',
+		tone: 'friendly',
+		strictness: PERSONA_STRICTNESS.STRICT,
+		instructions: `You are {bot_name}, a customer support agent.
+Your goal is to solve the customer's problem quickly and make them feel heard.
+Acknowledge frustration, give step-by-step instructions when a task has several steps, and offer to help with anything else at the end.
+
+{bot_description}
+
+{rules}
+
+CONTEXT:
+{context}`,
+	},
+	sales: {
+		label: 'Sales assistant',
+		tone: 'enthusiastic',
+		strictness: PERSONA_STRICTNESS.STRICT,
+		instructions: `You are {bot_name}, a sales assistant.
+Help visitors find the product or plan that fits their needs. Ask a short follow-up question when their needs are unclear, highlight the benefits that matter to them and never invent prices, discounts or features.
+
+{bot_description}
+
+{rules}
+
+CONTEXT:
+{context}`,
+	},
+	technical: {
+		label: 'Technical documentation expert',
+		tone: 'formal',
+		strictness: PERSONA_STRICTNESS.STRICT,
+		instructions: `You are {bot_name}, an expert on the product's technical documentation.
+Give precise answers. Keep exact names of settings, commands, endpoints and error codes, and format code, commands and configuration as code blocks.
+
+{bot_description}
+
+{rules}
+
+CONTEXT:
+{context}`,
+	},
+	tutor: {
+		label: 'Tutor',
+		tone: 'friendly',
+		strictness: PERSONA_STRICTNESS.FLEXIBLE,
+		instructions: `You are {bot_name}, a patient tutor.
+Explain concepts in simple terms first, then add detail. Use short examples, and check understanding by suggesting a follow-up question the learner could explore.
+
+{bot_description}
+
+{rules}
+
+CONTEXT:
+{context}`,
+	},
+};
+
+export const DEFAULT_PERSONA_PRESET = 'default';
+
+/**
+ * Default persona configuration (mirrors Bot.persona)
+ */
+export const DEFAULT_PERSONA_CONFIG = {
+	preset: DEFAULT_PERSONA_PRESET,
+	instructions: '',
+	tone: 'professional',
+	language: AUTO_LANGUAGE,
+	strictness: PERSONA_STRICTNESS.STRICT,
+};
+
+/**
+ * Resolve a bot's persona settings with defaults applied
+ * Bots without custom instructions use their preset's instructions.
+ * @param {Object} bot - Bot document
+ * @returns {Object} { preset, instructions, isCustom, tone, language, strictness }
+ */
+export function getPersonaConfig(bot) {
+	const persona = bot?.persona || {};
+	const preset = Object.hasOwn(PERSONA_PRESETS, persona.preset ?? '')
+		? persona.preset
+		: DEFAULT_PERSONA_PRESET;
+
+	return {
+		preset,
+		instructions:
+			persona.instructions?.trim() || PERSONA_PRESETS[preset].instructions,
+		isCustom: !!persona.instructions?.trim(),
+		tone: persona.tone || DEFAULT_PERSONA_CONFIG.tone,
+		language: persona.language?.trim() || DEFAULT_PERSONA_CONFIG.language,
+		strictness: persona.strictness || DEFAULT_PERSONA_CONFIG.strictness,
+	};
+}
+
+/**
+ * Find the placeholders used in persona instructions
+ * @param {string} instructions - Persona instructions
+ * @returns {string[]} Placeholder names, without braces
+ */
+function getPlaceholders(instructions) {
+	return [...instructions.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Validate persona instructions
+ * @param {string} instructions - Persona instructions
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePersonaInstructions(instructions) {
+	if (typeof instructions !== 'string') {
+		return 'Instructions must be a string';
+	}
+	if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+		return `Instructions cannot exceed ${MAX_INSTRUCTIONS_LENGTH} characters`;
+	}
+
+	const placeholders = getPlaceholders(instructions);
+	const unknown = placeholders.filter(
+		(name) => !Object.hasOwn(PROMPT_PLACEHOLDERS, name)
+	);
+	if (unknown.length > 0) {
+		return `Unknown placeholder {${unknown[0]}}. Available placeholders: ${Object.keys(
+			PROMPT_PLACEHOLDERS
+		)
+			.map((name) => `{${name}}`)
+			.join(', ')}`;
+	}
+
+	const missing = REQUIRED_PLACEHOLDERS.filter(
+		(name) => !placeholders.includes(name)
+	);
+	if (missing.length > 0) {
+		return `Instructions must include ${missing.map((name) => `{${name}}`).join(' and ')}`;
+	}
+
+	return null;
+}
+
+/**
+ * Build the answering rules for a reply
+ * @param {Object} persona - Persona settings (see getPersonaConfig)
+ * @param {string} mode - 'rag', 'general' or 'small_talk'
+ * @returns {string[]} Rules in order
+ */
+function buildRules(persona, mode) {
+	const strict = persona.strictness !== PERSONA_STRICTNESS.FLEXIBLE;
+	const rules = [];
+
+	if (mode === 'small_talk') {
+		rules.push(
+			'Respond warmly to greetings, thanks, and casual conversation',
+			'Keep responses brief and friendly (1-2 sentences max)',
+			'If appropriate, gently guide users toward what you can help with',
+			'Use FAQs as guidance when relevant to the conversation'
+		);
+	} else if (mode === 'rag') {
+		rules.push(
+			...(strict
+				? [
+						'ONLY answer questions using information from the provided context',
+						"If the context doesn't contain relevant information, politely decline and suggest topics you can help with",
+					]
+				: [
+						'Prefer information from the provided context',
+						"If the context doesn't cover the question, you may answer from general knowledge, but say that the answer is not based on the documents",
+					]),
+			'Be concise but comprehensive in your answers',
+			'Cite the passages you use with their number in square brackets right after the statement, e.g. [1] or [2][3]. Only use numbers that appear in the context'
+		);
+		if (strict) {
+			rules.push(
+				'If asked about topics outside your knowledge base, explain that you can only help with information from the uploaded documents'
+			);
+		}
+	} else {
+		rules.push(
+			strict
+				? 'Answer questions based on the information provided in the context'
+				: 'Prefer the information provided in the context; you may also use general knowledge',
+			"If a question matches a FAQ, use that guidance but respond naturally (don't just copy the FAQ answer)",
+			strict
+				? 'If asked about topics outside your knowledge, politely explain what you can help with'
+				: 'For topics outside the context, answer from general knowledge and say so',
+			'Keep responses clear, concise, and friendly',
+			"Be honest about limitations - don't make up information"
+		);
+	}
+
+	rules.push(`Maintain a ${persona.tone} tone`);
+	rules.push(
+		persona.language === AUTO_LANGUAGE
+			? "Reply in the language of the user's message"
+			: `Always reply in ${persona.language}, whatever language the user writes in`
+	);
+
+	return rules;
+}
+
+/**
+ * Build a bot's system prompt
+ * Placeholders are replaced in a single pass, so braces inside the bot's
+ * description or the context are left as they are.
+ * @param {Object} bot - Bot document
+ * @param {Object} options
+ * @param {string} options.mode - 'rag', 'general' or 'small_talk'
+ * @param {string} options.context - Document passages or FAQ context
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt(bot, { mode = 'rag', context = '' } = {}) {
+	const persona = getPersonaConfig(bot);
+	const rules = buildRules(persona, mode);
+
+	const values = {
+		bot_name: bot.name || 'AI Assistant',
+		bot_description: bot.description
+			? `ABOUT THIS ASSISTANT:\n${bot.description}`
+			: '',
+		context: context.trim() || 'No additional information available.',
+		rules: `IMPORTANT RULES:\n${rules
+			.map((rule, index) => `${index + 1}. ${rule}`)
+			.join('\n')}`,
+	};
+
+	let template = persona.instructions;
+	if (!values.bot_description) {
+		// Drop the description line instead of leaving a gap
+		template = template
+			.replace(/^[ \t]*\{bot_description\}[ \t]*(\n|$)/gm, '')
+			.replace(/\n{3,}/g, '\n\n');
+	}
+
+	return template
+		.replace(/\{(\w+)\}/g, (match, name) =>
+			Object.hasOwn(values, name) ? values[name] : match
+		)
+		.trim();
+}
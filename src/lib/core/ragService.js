@@ -5,42 +5,101 @@
  * Handles document storage, retrieval, and generation pipeline
  */
 
-import { QdrantVectorStore } from '@langchain/qdrant';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { ChatOpenAI } from '@langchain/openai';
 import { PromptTemplate } from '@langchain/core/prompts';
 import { RunnableSequence } from '@langchain/core/runnables';
 import { StringOutputParser } from '@langchain/core/output_parsers';
+import { Document } from '@langchain/core/documents';
+import {
+	cosineSimilarity,
+	maximalMarginalRelevance,
+} from '@langchain/core/utils/math';
 import { QdrantClient } from '@qdrant/js-client-rest';
-import { storeDocuments, getCollectionInfo } from '../integrations/qdrant.js';
+import {
+	applyDocumentChanges,
+	storeDocuments,
+	getCollectionInfo,
+	ENABLED_CHUNKS_FILTER,
+} from '../integrations/qdrant.js';
+import {
+	createChatModel,
+	createEmbeddingModel,
+} from '../integrations/llmProvider.js';
+import { hybridRetriever, DEFAULT_HYBRID_CONFIG } from './hybridRetriever.js';
+import reranker from './reranker.js';
+import {
+	DEFAULT_MODEL_CONFIG,
+	DEFAULT_PROVIDER_CONFIG,
+	EMBEDDING_MODELS,
+	getCollectionName,
+	getEmbeddingConfig,
+	getGenerationSettings,
+	getModelConfig,
+	getProviderConfig,
+} from './modelConfig.js';
+import {
+	PERSONA_STRICTNESS,
+	buildSystemPrompt,
+	getPersonaConfig,
+} from './promptConfig.js';
 
 /**
  * Default embedding configuration
  */
 const DEFAULT_EMBEDDING_CONFIG = {
-	model: 'text-embedding-3-small',
-	dimensions: 1536,
+	model: DEFAULT_MODEL_CONFIG.embeddings,
+	dimensions: EMBEDDING_MODELS[DEFAULT_MODEL_CONFIG.embeddings],
+	provider: DEFAULT_PROVIDER_CONFIG,
 };
 
+/**
+ * Default retrieval configuration (mirrors Bot.retrieval)
+ */
+export const DEFAULT_RETRIEVAL_CONFIG = {
+	rewriteQuery: true,
+	topK: 4,
+	minScore: 0.2,
+	mmr: {
+		enabled: false,
+		lambda: 0.5,
+		fetchK: 20,
+	},
+	rerank: {
+		enabled: false,
+		strategy: 'lexical',
+		candidates: 20,
+	},
+};
+
+// Characters of a cited chunk returned as its preview snippet
+const CITATION_SNIPPET_LENGTH = 240;
+
+/**
+ * Get the page numbers a stored chunk covers
+ * @param {Object} metadata - Chunk metadata
+ * @returns {number[]} Pages in order (empty for unpaged files)
+ */
+function getChunkPages(metadata = {}) {
+	const first = metadata.pageStart || metadata.pageNumber || metadata.page;
+	if (!first) return [];
+
+	const last = Math.max(metadata.pageEnd || first, first);
+	return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
 /**
  * Create embeddings instance for a specific API key
- * @param {string} apiKey - OpenAI API key
- * @param {Object} config - Embedding configuration
- * @returns {OpenAIEmbeddings} Configured embeddings instance
+ * @param {string} apiKey - Provider API key
+ * @param {Object} config - Embedding configuration { model, dimensions, provider }
+ * @returns {OpenAIEmbeddings|AzureOpenAIEmbeddings} Configured embeddings instance
  */
 function createEmbeddingsInstance(apiKey, config = {}) {
 	if (!apiKey) {
 		throw new Error('OpenAI API key is required');
 	}
 
-	const embeddingConfig = {
-		openAIApiKey: apiKey,
-		model: config.model || DEFAULT_EMBEDDING_CONFIG.model,
-		dimensions: config.dimensions || DEFAULT_EMBEDDING_CONFIG.dimensions,
-		...config,
-	};
+	const { provider, ...fields } = { ...DEFAULT_EMBEDDING_CONFIG, ...config };
 
-	return new OpenAIEmbeddings(embeddingConfig);
+	return createEmbeddingModel(apiKey, provider, fields);
 }
 
 /**
@@ -54,31 +113,23 @@ export class RAGService {
 			apiKey: process.env.QDRANT_API_KEY,
 		});
 
-		// System prompt template for RAG
-		this.systemPromptTemplate = PromptTemplate.fromTemplate(`
-You are an AI assistant, and your name is {bot_name}.
-You are very polite and helpful.
-You help the user by answering questions based strictly on the provided context from documents.
-
-{bot_description}
+		// Condenses follow-up questions into standalone search queries
+		this.condenseQuestionTemplate = PromptTemplate.fromTemplate(`
+Given the conversation below and a follow-up question, rewrite the follow-up question as a standalone search query that can be understood without the conversation.
 
-IMPORTANT RULES:
-1. ONLY answer questions using information from the provided context
-2. If the context doesn't contain relevant information, politely decline and suggest topics you can help with
-3. Be concise but comprehensive in your answers
-4. Always cite information from the context when possible
-5. Maintain a helpful and professional tone
-6. If asked about topics outside your knowledge base, explain that you can only help with information from the uploaded documents
+RULES:
+1. Resolve pronouns and references ("it", "that plan", "the second one") using the conversation
+2. Keep product names, codes and other exact terms unchanged
+3. If the question is already standalone, return it unchanged
+4. Do NOT answer the question
+5. Respond with the query only, without quotes or explanations
 
-CONTEXT FROM DOCUMENTS:
-{context}
-
-CONVERSATION HISTORY:
+CONVERSATION:
 {chat_history}
 
-HUMAN QUESTION: {question}
+FOLLOW-UP QUESTION: {question}
 
-ASSISTANT RESPONSE:`);
+STANDALONE QUERY:`);
 	}
 
 	/**
@@ -134,8 +185,19 @@ ASSISTANT RESPONSE:`);
 
 	/**
 	 * Store documents in vector database with comprehensive logging
+	 * @param {string} botId - Bot ID (collection name)
+	 * @param {string} apiKey - OpenAI API key
+	 * @param {Array} chunks - Document chunks
+	 * @param {Object} metadata - Extra payload metadata for every chunk
+	 * @param {Object} embeddingConfig - { model, dimensions } (see getEmbeddingConfig)
 	 */
-	async storeDocuments(botId, apiKey, chunks, metadata = {}) {
+	async storeDocuments(
+		botId,
+		apiKey,
+		chunks,
+		metadata = {},
+		embeddingConfig = DEFAULT_EMBEDDING_CONFIG
+	) {
 		try {
 			const collectionName = botId.toString();
 			console.log(
@@ -143,15 +205,19 @@ ASSISTANT RESPONSE:`);
 			);
 			console.log(`📄 [RAG] Chunks to store: ${chunks.length}`);
 			// Create embeddings instance
-			const embeddings = createEmbeddingsInstance(apiKey, {
-				model: 'text-embedding-3-small',
-			});
+			const embeddings = createEmbeddingsInstance(apiKey, embeddingConfig);
 
 			// Store documents using qdrant integration
-			const result = await storeDocuments(collectionName, embeddings, chunks, {
-				...metadata,
-				botId: botId.toString(),
-			});
+			const result = await storeDocuments(
+				collectionName,
+				embeddings,
+				chunks,
+				{
+					...metadata,
+					botId: botId.toString(),
+				},
+				botId
+			);
 
 			console.log(`✅ [RAG] Chunks stored successfully:`, result);
 
@@ -172,7 +238,7 @@ ASSISTANT RESPONSE:`);
 			console.error(`💥 [RAG] Document storage failed:`, error.message);
 			console.error(
 				`💥 [RAG] Error stack:`,
-				error.stack?.split('\\n').slice(0, 3)
+				error.stack?.split('\n').slice(0, 3)
 			);
 
 			// Check if this is just a logging issue vs actual storage failure
@@ -198,7 +264,7 @@ ASSISTANT RESPONSE:`);
 						);
 						return {
 							success: true,
-							storedCount: documents.length,
+							storedCount: chunks.length,
 							documentIds: [],
 							collectionStatus: status,
 							note: 'Storage succeeded despite logging error',
@@ -216,15 +282,124 @@ ASSISTANT RESPONSE:`);
 		}
 	}
 
+	/**
+	 * Embed a file's new chunks and swap them in with its deletions and
+	 * metadata updates in one batch (see applyDocumentChanges)
+	 * @param {string} botId - Bot ID (collection name)
+	 * @param {string} apiKey - OpenAI API key
+	 * @param {Object} changes - { documents, deleteIds, metadataUpdates }
+	 * @param {Object} metadata - Extra payload metadata for new chunks
+	 * @param {Object} embeddingConfig - { model, dimensions } (see getEmbeddingConfig)
+	 * @param {string} collectionName - Target collection (see getStorageTarget)
+	 */
+	async applyDocumentChanges(
+		botId,
+		apiKey,
+		changes,
+		metadata = {},
+		embeddingConfig = DEFAULT_EMBEDDING_CONFIG,
+		collectionName = botId.toString()
+	) {
+		const embeddings = createEmbeddingsInstance(apiKey, embeddingConfig);
+
+		const result = await applyDocumentChanges(
+			collectionName,
+			embeddings,
+			changes,
+			{
+				...metadata,
+				botId: botId.toString(),
+			},
+			botId
+		);
+		hybridRetriever.invalidate(botId);
+
+		console.log(`✅ [RAG] Document changes applied:`, result);
+		return result;
+	}
+
+	/**
+	 * Resolve a bot's retrieval settings with defaults applied
+	 * @param {Object} bot - Bot document
+	 * @returns {Object} { topK, minScore, mmr, hybrid, rerank, rewriteQuery }
+	 */
+	getRetrievalConfig(bot) {
+		const retrieval = bot?.retrieval || {};
+
+		return {
+			topK: retrieval.topK ?? DEFAULT_RETRIEVAL_CONFIG.topK,
+			minScore: retrieval.minScore ?? DEFAULT_RETRIEVAL_CONFIG.minScore,
+			mmr: { ...DEFAULT_RETRIEVAL_CONFIG.mmr, ...retrieval.mmr },
+			hybrid: { ...DEFAULT_HYBRID_CONFIG, ...retrieval.hybrid },
+			rerank: { ...DEFAULT_RETRIEVAL_CONFIG.rerank, ...retrieval.rerank },
+			rewriteQuery:
+				retrieval.rewriteQuery ?? DEFAULT_RETRIEVAL_CONFIG.rewriteQuery,
+		};
+	}
+
+	/**
+	 * Fetch vectors for candidates that only came from keyword search and
+	 * compute their cosine similarity to the query (mutates candidates)
+	 * Candidates whose point is gone from the collection (a cached keyword
+	 * index can lag behind deletions) are dropped.
+	 * @returns {Promise<Array>} Candidates that still exist
+	 */
+	async scoreMissingCandidates(collectionName, queryEmbedding, candidates) {
+		const missing = candidates.filter(
+			(candidate) => candidate.vectorScore === null
+		);
+		if (missing.length === 0) return candidates;
+
+		const points = await this.qdrantClient.retrieve(collectionName, {
+			ids: missing.map((candidate) => candidate.document.id),
+			with_payload: false,
+			with_vector: true,
+		});
+		const vectorsById = new Map(
+			points.map((point) => [point.id, point.vector])
+		);
+
+		for (const candidate of missing) {
+			const vector = vectorsById.get(candidate.document.id);
+			if (!vector) continue;
+
+			candidate.vector = vector;
+			candidate.vectorScore = cosineSimilarity(
+				[queryEmbedding],
+				[vector]
+			)[0][0];
+		}
+
+		return candidates.filter((candidate) => candidate.vectorScore !== null);
+	}
+
 	/**
 	 * Retrieve relevant documents with detailed debugging
+	 * Each returned document carries its scores in metadata (score, and
+	 * keywordScore/fusedScore when hybrid retrieval is enabled).
+	 * @param {string} botId - Bot ID (collection name)
+	 * @param {string} apiKey - OpenAI API key
+	 * @param {string} query - Search query
+	 * @param {Object} options - Retrieval options (see getRetrievalConfig)
+	 * @param {number} options.topK - Number of documents to return
+	 * @param {number} options.minScore - Minimum cosine similarity to keep a chunk
+	 * @param {Object} options.mmr - Maximal marginal relevance settings
+	 * @param {Object} options.hybrid - Hybrid settings (see Bot.retrieval.hybrid)
+	 * @param {Object} options.embedding - { model, dimensions } of the collection
+	 * @param {string} options.collectionName - Collection to search (see getCollectionName)
+	 * @param {Object} options.trace - When set, receives every candidate with
+	 *   its scores as `trace.candidates` (used by the retrieval playground)
 	 */
-	async retrieveDocuments(botId, apiKey, query, topK = 4) {
-		try {
-			const collectionName = botId.toString();
+	async retrieveDocuments(botId, apiKey, query, options = {}) {
+		const { topK, minScore } = { ...DEFAULT_RETRIEVAL_CONFIG, ...options };
+		const hybrid = { ...DEFAULT_HYBRID_CONFIG, ...options.hybrid };
+		const mmr = { ...DEFAULT_RETRIEVAL_CONFIG.mmr, ...options.mmr };
+
+		const collectionName = options.collectionName || botId.toString();
 
+		try {
 			// Check collection status first
-			const status = await this.getCollectionStatus(botId);
+			const status = await this.getCollectionStatus(collectionName);
 			if (!status.exists) {
 				console.log(`❌ [RAG] Collection does not exist`);
 				return [];
@@ -240,31 +415,145 @@ ASSISTANT RESPONSE:`);
 			);
 
 			// Create embeddings instance (must match storage model)
-			const embeddings = new OpenAIEmbeddings({
-				model: 'text-embedding-3-small',
-				openAIApiKey: apiKey,
-			});
+			const embeddings = createEmbeddingsInstance(
+				apiKey,
+				options.embedding || DEFAULT_EMBEDDING_CONFIG
+			);
+			const queryEmbedding = await embeddings.embedQuery(query);
 
-			// Initialize vector store
-			const vectorStore = new QdrantVectorStore(embeddings, {
-				client: this.qdrantClient,
-				collectionName: collectionName,
-				url: process.env.QDRANT_URL || 'http://localhost:6333',
-			});
+			// Over-fetch candidates when they will be fused, filtered or diversified
+			const needsVectors = mmr.enabled;
+			const candidateCount =
+				hybrid.enabled || mmr.enabled
+					? Math.max(topK * 4, mmr.enabled ? mmr.fetchK : 20)
+					: topK;
 
 			// Perform similarity search
-			const documents = await vectorStore.similaritySearch(query, topK);
+			const vectorResults = (
+				await this.qdrantClient.query(collectionName, {
+					query: queryEmbedding,
+					filter: ENABLED_CHUNKS_FILTER,
+					limit: candidateCount,
+					with_payload: true,
+					with_vector: needsVectors,
+				})
+			).points.map((point) => ({
+				document: new Document({
+					id: point.id,
+					pageContent: point.payload?.content || '',
+					metadata: point.payload?.metadata || {},
+				}),
+				score: point.score,
+				vector: point.vector,
+			}));
+
+			// Hybrid: add BM25 keyword ranking and fuse with reciprocal rank fusion
+			let candidates = vectorResults.map(({ document, score, vector }) => ({
+				document,
+				vectorScore: score,
+				vector,
+			}));
+			let keywordCount = 0;
+
+			if (hybrid.enabled) {
+				const keywordResults = await hybridRetriever.keywordSearch(
+					collectionName,
+					query,
+					candidateCount,
+					status.pointsCount
+				);
+				keywordCount = keywordResults.length;
+
+				const vectorsById = new Map(
+					vectorResults.map(({ document, vector }) => [document.id, vector])
+				);
+				candidates = hybridRetriever
+					.fuseRankings(vectorResults, keywordResults, hybrid)
+					.map((candidate) => ({
+						...candidate,
+						vector: vectorsById.get(candidate.document.id),
+					}));
+
+				// Keyword-only hits have no similarity yet; score them so the
+				// threshold and MMR treat every candidate the same way, and drop
+				// hits on chunks that were deleted since the index was built
+				candidates = await this.scoreMissingCandidates(
+					collectionName,
+					queryEmbedding,
+					candidates
+				);
+			}
+
+			// Drop chunks below the similarity threshold before they reach the LLM
+			const aboveThreshold = candidates.filter(
+				(candidate) =>
+					candidate.vectorScore === null ||
+					candidate.vectorScore === undefined ||
+					candidate.vectorScore >= minScore
+			);
+
+			// Select final documents (MMR trades some relevance for diversity)
+			let selected = aboveThreshold.slice(0, topK);
+			if (mmr.enabled && aboveThreshold.length > topK) {
+				const withVectors = aboveThreshold.filter(
+					(candidate) => candidate.vector
+				);
+				const selectedIndexes = maximalMarginalRelevance(
+					queryEmbedding,
+					withVectors.map((candidate) => candidate.vector),
+					mmr.lambda,
+					topK
+				);
+				selected = selectedIndexes.map((index) => withVectors[index]);
+			}
+
+			if (options.trace) {
+				const selectedIds = new Set(
+					selected.map((candidate) => candidate.document.id)
+				);
+				options.trace.candidates = candidates.map(
+					({ document, vectorScore, keywordScore, fusedScore }) => ({
+						document,
+						vectorScore: vectorScore ?? null,
+						keywordScore: keywordScore ?? null,
+						fusedScore: fusedScore ?? null,
+						belowThreshold:
+							vectorScore !== null &&
+							vectorScore !== undefined &&
+							vectorScore < minScore,
+						selected: selectedIds.has(document.id),
+					})
+				);
+			}
+
+			const documents = selected.map(
+				({ document, vectorScore, keywordScore, fusedScore }) => {
+					document.metadata = {
+						...document.metadata,
+						score: vectorScore ?? null,
+						...(hybrid.enabled && { keywordScore, fusedScore }),
+					};
+					return document;
+				}
+			);
 
-			console.log(`📚 [RAG] Retrieved ${documents.length} documents`);
+			console.log(`📚 [RAG] Retrieved ${documents.length} documents`, {
+				vectorCandidates: vectorResults.length,
+				keywordCandidates: keywordCount,
+				belowThreshold: candidates.length - aboveThreshold.length,
+				minScore,
+				hybrid: hybrid.enabled,
+				mmr: mmr.enabled,
+			});
 
 			return documents;
 		} catch (error) {
 			console.error(`💥 [RAG] Document retrieval failed:`, error.message);
 			console.error(`💥 [RAG] Error details:`, {
 				botId,
-				collectionName: botId.toString(),
+				collectionName,
 				query: query.substring(0, 100),
-				stack: error.stack?.split('\\n').slice(0, 3),
+				stack: error.stack?.split('\n').slice(0, 3),
 			});
 
 			// Return empty array instead of throwing to prevent chat failures
@@ -274,19 +563,85 @@ ASSISTANT RESPONSE:`);
 
 	/**
 	 * Generate RAG response with comprehensive logging
+	 * @param {Object} bot - Bot document
+	 * @param {string} apiKey - OpenAI API key
+	 * @param {string} query - User question
+	 * @param {Array} conversationHistory - Previous messages in the session
+	 * @param {Object} options - Optional settings
+	 * @param {Function} options.onToken - Called with each text fragment when streaming
+	 * @param {Object} options.trace - When set, receives the retrieval candidates,
+	 *   the documents used as context and the final prompt
 	 */
-	async generateResponse(bot, apiKey, query, conversationHistory = []) {
+	async generateResponse(
+		bot,
+		apiKey,
+		query,
+		conversationHistory = [],
+		options = {}
+	) {
+		const { onToken, trace } = options;
+
 		try {
 			console.log(`🚀 [RAG] Starting response generation for bot: ${bot._id}`);
 
-			// Retrieve relevant documents
-			const documents = await this.retrieveDocuments(bot._id, apiKey, query, 2);
+			const retrievalConfig = this.getRetrievalConfig(bot);
+			const { rerank } = retrievalConfig;
+			const modelConfig = getModelConfig(bot);
+			const provider = getProviderConfig(bot);
+
+			// Turn follow-up questions into standalone search queries
+			const searchQuery = retrievalConfig.rewriteQuery
+				? await this.rewriteQuery(
+						query,
+						conversationHistory,
+						apiKey,
+						modelConfig.classifier,
+						provider
+					)
+				: query;
+
+			// Retrieve relevant documents (over-fetch when a reranker picks the best N)
+			let documents = await this.retrieveDocuments(
+				bot._id,
+				apiKey,
+				searchQuery,
+				{
+					...retrievalConfig,
+					embedding: getEmbeddingConfig(bot),
+					collectionName: getCollectionName(bot),
+					topK: rerank.enabled
+						? Math.max(rerank.candidates, retrievalConfig.topK)
+						: retrievalConfig.topK,
+					trace,
+				}
+			);
+
+			if (rerank.enabled && documents.length > 0) {
+				documents = await reranker.rerank(searchQuery, documents, {
+					strategy: rerank.strategy,
+					topN: retrievalConfig.topK,
+					apiKey,
+					model: modelConfig.classifier,
+					provider,
+				});
+			}
+
+			if (trace) {
+				trace.searchQuery = searchQuery;
+				trace.documents = documents;
+			}
 
-			if (documents.length === 0) {
+			// Strict bots only answer from documents; flexible bots fall back
+			// to general knowledge
+			const { strictness } = getPersonaConfig(bot);
+			if (
+				documents.length === 0 &&
+				strictness !== PERSONA_STRICTNESS.FLEXIBLE
+			) {
 				console.log(
 					`⚠️ [RAG] No relevant documents found - returning fallback response`
 				);
-				return this.generateFallbackResponse();
+				return { ...this.generateFallbackResponse(), searchQuery };
 			}
 
 			// Format context and chat history
@@ -294,61 +649,69 @@ ASSISTANT RESPONSE:`);
 			const chatHistory = this.formatChatHistory(conversationHistory);
 
 			// Create LLM instance
-			const llm = new ChatOpenAI({
-				model: 'gpt-4.1-mini',
-				temperature: 0.3,
-				maxTokens: 600,
-				apiKey: apiKey,
+			const { temperature, maxTokens } = getGenerationSettings(
+				modelConfig,
+				'rag'
+			);
+			const llm = createChatModel(apiKey, provider, {
+				model: modelConfig.chat,
+				temperature,
+				maxTokens,
+				streaming: !!onToken,
 			});
 
-			// Create the RAG chain
-			const ragChain = RunnableSequence.from([
-				{
-					bot_name: () => bot.name || 'AI Assistant',
-					bot_description: () => {
-						bot.description ? `ABOUT THIS ASSISTANT:\\n${bot.description}` : '';
-					},
-				},
-				this.systemPromptTemplate,
-				llm,
-				new StringOutputParser(),
-			]);
+			// Build the prompt from the bot's persona and create the RAG chain
+			const prompt = `${buildSystemPrompt(bot, { mode: 'rag', context })}
+
+CONVERSATION HISTORY:
+${chatHistory}
+
+HUMAN QUESTION: ${query}
 
-			// Generate response
-			const response = await ragChain.invoke({ question: query });
+ASSISTANT RESPONSE:`;
+			const ragChain = RunnableSequence.from([llm, new StringOutputParser()]);
+
+			if (trace) {
+				trace.prompt = prompt;
+			}
+
+			// Generate response (token by token when a stream consumer is attached)
+			let response = '';
+			if (onToken) {
+				const stream = await ragChain.stream(prompt);
+				for await (const chunk of stream) {
+					response += chunk;
+					onToken(chunk);
+				}
+			} else {
+				response = await ragChain.invoke(prompt);
+			}
 
-			// Clean response
+			// Clean response (drop legacy "[Source N: file]" markers, keep [N] citations)
 			const cleanResponse = response
-				.replace(/\\s*\\[Source \\d+:[^\\]]+\\]\\s*/g, '')
+				.replace(/\s*\[Source \d+:[^\]]+\]\s*/g, ' ')
 				.trim();
 
-			// Create source list
-			const sources = documents.map((doc, index) => {
-				const metadata = doc.metadata || {};
-				return {
-					fileName:
-						metadata.fileName ||
-						metadata.source ||
-						metadata.filename ||
-						'Unknown file',
-					pageNumber: metadata.pageNumber || metadata.page || metadata.chunk,
-					index: index + 1,
-				};
-			});
+			// Create source list and resolve inline citations to chunks
+			const sources = this.buildSources(documents);
+			const citations = this.buildCitations(cleanResponse, documents);
 			const estimatedTokens = Math.ceil(cleanResponse.length * 0.75);
 
 			console.log(`✅ [RAG] Response generated successfully`, {
 				tokensUsed: estimatedTokens,
 				sourceCount: sources.length,
+				citationCount: citations.length,
 			});
 
 			return {
 				content: cleanResponse,
 				sources: sources,
+				citations,
 				tokensUsed: estimatedTokens,
-				model: 'gpt-4.1-mini',
-				hasRelevantContext: true,
+				model: modelConfig.chat,
+				hasRelevantContext: documents.length > 0,
 				documentsFound: documents.length,
+				searchQuery,
 			};
 		} catch (error) {
 			console.error(`💥 [RAG] Response generation failed:`, error.message);
@@ -356,8 +719,205 @@ ASSISTANT RESPONSE:`);
 		}
 	}
 
+	/**
+	 * Rewrite a follow-up question into a standalone search query
+	 * Uses the previous turns so references like "what about the enterprise
+	 * plan?" embed with their context. Falls back to the original question
+	 * when there is no history or the rewrite fails.
+	 * @param {string} query - User question
+	 * @param {Array} conversationHistory - Messages in the session (current question last)
+	 * @param {string} apiKey - OpenAI API key
+	 * @param {string} model - Chat model used for the rewrite
+	 * @param {Object} provider - LLM provider settings (see getProviderConfig)
+	 * @returns {Promise<string>} Standalone search query
+	 */
+	async rewriteQuery(
+		query,
+		conversationHistory = [],
+		apiKey,
+		model = DEFAULT_MODEL_CONFIG.classifier,
+		provider = DEFAULT_PROVIDER_CONFIG
+	) {
+		if (!conversationHistory || conversationHistory.length < 2) {
+			return query;
+		}
+
+		try {
+			const llm = createChatModel(apiKey, provider, {
+				model,
+				temperature: 0,
+				maxTokens: 100,
+			});
+
+			const condenseChain = RunnableSequence.from([
+				{
+					chat_history: () => this.formatChatHistory(conversationHistory, 6),
+					question: (input) => input.question,
+				},
+				this.condenseQuestionTemplate,
+				llm,
+				new StringOutputParser(),
+			]);
+
+			const rewritten = (await condenseChain.invoke({ question: query }))
+				.trim()
+				.replace(/^["']|["']$/g, '');
+
+			if (!rewritten) {
+				return query;
+			}
+
+			console.log(`✏️ [RAG] Rewrote query for retrieval`, {
+				original: query,
+				rewritten,
+			});
+
+			return rewritten;
+		} catch (error) {
+			console.error(`❌ [RAG] Query rewriting failed:`, error.message);
+			return query;
+		}
+	}
+
+	/**
+	 * Group retrieved chunks into per-file sources
+	 * Scores use the rerank score when available, otherwise vector similarity.
+	 * @param {Array} documents - Retrieved documents
+	 * @returns {Array} [{ fileName, pageNumbers, chunkIndices, maxScore, avgScore, chunkCount }]
+	 */
+	buildSources(documents) {
+		const grouped = new Map();
+
+		for (const doc of documents) {
+			const metadata = doc.metadata || {};
+			const fileName =
+				metadata.fileName ||
+				metadata.source ||
+				metadata.filename ||
+				'Unknown file';
+			const score = metadata.rerankScore ?? metadata.score;
+
+			const source = grouped.get(fileName) || {
+				fileName,
+				sourceUrl: metadata.sourceUrl || null,
+				pageNumbers: [],
+				chunkIndices: [],
+				scores: [],
+				chunkCount: 0,
+			};
+
+			source.chunkCount += 1;
+
+			for (const page of getChunkPages(metadata)) {
+				if (!source.pageNumbers.includes(page)) {
+					source.pageNumbers.push(page);
+				}
+			}
+			if (metadata.chunkIndex !== undefined) {
+				source.chunkIndices.push(metadata.chunkIndex);
+			}
+			if (typeof score === 'number') {
+				source.scores.push(score);
+			}
+
+			grouped.set(fileName, source);
+		}
+
+		return Array.from(grouped.values())
+			.map(({ scores, ...source }) => ({
+				...source,
+				pageNumbers: source.pageNumbers.sort((a, b) => a - b),
+				maxScore: scores.length > 0 ? Math.max(...scores) : null,
+				avgScore:
+					scores.length > 0
+						? scores.reduce((sum, score) => sum + score, 0) / scores.length
+						: null,
+			}))
+			.sort((a, b) => (b.maxScore ?? 0) - (a.maxScore ?? 0));
+	}
+
+	/**
+	 * Resolve inline [N] citation markers to the chunks they refer to
+	 * Markers are numbered by the chunk's position in the context, so only
+	 * numbers within the retrieved range are kept.
+	 * @param {string} content - Generated answer
+	 * @param {Array} documents - Documents in context order
+	 * @returns {Array} [{ index, fileId, fileName, sourceUrl, headingPath, chunkIndex, pageNumber, pageEnd, snippet }]
+	 */
+	buildCitations(content, documents) {
+		const cited = new Set();
+		for (const match of content.matchAll(/\[(\d+)\]/g)) {
+			const index = Number(match[1]);
+			if (index >= 1 && index <= documents.length) {
+				cited.add(index);
+			}
+		}
+
+		return Array.from(cited)
+			.sort((a, b) => a - b)
+			.map((index) => {
+				const doc = documents[index - 1];
+				const metadata = doc.metadata || {};
+				const text = doc.pageContent.replace(/\s+/g, ' ').trim();
+
+				return {
+					index,
+					fileId: metadata.fileId ? metadata.fileId.toString() : null,
+					fileName:
+						metadata.fileName ||
+						metadata.source ||
+						metadata.filename ||
+						'Unknown file',
+					sourceUrl: metadata.sourceUrl || null,
+					headingPath: metadata.headingPath || null,
+					chunkIndex: metadata.chunkIndex,
+					pageNumber: metadata.pageNumber || metadata.page || null,
+					pageEnd:
+						metadata.pageEnd > metadata.pageNumber ? metadata.pageEnd : null,
+					snippet:
+						text.length > CITATION_SNIPPET_LENGTH
+							? `${text.slice(0, CITATION_SNIPPET_LENGTH)}…`
+							: text,
+				};
+			});
+	}
+
+	/**
+	 * Add visitor-facing links to citations
+	 * Crawled web pages always link to their public URL; uploaded files only
+	 * when the bot owner allows it.
+	 * @param {Object} bot - Bot document
+	 * @param {Array} citations - Citations from buildCitations
+	 * @returns {Array} Citations with a `url` (or null) for opening the source
+	 */
+	linkCitations(bot, citations = []) {
+		const allowLinks = !!bot?.citations?.allowSourceLinks;
+
+		return citations.map((citation) => {
+			const { _id, ...rest } =
+				typeof citation.toObject === 'function'
+					? citation.toObject()
+					: citation;
+
+			let url = rest.sourceUrl || null;
+			if (!url && allowLinks && rest.fileId) {
+				const query = new URLSearchParams({
+					botId: bot._id.toString(),
+					redirect: '1',
+				});
+				if (rest.pageNumber) {
+					query.set('page', rest.pageNumber);
+				}
+				url = `/api/files/${rest.fileId}/download?${query.toString()}`;
+			}
+
+			return { ...rest, url };
+		});
+	}
+
 	/**
 	 * Format documents as context
+	 * Each chunk is numbered so the model can cite it inline as [N].
 	 */
 	formatDocumentsAsContext(documents) {
 		if (!documents || documents.length === 0) {
@@ -372,14 +932,19 @@ ASSISTANT RESPONSE:`);
 					metadata.source ||
 					metadata.filename ||
 					'Unknown file';
-				const pageNumber =
-					metadata.pageNumber || metadata.page || metadata.chunk;
-				const pageInfo = pageNumber ? ` (Chunk ${pageNumber})` : '';
-				return `[Source ${index + 1}: ${fileName}${pageInfo}]\\n${
-					doc.pageContent
-				}`;
+				const pages = getChunkPages(metadata);
+				const pageInfo =
+					pages.length > 1
+						? ` (Pages ${pages[0]}-${pages[pages.length - 1]})`
+						: pages.length === 1
+							? ` (Page ${pages[0]})`
+							: '';
+				const section = metadata.headingPath
+					? ` > ${metadata.headingPath}`
+					: '';
+				return `[${index + 1}] ${fileName}${section}${pageInfo}\n${doc.pageContent}`;
 			})
-			.join('\\n\\n');
+			.join('\n\n');
 	}
 
 	/**
@@ -393,7 +958,7 @@ ASSISTANT RESPONSE:`);
 		const recentMessages = messages
 			.slice(-maxMessages - 1, -1)
 			.map((msg) => `${msg.role.toUpperCase()}: ${msg.content}`)
-			.join('\\n');
+			.join('\n');
 
 		return recentMessages || 'No previous conversation.';
 	}
@@ -413,12 +978,12 @@ ASSISTANT RESPONSE:`);
 		let response = baseMessage;
 
 		if (errorMessage) {
-			response += `\\n\\nTechnical details: ${errorMessage}`;
+			response += `\n\nTechnical details: ${errorMessage}`;
 		}
 
-		response += `\\n\\nI can only provide answers based on the documents that have been uploaded to me. Here are some ways I can help:\\n\\n`;
-		response += suggestions.map((suggestion) => `• ${suggestion}`).join('\\n');
-		response += `\\n\\nPlease feel free to ask me about any topics covered in the uploaded documents!`;
+		response += `\n\nI can only provide answers based on the documents that have been uploaded to me. Here are some ways I can help:\n\n`;
+		response += suggestions.map((suggestion) => `• ${suggestion}`).join('\n');
+		response += `\n\nPlease feel free to ask me about any topics covered in the uploaded documents!`;
 
 		return {
 			content: response,
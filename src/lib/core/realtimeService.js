@@ -0,0 +1,127 @@
+/**
+ * Realtime Service
+ * Broadcasts per-bot dashboard events over Redis pub/sub, so the worker
+ * process and the Next.js server can both reach open dashboards. The
+ * dashboard receives them through GET /api/bots/[id]/events.
+ */
+
+import Redis from 'ioredis';
+import { redisConnection } from '../queues/config.js';
+import { logError } from '../utils/logger.js';
+
+export { REALTIME_EVENTS } from '../utils/realtimeEvents.js';
+
+const CHANNEL_PREFIX = 'plugrag:bot:';
+
+/**
+ * Redis channel carrying a bot's events
+ * @param {string} botId - Bot ID
+ * @returns {string} Channel name
+ */
+function getChannel(botId) {
+	return `${CHANNEL_PREFIX}${botId}`;
+}
+
+class RealtimeService {
+	constructor() {
+		this.publisher = null;
+		this.subscriber = null;
+		// Listeners per subscribed channel: { channel: Set<(event, data) => void> }
+		this.listeners = new Map();
+	}
+
+	/**
+	 * Lazily create the publishing connection
+	 * Publishing gives up quickly when Redis is down, so chat requests and
+	 * jobs never wait on dashboard updates.
+	 */
+	getPublisher() {
+		if (!this.publisher) {
+			this.publisher = new Redis({
+				...redisConnection,
+				maxRetriesPerRequest: 1,
+			});
+			this.publisher.on('error', (error) => {
+				logError('Realtime publisher error', { error: error.message });
+			});
+		}
+		return this.publisher;
+	}
+
+	/**
+	 * Lazily create the subscribing connection shared by all event streams
+	 */
+	getSubscriber() {
+		if (!this.subscriber) {
+			this.subscriber = new Redis(redisConnection);
+			this.subscriber.on('error', (error) => {
+				logError('Realtime subscriber error', { error: error.message });
+			});
+			this.subscriber.on('message', (channel, message) => {
+				const listeners = this.listeners.get(channel);
+				if (!listeners) return;
+
+				let payload;
+				try {
+					payload = JSON.parse(message);
+				} catch {
+					return;
+				}
+				listeners.forEach((listener) => listener(payload.event, payload.data));
+			});
+		}
+		return this.subscriber;
+	}
+
+	/**
+	 * Broadcast an event to a bot's open dashboards
+	 * Failures are logged and swallowed; dashboards can always refresh.
+	 * @param {string} botId - Bot ID
+	 * @param {string} event - One of REALTIME_EVENTS
+	 * @param {Object} data - JSON-serializable payload
+	 */
+	async publish(botId, event, data = {}) {
+		try {
+			await this.getPublisher().publish(
+				getChannel(botId),
+				JSON.stringify({ event, data })
+			);
+		} catch (error) {
+			logError('Error publishing realtime event', {
+				botId: botId?.toString(),
+				event,
+				error: error.message,
+			});
+		}
+	}
+
+	/**
+	 * Listen to a bot's events
+	 * @param {string} botId - Bot ID
+	 * @param {Function} listener - (event, data) => void
+	 * @returns {Promise<Function>} Async function that removes the listener
+	 */
+	async subscribe(botId, listener) {
+		const channel = getChannel(botId);
+
+		let listeners = this.listeners.get(channel);
+		if (!listeners) {
+			listeners = new Set();
+			this.listeners.set(channel, listeners);
+			await this.getSubscriber().subscribe(channel);
+		}
+		listeners.add(listener);
+
+		return async () => {
+			listeners.delete(listener);
+			if (listeners.size === 0 && this.listeners.get(channel) === listeners) {
+				this.listeners.delete(channel);
+				await this.subscriber.unsubscribe(channel);
+			}
+		};
+	}
+}
+
+// Export singleton instance
+export const realtimeService = new RealtimeService();
+export default realtimeService;
@@ -0,0 +1,192 @@
+import { createLLMClient } from '../integrations/llmProvider.js';
+import { logError, logInfo, logWarn } from '../utils/logger.js';
+import { tokenize } from './hybridRetriever.js';
+import { DEFAULT_MODEL_CONFIG } from './modelConfig.js';
+
+const RERANK_STRATEGIES = {
+	LLM: 'llm',
+	LEXICAL: 'lexical',
+};
+
+// Characters of each passage shown to the LLM scorer
+const LLM_PASSAGE_LIMIT = 800;
+
+/**
+ * Reranker
+ *
+ * Re-scores retrieved chunks against the query so only the most relevant
+ * ones reach the prompt. Scorers are pluggable: each takes
+ * (query, documents, options) and resolves to one score in [0, 1] per
+ * document, in the same order.
+ */
+class Reranker {
+	constructor() {
+		this.scorers = new Map([
+			[RERANK_STRATEGIES.LLM, this.scoreWithLLM.bind(this)],
+			[RERANK_STRATEGIES.LEXICAL, this.scoreLexically.bind(this)],
+		]);
+	}
+
+	/**
+	 * Register an additional scorer (e.g. a hosted cross-encoder)
+	 * @param {string} name - Strategy name
+	 * @param {Function} scorer - async (query, documents, options) => number[]
+	 */
+	registerScorer(name, scorer) {
+		this.scorers.set(name, scorer);
+	}
+
+	/**
+	 * Rerank documents and keep the best N
+	 * Each returned document gets `metadata.rerankScore`.
+	 * @param {string} query - Search query
+	 * @param {Array} documents - Retrieved LangChain documents
+	 * @param {Object} options - { strategy, topN, apiKey, model, provider }
+	 * @returns {Promise<Array>} Top N documents sorted by rerank score
+	 */
+	async rerank(query, documents, options = {}) {
+		const { strategy = RERANK_STRATEGIES.LEXICAL, topN = 4 } = options;
+
+		if (!documents || documents.length === 0) {
+			return [];
+		}
+
+		let scorer = this.scorers.get(strategy);
+		if (!scorer) {
+			logWarn(`Unknown rerank strategy "${strategy}", using lexical`);
+			scorer = this.scorers.get(RERANK_STRATEGIES.LEXICAL);
+		}
+
+		let scores;
+		try {
+			scores = await scorer(query, documents, options);
+		} catch (error) {
+			// A failed remote scorer should not break the answer
+			logError('Reranking failed, falling back to lexical scorer', error);
+			scores = this.scoreLexically(query, documents);
+		}
+
+		const reranked = documents
+			.map((document, index) => {
+				document.metadata = {
+					...document.metadata,
+					rerankScore: scores[index] ?? 0,
+				};
+				return document;
+			})
+			.sort((a, b) => b.metadata.rerankScore - a.metadata.rerankScore)
+			.slice(0, topN);
+
+		logInfo(`Reranked ${documents.length} candidates with ${strategy}`, {
+			kept: reranked.length,
+			topScore: reranked[0]?.metadata.rerankScore,
+		});
+
+		return reranked;
+	}
+
+	/**
+	 * Score passages with a chat model in a single call
+	 * @returns {Promise<number[]>} Scores in [0, 1]
+	 */
+	async scoreWithLLM(query, documents, options = {}) {
+		const {
+			apiKey,
+			model = DEFAULT_MODEL_CONFIG.classifier,
+			provider,
+		} = options;
+		const client = createLLMClient(apiKey, provider);
+
+		const passages = documents
+			.map(
+				(doc, index) =>
+					`[${index + 1}] ${doc.pageContent
+						.slice(0, LLM_PASSAGE_LIMIT)
+						.replace(/\s+/g, ' ')}`
+			)
+			.join('\n\n');
+
+		const systemPrompt = `You are a relevance scorer for a search system. For each numbered passage, rate how well it helps answer the user's question on a scale from 0 (irrelevant) to 10 (directly answers it).
+
+Respond ONLY with a JSON object in this exact format:
+{"scores": [{"index": 1, "score": 7}, {"index": 2, "score": 0}]}
+
+Include every passage exactly once.`;
+
+		const response = await client.chat.completions.create({
+			model,
+			messages: [
+				{ role: 'system', content: systemPrompt },
+				{
+					role: 'user',
+					content: `QUESTION: ${query}\n\nPASSAGES:\n${passages}`,
+				},
+			],
+			temperature: 0,
+			max_tokens: 20 + documents.length * 15,
+			response_format: { type: 'json_object' },
+		});
+
+		const result = JSON.parse(response.choices[0].message.content.trim());
+		const scores = new Array(documents.length).fill(0);
+
+		for (const entry of result.scores || []) {
+			const index = Number(entry.index) - 1;
+			if (index >= 0 && index < documents.length) {
+				scores[index] =
+					Math.min(Math.max(Number(entry.score) || 0, 0), 10) / 10;
+			}
+		}
+
+		return scores;
+	}
+
+	/**
+	 * Score passages by query term coverage (no API calls)
+	 * Rare terms across the candidate set weigh more, and passages that
+	 * contain adjacent query terms as a phrase get a bonus.
+	 * @returns {number[]} Scores in [0, 1]
+	 */
+	scoreLexically(query, documents) {
+		const queryTerms = [...new Set(tokenize(query))];
+		if (queryTerms.length === 0) {
+			return documents.map(() => 0);
+		}
+
+		const docTerms = documents.map((doc) => new Set(tokenize(doc.pageContent)));
+
+		// Inverse document frequency within the candidate set
+		const weights = queryTerms.map((term) => {
+			const df = docTerms.filter((terms) => terms.has(term)).length;
+			return Math.log(1 + (documents.length + 1) / (df + 1));
+		});
+		const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+		const bigrams = [];
+		for (let i = 0; i < queryTerms.length - 1; i++) {
+			bigrams.push(`${queryTerms[i]} ${queryTerms[i + 1]}`);
+		}
+
+		return documents.map((doc, index) => {
+			const coverage =
+				queryTerms.reduce(
+					(sum, term, i) => sum + (docTerms[index].has(term) ? weights[i] : 0),
+					0
+				) / totalWeight;
+
+			const text = tokenize(doc.pageContent).join(' ');
+			const phraseBonus =
+				bigrams.length > 0
+					? bigrams.filter((bigram) => text.includes(bigram)).length /
+						bigrams.length
+					: 0;
+
+			return Math.min(coverage * 0.8 + phraseBonus * 0.2, 1);
+		});
+	}
+}
+
+// Export singleton instance
+const reranker = new Reranker();
+export default reranker;
+export { RERANK_STRATEGIES };
@@ -0,0 +1,226 @@
+/**
+ * Webhook Service
+ * Sends bot events to owners' webhook endpoints. Each event is stored as a
+ * WebhookDelivery and sent by the webhook-delivery queue, which retries
+ * with backoff. Payloads are signed with the webhook's secret:
+ *
+ *   X-PlugRAG-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+import crypto from 'crypto';
+import Webhook from '../../models/Webhook.js';
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import { addWebhookDeliveryJob } from '../queues/webhookQueue.js';
+import { normalizeUrl } from '../processors/webCrawler.js';
+import { encrypt } from '../utils/encryption.js';
+import { WEBHOOK_ALLOW_PRIVATE_NETWORKS } from '../utils/envConfig.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { resolvesToPrivateAddress } from '../utils/networkGuard.js';
+import { WEBHOOK_EVENTS } from '../utils/webhookEvents.js';
+
+export { WEBHOOK_EVENTS };
+
+/**
+ * Create a signing secret
+ * @returns {{ secret: string, encrypted: string, preview: string }} Plain secret
+ * (shown to the owner once), its encrypted form and a preview
+ */
+export function generateWebhookSecret() {
+	const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+	return {
+		secret,
+		encrypted: encrypt(secret),
+		preview: secret.slice(-4),
+	};
+}
+
+/**
+ * Build the signature header for a payload
+ * @param {string} secret - Plain signing secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix seconds (defaults to now)
+ * @returns {string} Header value: t=<timestamp>,v1=<signature>
+ */
+export function signWebhookPayload(
+	secret,
+	body,
+	timestamp = Math.floor(Date.now() / 1000)
+) {
+	const signature = crypto
+		.createHmac('sha256', secret)
+		.update(`${timestamp}.${body}`)
+		.digest('hex');
+	return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Validate a webhook endpoint URL
+ * Hosts that resolve to private addresses are rejected unless
+ * WEBHOOK_ALLOW_PRIVATE_NETWORKS is set.
+ * @param {string} url - URL to validate
+ * @returns {Promise<string|null>} Error message, or null if the URL is allowed
+ */
+export async function validateWebhookUrl(url) {
+	const normalized = normalizeUrl(url || '');
+	if (!normalized) {
+		return 'Invalid URL. Only http and https URLs are supported';
+	}
+
+	if (
+		!WEBHOOK_ALLOW_PRIVATE_NETWORKS &&
+		(await resolvesToPrivateAddress(new URL(normalized).hostname))
+	) {
+		return 'Webhook URL points to a private network address';
+	}
+
+	return null;
+}
+
+/**
+ * Validate the events a webhook subscribes to
+ * @param {Array} events - Event names
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateWebhookEvents(events) {
+	if (!Array.isArray(events) || events.length === 0) {
+		return 'Select at least one event';
+	}
+
+	const validEvents = Object.values(WEBHOOK_EVENTS);
+	const unknown = events.filter((event) => !validEvents.includes(event));
+	if (unknown.length > 0) {
+		return `Unknown events: ${unknown.join(', ')}. Valid events: ${validEvents.join(', ')}`;
+	}
+
+	return null;
+}
+
+/**
+ * Format a webhook for API responses (never includes the secret)
+ * @param {Object} webhook - Webhook document
+ * @returns {Object} Webhook fields for the dashboard
+ */
+export function formatWebhook(webhook) {
+	return {
+		id: webhook._id.toString(),
+		url: webhook.url,
+		description: webhook.description || '',
+		events: webhook.events,
+		enabled: webhook.enabled,
+		secretPreview: webhook.secretPreview,
+		lastDeliveryAt: webhook.lastDeliveryAt || null,
+		lastDeliveryStatus: webhook.lastDeliveryStatus || null,
+		createdAt: webhook.createdAt,
+	};
+}
+
+class WebhookService {
+	/**
+	 * Store a delivery and queue it
+	 * @param {Object} webhook - Webhook document
+	 * @param {Object} payload - Body to send
+	 * @param {string} redeliveryOf - Delivery this one repeats (optional)
+	 * @returns {Promise<Object>} WebhookDelivery document
+	 */
+	async createDelivery(webhook, payload, redeliveryOf = null) {
+		const delivery = await WebhookDelivery.create({
+			webhookId: webhook._id,
+			botId: webhook.botId,
+			event: payload.event,
+			payload,
+			...(redeliveryOf && { redeliveryOf }),
+		});
+
+		await addWebhookDeliveryJob({
+			deliveryId: delivery._id.toString(),
+			webhookId: webhook._id.toString(),
+			botId: webhook.botId.toString(),
+		});
+
+		return delivery;
+	}
+
+	/**
+	 * Send an event to every enabled webhook of a bot subscribed to it
+	 * Failures are logged and swallowed so events never break the action
+	 * that caused them, and request paths can call it without awaiting.
+	 * @param {string} botId - Bot ID
+	 * @param {string} event - One of WEBHOOK_EVENTS
+	 * @param {Object} data - Event data
+	 * @returns {Promise<number>} Number of deliveries queued
+	 */
+	async dispatch(botId, event, data = {}) {
+		try {
+			const webhooks = await Webhook.find({
+				botId,
+				enabled: true,
+				events: event,
+			}).lean();
+			if (webhooks.length === 0) return 0;
+
+			// Webhooks receive the same event ID, so receivers can de-duplicate
+			const payload = {
+				id: crypto.randomUUID(),
+				event,
+				createdAt: new Date().toISOString(),
+				botId: botId.toString(),
+				data,
+			};
+
+			for (const webhook of webhooks) {
+				await this.createDelivery(webhook, payload);
+			}
+
+			logInfo('Webhook event dispatched', {
+				botId: botId.toString(),
+				event,
+				webhooks: webhooks.length,
+			});
+
+			return webhooks.length;
+		} catch (error) {
+			logError('Error dispatching webhook event', {
+				botId: botId?.toString(),
+				event,
+				error: error.message,
+			});
+			return 0;
+		}
+	}
+
+	/**
+	 * Send a message.created event
+	 * @param {string} botId - Bot ID
+	 * @param {string} sessionId - Session identifier
+	 * @param {Object} message - Conversation message
+	 * @returns {Promise<number>} Number of deliveries queued
+	 */
+	async messageCreated(botId, sessionId, message) {
+		return this.dispatch(botId, WEBHOOK_EVENTS.MESSAGE_CREATED, {
+			sessionId,
+			message: {
+				...(message._id && { id: message._id }),
+				role: message.role,
+				content: message.content,
+				timestamp: message.timestamp,
+				...(message.responseType && { responseType: message.responseType }),
+				...(message.intentType && { intentType: message.intentType }),
+				...(message.agentId && { agentId: message.agentId }),
+			},
+		});
+	}
+
+	/**
+	 * Send a delivery's payload again as a new delivery
+	 * @param {Object} webhook - Webhook document
+	 * @param {Object} delivery - WebhookDelivery to repeat
+	 * @returns {Promise<Object>} New WebhookDelivery document
+	 */
+	async redeliver(webhook, delivery) {
+		return this.createDelivery(webhook, delivery.payload, delivery._id);
+	}
+}
+
+// Export singleton instance
+export const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,186 @@
+import { AzureOpenAI } from 'openai';
+import {
+	AzureChatOpenAI,
+	AzureOpenAIEmbeddings,
+	ChatOpenAI,
+	OpenAIEmbeddings,
+} from '@langchain/openai';
+import { createOpenAIClient, validateOpenAIKey } from './openai.js';
+import { DEFAULT_PROVIDER_CONFIG, LLM_PROVIDERS } from '../core/modelConfig.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/**
+ * LLM Provider Integration
+ * Creates chat and embedding clients for a bot's provider (OpenAI, Azure
+ * OpenAI or an OpenAI-compatible server) so callers never assume
+ * api.openai.com. Provider settings come from getProviderConfig(bot).
+ */
+
+/**
+ * Deployment base path of an Azure OpenAI resource
+ * @param {Object} provider - { baseURL }
+ * @returns {string} e.g. https://res.openai.azure.com/openai/deployments
+ */
+function getAzureBasePath(provider) {
+	return `${provider.baseURL.replace(/\/+$/, '')}/openai/deployments`;
+}
+
+/**
+ * Create an OpenAI SDK client for a provider
+ * @param {string} apiKey - Provider API key
+ * @param {Object} provider - { type, baseURL, apiVersion }
+ * @param {Object} options - Client options
+ * @returns {OpenAI|AzureOpenAI} SDK client instance
+ */
+export function createLLMClient(
+	apiKey,
+	provider = DEFAULT_PROVIDER_CONFIG,
+	options = {}
+) {
+	if (provider.type === LLM_PROVIDERS.AZURE) {
+		return new AzureOpenAI({
+			apiKey,
+			endpoint: provider.baseURL,
+			apiVersion: provider.apiVersion,
+			timeout: options.timeout || 30000,
+			...options,
+		});
+	}
+
+	if (provider.type === LLM_PROVIDERS.OPENAI_COMPATIBLE) {
+		return createOpenAIClient(apiKey, {
+			baseURL: provider.baseURL,
+			...options,
+		});
+	}
+
+	return createOpenAIClient(apiKey, options);
+}
+
+/**
+ * Create a LangChain chat model for a provider
+ * @param {string} apiKey - Provider API key
+ * @param {Object} provider - { type, baseURL, apiVersion }
+ * @param {Object} fields - { model, temperature, maxTokens, streaming }
+ * @returns {ChatOpenAI|AzureChatOpenAI} Chat model instance
+ */
+export function createChatModel(
+	apiKey,
+	provider = DEFAULT_PROVIDER_CONFIG,
+	fields = {}
+) {
+	if (provider.type === LLM_PROVIDERS.AZURE) {
+		return new AzureChatOpenAI({
+			...fields,
+			azureOpenAIApiKey: apiKey,
+			azureOpenAIBasePath: getAzureBasePath(provider),
+			azureOpenAIApiDeploymentName: fields.model,
+			azureOpenAIApiVersion: provider.apiVersion,
+		});
+	}
+
+	return new ChatOpenAI({
+		...fields,
+		apiKey,
+		...(provider.type === LLM_PROVIDERS.OPENAI_COMPATIBLE && {
+			configuration: { baseURL: provider.baseURL },
+		}),
+	});
+}
+
+/**
+ * Create a LangChain embeddings instance for a provider
+ * @param {string} apiKey - Provider API key
+ * @param {Object} provider - { type, baseURL, apiVersion }
+ * @param {Object} fields - { model, dimensions }
+ * @returns {OpenAIEmbeddings|AzureOpenAIEmbeddings} Embeddings instance
+ */
+export function createEmbeddingModel(
+	apiKey,
+	provider = DEFAULT_PROVIDER_CONFIG,
+	fields = {}
+) {
+	// Leave dimensions unset for models that don't support shortening
+	const { dimensions, ...rest } = fields;
+	const embeddingFields = dimensions ? { ...rest, dimensions } : rest;
+
+	if (provider.type === LLM_PROVIDERS.AZURE) {
+		return new AzureOpenAIEmbeddings({
+			...embeddingFields,
+			azureOpenAIApiKey: apiKey,
+			azureOpenAIBasePath: getAzureBasePath(provider),
+			azureOpenAIApiDeploymentName: fields.model,
+			azureOpenAIApiVersion: provider.apiVersion,
+		});
+	}
+
+	return new OpenAIEmbeddings({
+		...embeddingFields,
+		apiKey,
+		...(provider.type === LLM_PROVIDERS.OPENAI_COMPATIBLE && {
+			configuration: { baseURL: provider.baseURL },
+			// Most local servers ignore base64 encoding and always return floats
+			encodingFormat: 'float',
+		}),
+	});
+}
+
+/**
+ * Validate an API key against a bot's provider
+ * OpenAI keys get the full capability check; Azure and compatible servers
+ * only need to answer a model listing, since their model names are
+ * deployment or server specific.
+ * @param {string} apiKey - Provider API key
+ * @param {Object} provider - { type, baseURL, apiVersion }
+ * @returns {Promise<Object>} Validation result (same shape as validateOpenAIKey)
+ */
+export async function validateProviderConnection(
+	apiKey,
+	provider = DEFAULT_PROVIDER_CONFIG
+) {
+	if (provider.type === LLM_PROVIDERS.OPENAI) {
+		return validateOpenAIKey(apiKey);
+	}
+
+	try {
+		const client = createLLMClient(apiKey, provider, { timeout: 10000 });
+
+		logInfo('Validating LLM provider connection', {
+			provider: provider.type,
+			baseURL: provider.baseURL,
+		});
+
+		const modelsResponse = await client.models.list();
+		const availableModels = modelsResponse.data.map((model) => model.id);
+
+		return {
+			isValid: true,
+			supportedModels: {
+				chat: availableModels,
+				embeddings: availableModels,
+			},
+			capabilities: {
+				modelsCount: availableModels.length,
+			},
+			testedAt: new Date().toISOString(),
+		};
+	} catch (error) {
+		logError('LLM provider validation failed', {
+			provider: provider.type,
+			baseURL: provider.baseURL,
+			error: error.message,
+			status: error.status,
+		});
+
+		return {
+			isValid: false,
+			error:
+				error.status === 401
+					? 'The provider rejected this API key.'
+					: `Could not reach ${provider.baseURL}: ${error.message}`,
+			errorCode: error.status === 401 ? 'INVALID_KEY' : 'NETWORK_ERROR',
+			status: error.status,
+			testedAt: new Date().toISOString(),
+		};
+	}
+}
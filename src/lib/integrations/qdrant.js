@@ -8,7 +8,7 @@
 import { QdrantVectorStore } from '@langchain/qdrant';
 import { QdrantClient } from '@qdrant/js-client-rest';
 import { logInfo, logError } from '../utils/logger.js';
-import { randomUUID } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 
 /**
  * Cache for vector store instances to avoid recreation
@@ -40,7 +40,11 @@ export async function getVectorStore(collectionName, embeddings, config = {}) {
 
 	// Check if we have a cached instance
 	if (vectorStoreCache.has(cacheKey)) {
-		return vectorStoreCache.get(cacheKey);
+		// Always embed with the caller's instance: the bot's key, model or
+		// provider may have changed since the store was cached
+		const cachedStore = vectorStoreCache.get(cacheKey);
+		cachedStore.embeddings = embeddings;
+		return cachedStore;
 	}
 
 	let vectorStore = null;
@@ -74,19 +78,87 @@ export async function getVectorStore(collectionName, embeddings, config = {}) {
 	return vectorStore;
 }
 
+// Namespace for deterministic chunk point IDs (UUID v5)
+const CHUNK_ID_NAMESPACE = '6f1d2c3a-8b4e-5f60-9a7b-1c2d3e4f5a6b';
+
 /**
- * Store documents in vector collection with conflict resolution
- * @param {string} collectionName - Collection name
+ * Deterministic point ID for a chunk of a file
+ * The same chunk text in the same file of a bot always maps to the same
+ * point, so re-processing a file upserts instead of duplicating vectors.
+ * @param {string} botId - Bot ID
+ * @param {string} fileId - File ID
+ * @param {string} chunkHash - SHA-256 of the chunk text
+ * @returns {string} UUID v5 point ID
+ */
+export function getChunkPointId(botId, fileId, chunkHash) {
+	const bytes = createHash('sha1')
+		.update(Buffer.from(CHUNK_ID_NAMESPACE.replace(/-/g, ''), 'hex'))
+		.update(`${botId}:${fileId}:${chunkHash}`)
+		.digest()
+		.subarray(0, 16);
+
+	bytes[6] = (bytes[6] & 0x0f) | 0x50; // version 5
+	bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+	const hex = bytes.toString('hex');
+	return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Give documents their point IDs and final metadata
+ * Repeated chunk text in one file is stored once. Point IDs derive from the
+ * bot ID, not the collection, so they survive a re-embedding.
+ */
+function enrichDocuments(botId, documents, metadata = {}) {
+	const pointIds = new Set();
+	const enrichedDocuments = [];
+
+	documents.forEach((doc, index) => {
+		const docMetadata = { ...doc.metadata, ...metadata };
+		const pointId =
+			docMetadata.fileId && docMetadata.chunkHash
+				? getChunkPointId(
+						botId.toString(),
+						docMetadata.fileId,
+						docMetadata.chunkHash
+					)
+				: randomUUID();
+
+		if (pointIds.has(pointId)) return;
+		pointIds.add(pointId);
+
+		enrichedDocuments.push({
+			...doc,
+			metadata: {
+				...docMetadata,
+				documentId: pointId,
+				chunkIndex: doc.metadata.chunkIndex ?? index,
+				timestamp: new Date().toISOString(),
+			},
+			id: pointId,
+		});
+	});
+
+	return enrichedDocuments;
+}
+
+/**
+ * Store documents in vector collection
+ * Chunks with a fileId and chunkHash get deterministic point IDs (see
+ * getChunkPointId) and are upserted; other documents get a random ID.
+ * @param {string} collectionName - Collection name (the bot ID)
  * @param {OpenAIEmbeddings} embeddings - Embeddings instance
  * @param {Array} documents - Documents to store
  * @param {Object} metadata - Additional metadata
+ * @param {string} botId - Bot the chunks belong to (defaults to the collection name)
  * @returns {Promise<Object>} Storage results
  */
 export async function storeDocuments(
 	collectionName,
 	embeddings,
 	documents,
-	metadata = {}
+	metadata = {},
+	botId = collectionName
 ) {
 	try {
 		if (!documents || !Array.isArray(documents) || documents.length === 0) {
@@ -99,111 +171,211 @@ export async function storeDocuments(
 		});
 
 		const vectorStore = await getVectorStore(collectionName, embeddings);
+		const enrichedDocuments = enrichDocuments(botId, documents, metadata);
 
-		// Generate unique IDs for documents to avoid conflicts
-		console.log('🔑 [QDRANT] Generating UUID-based point IDs for documents...');
+		// Qdrant upserts by ID, so storing an existing chunk again is a no-op
+		const ids = await vectorStore.addDocuments(enrichedDocuments);
 
-		const enrichedDocuments = documents.map((doc, index) => {
-			// Create a valid UUID for Qdrant point ID
-			const uniqueId = randomUUID();
+		// Handle case where addDocuments returns undefined (but storage still succeeds)
+		const storedCount = Array.isArray(ids)
+			? ids.length
+			: enrichedDocuments.length;
 
-			const enrichedMetadata = {
-				...doc.metadata,
-				...metadata,
-				documentId: uniqueId,
-				chunkIndex: doc.metadata.chunkIndex || index,
-				timestamp: new Date().toISOString(),
-			};
-
-			return {
-				...doc,
-				metadata: enrichedMetadata,
-				id: uniqueId, // Use UUID as point ID
-			};
+		logInfo('Documents stored successfully', {
+			collectionName,
+			documentCount: documents.length,
+			storedIds: storedCount,
+			skippedDuplicates: documents.length - enrichedDocuments.length,
 		});
 
-		console.log('✅ [QDRANT] All UUIDs generated successfully', {
-			totalDocuments: enrichedDocuments.length,
-			sampleId: enrichedDocuments[0]?.id,
+		return {
+			success: true,
+			storedCount,
+			documentIds: enrichedDocuments.map((doc) => doc.id),
+		};
+	} catch (error) {
+		logError('Failed to store documents', {
+			collectionName,
+			error: error.message,
 		});
+		throw error;
+	}
+}
+
+// Chunks disabled in the chunk browser stay stored but are never retrieved
+export const ENABLED_CHUNKS_FILTER = {
+	must_not: [{ key: 'metadata.disabled', match: { value: true } }],
+};
+
+/**
+ * Build a Qdrant filter from simple metadata conditions
+ * @param {Object} filter - Map of metadata keys to an expected value, or an
+ *   array of values of which any may match
+ * @returns {Object} Qdrant filter
+ */
+export function buildMetadataFilter(filter = {}) {
+	return {
+		must: Object.entries(filter).map(([key, value]) => ({
+			key: `metadata.${key}`,
+			match: Array.isArray(value) ? { any: value } : { value },
+		})),
+	};
+}
+
+/**
+ * Page through all points in a collection
+ * @param {string} collectionName - Collection name
+ * @param {Object} options - Scroll options
+ * @param {Object} options.filter - Metadata equality filter (optional)
+ * @param {number} options.limit - Maximum number of points to return
+ * @param {boolean} options.withVectors - Include point vectors
+ * @returns {Promise<Array>} Points as { id, pageContent, metadata, vector }
+ */
+export async function scrollDocuments(collectionName, options = {}) {
+	const { filter, limit = 10000, withVectors = false } = options;
+	const batchSize = Math.min(limit, 256);
 
-		try {
-			// Attempt to store documents with unique IDs
-			const ids = await vectorStore.addDocuments(enrichedDocuments);
-
-			// Handle case where addDocuments returns undefined (but storage still succeeds)
-			const storedCount = Array.isArray(ids)
-				? ids.length
-				: enrichedDocuments.length;
-			const documentIds = Array.isArray(ids) ? ids : [];
-
-			logInfo('Documents stored successfully', {
-				collectionName,
-				documentCount: documents.length,
-				storedIds: storedCount,
-				returnedIds: Array.isArray(ids),
-				idsType: typeof ids,
+	try {
+		const client = createQdrantClient();
+		const points = [];
+		let offset = undefined;
+
+		do {
+			const page = await client.scroll(collectionName, {
+				filter: filter ? buildMetadataFilter(filter) : undefined,
+				limit: Math.min(batchSize, limit - points.length),
+				offset,
+				with_payload: true,
+				with_vector: withVectors,
 			});
 
-			return {
-				success: true,
-				storedCount: storedCount,
-				documentIds: documentIds,
-			};
-		} catch (storageError) {
-			if (
-				storageError.message.includes('Conflict') ||
-				storageError.message.includes('already exists')
-			) {
-				logInfo('Conflict detected, attempting to store with new IDs', {
-					collectionName,
-					documentCount: documents.length,
+			for (const point of page.points) {
+				points.push({
+					id: point.id,
+					pageContent: point.payload?.content || '',
+					metadata: point.payload?.metadata || {},
+					vector: withVectors ? point.vector : undefined,
 				});
+			}
 
-				// If conflict, regenerate IDs with additional randomness
-				const reconflictedDocuments = enrichedDocuments.map((doc) => {
-					const newUniqueId = randomUUID(); // Generate new UUID
-
-					return {
-						...doc,
-						metadata: {
-							...doc.metadata,
-							documentId: newUniqueId,
-							retryAttempt: true,
-						},
-						id: newUniqueId,
-					};
-				});
+			offset = page.next_page_offset;
+		} while (offset && points.length < limit);
 
-				// Try storing again with new IDs
-				const retryIds = await vectorStore.addDocuments(reconflictedDocuments);
-
-				// Handle case where addDocuments returns undefined (but storage still succeeds)
-				const retryStoredCount = Array.isArray(retryIds)
-					? retryIds.length
-					: reconflictedDocuments.length;
-				const retryDocumentIds = Array.isArray(retryIds) ? retryIds : [];
-
-				logInfo('Documents stored successfully after retry', {
-					collectionName,
-					documentCount: documents.length,
-					storedIds: retryStoredCount,
-					returnedIds: Array.isArray(retryIds),
-					retryAttempt: true,
-				});
+		return points;
+	} catch (error) {
+		logError('Failed to scroll documents', {
+			collectionName,
+			error: error.message,
+		});
+		throw error;
+	}
+}
 
-				return {
-					success: true,
-					storedCount: retryStoredCount,
-					documentIds: retryDocumentIds,
-				};
-			} else {
-				// If it's not a conflict error, rethrow
-				throw storageError;
-			}
+/**
+ * Fetch points by ID
+ * @param {string} collectionName - Collection name
+ * @param {Array<string>} ids - Point IDs
+ * @returns {Promise<Array>} Points as { id, pageContent, metadata }
+ */
+export async function getDocuments(collectionName, ids) {
+	try {
+		const client = createQdrantClient();
+		const points = await client.retrieve(collectionName, {
+			ids,
+			with_payload: true,
+			with_vector: false,
+		});
+
+		return points.map((point) => ({
+			id: point.id,
+			pageContent: point.payload?.content || '',
+			metadata: point.payload?.metadata || {},
+		}));
+	} catch (error) {
+		logError('Failed to retrieve documents', {
+			collectionName,
+			error: error.message,
+		});
+		throw error;
+	}
+}
+
+/**
+ * Apply a file's chunk changes in one step
+ * New chunks are embedded first; the upserts, deletions and metadata updates
+ * are then sent as a single batch, so searches see either the old or the new
+ * version of a file and never a mix of both.
+ * @param {string} collectionName - Collection name (the bot ID)
+ * @param {OpenAIEmbeddings} embeddings - Embeddings instance
+ * @param {Object} changes - Chunk changes
+ * @param {Array} changes.documents - New or changed chunks to embed
+ * @param {Array<string>} changes.deleteIds - Point IDs to delete
+ * @param {Array<{id: string, metadata: Object}>} changes.metadataUpdates - Points whose metadata changed
+ * @param {Object} metadata - Additional metadata for new chunks
+ * @param {string} botId - Bot the chunks belong to (defaults to the collection name)
+ * @returns {Promise<Object>} { storedCount, deletedCount, updatedCount }
+ */
+export async function applyDocumentChanges(
+	collectionName,
+	embeddings,
+	changes,
+	metadata = {},
+	botId = collectionName
+) {
+	const { documents = [], deleteIds = [], metadataUpdates = [] } = changes;
+
+	try {
+		const operations = [];
+		const enrichedDocuments = enrichDocuments(botId, documents, metadata);
+
+		if (enrichedDocuments.length > 0) {
+			const vectorStore = await getVectorStore(collectionName, embeddings);
+			await vectorStore.ensureCollection();
+
+			const vectors = await embeddings.embedDocuments(
+				enrichedDocuments.map((doc) => doc.pageContent)
+			);
+
+			operations.push({
+				upsert: {
+					points: enrichedDocuments.map((doc, index) => ({
+						id: doc.id,
+						vector: vectors[index],
+						payload: { content: doc.pageContent, metadata: doc.metadata },
+					})),
+				},
+			});
+		}
+
+		if (deleteIds.length > 0) {
+			operations.push({ delete: { points: deleteIds } });
+		}
+
+		for (const { id, metadata: pointMetadata } of metadataUpdates) {
+			operations.push({
+				set_payload: { payload: { metadata: pointMetadata }, points: [id] },
+			});
+		}
+
+		if (operations.length > 0) {
+			const client = createQdrantClient();
+			await client.batchUpdate(collectionName, { wait: true, operations });
 		}
+
+		logInfo('Document changes applied', {
+			collectionName,
+			stored: enrichedDocuments.length,
+			deleted: deleteIds.length,
+			updated: metadataUpdates.length,
+		});
+
+		return {
+			storedCount: enrichedDocuments.length,
+			deletedCount: deleteIds.length,
+			updatedCount: metadataUpdates.length,
+		};
 	} catch (error) {
-		logError('Failed to store documents', {
+		logError('Failed to apply document changes', {
 			collectionName,
 			error: error.message,
 		});
@@ -225,12 +397,7 @@ export async function deleteDocuments(collectionName, filter) {
 
 		// Delete by filter
 		const result = await client.delete(collectionName, {
-			filter: {
-				must: Object.entries(filter).map(([key, value]) => ({
-					key: `metadata.${key}`,
-					match: { value },
-				})),
-			},
+			filter: buildMetadataFilter(filter),
 		});
 
 		logInfo('Documents deleted', {
@@ -1,5 +1,6 @@
 // KEY FUNCTIONS FOR S3 INTEGRATION
 // generatePresignedUloadUrl()
+// uploadFile()
 // downloadFile()
 // deleteFile()
 // generatePresignedDownloadUrl()
@@ -54,6 +55,27 @@ export const generatePresignedUploadUrl = async (
 	}
 };
 
+export const uploadFile = async (key, body, contentType) => {
+	try {
+		const command = new PutObjectCommand({
+			Bucket: bucket,
+			Key: key,
+			Body: body,
+			ContentType: contentType,
+		});
+
+		const response = await s3Client.send(command);
+
+		return {
+			success: true,
+			key,
+			etag: response.ETag,
+		};
+	} catch (error) {
+		throw new Error(`Failed to upload file to S3: ${error.message}`);
+	}
+};
+
 export const downloadFile = async (key, maxRetries = 3) => {
 	let lastError;
 
@@ -1,8 +1,10 @@
 /**
  * Text Chunking Processor
  *
- * Handles intelligent text segmentation using recursive character splitting
- * optimized for different content types and embedding models.
+ * Handles intelligent text segmentation optimized for different content
+ * types and embedding models. Structured content (markdown, HTML, office
+ * documents, plain text and CSV) is chunked along headings, list items and
+ * table rows; other content uses recursive character splitting.
  */
 
 import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
@@ -14,8 +16,45 @@ const DEFAULT_CHUNK_SIZE = 700;
 const DEFAULT_CHUNK_OVERLAP = 100;
 const DEFAULT_SEPARATORS = ['\n\n', '\n', ' ', ''];
 
+// Content types chunked along their document structure
+const STRUCTURED_CONTENT_TYPES = ['markdown', 'md', 'text', 'txt', 'csv'];
+
+// Blocks that must never be split across chunks
+const ATOMIC_BLOCK_TYPES = ['listItem', 'tableRow', 'row'];
+
+/**
+ * Map a File.fileType to the chunking content type
+ * HTML, DOCX and the other document formats are extracted as
+ * markdown-style text (headings, lists, tables), so they share the markdown
+ * strategy.
+ * @param {string} fileType - File.fileType (pdf, docx, pptx, xlsx, ...)
+ * @returns {string} Content type for chunkText
+ */
+export function getContentTypeForFileType(fileType) {
+	switch (fileType) {
+		case 'md':
+		case 'html':
+		case 'docx':
+		case 'pptx':
+		case 'xlsx':
+		case 'epub':
+		case 'odt':
+		case 'json':
+		case 'jsonl':
+			return 'markdown';
+		case 'csv':
+			return 'csv';
+		case 'pdf':
+			return 'pdf';
+		default:
+			return 'text';
+	}
+}
+
 /**
  * Chunk text into LangChain Document objects
+ * When `options.pages` (from extractTextWithPages) is given, each chunk gets
+ * `pageNumber` plus `pageStart`/`pageEnd` for chunks that span pages.
  * @param {string} text - Text to chunk
  * @param {Object} metadata - Base metadata for all chunks
  * @param {Object} options - Chunking options
@@ -31,6 +70,7 @@ export async function chunkText(text, metadata = {}, options = {}) {
 		overlap = DEFAULT_CHUNK_OVERLAP,
 		separators = DEFAULT_SEPARATORS,
 		contentType = 'text',
+		pages = [],
 	} = options;
 
 	logInfo('Starting text chunking', {
@@ -54,7 +94,15 @@ export async function chunkText(text, metadata = {}, options = {}) {
 		const startTime = Date.now();
 
 		// Split the text into chunks
-		const textChunks = await splitter.splitText(text);
+		const isStructured = STRUCTURED_CONTENT_TYPES.includes(
+			contentType.toLowerCase()
+		);
+		const textChunks = isStructured
+			? await splitByStructure(text, contentType, maxChunkSize, splitter)
+			: (await splitter.splitText(text)).map((chunk) => ({
+					text: chunk,
+					headingPath: '',
+				}));
 
 		const processingTime = Date.now() - startTime;
 
@@ -65,20 +113,35 @@ export async function chunkText(text, metadata = {}, options = {}) {
 		}
 
 		// Calculate token usage for all chunks
-		const totalTokens = calculateTotalTokens(textChunks);
+		const totalTokens = calculateTotalTokens(
+			textChunks.map((chunk) => chunk.text)
+		);
 
 		// Create LangChain Document objects with enriched metadata
-		const documents = textChunks.map((chunk, index) => {
+		let searchFrom = 0;
+		const documents = textChunks.map(({ text: chunk, headingPath }) => {
 			const chunkTokens = getAccurateTokenCount(chunk);
 
+			// Locate the chunk in the source text to map it onto pages
+			let pageInfo = {};
+			if (pages.length > 0) {
+				const offset = text.indexOf(chunk, searchFrom);
+				if (offset !== -1) {
+					searchFrom = offset + 1;
+					pageInfo = getPageRange(pages, offset, offset + chunk.length);
+				}
+			}
+
 			const enrichedMetadata = {
 				...metadata,
 				totalChunks: textChunks.length,
 				chunkSize: chunk.length,
 				tokenCount: chunkTokens,
-				chunkOverlap: overlap,
+				chunkOverlap: isStructured ? 0 : overlap,
 				maxChunkSize,
 				contentType,
+				...(headingPath && { headingPath }),
+				...pageInfo,
 			};
 
 			return new Document({
@@ -102,6 +165,235 @@ export async function chunkText(text, metadata = {}, options = {}) {
 	}
 }
 
+/**
+ * Split text into blocks: headings, paragraphs, list items, table rows and
+ * code fences. Each block records the heading path it belongs to.
+ * @param {string} text - Text to parse
+ * @param {string} contentType - Content type (csv rows are all atomic)
+ * @returns {Array} [{ type, text, headingPath, tableHeader }]
+ */
+function parseBlocks(text, contentType) {
+	const blocks = [];
+	const headings = [];
+	let paragraph = [];
+	let codeFence = null;
+	let tableHeader = null;
+	let lastType = null;
+
+	const currentHeadingPath = () => headings.filter(Boolean).join(' > ');
+
+	const pushBlock = (type, content, extra = {}) => {
+		blocks.push({
+			type,
+			text: content,
+			headingPath: currentHeadingPath(),
+			...extra,
+		});
+		lastType = type;
+	};
+
+	const flushParagraph = () => {
+		if (paragraph.length > 0) {
+			pushBlock('paragraph', paragraph.join('\n'));
+			paragraph = [];
+		}
+	};
+
+	for (const line of text.split('\n')) {
+		// CSV: every row is its own unit
+		if (contentType === 'csv') {
+			if (line.trim()) pushBlock('row', line);
+			continue;
+		}
+
+		// Code fences are kept together
+		if (codeFence) {
+			codeFence.push(line);
+			if (/^\s*(```|~~~)/.test(line)) {
+				pushBlock('code', codeFence.join('\n'));
+				codeFence = null;
+			}
+			continue;
+		}
+		if (/^\s*(```|~~~)/.test(line)) {
+			flushParagraph();
+			codeFence = [line];
+			continue;
+		}
+
+		// Headings update the breadcrumb
+		const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+		if (heading) {
+			flushParagraph();
+			const level = heading[1].length;
+			headings.splice(level - 1);
+			headings[level - 1] = heading[2];
+			pushBlock('heading', line.trim());
+			continue;
+		}
+
+		// Table rows (the first row and its separator form the table header)
+		if (/^\s*\|/.test(line)) {
+			flushParagraph();
+			const isSeparator = /^\s*\|?[\s:|-]+\|?\s*$/.test(line);
+			if (lastType !== 'tableRow') {
+				tableHeader = [line];
+				pushBlock('tableRow', line);
+			} else if (isSeparator && tableHeader.length === 1) {
+				tableHeader.push(line);
+				blocks[blocks.length - 1].text += `\n${line}`;
+			} else {
+				pushBlock('tableRow', line, { tableHeader: tableHeader.join('\n') });
+			}
+			continue;
+		}
+
+		// List items (indented continuation lines stay with their item)
+		if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+			flushParagraph();
+			pushBlock('listItem', line);
+			continue;
+		}
+		if (
+			lastType === 'listItem' &&
+			paragraph.length === 0 &&
+			/^\s+\S/.test(line)
+		) {
+			blocks[blocks.length - 1].text += `\n${line}`;
+			continue;
+		}
+
+		if (!line.trim()) {
+			flushParagraph();
+			lastType = 'blank';
+			continue;
+		}
+
+		paragraph.push(line);
+		lastType = 'paragraph';
+	}
+
+	flushParagraph();
+	if (codeFence) {
+		pushBlock('code', codeFence.join('\n'));
+	}
+
+	return blocks;
+}
+
+/**
+ * Chunk text along its structure
+ * Sections start a new chunk, list items and table rows are never split
+ * (a row larger than the chunk size becomes its own chunk), and tables that
+ * continue into a new chunk repeat their header row. Oversized paragraphs
+ * fall back to the recursive splitter.
+ * @param {string} text - Text to chunk
+ * @param {string} contentType - Content type
+ * @param {number} maxChunkSize - Target maximum chunk size in characters
+ * @param {RecursiveCharacterTextSplitter} splitter - Splitter for long paragraphs
+ * @returns {Promise<Array>} [{ text, headingPath }]
+ */
+async function splitByStructure(text, contentType, maxChunkSize, splitter) {
+	const blocks = [];
+	for (const block of parseBlocks(text, contentType)) {
+		if (
+			!ATOMIC_BLOCK_TYPES.includes(block.type) &&
+			block.text.length > maxChunkSize
+		) {
+			const pieces = await splitter.splitText(block.text);
+			pieces.forEach((piece) => blocks.push({ ...block, text: piece }));
+		} else {
+			blocks.push(block);
+		}
+	}
+
+	const chunks = [];
+	let current = null;
+
+	const flush = () => {
+		if (current && current.text.trim()) {
+			chunks.push({ text: current.text, headingPath: current.headingPath });
+		}
+		current = null;
+	};
+
+	for (const block of blocks) {
+		// Consecutive headings (e.g. a title followed by a subtitle) stay together
+		if (block.type === 'heading' && current?.lastType === 'heading') {
+			current.text += `\n${block.text}`;
+			current.headingPath = block.headingPath;
+			continue;
+		}
+
+		if (
+			block.type === 'heading' ||
+			current?.headingPath !== block.headingPath
+		) {
+			flush();
+		}
+
+		// Consecutive rows and list items are joined line by line
+		const separator =
+			current &&
+			ATOMIC_BLOCK_TYPES.includes(block.type) &&
+			block.type === current.lastType
+				? '\n'
+				: '\n\n';
+
+		if (
+			current &&
+			current.text.length + separator.length + block.text.length > maxChunkSize
+		) {
+			flush();
+		}
+
+		if (!current) {
+			// Repeat the table header when a table continues in a new chunk
+			current = {
+				text: block.tableHeader
+					? `${block.tableHeader}\n${block.text}`
+					: block.text,
+				headingPath: block.headingPath,
+				lastType: block.type,
+			};
+			continue;
+		}
+
+		current.text += separator + block.text;
+		current.lastType = block.type;
+	}
+
+	flush();
+
+	return chunks;
+}
+
+/**
+ * Find the pages a character range falls on
+ * @param {Array} pages - Page segments ({ pageNumber, start, end }) in order
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset (exclusive)
+ * @returns {Object} { pageNumber, pageStart, pageEnd } or {} if not found
+ */
+function getPageRange(pages, start, end) {
+	const overlapping = pages.filter(
+		(page) => page.start < end && page.end > start
+	);
+
+	if (overlapping.length === 0) {
+		return {};
+	}
+
+	const pageStart = overlapping[0].pageNumber;
+	const pageEnd = overlapping[overlapping.length - 1].pageNumber;
+
+	return {
+		pageNumber: pageStart,
+		pageStart,
+		pageEnd,
+	};
+}
+
 /**
  * Get optimal separators based on content type
  * @param {string} contentType - Type of content being chunked
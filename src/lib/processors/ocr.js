@@ -0,0 +1,127 @@
+/**
+ * OCR Processor
+ *
+ * Recognizes text in images and in PDF pages without a text layer (scanned
+ * documents) using tesseract.js. Recognition runs locally in the worker, so
+ * documents are never sent to a third-party service.
+ */
+
+import { OCR_LANGUAGES } from '../utils/envConfig.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+
+// Pages rendered at 2x (~150 DPI for A4/Letter) are enough for body text
+const PDF_RENDER_SCALE = 2;
+
+// OCR takes several seconds per page, so very long scans are capped
+export const MAX_OCR_PAGES = 50;
+
+/**
+ * Normalize whitespace in recognized text
+ * @param {string} text - Raw OCR output
+ * @returns {string} Cleaned text
+ */
+function cleanRecognizedText(text) {
+	return text
+		.split('\n')
+		.map((line) => line.replace(/[ \t]+/g, ' ').trim())
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Run OCR over a sequence of images with a single engine instance
+ * @param {AsyncIterable<{pageNumber: number, image: Buffer}>} images - Images to recognize
+ * @returns {Promise<Array<{pageNumber: number, text: string, confidence: number}>>}
+ */
+async function recognizeImages(images) {
+	const { createWorker } = await import('tesseract.js');
+	const worker = await createWorker(OCR_LANGUAGES);
+
+	try {
+		const results = [];
+		for await (const { pageNumber, image } of images) {
+			const { data } = await worker.recognize(image);
+			results.push({
+				pageNumber,
+				text: cleanRecognizedText(data.text || ''),
+				confidence: data.confidence,
+			});
+		}
+		return results;
+	} finally {
+		await worker.terminate();
+	}
+}
+
+/**
+ * Render PDF pages to PNG images, one at a time to limit memory use
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Array<number>} pageNumbers - 1-based page numbers to render
+ */
+async function* renderPDFPages(fileBuffer, pageNumbers) {
+	const { pdf } = await import('pdf-to-img');
+	const document = await pdf(fileBuffer, { scale: PDF_RENDER_SCALE });
+
+	for (const pageNumber of pageNumbers) {
+		if (pageNumber > document.length) {
+			break;
+		}
+		yield { pageNumber, image: await document.getPage(pageNumber) };
+	}
+}
+
+/**
+ * Recognize text in an image (PNG or JPEG)
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @returns {Promise<{text: string, confidence: number}>} Text and confidence (0-100)
+ */
+export async function recognizeImage(fileBuffer) {
+	logInfo('Running OCR on image', { languages: OCR_LANGUAGES });
+
+	const [result] = await recognizeImages([
+		{ pageNumber: 1, image: fileBuffer },
+	]);
+	return { text: result.text, confidence: result.confidence };
+}
+
+/**
+ * Recognize text on selected pages of a PDF
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Array<number>} pageNumbers - 1-based page numbers to recognize
+ * @returns {Promise<Array<{pageNumber: number, text: string, confidence: number}>>}
+ */
+export async function recognizePDFPages(fileBuffer, pageNumbers) {
+	if (pageNumbers.length > MAX_OCR_PAGES) {
+		logWarn('Too many pages for OCR, recognizing the first pages only', {
+			pages: pageNumbers.length,
+			maxPages: MAX_OCR_PAGES,
+		});
+	}
+
+	const selectedPages = pageNumbers.slice(0, MAX_OCR_PAGES);
+	logInfo('Running OCR on PDF pages', {
+		pages: selectedPages.length,
+		languages: OCR_LANGUAGES,
+	});
+
+	return recognizeImages(renderPDFPages(fileBuffer, selectedPages));
+}
+
+/**
+ * Average confidence of OCR results, weighted by the amount of text
+ * @param {Array<{text: string, confidence: number}>} results - OCR results
+ * @returns {number|null} Rounded confidence (0-100), or null without text
+ */
+export function getAverageConfidence(results) {
+	const totalLength = results.reduce((sum, { text }) => sum + text.length, 0);
+	if (totalLength === 0) {
+		return null;
+	}
+
+	const weighted = results.reduce(
+		(sum, { text, confidence }) => sum + text.length * confidence,
+		0
+	);
+	return Math.round(weighted / totalLength);
+}
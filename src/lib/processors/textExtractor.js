@@ -2,15 +2,30 @@
  * Universal Text Extraction Processor
  *
  * Handles text extraction from various file formats including
- * PDF, CSV, TXT, MD, HTML, and DOCX files.
+ * PDF, CSV, TXT, MD, HTML, DOCX, PPTX, XLSX, EPUB, RTF, ODT and JSON/JSONL
+ * files. Scanned PDF pages and PNG/JPEG images are read with OCR.
  */
 
 import Papa from 'papaparse';
 import mammoth from 'mammoth';
-import { logInfo, logError } from '../utils/logger.js';
+import JSZip from 'jszip';
+import {
+	getAverageConfidence,
+	recognizeImage,
+	recognizePDFPages,
+} from './ocr.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
 
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB limit
 
+// Limits for ZIP-based documents, which can expand far beyond their file size
+const MAX_ZIP_ENTRY_SIZE = 100 * 1024 * 1024; // 100MB per uncompressed part
+const MAX_SPREADSHEET_ROWS = 50000; // Per workbook
+const MAX_SPREADSHEET_COLUMNS = 200; // Later columns are ignored
+
+// PDF pages with less text than this are treated as scanned and OCR'd
+const OCR_MIN_PAGE_CHARACTERS = 100;
+
 const SUPPORTED_MIME_TYPES = {
 	PDF: 'application/pdf',
 	CSV: 'text/csv',
@@ -18,6 +33,62 @@ const SUPPORTED_MIME_TYPES = {
 	MARKDOWN: 'text/markdown',
 	HTML: 'text/html',
 	DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+	PPTX: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+	XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	EPUB: 'application/epub+zip',
+	RTF: 'application/rtf',
+	ODT: 'application/vnd.oasis.opendocument.text',
+	JSON: 'application/json',
+	JSONL: 'application/x-ndjson',
+	PNG: 'image/png',
+	JPEG: 'image/jpeg',
+};
+
+// Keys used as the heading of a JSON record, in order of preference
+const JSON_TITLE_KEYS = ['title', 'name', 'question', 'heading', 'subject'];
+
+// RTF destinations that hold metadata or binary data rather than text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+	'fonttbl',
+	'colortbl',
+	'stylesheet',
+	'info',
+	'pict',
+	'object',
+	'header',
+	'headerl',
+	'headerr',
+	'headerf',
+	'footer',
+	'footerl',
+	'footerr',
+	'footerf',
+	'fldinst',
+	'listtable',
+	'listoverridetable',
+	'revtbl',
+	'rsidtbl',
+	'xmlnstbl',
+	'themedata',
+	'colorschememapping',
+	'datastore',
+	'latentstyles',
+	'generator',
+]);
+
+const RTF_SYMBOLS = {
+	par: '\n',
+	line: '\n',
+	row: '\n',
+	cell: ' | ',
+	tab: '\t',
+	emdash: '\u2014',
+	endash: '\u2013',
+	lquote: '\u2018',
+	rquote: '\u2019',
+	ldblquote: '\u201C',
+	rdblquote: '\u201D',
+	bullet: '\u2022',
 };
 
 /**
@@ -27,6 +98,21 @@ const SUPPORTED_MIME_TYPES = {
  * @returns {Promise<string>} Extracted text content
  */
 export async function extractText(mimeType, fileBuffer, filename) {
+	const { text } = await extractTextWithPages(mimeType, fileBuffer, filename);
+	return text;
+}
+
+/**
+ * Extract text content along with page boundaries
+ * Paged formats (PDF, and PPTX with one page per slide) return one segment
+ * per page with character offsets into `text`; other formats return an
+ * empty `pages` array. `ocrConfidence` (0-100) is set when any of the text
+ * was recognized with OCR, otherwise null.
+ * @param {string} mimeType - MIME type of the file
+ * @param {Buffer} fileBuffer - File content as buffer
+ * @returns {Promise<{text: string, pages: Array<{pageNumber: number, start: number, end: number}>, ocrConfidence: number|null}>}
+ */
+export async function extractTextWithPages(mimeType, fileBuffer, filename) {
 	if (!mimeType || !fileBuffer) {
 		throw new Error('MimeType and fileBuffer are required parameters');
 	}
@@ -44,9 +130,15 @@ export async function extractText(mimeType, fileBuffer, filename) {
 
 	try {
 		let extractedText = '';
+		let pages = [];
+		let ocrConfidence = null;
 
 		if (mimeType === SUPPORTED_MIME_TYPES.PDF) {
-			extractedText = await extractFromPDF(fileBuffer);
+			({
+				text: extractedText,
+				pages,
+				ocrConfidence,
+			} = await extractFromPDF(fileBuffer));
 		} else if (mimeType === SUPPORTED_MIME_TYPES.CSV) {
 			extractedText = await extractFromCSV(fileBuffer);
 		} else if (
@@ -58,6 +150,30 @@ export async function extractText(mimeType, fileBuffer, filename) {
 			extractedText = await extractFromHTML(fileBuffer);
 		} else if (mimeType === SUPPORTED_MIME_TYPES.DOCX) {
 			extractedText = await extractFromDOCX(fileBuffer);
+		} else if (mimeType === SUPPORTED_MIME_TYPES.PPTX) {
+			({ text: extractedText, pages } = await extractFromPPTX(fileBuffer));
+		} else if (mimeType === SUPPORTED_MIME_TYPES.XLSX) {
+			extractedText = await extractFromXLSX(fileBuffer);
+		} else if (mimeType === SUPPORTED_MIME_TYPES.EPUB) {
+			extractedText = await extractFromEPUB(fileBuffer);
+		} else if (mimeType === SUPPORTED_MIME_TYPES.RTF) {
+			extractedText = await extractFromRTF(fileBuffer);
+		} else if (mimeType === SUPPORTED_MIME_TYPES.ODT) {
+			extractedText = await extractFromODT(fileBuffer);
+		} else if (
+			mimeType === SUPPORTED_MIME_TYPES.JSON ||
+			mimeType === SUPPORTED_MIME_TYPES.JSONL
+		) {
+			extractedText = await extractFromJSON(
+				fileBuffer,
+				mimeType === SUPPORTED_MIME_TYPES.JSONL
+			);
+		} else if (
+			mimeType === SUPPORTED_MIME_TYPES.PNG ||
+			mimeType === SUPPORTED_MIME_TYPES.JPEG
+		) {
+			({ text: extractedText, ocrConfidence } =
+				await extractFromImage(fileBuffer));
 		} else {
 			// Try to process as text if type is unknown
 			extractedText = await extractFromText(fileBuffer);
@@ -72,9 +188,11 @@ export async function extractText(mimeType, fileBuffer, filename) {
 			fileType: mimeType,
 			extractedLength: extractedText.length,
 			wordsExtracted: extractedText.split(/\s+/).length,
+			pages: pages.length || undefined,
+			ocrConfidence: ocrConfidence ?? undefined,
 		});
 
-		return extractedText;
+		return { text: extractedText, pages, ocrConfidence };
 	} catch (error) {
 		logError('Text extraction failed', {
 			fileType: mimeType,
@@ -86,8 +204,10 @@ export async function extractText(mimeType, fileBuffer, filename) {
 
 /**
  * Extract text from PDF using pdf2json with robust error handling
+ * Pages without a usable text layer (scanned documents) are recognized
+ * with OCR.
  * @param {Buffer} fileBuffer - PDF file buffer
- * @returns {Promise<string>} Extracted text
+ * @returns {Promise<{text: string, pages: Array, ocrConfidence: number|null}>} Extracted text, page segments and OCR confidence
  */
 async function extractFromPDF(fileBuffer) {
 	logInfo('Processing PDF file');
@@ -95,12 +215,13 @@ async function extractFromPDF(fileBuffer) {
 	// Suppress pdf2json console warnings like old implementation
 	const originalWarn = console.warn;
 	console.warn = () => {};
+	let pageTexts;
 
 	try {
 		// Use dynamic import pattern from old implementation
 		const PDFParser = (await import('pdf2json')).default;
 
-		const pdfText = await new Promise((resolve, reject) => {
+		pageTexts = await new Promise((resolve, reject) => {
 			const pdfParser = new PDFParser();
 
 			pdfParser.on('pdfParser_dataError', (errData) => {
@@ -110,8 +231,7 @@ async function extractFromPDF(fileBuffer) {
 
 			pdfParser.on('pdfParser_dataReady', (pdfData) => {
 				try {
-					const textContent = extractTextFromPDFData(pdfData);
-					resolve(textContent);
+					resolve(extractTextFromPDFData(pdfData));
 				} catch (extractError) {
 					reject(
 						new Error(`Failed to extract PDF text: ${extractError.message}`)
@@ -125,56 +245,122 @@ async function extractFromPDF(fileBuffer) {
 				reject(new Error(`Failed to parse PDF buffer: ${bufferError.message}`));
 			}
 		});
-
-		logInfo('PDF extraction completed', {
-			extractedLength: pdfText.length,
-		});
-
-		return pdfText;
 	} finally {
 		// Always restore console.warn
 		console.warn = originalWarn;
 	}
+
+	const ocrConfidence = await recognizeSparsePDFPages(fileBuffer, pageTexts);
+	const pdfResult = buildPagedText(pageTexts);
+
+	if (pdfResult.text.length === 0) {
+		throw new Error('No text content extracted from PDF');
+	}
+
+	logInfo('PDF extraction completed', {
+		extractedLength: pdfResult.text.length,
+		pages: pdfResult.pages.length,
+		ocrConfidence: ocrConfidence ?? undefined,
+	});
+
+	return { ...pdfResult, ocrConfidence };
 }
 
 /**
- * Extract text content from parsed PDF data structure (from old implementation)
+ * OCR the pages of a PDF whose text layer is (nearly) empty
+ * Recognized text replaces the page text when it is longer. OCR failures
+ * are logged and the text layer is kept.
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Array<string>} pageTexts - Text of each page, updated in place
+ * @returns {Promise<number|null>} Average OCR confidence, or null if OCR wasn't used
+ */
+async function recognizeSparsePDFPages(fileBuffer, pageTexts) {
+	const sparsePages = pageTexts
+		.map((pageText, index) =>
+			pageText.length < OCR_MIN_PAGE_CHARACTERS ? index + 1 : null
+		)
+		.filter(Boolean);
+	if (sparsePages.length === 0) {
+		return null;
+	}
+
+	try {
+		const results = await recognizePDFPages(fileBuffer, sparsePages);
+		const recognized = results.filter(
+			({ pageNumber, text }) => text.length > pageTexts[pageNumber - 1].length
+		);
+		recognized.forEach(({ pageNumber, text }) => {
+			pageTexts[pageNumber - 1] = text;
+		});
+
+		return getAverageConfidence(recognized);
+	} catch (ocrError) {
+		logError('PDF OCR failed', { error: ocrError.message });
+		return null;
+	}
+}
+
+/**
+ * Extract the text of each page from parsed PDF data (from old implementation)
  * @param {Object} pdfData - Parsed PDF data from pdf2json
- * @returns {string} Clean text content extracted from PDF pages
+ * @returns {Array<string>} Text of each page ('' for pages without text)
  */
 function extractTextFromPDFData(pdfData) {
-	let textContent = '';
-
 	if (!pdfData.Pages || !Array.isArray(pdfData.Pages)) {
 		throw new Error('Invalid PDF data structure - no pages found');
 	}
 
-	pdfData.Pages.forEach((page, pageIndex) => {
+	return pdfData.Pages.map((page) => {
+		let pageText = '';
+
 		if (page.Texts && Array.isArray(page.Texts)) {
 			page.Texts.forEach((text) => {
 				if (text.R && Array.isArray(text.R)) {
 					text.R.forEach((textRun) => {
 						if (textRun.T) {
 							try {
-								textContent += decodeURIComponent(textRun.T) + ' ';
+								pageText += decodeURIComponent(textRun.T) + ' ';
 							} catch (decodeError) {
 								// Fallback to raw text if URI decoding fails
-								textContent += textRun.T + ' ';
+								pageText += textRun.T + ' ';
 							}
 						}
 					});
 				}
 			});
 		}
-		textContent += '\n'; // Page break
+		return pageText.trim();
 	});
+}
 
-	const cleanedText = textContent.trim();
-	if (cleanedText.length === 0) {
-		throw new Error('No text content extracted from PDF');
-	}
+/**
+ * Join page texts into one text with page segments
+ * Pages are separated by a blank line and recorded as character ranges.
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {{text: string, pages: Array<{pageNumber: number, start: number, end: number}>}}
+ */
+function buildPagedText(pageTexts) {
+	let textContent = '';
+	const pages = [];
 
-	return cleanedText;
+	pageTexts.forEach((pageText, pageIndex) => {
+		if (pageText.length === 0) {
+			return; // Skip blank pages
+		}
+
+		if (textContent.length > 0) {
+			textContent += '\n\n'; // Page break
+		}
+
+		pages.push({
+			pageNumber: pageIndex + 1,
+			start: textContent.length,
+			end: textContent.length + pageText.length,
+		});
+		textContent += pageText;
+	});
+
+	return { text: textContent, pages };
 }
 
 /**
@@ -258,29 +444,64 @@ async function extractFromText(fileBuffer) {
 }
 
 /**
- * Extract text from HTML file by removing tags (improved from old implementation)
- * @param {Buffer} fileBuffer - HTML file buffer
- * @returns {Promise<string>} Plain text content
+ * Convert HTML to markdown-style text that keeps document structure
+ * Headings become "#" lines, list items "- " lines and table rows
+ * "| cell | cell |" lines so the chunker can split along them.
+ * @param {string} htmlContent - HTML markup
+ * @returns {string} Structured plain text
  */
-async function extractFromHTML(fileBuffer) {
-	try {
-		logInfo('Processing HTML file');
+export function htmlToStructuredText(htmlContent) {
+	const stripTags = (html) => html.replace(/<[^>]*>/g, ' ');
 
-		const htmlContent = fileBuffer.toString('utf-8');
-
-		// Strip HTML tags and normalize whitespace like old implementation
-		const textContent = htmlContent
+	return (
+		htmlContent
 			.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
 			.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
-			.replace(/<[^>]*>/g, ' ') // Remove all HTML tags
+			.replace(/<!--[\s\S]*?-->/g, '') // Remove comments
+			.replace(/\s+/g, ' ') // Source whitespace is not significant
+			// Headings
+			.replace(
+				/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
+				(match, level, inner) =>
+					`\n\n${'#'.repeat(Number(level))} ${stripTags(inner).trim()}\n\n`
+			)
+			// Lists
+			.replace(/<li[^>]*>/gi, '\n- ')
+			// Tables
+			.replace(/<tr[^>]*>/gi, '\n|')
+			.replace(/<\/t[dh]>/gi, ' |')
+			// Line and block breaks
+			.replace(/<br\s*\/?>/gi, '\n')
+			.replace(
+				/<\/(p|div|section|article|header|footer|main|aside|blockquote|pre|ul|ol|table)>/gi,
+				'\n\n'
+			)
+			.replace(/<[^>]*>/g, ' ') // Remove remaining HTML tags
 			.replace(/&nbsp;/g, ' ') // Replace non-breaking spaces
 			.replace(/&amp;/g, '&') // Replace HTML entities
 			.replace(/&lt;/g, '<')
 			.replace(/&gt;/g, '>')
 			.replace(/&quot;/g, '"')
 			.replace(/&#39;/g, "'")
-			.replace(/\s+/g, ' ') // Normalize whitespace
-			.trim();
+			.split('\n')
+			.map((line) => line.replace(/[ \t]+/g, ' ').trim())
+			.join('\n')
+			.replace(/\n{3,}/g, '\n\n') // Collapse blank lines
+			.trim()
+	);
+}
+
+/**
+ * Extract text from HTML file, keeping headings, lists and tables
+ * @param {Buffer} fileBuffer - HTML file buffer
+ * @returns {Promise<string>} Structured plain text content
+ */
+async function extractFromHTML(fileBuffer) {
+	try {
+		logInfo('Processing HTML file');
+
+		const htmlContent = fileBuffer.toString('utf-8');
+		const textContent = htmlToStructuredText(htmlContent);
 
 		if (textContent.length === 0) {
 			throw new Error('No text content found in HTML file');
@@ -300,12 +521,14 @@ async function extractFromHTML(fileBuffer) {
 
 /**
  * Extract text from DOCX file using mammoth
+ * The document is converted to HTML first so headings, lists and tables
+ * survive as structured text.
  * @param {Buffer} fileBuffer - DOCX file buffer
  * @returns {Promise<string>} Extracted text
  */
 async function extractFromDOCX(fileBuffer) {
 	try {
-		const result = await mammoth.extractRawText({ buffer: fileBuffer });
+		const result = await mammoth.convertToHtml({ buffer: fileBuffer });
 
 		if (result.messages && result.messages.length > 0) {
 			logInfo('DOCX extraction warnings', {
@@ -313,7 +536,7 @@ async function extractFromDOCX(fileBuffer) {
 			});
 		}
 
-		const extractedText = result.value.trim();
+		const extractedText = htmlToStructuredText(result.value);
 
 		if (extractedText.length === 0) {
 			throw new Error('No text content could be extracted from DOCX file');
@@ -331,6 +554,821 @@ async function extractFromDOCX(fileBuffer) {
 	}
 }
 
+/**
+ * Extract text from PNG or JPEG image with OCR
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @returns {Promise<{text: string, ocrConfidence: number}>} Recognized text and OCR confidence
+ */
+async function extractFromImage(fileBuffer) {
+	try {
+		logInfo('Processing image file');
+
+		const { text, confidence } = await recognizeImage(fileBuffer);
+		if (text.length === 0) {
+			throw new Error('No text could be recognized in the image');
+		}
+
+		logInfo('Image OCR completed', {
+			extractedLength: text.length,
+			confidence: Math.round(confidence),
+		});
+
+		return { text, ocrConfidence: Math.round(confidence) };
+	} catch (error) {
+		logError('Image extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from image: ${error.message}`);
+	}
+}
+
+/**
+ * Decode the entities that can appear in XML text nodes
+ * @param {string} text - Escaped XML text
+ * @returns {string} Plain text
+ */
+function decodeXmlEntities(text) {
+	return text
+		.replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+			String.fromCodePoint(parseInt(hex, 16))
+		)
+		.replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Decode character references in markup that is passed on to
+ * htmlToStructuredText, leaving the ones that would form tags escaped
+ * @param {string} markup - XHTML or XML markup
+ * @returns {string} Markup with readable text
+ */
+function decodeCharacterReferences(markup) {
+	const escaped = { 38: '&amp;', 60: '&lt;', 62: '&gt;' };
+	const decode = (code) => escaped[code] || String.fromCodePoint(code);
+
+	return markup
+		.replace(/&#x([0-9a-f]+);/gi, (match, hex) => decode(parseInt(hex, 16)))
+		.replace(/&#(\d+);/g, (match, code) => decode(Number(code)))
+		.replace(/&apos;/g, "'");
+}
+
+/**
+ * Read an attribute from a single XML tag
+ * @param {string} tag - Tag markup, e.g. <sheet name="Sheet1" r:id="rId1"/>
+ * @param {string} name - Attribute name (including any prefix)
+ * @returns {string|null} Attribute value
+ */
+function getXmlAttribute(tag, name) {
+	const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+	return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Read a text entry from a ZIP-based document
+ * Decompression stops once the entry exceeds MAX_ZIP_ENTRY_SIZE; the size
+ * declared in the archive is checked first but can't be trusted alone.
+ * @param {JSZip} zip - Loaded archive
+ * @param {string} path - Entry path
+ * @returns {Promise<string|null>} Entry content, or null if missing
+ */
+async function readZipEntry(zip, path) {
+	const entry = zip.file(path);
+	if (!entry) {
+		return null;
+	}
+
+	const sizeError = new Error(
+		`${path} exceeds ${MAX_ZIP_ENTRY_SIZE} bytes when uncompressed`
+	);
+	if (entry._data?.uncompressedSize > MAX_ZIP_ENTRY_SIZE) {
+		throw sizeError;
+	}
+
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		const stream = entry.internalStream('uint8array');
+
+		stream
+			.on('data', (chunk) => {
+				size += chunk.length;
+				if (size > MAX_ZIP_ENTRY_SIZE) {
+					stream.pause();
+					reject(sizeError);
+					return;
+				}
+				chunks.push(chunk);
+			})
+			.on('error', reject)
+			.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+			.resume();
+	});
+}
+
+/**
+ * Resolve a relationship target against the part that references it
+ * @param {string} basePath - Path of the referencing part
+ * @param {string} target - Relative or absolute target
+ * @returns {string} Archive path of the target
+ */
+function resolveZipPath(basePath, target) {
+	if (target.startsWith('/')) {
+		return target.slice(1);
+	}
+
+	const parts = basePath.split('/').slice(0, -1);
+	for (const segment of target.split('/')) {
+		if (segment === '..') {
+			parts.pop();
+		} else if (segment && segment !== '.') {
+			parts.push(segment);
+		}
+	}
+	return parts.join('/');
+}
+
+/**
+ * Map relationship IDs to archive paths from an OOXML .rels part
+ * @param {JSZip} zip - Loaded archive
+ * @param {string} partPath - Path of the part the relationships belong to
+ * @returns {Promise<Map<string, string>>} Relationship ID -> archive path
+ */
+async function readRelationships(zip, partPath) {
+	const segments = partPath.split('/');
+	const filename = segments.pop();
+	const relsPath = [...segments, '_rels', `${filename}.rels`].join('/');
+	const relsXml = (await readZipEntry(zip, relsPath)) || '';
+
+	const relationships = new Map();
+	for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+		const id = getXmlAttribute(tag, 'Id');
+		const target = getXmlAttribute(tag, 'Target');
+		if (id && target && getXmlAttribute(tag, 'TargetMode') !== 'External') {
+			relationships.set(id, resolveZipPath(partPath, target));
+		}
+	}
+	return relationships;
+}
+
+/**
+ * Text of each DrawingML paragraph (<a:p>) in a piece of slide markup
+ * @param {string} xml - Slide or shape markup
+ * @returns {Array<string>} Non-empty paragraph texts
+ */
+function getDrawingParagraphs(xml) {
+	return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)]
+		.map(([, paragraph]) =>
+			[...paragraph.matchAll(/<a:t>([^<]*)<\/a:t>/g)]
+				.map(([, text]) => decodeXmlEntities(text))
+				.join('')
+				.trim()
+		)
+		.filter(Boolean);
+}
+
+/**
+ * Extract the title, body lines and speaker notes of a slide
+ * @param {string} slideXml - Slide markup
+ * @param {string|null} notesXml - Notes slide markup
+ * @returns {{title: string, lines: Array<string>, notes: Array<string>}}
+ */
+function parseSlide(slideXml, notesXml) {
+	let title = '';
+	const lines = [];
+
+	// Shapes (<p:sp>) and tables (<p:graphicFrame>) in document order
+	const shapes = slideXml.match(
+		/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g
+	);
+	for (const shape of shapes || []) {
+		const paragraphs = getDrawingParagraphs(shape);
+		if (!title && /<p:ph\b[^>]*type="(title|ctrTitle)"/.test(shape)) {
+			title = paragraphs.join(' ');
+		} else if (shape.includes('<a:tbl>')) {
+			// One "| cell | cell |" line per table row
+			for (const [row] of shape.matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)) {
+				const cells = [...row.matchAll(/<a:tc\b[\s\S]*?<\/a:tc>/g)].map(
+					([cell]) => getDrawingParagraphs(cell).join(' ')
+				);
+				lines.push(`| ${cells.join(' | ')} |`);
+			}
+		} else {
+			lines.push(...paragraphs);
+		}
+	}
+
+	// Speaker notes live in the notes body placeholder
+	const notes = [];
+	for (const [shape] of (notesXml || '').matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)) {
+		if (/<p:ph\b[^>]*type="body"/.test(shape)) {
+			notes.push(...getDrawingParagraphs(shape));
+		}
+	}
+
+	return { title, lines, notes };
+}
+
+/**
+ * Extract text from PPTX file slide by slide
+ * Each slide becomes a "# Slide N: Title" section with its speaker notes
+ * and is recorded as a page, so citations point at the slide number.
+ * @param {Buffer} fileBuffer - PPTX file buffer
+ * @returns {Promise<{text: string, pages: Array}>} Extracted text and slide segments
+ */
+async function extractFromPPTX(fileBuffer) {
+	try {
+		logInfo('Processing PPTX file');
+
+		const zip = await JSZip.loadAsync(fileBuffer);
+		const presentationPath = 'ppt/presentation.xml';
+		const presentationXml = await readZipEntry(zip, presentationPath);
+		if (!presentationXml) {
+			throw new Error('Not a valid presentation');
+		}
+
+		// Slides in presentation order (not file name order)
+		const relationships = await readRelationships(zip, presentationPath);
+		const slidePaths = [...presentationXml.matchAll(/<p:sldId\b[^>]*>/g)]
+			.map(([tag]) => relationships.get(getXmlAttribute(tag, 'r:id')))
+			.filter(Boolean);
+
+		let textContent = '';
+		const pages = [];
+
+		for (const [index, slidePath] of slidePaths.entries()) {
+			const slideXml = await readZipEntry(zip, slidePath);
+			if (!slideXml || /<p:sld\b[^>]*\sshow="0"/.test(slideXml)) {
+				continue; // Missing or hidden slide
+			}
+
+			const slideRelationships = await readRelationships(zip, slidePath);
+			const notesPath = [...slideRelationships.values()].find((path) =>
+				path.includes('notesSlides/')
+			);
+			const notesXml = notesPath ? await readZipEntry(zip, notesPath) : null;
+
+			const { title, lines, notes } = parseSlide(slideXml, notesXml);
+			if (!title && lines.length === 0 && notes.length === 0) {
+				continue; // Skip blank slides (e.g. images only)
+			}
+
+			const slideNumber = index + 1;
+			const slideText = [
+				`# Slide ${slideNumber}${title ? `: ${title}` : ''}`,
+				lines.join('\n'),
+				notes.length ? `Speaker notes:\n${notes.join('\n')}` : '',
+			]
+				.filter(Boolean)
+				.join('\n\n');
+
+			if (textContent.length > 0) {
+				textContent += '\n\n'; // Slide break
+			}
+
+			pages.push({
+				pageNumber: slideNumber,
+				start: textContent.length,
+				end: textContent.length + slideText.length,
+			});
+			textContent += slideText;
+		}
+
+		if (textContent.length === 0) {
+			throw new Error('No text content found in presentation');
+		}
+
+		logInfo('PPTX extraction completed', {
+			extractedLength: textContent.length,
+			slides: pages.length,
+		});
+
+		return { text: textContent, pages };
+	} catch (error) {
+		logError('PPTX extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from PPTX: ${error.message}`);
+	}
+}
+
+/**
+ * Zero-based column index of a cell reference
+ * @param {string} cellRef - Cell reference, e.g. "C12"
+ * @returns {number} Column index (C -> 2)
+ */
+function getColumnIndex(cellRef) {
+	const letters = cellRef.match(/^[A-Z]+/)?.[0] || 'A';
+	return (
+		[...letters].reduce(
+			(index, letter) => index * 26 + letter.charCodeAt(0) - 64,
+			0
+		) - 1
+	);
+}
+
+/**
+ * Concatenate the text runs of a shared or inline string, skipping
+ * phonetic hints
+ * @param {string} xml - <si> or <is> markup
+ * @returns {string} String value
+ */
+function getSpreadsheetString(xml) {
+	return [
+		...xml
+			.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+			.matchAll(/<t\b[^>]*>([^<]*)<\/t>/g),
+	]
+		.map(([, text]) => decodeXmlEntities(text))
+		.join('');
+}
+
+/**
+ * Read the rows of a worksheet as arrays of cell values
+ * Cells past MAX_SPREADSHEET_COLUMNS are ignored.
+ * @param {string} sheetXml - Worksheet markup
+ * @param {Array<string>} sharedStrings - Workbook shared strings
+ * @param {number} maxRows - Stop after this many non-empty rows
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+function parseWorksheetRows(sheetXml, sharedStrings, maxRows) {
+	const rows = [];
+
+	for (const [, rowXml] of sheetXml.matchAll(
+		/<row\b[^>]*>([\s\S]*?)<\/row>/g
+	)) {
+		if (rows.length >= maxRows) {
+			break;
+		}
+
+		const row = [];
+		for (const [, attributes, content = ''] of rowXml.matchAll(
+			/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+		)) {
+			const type = getXmlAttribute(attributes, 't');
+			const rawValue = content.match(/<v>([^<]*)<\/v>/)?.[1];
+			let value;
+
+			if (type === 'inlineStr') {
+				value = getSpreadsheetString(content);
+			} else if (rawValue === undefined) {
+				continue;
+			} else if (type === 's') {
+				value = sharedStrings[Number(rawValue)] || '';
+			} else if (type === 'b') {
+				value = rawValue === '1' ? 'TRUE' : 'FALSE';
+			} else {
+				value = decodeXmlEntities(rawValue);
+			}
+
+			const ref = getXmlAttribute(attributes, 'r');
+			const column = ref ? getColumnIndex(ref) : row.length;
+			if (column >= MAX_SPREADSHEET_COLUMNS) {
+				continue;
+			}
+			row[column] = value.trim();
+		}
+
+		if (row.some(Boolean)) {
+			rows.push(Array.from(row, (value) => value || ''));
+		}
+	}
+
+	return rows;
+}
+
+/**
+ * Extract text from XLSX file sheet by sheet
+ * Each sheet becomes a "# Sheet name" section holding a markdown table
+ * whose first non-empty row is the header, so the chunker keeps rows whole
+ * and repeats the header when a sheet spans several chunks.
+ * @param {Buffer} fileBuffer - XLSX file buffer
+ * @returns {Promise<string>} Formatted text representation
+ */
+async function extractFromXLSX(fileBuffer) {
+	try {
+		logInfo('Processing XLSX file');
+
+		const zip = await JSZip.loadAsync(fileBuffer);
+		const workbookPath = 'xl/workbook.xml';
+		const workbookXml = await readZipEntry(zip, workbookPath);
+		if (!workbookXml) {
+			throw new Error('Not a valid workbook');
+		}
+
+		const sharedStringsXml =
+			(await readZipEntry(zip, 'xl/sharedStrings.xml')) || '';
+		const sharedStrings = [
+			...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g),
+		].map(([, item]) => getSpreadsheetString(item));
+
+		const relationships = await readRelationships(zip, workbookPath);
+		const sections = [];
+		let totalRows = 0;
+
+		for (const [tag] of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+			if (['hidden', 'veryHidden'].includes(getXmlAttribute(tag, 'state'))) {
+				continue;
+			}
+
+			const sheetPath = relationships.get(getXmlAttribute(tag, 'r:id'));
+			const sheetXml = sheetPath ? await readZipEntry(zip, sheetPath) : null;
+			if (!sheetXml) {
+				continue; // Chart sheets have no worksheet part
+			}
+
+			const rows = parseWorksheetRows(
+				sheetXml,
+				sharedStrings,
+				MAX_SPREADSHEET_ROWS - totalRows
+			);
+			if (rows.length === 0) {
+				continue; // Empty sheet
+			}
+
+			// Pad rows to the widest one so every table row has all columns
+			const columnCount = rows.reduce(
+				(count, row) => Math.max(count, row.length),
+				0
+			);
+			const tableRows = rows.map(
+				(row) =>
+					`| ${Array.from({ length: columnCount }, (_, column) =>
+						(row[column] || '').replace(/\s+/g, ' ').replace(/\|/g, '\\|')
+					).join(' | ')} |`
+			);
+			tableRows.splice(1, 0, `|${' --- |'.repeat(columnCount)}`);
+
+			sections.push(
+				`# ${getXmlAttribute(tag, 'name') || 'Sheet'}\n\n${tableRows.join('\n')}`
+			);
+			totalRows += rows.length;
+			if (totalRows >= MAX_SPREADSHEET_ROWS) {
+				logWarn('XLSX truncated', { maxRows: MAX_SPREADSHEET_ROWS });
+				break;
+			}
+		}
+
+		logInfo('XLSX extraction completed', {
+			sheets: sections.length,
+			rows: totalRows,
+		});
+
+		return sections.join('\n\n');
+	} catch (error) {
+		logError('XLSX extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from XLSX: ${error.message}`);
+	}
+}
+
+/**
+ * Extract text from EPUB file in reading (spine) order
+ * @param {Buffer} fileBuffer - EPUB file buffer
+ * @returns {Promise<string>} Structured plain text content
+ */
+async function extractFromEPUB(fileBuffer) {
+	try {
+		logInfo('Processing EPUB file');
+
+		const zip = await JSZip.loadAsync(fileBuffer);
+		const containerXml = await readZipEntry(zip, 'META-INF/container.xml');
+		const rootfileTag = containerXml?.match(/<rootfile\b[^>]*>/)?.[0];
+		const packagePath =
+			rootfileTag && getXmlAttribute(rootfileTag, 'full-path');
+		const packageXml = packagePath && (await readZipEntry(zip, packagePath));
+		if (!packageXml) {
+			throw new Error('Not a valid EPUB package');
+		}
+
+		// Manifest item ID -> archive path
+		const manifest = new Map();
+		for (const [tag] of packageXml.matchAll(/<item\b[^>]*>/g)) {
+			const href = getXmlAttribute(tag, 'href');
+			if (href) {
+				manifest.set(
+					getXmlAttribute(tag, 'id'),
+					resolveZipPath(packagePath, decodeURIComponent(href))
+				);
+			}
+		}
+
+		const chapters = [];
+		for (const [tag] of packageXml.matchAll(/<itemref\b[^>]*>/g)) {
+			const chapterPath = manifest.get(getXmlAttribute(tag, 'idref'));
+			const chapterXml = chapterPath && (await readZipEntry(zip, chapterPath));
+			if (!chapterXml) {
+				continue;
+			}
+
+			const chapterText = htmlToStructuredText(
+				decodeCharacterReferences(
+					chapterXml.replace(/<head\b[\s\S]*?<\/head>/i, '')
+				)
+			);
+			if (chapterText) {
+				chapters.push(chapterText);
+			}
+		}
+
+		const textContent = chapters.join('\n\n');
+		if (textContent.length === 0) {
+			throw new Error('No text content found in EPUB file');
+		}
+
+		logInfo('EPUB extraction completed', {
+			chapters: chapters.length,
+			extractedLength: textContent.length,
+		});
+
+		return textContent;
+	} catch (error) {
+		logError('EPUB extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from EPUB: ${error.message}`);
+	}
+}
+
+/**
+ * Convert RTF markup to plain text
+ * Control words are dropped except for paragraph, line, tab and table
+ * breaks, and metadata destinations (font tables, pictures, headers...)
+ * are skipped. Hex escapes are read as Windows-1252.
+ * @param {string} rtf - RTF source
+ * @returns {string} Plain text
+ */
+function rtfToText(rtf) {
+	const windows1252 = new TextDecoder('windows-1252');
+	const groups = [];
+	let state = { skip: false, unicodeSkip: 1 };
+	let pendingSkip = 0; // Fallback characters still to drop after \uN
+	let text = '';
+
+	const append = (value) => {
+		if (pendingSkip > 0) {
+			pendingSkip--;
+		} else if (!state.skip) {
+			text += value;
+		}
+	};
+
+	for (let i = 0; i < rtf.length; i++) {
+		const char = rtf[i];
+
+		if (char === '{') {
+			groups.push(state);
+			state = { ...state };
+		} else if (char === '}') {
+			state = groups.pop() || state;
+			pendingSkip = 0;
+		} else if (char === '\r' || char === '\n') {
+			continue; // Source line breaks are not significant
+		} else if (char !== '\\') {
+			append(char);
+		} else {
+			const next = rtf[i + 1];
+			i++;
+
+			if (next === '\\' || next === '{' || next === '}') {
+				append(next);
+			} else if (next === "'") {
+				append(
+					windows1252.decode(Uint8Array.of(parseInt(rtf.substr(i + 1, 2), 16)))
+				);
+				i += 2;
+			} else if (next === '*') {
+				state.skip = true; // Ignorable destination
+			} else if (next === '~') {
+				append(' ');
+			} else if (next === '_') {
+				append('-');
+			} else if (next === '\r' || next === '\n') {
+				append('\n');
+			} else {
+				const [match, word, param] = rtf
+					.slice(i)
+					.match(/^([a-z]+)(-?\d+)? ?/i) || [next];
+				i += match.length - 1;
+
+				if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+					state.skip = true;
+				} else if (word === 'u' && param !== undefined) {
+					const code = Number(param);
+					append(String.fromCharCode(code < 0 ? code + 65536 : code));
+					pendingSkip = state.unicodeSkip;
+				} else if (word === 'uc' && param !== undefined) {
+					state.unicodeSkip = Number(param);
+				} else if (RTF_SYMBOLS[word]) {
+					append(RTF_SYMBOLS[word]);
+				}
+			}
+		}
+	}
+
+	return text
+		.split('\n')
+		.map((line) => line.replace(/[ \t]+/g, ' ').trim())
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Extract text from RTF file
+ * @param {Buffer} fileBuffer - RTF file buffer
+ * @returns {Promise<string>} Plain text content
+ */
+async function extractFromRTF(fileBuffer) {
+	try {
+		logInfo('Processing RTF file');
+
+		// RTF is 7-bit; other characters are escaped as \'hh or \uN
+		const rtfContent = fileBuffer.toString('latin1');
+		if (!rtfContent.trimStart().startsWith('{\\rtf')) {
+			throw new Error('Not a valid RTF document');
+		}
+
+		const textContent = rtfToText(rtfContent);
+		if (textContent.length === 0) {
+			throw new Error('No text content found in RTF file');
+		}
+
+		logInfo('RTF extraction completed', {
+			originalLength: rtfContent.length,
+			extractedLength: textContent.length,
+		});
+
+		return textContent;
+	} catch (error) {
+		logError('RTF extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from RTF: ${error.message}`);
+	}
+}
+
+/**
+ * Extract text from ODT file
+ * The document body is mapped onto HTML (headings, paragraphs, lists and
+ * tables) so it gets the same structure as DOCX files.
+ * @param {Buffer} fileBuffer - ODT file buffer
+ * @returns {Promise<string>} Structured plain text content
+ */
+async function extractFromODT(fileBuffer) {
+	try {
+		logInfo('Processing ODT file');
+
+		const zip = await JSZip.loadAsync(fileBuffer);
+		const contentXml = await readZipEntry(zip, 'content.xml');
+		const bodyXml = contentXml?.match(
+			/<office:text\b[^>]*>([\s\S]*)<\/office:text>/
+		)?.[1];
+		if (bodyXml === undefined) {
+			throw new Error('Not a valid text document');
+		}
+
+		const html = decodeCharacterReferences(bodyXml)
+			.replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '') // Comments
+			.replace(/<text:s\b[^>]*?c="(\d+)"[^>]*\/>/g, (match, count) =>
+				' '.repeat(Number(count))
+			)
+			.replace(/<text:(s|tab)\b[^>]*\/>/g, ' ')
+			.replace(/<text:line-break\b[^>]*\/>/g, '<br>')
+			// Keep table cells on one line
+			.replace(
+				/<table:table-cell\b[^>]*>([\s\S]*?)<\/table:table-cell>/g,
+				(match, cell) =>
+					`<td>${cell.replace(/<\/?text:(p|h)\b[^>]*>/g, ' ')}</td>`
+			)
+			.replace(/<table:table-row\b[^>]*>/g, '<tr>')
+			.replace(/<\/table:table>/g, '</table>')
+			.replace(
+				/<text:h\b([^>]*)>([\s\S]*?)<\/text:h>/g,
+				(match, attributes, inner) => {
+					const level = Math.min(
+						Number(getXmlAttribute(attributes, 'text:outline-level')) || 1,
+						6
+					);
+					return `<h${level}>${inner}</h${level}>`;
+				}
+			)
+			.replace(/<text:list-item\b[^>]*>/g, '<li>')
+			.replace(/<text:p\b[^>]*\/>/g, '')
+			.replace(/<text:p\b[^>]*>/g, '<p>')
+			.replace(/<\/text:p>/g, '</p>');
+
+		const textContent = htmlToStructuredText(html);
+		if (textContent.length === 0) {
+			throw new Error('No text content found in ODT file');
+		}
+
+		logInfo('ODT extraction completed', {
+			extractedLength: textContent.length,
+			wordsExtracted: textContent.split(/\s+/).length,
+		});
+
+		return textContent;
+	} catch (error) {
+		logError('ODT extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from ODT: ${error.message}`);
+	}
+}
+
+/**
+ * Flatten a JSON value into "key: value" lines with dotted key paths
+ * @param {*} value - JSON value
+ * @param {string} path - Key path of the value
+ * @returns {Array<string>} Lines
+ */
+function flattenJsonValue(value, path) {
+	if (value === null || value === undefined || value === '') {
+		return [];
+	}
+
+	if (Array.isArray(value)) {
+		if (value.every((item) => item === null || typeof item !== 'object')) {
+			const items = value.filter((item) => item !== null && item !== '');
+			return items.length ? [`${path}: ${items.join(', ')}`] : [];
+		}
+		return value.flatMap((item, index) =>
+			flattenJsonValue(item, `${path}[${index}]`)
+		);
+	}
+
+	if (typeof value === 'object') {
+		return Object.entries(value).flatMap(([key, nested]) =>
+			flattenJsonValue(nested, path ? `${path}.${key}` : key)
+		);
+	}
+
+	// Rich text fields (e.g. CMS exports) often hold HTML
+	const text =
+		typeof value === 'string' && /<[a-z][^>]*>/i.test(value)
+			? htmlToStructuredText(value)
+			: String(value).trim();
+	return text ? [path ? `${path}: ${text}` : text] : [];
+}
+
+/**
+ * Extract text from JSON or JSONL file
+ * Each record (array item, JSONL line or the top-level object) becomes a
+ * "# Title" section of "key: value" lines, titled from its title, name or
+ * question field when it has one.
+ * @param {Buffer} fileBuffer - JSON file buffer
+ * @param {boolean} isJsonLines - Whether the file holds one record per line
+ * @returns {Promise<string>} Formatted text representation
+ */
+async function extractFromJSON(fileBuffer, isJsonLines) {
+	try {
+		logInfo('Processing JSON file', { jsonLines: isJsonLines });
+
+		const content = fileBuffer.toString('utf-8').replace(/^\uFEFF/, '');
+		let records;
+
+		if (isJsonLines) {
+			records = content
+				.split(/\r?\n/)
+				.map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+				.filter(({ line }) => line)
+				.map(({ line, lineNumber }) => {
+					try {
+						return JSON.parse(line);
+					} catch (parseError) {
+						throw new Error(`Invalid JSON on line ${lineNumber}`);
+					}
+				});
+		} else {
+			const parsed = JSON.parse(content);
+			records = Array.isArray(parsed) ? parsed : [parsed];
+		}
+
+		const sections = records
+			.map((record, index) => {
+				const lines = flattenJsonValue(record, '');
+				if (lines.length === 0) {
+					return '';
+				}
+
+				const titleKey =
+					record && typeof record === 'object' && !Array.isArray(record)
+						? JSON_TITLE_KEYS.find(
+								(key) => typeof record[key] === 'string' && record[key].trim()
+							)
+						: null;
+				const title = titleKey
+					? record[titleKey].trim().replace(/\s+/g, ' ')
+					: `Item ${index + 1}`;
+
+				return `# ${title}\n\n${lines.join('\n')}`;
+			})
+			.filter(Boolean);
+
+		logInfo('JSON extraction completed', {
+			records: records.length,
+		});
+
+		return sections.join('\n\n');
+	} catch (error) {
+		logError('JSON extraction failed', { error: error.message });
+		throw new Error(`Failed to extract text from JSON: ${error.message}`);
+	}
+}
+
 /**
  * Get supported MIME types
  * @returns {Object} Supported MIME types
@@ -366,6 +1404,22 @@ export function getFileTypeCategory(mimeType) {
 			return 'html';
 		case SUPPORTED_MIME_TYPES.DOCX:
 			return 'docx';
+		case SUPPORTED_MIME_TYPES.PPTX:
+			return 'pptx';
+		case SUPPORTED_MIME_TYPES.XLSX:
+			return 'xlsx';
+		case SUPPORTED_MIME_TYPES.EPUB:
+			return 'epub';
+		case SUPPORTED_MIME_TYPES.RTF:
+			return 'rtf';
+		case SUPPORTED_MIME_TYPES.ODT:
+			return 'odt';
+		case SUPPORTED_MIME_TYPES.JSON:
+		case SUPPORTED_MIME_TYPES.JSONL:
+			return 'json';
+		case SUPPORTED_MIME_TYPES.PNG:
+		case SUPPORTED_MIME_TYPES.JPEG:
+			return 'image';
 		default:
 			return 'unknown';
 	}
@@ -6,6 +6,7 @@
  */
 
 import { logInfo, logError } from '../utils/logger.js';
+import { CHAT_MODELS, EMBEDDING_MODELS } from '../core/modelConfig.js';
 
 /**
  * File validation rules
@@ -40,13 +41,7 @@ const BOT_VALIDATION = {
   nameMinLength: 3,
   nameMaxLength: 50,
   descriptionMaxLength: 500,
-  allowedModels: [
-    'gpt-3.5-turbo',
-    'gpt-4',
-    'gpt-4-turbo',
-    'text-embedding-3-small',
-    'text-embedding-3-large'
-  ]
+  allowedModels: [...CHAT_MODELS, ...Object.keys(EMBEDDING_MODELS)]
 };
 
 /**
@@ -0,0 +1,464 @@
+/**
+ * Website Crawler
+ *
+ * Breadth-first crawl of a website from start URLs and/or a sitemap.xml.
+ * Only HTML pages within the configured depth and domain scope are fetched,
+ * robots.txt disallow rules are honoured and each page is handed to an
+ * `onPage` callback as soon as it is fetched.
+ */
+
+import { CRAWLER_ALLOW_PRIVATE_NETWORKS } from '../utils/envConfig.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+import {
+	getPublicDispatcher,
+	resolvesToPrivateAddress,
+} from '../utils/networkGuard.js';
+
+export const CRAWLER_USER_AGENT = 'PlugRAG-Crawler/1.0';
+
+const FETCH_TIMEOUT = 15000; // 15 seconds per request
+const MAX_PAGE_SIZE = 5 * 1024 * 1024; // 5MB per page
+const MAX_REDIRECTS = 5;
+const MAX_SITEMAP_URLS = 5000;
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Links to these are never HTML pages, so they are skipped without a request
+const SKIPPED_EXTENSIONS =
+	/\.(pdf|docx?|xlsx?|pptx?|zip|gz|tar|rar|7z|png|jpe?g|gif|svg|webp|ico|bmp|mp[34]|mov|avi|webm|woff2?|ttf|eot|css|js|json|xml|rss|txt)$/i;
+
+/**
+ * Normalize a URL for de-duplication
+ * Resolves relative links, drops the fragment and rejects non-HTTP schemes.
+ * @param {string} url - Absolute or relative URL
+ * @param {string} baseUrl - URL the link was found on
+ * @returns {string|null} Normalized URL or null if not crawlable
+ */
+export function normalizeUrl(url, baseUrl) {
+	try {
+		const parsed = new URL(url.trim(), baseUrl);
+		if (!['http:', 'https:'].includes(parsed.protocol)) {
+			return null;
+		}
+		parsed.hash = '';
+		parsed.username = '';
+		parsed.password = '';
+		return parsed.toString();
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Hostname without a leading "www." so example.com and www.example.com match
+ */
+function getSiteHost(url) {
+	return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Validate a URL an owner wants to crawl
+ * Private hosts are blocked unless CRAWLER_ALLOW_PRIVATE_NETWORKS is set,
+ * including public names that resolve to private addresses.
+ * @param {string} url - URL to validate
+ * @returns {Promise<string|null>} Error message, or null if the URL is allowed
+ */
+export async function validateCrawlUrl(url) {
+	const normalized = normalizeUrl(url || '');
+	if (!normalized) {
+		return `Invalid URL: ${url}. Only http and https URLs are supported`;
+	}
+
+	if (
+		!CRAWLER_ALLOW_PRIVATE_NETWORKS &&
+		(await resolvesToPrivateAddress(new URL(normalized).hostname))
+	) {
+		return `URL ${url} points to a private network address`;
+	}
+
+	return null;
+}
+
+/**
+ * Fetch a URL, following redirects only to allowed hosts
+ * @param {string} url - URL to fetch
+ * @returns {Promise<{url: string, response: Response}>} Final URL and response
+ */
+async function fetchWithRedirects(url) {
+	let currentUrl = url;
+
+	for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+		const validationMessage = await validateCrawlUrl(currentUrl);
+		if (validationMessage) {
+			throw new Error(validationMessage);
+		}
+
+		// The dispatcher re-checks the address it connects to
+		const response = await fetch(currentUrl, {
+			redirect: 'manual',
+			...(!CRAWLER_ALLOW_PRIVATE_NETWORKS && {
+				dispatcher: getPublicDispatcher(),
+			}),
+			signal: AbortSignal.timeout(FETCH_TIMEOUT),
+			headers: {
+				'User-Agent': CRAWLER_USER_AGENT,
+				Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9',
+			},
+		});
+
+		const location = response.headers.get('location');
+		if (response.status >= 300 && response.status < 400 && location) {
+			await response.body?.cancel();
+			currentUrl = normalizeUrl(location, currentUrl);
+			if (!currentUrl) {
+				throw new Error(`Invalid redirect location: ${location}`);
+			}
+			continue;
+		}
+
+		return { url: currentUrl, response };
+	}
+
+	throw new Error(`Too many redirects: ${url}`);
+}
+
+/**
+ * Read a response body, aborting once it exceeds the page size limit
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(response) {
+	const declaredLength = Number(response.headers.get('content-length'));
+	if (declaredLength > MAX_PAGE_SIZE) {
+		await response.body?.cancel();
+		throw new Error(`Page exceeds ${MAX_PAGE_SIZE} bytes`);
+	}
+
+	const chunks = [];
+	let receivedBytes = 0;
+
+	for await (const chunk of response.body) {
+		receivedBytes += chunk.length;
+		if (receivedBytes > MAX_PAGE_SIZE) {
+			throw new Error(`Page exceeds ${MAX_PAGE_SIZE} bytes`);
+		}
+		chunks.push(chunk);
+	}
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a single HTML page
+ * @param {string} url - Page URL
+ * @returns {Promise<{url: string, html: string, size: number}>} Final URL and markup
+ */
+export async function fetchPage(url) {
+	const { url: finalUrl, response } = await fetchWithRedirects(url);
+
+	if (!response.ok) {
+		await response.body?.cancel();
+		const error = new Error(`HTTP ${response.status} for ${finalUrl}`);
+		error.status = response.status;
+		throw error;
+	}
+
+	const contentType = (response.headers.get('content-type') || '')
+		.split(';')[0]
+		.trim()
+		.toLowerCase();
+	if (!HTML_CONTENT_TYPES.includes(contentType)) {
+		await response.body?.cancel();
+		throw new Error(`Not an HTML page (${contentType || 'unknown'})`);
+	}
+
+	const body = await readBody(response);
+
+	return { url: finalUrl, html: body.toString('utf-8'), size: body.length };
+}
+
+/**
+ * Extract the page title
+ * @param {string} html - Page markup
+ * @returns {string} Title, or an empty string
+ */
+export function extractTitle(html) {
+	const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+	return match
+		? match[1]
+				.replace(/<[^>]*>/g, '')
+				.replace(/&amp;/g, '&')
+				.replace(/&#39;/g, "'")
+				.replace(/&quot;/g, '"')
+				.replace(/\s+/g, ' ')
+				.trim()
+		: '';
+}
+
+/**
+ * Extract followable links from a page
+ * @param {string} html - Page markup
+ * @param {string} pageUrl - URL of the page (base for relative links)
+ * @returns {Array<string>} Normalized absolute URLs
+ */
+export function extractLinks(html, pageUrl) {
+	// Pages may not be followed at all
+	const robotsMeta = html.match(
+		/<meta[^>]+name=["']robots["'][^>]*content=["']([^"']*)["']/i
+	);
+	if (robotsMeta && /nofollow|none/i.test(robotsMeta[1])) {
+		return [];
+	}
+
+	const baseHref = html.match(/<base[^>]+href=["']([^"']+)["']/i);
+	const baseUrl = baseHref ? normalizeUrl(baseHref[1], pageUrl) : pageUrl;
+
+	const links = new Set();
+	for (const match of html.matchAll(
+		/<a\s[^>]*href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi
+	)) {
+		if (/\brel=["'][^"']*nofollow/i.test(match[0])) {
+			continue;
+		}
+		const href = (match[1] ?? match[2] ?? match[3] ?? '').replace(
+			/&amp;/g,
+			'&'
+		);
+		const url = normalizeUrl(href, baseUrl || pageUrl);
+		if (url && !SKIPPED_EXTENSIONS.test(new URL(url).pathname)) {
+			links.add(url);
+		}
+	}
+
+	return Array.from(links);
+}
+
+/**
+ * Fetch page URLs listed in a sitemap (follows one level of sitemap index)
+ * @param {string} sitemapUrl - sitemap.xml URL
+ * @returns {Promise<Array<string>>} Normalized page URLs
+ */
+export async function fetchSitemapUrls(sitemapUrl, nested = false) {
+	const { url: finalUrl, response } = await fetchWithRedirects(sitemapUrl);
+	if (!response.ok) {
+		await response.body?.cancel();
+		throw new Error(`HTTP ${response.status} for sitemap ${finalUrl}`);
+	}
+
+	const xml = (await readBody(response)).toString('utf-8');
+	const locations = Array.from(
+		xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi),
+		(match) => match[1].replace(/&amp;/g, '&').trim()
+	);
+
+	// A sitemap index lists further sitemaps rather than pages
+	if (/<sitemapindex[\s>]/i.test(xml) && !nested) {
+		const urls = [];
+		for (const location of locations) {
+			if (urls.length >= MAX_SITEMAP_URLS) break;
+			try {
+				urls.push(...(await fetchSitemapUrls(location, true)));
+			} catch (error) {
+				logWarn('Failed to fetch nested sitemap', {
+					sitemapUrl: location,
+					error: error.message,
+				});
+			}
+		}
+		return urls.slice(0, MAX_SITEMAP_URLS);
+	}
+
+	return locations
+		.map((location) => normalizeUrl(location, finalUrl))
+		.filter(Boolean)
+		.slice(0, MAX_SITEMAP_URLS);
+}
+
+/**
+ * Parse the rules of a robots.txt that apply to every crawler ("*") or us
+ * @param {string} robotsTxt - robots.txt content
+ * @returns {{allow: Array<string>, disallow: Array<string>}} Path prefixes
+ */
+export function parseRobotsTxt(robotsTxt) {
+	const rules = { allow: [], disallow: [] };
+	const agent = CRAWLER_USER_AGENT.split('/')[0].toLowerCase();
+	let applies = false;
+	let previousWasAgent = false;
+
+	for (const rawLine of robotsTxt.split('\n')) {
+		const line = rawLine.replace(/#.*$/, '').trim();
+		const separator = line.indexOf(':');
+		if (separator === -1) continue;
+
+		const field = line.slice(0, separator).trim().toLowerCase();
+		const value = line.slice(separator + 1).trim();
+
+		if (field === 'user-agent') {
+			const matches = value === '*' || value.toLowerCase() === agent;
+			applies = previousWasAgent ? applies || matches : matches;
+			previousWasAgent = true;
+			continue;
+		}
+
+		previousWasAgent = false;
+		if (applies && value && (field === 'allow' || field === 'disallow')) {
+			rules[field].push(value);
+		}
+	}
+
+	return rules;
+}
+
+/**
+ * Check a URL against robots.txt rules (longest matching prefix wins)
+ */
+function isAllowedByRobots(url, rules) {
+	const { pathname, search } = new URL(url);
+	const path = `${pathname}${search}`;
+	const longestMatch = (prefixes) =>
+		Math.max(
+			-1,
+			...prefixes
+				.filter((prefix) => path.startsWith(prefix.replace(/\*$/, '')))
+				.map((prefix) => prefix.length)
+		);
+
+	return longestMatch(rules.allow) >= longestMatch(rules.disallow);
+}
+
+/**
+ * Fetch robots.txt rules for an origin (missing robots.txt allows everything)
+ */
+async function fetchRobotsRules(origin) {
+	try {
+		const { response } = await fetchWithRedirects(`${origin}/robots.txt`);
+		if (!response.ok) {
+			await response.body?.cancel();
+			return { allow: [], disallow: [] };
+		}
+		return parseRobotsTxt((await readBody(response)).toString('utf-8'));
+	} catch (error) {
+		logWarn('Failed to fetch robots.txt', { origin, error: error.message });
+		return { allow: [], disallow: [] };
+	}
+}
+
+/**
+ * Crawl a website breadth-first
+ * @param {Object} options - Crawl options
+ * @param {Array<string>} options.startUrls - Entry URLs (depth 0)
+ * @param {string} options.sitemapUrl - Optional sitemap.xml (its pages are depth 0)
+ * @param {number} options.maxDepth - Link hops to follow from an entry URL
+ * @param {number} options.maxPages - Maximum pages handed to onPage
+ * @param {boolean} options.sameDomainOnly - Only follow links to entry domains
+ * @param {Function} onPage - async ({ url, html, title, size, depth }) => void
+ * @returns {Promise<Object>} { pagesFound, pagesFailed, errors, truncated }
+ *   (`truncated` is set when maxPages stopped the crawl before the queue emptied)
+ */
+export async function crawlSite(
+	{
+		startUrls = [],
+		sitemapUrl = '',
+		maxDepth = 2,
+		maxPages = 50,
+		sameDomainOnly = true,
+	},
+	onPage
+) {
+	const queue = [];
+	const seen = new Set();
+	const robotsCache = new Map();
+	const allowedHosts = new Set();
+	const errors = [];
+	let pagesFound = 0;
+
+	const enqueue = (url, depth) => {
+		if (url && !seen.has(url)) {
+			seen.add(url);
+			queue.push({ url, depth });
+		}
+	};
+
+	for (const startUrl of startUrls) {
+		const url = normalizeUrl(startUrl);
+		if (url) {
+			allowedHosts.add(getSiteHost(url));
+			enqueue(url, 0);
+		}
+	}
+
+	if (sitemapUrl) {
+		allowedHosts.add(getSiteHost(sitemapUrl));
+		try {
+			const sitemapUrls = await fetchSitemapUrls(sitemapUrl);
+			logInfo('Sitemap loaded', { sitemapUrl, urls: sitemapUrls.length });
+			for (const url of sitemapUrls) {
+				enqueue(url, 0);
+			}
+		} catch (error) {
+			errors.push({ url: sitemapUrl, error: error.message });
+		}
+	}
+
+	const isInScope = (url) =>
+		!sameDomainOnly || allowedHosts.has(getSiteHost(url));
+
+	while (queue.length > 0 && pagesFound < maxPages) {
+		const { url, depth } = queue.shift();
+
+		if (!isInScope(url)) continue;
+
+		const { origin } = new URL(url);
+		if (!robotsCache.has(origin)) {
+			robotsCache.set(origin, await fetchRobotsRules(origin));
+		}
+		if (!isAllowedByRobots(url, robotsCache.get(origin))) {
+			logInfo('Skipping URL disallowed by robots.txt', { url });
+			continue;
+		}
+
+		let page;
+		try {
+			page = await fetchPage(url);
+		} catch (error) {
+			logWarn('Failed to fetch page', { url, error: error.message });
+			errors.push({ url, error: error.message, status: error.status });
+			continue;
+		}
+
+		// Redirects may land on a page that was already crawled
+		if (page.url !== url) {
+			if (seen.has(page.url) || !isInScope(page.url)) continue;
+			seen.add(page.url);
+		}
+
+		pagesFound++;
+		await onPage({
+			url: page.url,
+			html: page.html,
+			title: extractTitle(page.html),
+			size: page.size,
+			depth,
+		});
+
+		if (depth < maxDepth) {
+			for (const link of extractLinks(page.html, page.url)) {
+				if (isInScope(link)) {
+					enqueue(link, depth + 1);
+				}
+			}
+		}
+	}
+
+	logInfo('Crawl completed', {
+		pagesFound,
+		pagesFailed: errors.length,
+		remainingInQueue: queue.length,
+	});
+
+	return {
+		pagesFound,
+		pagesFailed: errors.length,
+		errors,
+		truncated: queue.length > 0,
+	};
+}
@@ -49,9 +49,31 @@ export const defaultWorkerOptions = {
 	},
 };
 
+/**
+ * Web crawl and knowledge sync worker options
+ * These jobs are long-running and hit external sites, so run one at a time
+ */
+export const crawlWorkerOptions = {
+	connection: redisConnection,
+	concurrency: 1,
+	lockDuration: 5 * 60 * 1000, // Crawls can take several minutes
+};
+
+/**
+ * Webhook delivery worker options
+ * Deliveries mostly wait on owners' endpoints, so run more of them at once
+ */
+export const webhookWorkerOptions = {
+	connection: redisConnection,
+	concurrency: 10,
+};
+
 /**
  * Queue names
  */
 export const QUEUE_NAMES = {
 	FILE_PROCESSING: 'file-processing',
+	WEB_CRAWL: 'web-crawl',
+	KNOWLEDGE_SYNC: 'knowledge-sync',
+	WEBHOOK_DELIVERY: 'webhook-delivery',
 };
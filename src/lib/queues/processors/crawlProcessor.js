@@ -0,0 +1,312 @@
+// Web crawl job handler
+import crypto from 'crypto';
+import { uploadFile } from '../../integrations/s3.js';
+import { crawlSite } from '../../processors/webCrawler.js';
+import { htmlToStructuredText } from '../../processors/textExtractor.js';
+import {
+	addFileProcessingJob,
+	removeFileProcessingJob,
+} from '../fileProcessingQueue.js';
+import File from '../../../models/File.js';
+import Bot from '../../../models/Bot.js';
+import WebSource from '../../../models/WebSource.js';
+import connect from '../../integrations/mongo.js';
+import fileService from '../../core/fileService.js';
+import { S3_BUCKET, S3_REGION } from '../../utils/envConfig.js';
+
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * Hash the text content of a page so markup-only changes don't re-embed it
+ * @param {string} html - Page markup
+ * @returns {{text: string, hash: string}} Extracted text and its SHA-256
+ */
+function hashPageContent(html) {
+	const text = htmlToStructuredText(html);
+	return {
+		text,
+		hash: crypto.createHash('sha256').update(text).digest('hex'),
+	};
+}
+
+/**
+ * Display name for a crawled page (used as the citation source)
+ */
+function getPageFilename(url, title) {
+	const { hostname, pathname } = new URL(url);
+	const name = title || `${hostname}${pathname === '/' ? '' : pathname}`;
+	return name.slice(0, MAX_FILENAME_LENGTH);
+}
+
+/**
+ * Pages from an earlier crawl that are gone from the site
+ * Pages answering 404/410 are always removed. Pages that were simply not
+ * reached are only removed after a complete crawl without other fetch
+ * errors, so an outage or the maxPages cap never deletes content.
+ * @param {Array} existingFiles - Page files from earlier crawls
+ * @param {Set<string>} crawledUrls - URLs fetched in this crawl
+ * @param {Object} crawlResult - Result of crawlSite
+ * @returns {Array} Files to delete
+ */
+function getRemovedPages(existingFiles, crawledUrls, crawlResult) {
+	const goneUrls = new Set(
+		crawlResult.errors
+			.filter(({ status }) => status === 404 || status === 410)
+			.map(({ url }) => url)
+	);
+	const crawlWasComplete =
+		!crawlResult.truncated && crawlResult.errors.length === goneUrls.size;
+
+	return existingFiles.filter(
+		(file) =>
+			!crawledUrls.has(file.sourceUrl) &&
+			(goneUrls.has(file.sourceUrl) || crawlWasComplete)
+	);
+}
+
+/**
+ * Queue a crawled page file for text extraction and embedding
+ */
+async function queuePageProcessing(file, reprocess) {
+	const fileId = file._id.toString();
+
+	// A finished job with the same ID would block the new one
+	try {
+		await removeFileProcessingJob(fileId);
+	} catch (queueError) {
+		console.log(`[CRAWLER] No old job to remove: ${fileId}`);
+	}
+
+	await addFileProcessingJob(
+		{
+			fileId,
+			botId: file.botId.toString(),
+			userId: file.ownerId,
+			s3Key: file.s3Key,
+			filename: file.filename,
+			mimeType: file.mimeType,
+			size: file.size,
+			reprocess,
+		},
+		{ delay: 0 } // Uploaded server-side, no S3 propagation to wait for
+	);
+}
+
+/**
+ * Process a web crawl job: crawl -> snapshot new/changed pages -> queue embedding
+ * Each page is stored as its own HTML File (sourceType 'url') so it goes
+ * through the regular file pipeline and can be retried or deleted like an
+ * upload. Pages whose text hasn't changed since the last crawl are skipped.
+ * @param {Job} job - BullMQ Job instance
+ * @returns {Promise<Object>} Crawl result
+ */
+export async function processWebCrawlJob(job) {
+	const { webSourceId, botId, userId } = job.data;
+
+	await connect();
+
+	try {
+		const webSource = await WebSource.findOne({
+			_id: webSourceId,
+			botId,
+			ownerId: userId,
+		});
+		if (!webSource) {
+			throw new Error(`Web source not found: ${webSourceId}`);
+		}
+
+		const bot = await Bot.findOne({ _id: botId, ownerId: userId }).select(
+			'openaiApiConfig.keyStatus analytics limits'
+		);
+		if (!bot) {
+			throw new Error(`Bot not found: ${botId}`);
+		}
+		if (bot.openaiApiConfig?.keyStatus !== 'valid') {
+			throw new Error('A valid API key is required to embed crawled pages');
+		}
+
+		webSource.status = 'crawling';
+		webSource.lastError = '';
+		await webSource.save();
+
+		// Pages from earlier crawls, keyed by URL
+		const existingFiles = await File.find({
+			webSourceId,
+			status: { $ne: 'deleted' },
+		});
+		const filesByUrl = new Map(
+			existingFiles.map((file) => [file.sourceUrl, file])
+		);
+
+		const maxStorage = bot.limits?.maxTotalStorage || 52428800; // 50MB default
+		let storageUsed = bot.analytics?.storageUsed || 0;
+		const stats = {
+			pagesFound: 0,
+			pagesQueued: 0,
+			pagesUnchanged: 0,
+			pagesFailed: 0,
+			pagesRemoved: 0,
+		};
+		const pageErrors = [];
+		const crawledUrls = new Set();
+
+		const crawlResult = await crawlSite(
+			{
+				startUrls: webSource.startUrls,
+				sitemapUrl: webSource.sitemapUrl,
+				maxDepth: webSource.maxDepth,
+				maxPages: webSource.maxPages,
+				sameDomainOnly: webSource.sameDomainOnly,
+			},
+			async (page) => {
+				crawledUrls.add(page.url);
+				const { text, hash } = hashPageContent(page.html);
+				if (!text) {
+					stats.pagesFailed++;
+					pageErrors.push({ url: page.url, error: 'No text content' });
+					return;
+				}
+
+				const existingFile = filesByUrl.get(page.url);
+				const filename = getPageFilename(page.url, page.title);
+
+				// Step 1: Skip pages that haven't changed
+				if (
+					existingFile?.contentHash === hash &&
+					existingFile.embeddingStatus !== 'failed'
+				) {
+					stats.pagesUnchanged++;
+					return;
+				}
+
+				// Step 2: Enforce the bot's storage limit
+				const sizeDelta = page.size - (existingFile?.size || 0);
+				if (sizeDelta > 0 && storageUsed + sizeDelta > maxStorage) {
+					stats.pagesFailed++;
+					pageErrors.push({
+						url: page.url,
+						error: 'Bot storage limit exceeded',
+					});
+					return;
+				}
+
+				if (existingFile) {
+					// Step 3a: Changed page - replace the snapshot; processing
+					// re-embeds only the chunks whose text changed
+					// Storage and file count are only counted once processing succeeds
+					const wasCounted = !!existingFile.processedAt;
+
+					await uploadFile(existingFile.s3Key, page.html, 'text/html');
+
+					if (wasCounted) {
+						await Bot.findByIdAndUpdate(botId, {
+							$inc: { 'analytics.storageUsed': sizeDelta },
+						});
+					}
+
+					existingFile.filename = filename;
+					existingFile.size = page.size;
+					existingFile.contentHash = hash;
+					existingFile.embeddingStatus = 'queued';
+					existingFile.processingError = '';
+					await existingFile.save();
+
+					await queuePageProcessing(existingFile, wasCounted);
+				} else {
+					// Step 3b: New page - snapshot it and create its File record
+					const timestamp = Date.now();
+					const sanitizedFilename = `${getPageFilename(page.url, '')
+						.replace(/[^a-zA-Z0-9.-]/g, '_')
+						.slice(0, 100)}.html`;
+					const s3Key = `${userId}/${botId}/web/${timestamp}-${sanitizedFilename}`;
+
+					await uploadFile(s3Key, page.html, 'text/html');
+
+					const file = await File.create({
+						botId,
+						ownerId: userId,
+						filename,
+						mimeType: 'text/html',
+						fileType: 'html',
+						size: page.size,
+						sourceType: 'url',
+						sourceUrl: page.url,
+						webSourceId,
+						contentHash: hash,
+						s3Key,
+						s3Bucket: S3_BUCKET,
+						s3Region: S3_REGION,
+						storageUrl: `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com/${s3Key}`,
+						status: 'uploaded',
+						embeddingStatus: 'queued',
+					});
+					filesByUrl.set(page.url, file);
+
+					await queuePageProcessing(file, false);
+				}
+
+				storageUsed += sizeDelta;
+				stats.pagesQueued++;
+				await job.updateProgress(
+					Math.min(
+						95,
+						Math.round((stats.pagesQueued / webSource.maxPages) * 100)
+					)
+				);
+			}
+		);
+
+		stats.pagesFound = crawlResult.pagesFound;
+		stats.pagesFailed += crawlResult.pagesFailed;
+		const errors = [...crawlResult.errors, ...pageErrors];
+
+		// Step 4: Remove pages that no longer exist
+		const removedFiles = getRemovedPages(
+			existingFiles,
+			crawledUrls,
+			crawlResult
+		);
+		for (const file of removedFiles) {
+			try {
+				await fileService.deleteFile(file._id, userId);
+				stats.pagesRemoved++;
+			} catch (removeError) {
+				console.error(
+					`[CRAWLER] Failed to remove page ${file.sourceUrl}: ${removeError.message}`
+				);
+			}
+		}
+
+		// Step 5: Record the crawl result
+		webSource.status =
+			stats.pagesFound === 0 && errors.length > 0 ? 'failed' : 'completed';
+		webSource.lastCrawledAt = new Date();
+		webSource.lastError = errors.length
+			? errors
+					.slice(0, 5)
+					.map(({ url, error }) => `${url}: ${error}`)
+					.join('\n')
+			: '';
+		webSource.stats = stats;
+		await webSource.save();
+
+		console.log(
+			`✅ [CRAWLER] Crawl completed for web source ${webSourceId}`,
+			stats
+		);
+
+		return { success: true, webSourceId, ...stats };
+	} catch (error) {
+		console.error(
+			`❌ [CRAWLER] Error crawling web source ${webSourceId}:`,
+			error
+		);
+
+		await WebSource.findByIdAndUpdate(webSourceId, {
+			status: 'failed',
+			lastError: error.message,
+		});
+
+		throw error;
+	}
+}
@@ -1,29 +1,155 @@
 // File processing job handler
+import crypto from 'crypto';
 import { downloadFile } from '../../integrations/s3.js';
-import { extractText } from '../../processors/textExtractor.js';
-import { chunkText } from '../../processors/chunker.js';
+import { getChunkPointId, scrollDocuments } from '../../integrations/qdrant.js';
+import { extractTextWithPages } from '../../processors/textExtractor.js';
+import {
+	chunkText,
+	getContentTypeForFileType,
+} from '../../processors/chunker.js';
 import File from '../../../models/File.js';
 import Bot from '../../../models/Bot.js';
 import connect from '../../integrations/mongo.js';
 import apiKeyService from '../../core/apiKeyService.js';
+import { fileService } from '../../core/fileService.js';
 import { ragService } from '../../core/ragService.js';
+import { getStorageTarget } from '../../core/modelConfig.js';
+
+// Chunk metadata that can change without the chunk text changing
+const POSITIONAL_METADATA = [
+	'chunkIndex',
+	'pageNumber',
+	'pageEnd',
+	'headingPath',
+	'source',
+	'sourceUrl',
+];
+
+function sha256(content) {
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Load the chunks already stored for a file (none if the collection is new)
+ */
+async function getStoredChunks(collectionName, fileId) {
+	try {
+		return await scrollDocuments(collectionName, {
+			filter: { fileId },
+		});
+	} catch (error) {
+		console.log(
+			`[PROCESSOR] No stored chunks found for file ${fileId}: ${error.message}`
+		);
+		return [];
+	}
+}
+
+/**
+ * Metadata for a moved point: its stored metadata with the chunk's new
+ * position (other fields, such as a disabled flag, are kept)
+ */
+function getMovedMetadata(point, chunk) {
+	const metadata = { ...point.metadata };
+	for (const key of POSITIONAL_METADATA) {
+		if (chunk.metadata[key] === undefined) {
+			delete metadata[key];
+		} else {
+			metadata[key] = chunk.metadata[key];
+		}
+	}
+	return metadata;
+}
+
+/**
+ * Match new chunks against stored points by their deterministic point IDs
+ * Unchanged chunks keep their vectors (moved ones only get new metadata),
+ * changed or new chunks are embedded and stored points without a match are
+ * orphans to delete. Points stored before IDs were deterministic never
+ * match, so those files are embedded once more and their old points removed.
+ * @param {string} botId - Bot ID
+ * @param {string} fileId - File ID
+ * @param {Array} chunks - New chunks with metadata.chunkHash
+ * @param {Array} storedPoints - Points from scrollDocuments
+ * @returns {Object} { toEmbed, moved: [{ point, chunk }], orphanIds, pointCount }
+ */
+function diffChunks(botId, fileId, chunks, storedPoints) {
+	const pointsById = new Map(storedPoints.map((point) => [point.id, point]));
+
+	const toEmbed = [];
+	const moved = [];
+	const keptIds = new Set();
+
+	for (const chunk of chunks) {
+		const pointId = getChunkPointId(botId, fileId, chunk.metadata.chunkHash);
+
+		// Repeated chunk text maps to one point
+		if (keptIds.has(pointId)) continue;
+		keptIds.add(pointId);
+
+		const point = pointsById.get(pointId);
+		if (!point) {
+			toEmbed.push(chunk);
+			continue;
+		}
+
+		if (
+			POSITIONAL_METADATA.some(
+				(key) => (point.metadata[key] ?? null) !== (chunk.metadata[key] ?? null)
+			)
+		) {
+			moved.push({ point, chunk });
+		}
+	}
+
+	const orphanIds = storedPoints
+		.filter((point) => !keptIds.has(point.id))
+		.map((point) => point.id);
+
+	return { toEmbed, moved, orphanIds, pointCount: keptIds.size };
+}
 
 /**
  * Process a file job: download -> extract -> chunk -> embed -> store
+ * Re-processing a file only embeds chunks whose text changed; stored chunks
+ * that no longer exist are deleted. When the job carries a `version`, that
+ * version becomes the live one once its chunks are in place.
  * @param {Job} job - BullMQ Job instance
  * @returns {Promise<Object>} Processing result
  */
 export async function processFileJob(job) {
-	const { fileId, botId, userId, s3Key, filename, mimeType, size } = job.data;
+	const {
+		fileId,
+		botId,
+		userId,
+		s3Key,
+		filename,
+		mimeType,
+		size,
+		reprocess = false, // Re-embedding an existing file (storage already counted)
+		version = null, // Replacing the live version (see PATCH /api/files/[id])
+	} = job.data;
 
 	await connect();
 
+	let file = null;
+	let reembedding = false;
+	// How far a version switch got, so a failure is recorded truthfully
+	let versionChunksStored = false;
+	let versionSwitched = false;
 	try {
-		await File.findByIdAndUpdate(fileId, {
+		file = await File.findByIdAndUpdate(fileId, {
 			processingStartedAt: new Date(),
 			embeddingStatus: 'processing',
 		});
 
+		const versionEntry = version
+			? file?.versions.find((entry) => entry.version === version)
+			: null;
+		if (version && !versionEntry) {
+			throw new Error(`Version ${version} of file ${fileId} not found`);
+		}
+
 		// Step 1: Download file from S3 (10%)
 		await job.updateProgress(10);
 		console.log(`[PROCESSOR] Downloading file from S3: ${s3Key}`);
@@ -57,29 +183,58 @@ export async function processFileJob(job) {
 		// Step 2: Extract text from file (30%)
 		await job.updateProgress(30);
 		console.log(`[PROCESSOR] Extracting text from file: ${filename}`);
-		const extractedText = await extractText(mimeType, fileBuffer, filename);
+		// Scanned PDF pages and images go through OCR (ocrConfidence is set)
+		const {
+			text: extractedText,
+			pages,
+			ocrConfidence,
+		} = await extractTextWithPages(mimeType, fileBuffer, filename);
 
 		if (!extractedText || extractedText.trim().length === 0) {
 			throw new Error('No text could be extracted from file');
 		}
 
-		// Step 3: Chunk the text (40%)
+		// Step 3: Chunk the text (40%) using the strategy for this file type
 		await job.updateProgress(40);
-		console.log(`[PROCESSOR] Chunking text for file: ${filename}`);
+		const contentType = getContentTypeForFileType(
+			versionEntry?.fileType || file?.fileType
+		);
+		console.log(
+			`[PROCESSOR] Chunking text for file: ${filename} (${contentType})`
+		);
 
 		const metadata = {
 			source: filename,
 			type: mimeType,
 			fileId: fileId,
 			botId,
+			// Crawled pages cite their URL
+			...(file?.sourceUrl && { sourceUrl: file.sourceUrl }),
 		};
 
-		const chunks = await chunkText(extractedText, metadata, {
+		const allChunks = await chunkText(extractedText, metadata, {
 			maxChunkSize: 700,
 			overlap: 100,
+			contentType,
+			pages,
+		});
+
+		allChunks.forEach((chunk, index) => {
+			chunk.metadata.chunkIndex = index;
+			chunk.metadata.chunkHash = sha256(chunk.pageContent);
 		});
 
-		console.log(`[PROCESSOR] Generated ${chunks.length} chunks`);
+		// Chunks the owner deleted in the chunk browser stay deleted
+		const deletedChunkHashes = new Set(file?.deletedChunkHashes || []);
+		const chunks = allChunks.filter(
+			(chunk) => !deletedChunkHashes.has(chunk.metadata.chunkHash)
+		);
+
+		console.log(
+			`[PROCESSOR] Generated ${chunks.length} chunks (${
+				allChunks.length - chunks.length
+			} deleted by the owner)`
+		);
 
 		// Step 4: Get bot's API key (50%)
 		await job.updateProgress(50);
@@ -89,48 +244,127 @@ export async function processFileJob(job) {
 			throw new Error('No API key available for processing');
 		}
 
-		// Step 5: Generate embeddings and store (60-90%)
-		await job.updateProgress(60);
-		console.log(`[PROCESSOR] Generating embeddings and storing in Qdrant...`);
+		// Step 5: Compare with the chunks stored by an earlier run (55%)
+		// Only chunks without a stored point are sent to the embedding API.
+		// While the bot is re-embedded, chunks go to its new collection.
+		await job.updateProgress(55);
+		const bot = await Bot.findById(botId).select(
+			'vectorStorage openaiApiConfig.models llmProvider'
+		);
+		if (!bot) {
+			throw new Error(`Bot ${botId} not found`);
+		}
+		const { collectionName, embedding } = getStorageTarget(bot);
+		reembedding = !!bot.vectorStorage?.reembedding?.collectionName;
 
-		const result = await ragService.storeDocuments(
-			botId,
-			keyData.apiKey,
+		const storedPoints = await getStoredChunks(collectionName, fileId);
+		const { toEmbed, moved, orphanIds, pointCount } = diffChunks(
+			botId.toString(),
+			fileId,
 			chunks,
-			{
-				fileId,
-			}
+			storedPoints
 		);
 
-		console.log(`[PROCESSOR] Stored ${result.storedCount} embeddings`);
+		console.log(`[PROCESSOR] Chunk changes for ${filename}:`, {
+			total: chunks.length,
+			unchanged: pointCount - toEmbed.length,
+			toEmbed: toEmbed.length,
+			moved: moved.length,
+			orphans: orphanIds.length,
+		});
+
+		// Step 6: Embed new or changed chunks and swap them in (60-90%)
+		await job.updateProgress(60);
+
+		if (toEmbed.length > 0 || orphanIds.length > 0 || moved.length > 0) {
+			console.log(`[PROCESSOR] Generating embeddings and updating Qdrant...`);
 
-		// Step 6: Calculate tokens and cost
-		const totalTokens = chunks.reduce((sum, chunk) => {
-			return sum + (chunk.metadata?.tokenCount || 0);
-		}, 0);
+			await ragService.applyDocumentChanges(
+				botId,
+				keyData.apiKey,
+				{
+					documents: toEmbed,
+					deleteIds: orphanIds,
+					metadataUpdates: moved.map(({ point, chunk }) => ({
+						id: point.id,
+						metadata: getMovedMetadata(point, chunk),
+					})),
+				},
+				{
+					fileId,
+				},
+				embedding,
+				collectionName
+			);
+		}
+		// Qdrant now matches this version, even when an earlier attempt wrote it
+		versionChunksStored = !!versionEntry;
+
+		// Step 7: Calculate tokens and cost (only newly embedded chunks cost tokens)
+		const countTokens = (list) =>
+			list.reduce((sum, chunk) => sum + (chunk.metadata?.tokenCount || 0), 0);
+		const totalTokens = countTokens(chunks);
+		const embeddedTokens = countTokens(toEmbed);
 
 		const estimatedCost = (totalTokens / 1000) * 0.00002; // OpenAI pricing
 
-		// Step 7: Update file record (95%)
+		// Step 8: Update file record (95%)
 		await job.updateProgress(95);
-		await File.findByIdAndUpdate(fileId, {
-			embeddingStatus: 'completed',
-			totalChunks: chunks.length,
-			embeddingTokens: totalTokens,
-			estimatedCost,
-			processedAt: new Date(),
-			embeddedAt: new Date(),
-		});
-
-		// Step 8: Update bot analytics
-		await Bot.findByIdAndUpdate(botId, {
-			$inc: {
-				'analytics.totalEmbeddings': chunks.length,
-				'analytics.totalTokensUsed': totalTokens,
-				'analytics.storageUsed': size,
-				fileCount: 1,
+		await File.findByIdAndUpdate(
+			fileId,
+			{
+				embeddingStatus: 'completed',
+				totalChunks: chunks.length,
+				embeddingTokens: totalTokens,
+				estimatedCost,
+				// Text that needed no OCR clears an earlier run's confidence
+				ocrConfidence: ocrConfidence ?? null,
+				processedAt: new Date(),
+				embeddedAt: new Date(),
+				// Crawled pages hash their text instead (see crawlProcessor)
+				...(file?.sourceType !== 'url' && {
+					contentHash: sha256(fileBuffer),
+				}),
+				// Switch the live version
+				...(versionEntry && {
+					version: versionEntry.version,
+					s3Key: versionEntry.s3Key,
+					filename: versionEntry.filename,
+					mimeType: versionEntry.mimeType,
+					fileType: versionEntry.fileType,
+					size: versionEntry.size,
+					storageUrl: `https://${file.s3Bucket}.s3.${file.s3Region}.amazonaws.com/${versionEntry.s3Key}`,
+					pendingVersion: null,
+					processingError: '',
+					'versions.$[entry].status': 'uploaded',
+					'versions.$[entry].processingError': '',
+				}),
 			},
-		});
+			versionEntry ? { arrayFilters: [{ 'entry.version': version }] } : {}
+		);
+		versionSwitched = !!versionEntry;
+
+		// Step 9: Update bot analytics (a re-embedding counts the new
+		// collection's chunks when it switches over)
+		const analyticsIncrements = {
+			'analytics.totalTokensUsed': embeddedTokens,
+		};
+		if (!reembedding) {
+			analyticsIncrements['analytics.totalEmbeddings'] =
+				pointCount - storedPoints.length;
+		}
+		if (!reprocess) {
+			analyticsIncrements['analytics.storageUsed'] = size;
+			analyticsIncrements.fileCount = 1;
+		} else if (versionEntry) {
+			analyticsIncrements['analytics.storageUsed'] =
+				versionEntry.size - file.size;
+		}
+		await Bot.findByIdAndUpdate(botId, { $inc: analyticsIncrements });
+
+		if (reembedding) {
+			await fileService.finishReembedding(botId);
+		}
 
 		console.log(`✅ [PROCESSOR] File processing completed: ${filename}`);
 
@@ -138,17 +372,60 @@ export async function processFileJob(job) {
 			success: true,
 			fileId,
 			chunks: chunks.length,
-			tokens: totalTokens,
+			embeddedChunks: toEmbed.length,
+			deletedChunks: orphanIds.length,
+			tokens: embeddedTokens,
 			cost: estimatedCost,
 		};
 	} catch (error) {
 		console.error(`❌ [PROCESSOR] Error processing file ${fileId}:`, error);
 
-		// Update file status to failed
-		await File.findByIdAndUpdate(fileId, {
-			embeddingStatus: 'failed',
-			processingError: error.message,
-		});
+		const isLastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+		if (versionSwitched) {
+			// The new version is already live; a retry only redoes the bookkeeping
+		} else if (versionChunksStored) {
+			// Qdrant holds this version's chunks but the file still points at the
+			// old version. A retry switches it over without embedding again; once
+			// the retries run out the file has to be reprocessed.
+			await File.findByIdAndUpdate(
+				fileId,
+				isLastAttempt
+					? {
+							embeddingStatus: 'failed',
+							processingError: `Version ${version} could not be switched live: ${error.message}. Activate a version to reprocess the file.`,
+							pendingVersion: null,
+							'versions.$[entry].status': 'failed',
+							'versions.$[entry].processingError': error.message,
+						}
+					: { embeddingStatus: 'retrying' },
+				isLastAttempt ? { arrayFilters: [{ 'entry.version': version }] } : {}
+			);
+		} else if (version) {
+			// Nothing was written to Qdrant, so the live version keeps serving
+			await File.findByIdAndUpdate(
+				fileId,
+				{
+					embeddingStatus: file?.processedAt ? 'completed' : 'failed',
+					processingError: `Version ${version} could not be processed: ${error.message}`,
+					pendingVersion: null,
+					'versions.$[entry].status': 'failed',
+					'versions.$[entry].processingError': error.message,
+				},
+				{ arrayFilters: [{ 'entry.version': version }] }
+			);
+		} else {
+			// Update file status to failed
+			await File.findByIdAndUpdate(fileId, {
+				embeddingStatus: 'failed',
+				processingError: error.message,
+			});
+		}
+
+		// A file that fails for good doesn't hold up a re-embedding
+		if (reembedding && isLastAttempt) {
+			await fileService.finishReembedding(botId);
+		}
 
 		throw error;
 	}
@@ -0,0 +1,189 @@
+// Knowledge sync job handler
+import crypto from 'crypto';
+import { downloadFile, fileExistsInS3 } from '../../integrations/s3.js';
+import {
+	addFileProcessingJob,
+	removeFileProcessingJob,
+} from '../fileProcessingQueue.js';
+import { addWebCrawlJob } from '../webCrawlQueue.js';
+import { unscheduleBotSync } from '../syncQueue.js';
+import File from '../../../models/File.js';
+import Bot from '../../../models/Bot.js';
+import WebSource from '../../../models/WebSource.js';
+import connect from '../../integrations/mongo.js';
+import fileService from '../../core/fileService.js';
+
+/**
+ * Re-crawl every website source of a bot
+ * Sources with a crawl already queued or running are left alone; the crawl
+ * itself skips unchanged pages and removes pages that are gone.
+ * @returns {Promise<number>} Number of crawls queued
+ */
+async function syncWebSources(botId, userId) {
+	const webSources = await WebSource.find({
+		botId,
+		ownerId: userId,
+		status: { $nin: ['queued', 'crawling'] },
+	});
+
+	for (const webSource of webSources) {
+		webSource.status = 'queued';
+		webSource.lastError = '';
+		await webSource.save();
+
+		await addWebCrawlJob({
+			webSourceId: webSource._id.toString(),
+			botId,
+			userId,
+		});
+	}
+
+	return webSources.length;
+}
+
+/**
+ * Re-check one uploaded file against its stored object
+ * @returns {Promise<'unchanged'|'changed'|'removed'>} What happened to the file
+ */
+async function syncUploadedFile(file, userId) {
+	const fileId = file._id.toString();
+
+	// Step 1: The object is gone from storage - remove the file and its vectors
+	const exists = await fileExistsInS3(file.s3Bucket, file.s3Key);
+	if (!exists) {
+		await fileService.deleteFile(file._id, userId);
+		return 'removed';
+	}
+
+	// Step 2: Compare the content hash
+	const fileBuffer = await downloadFile(file.s3Key);
+	const hash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+	if (!file.contentHash) {
+		// Processed before hashes were stored - record a baseline
+		file.contentHash = hash;
+		await file.save();
+		return 'unchanged';
+	}
+	if (file.contentHash === hash) {
+		return 'unchanged';
+	}
+
+	// Step 3: Changed file - re-process it; only chunks whose text changed
+	// are re-embedded
+	await Bot.findByIdAndUpdate(file.botId, {
+		$inc: { 'analytics.storageUsed': fileBuffer.length - file.size },
+	});
+
+	file.size = fileBuffer.length;
+	file.contentHash = hash;
+	file.embeddingStatus = 'queued';
+	file.processingError = '';
+	await file.save();
+
+	// A finished job with the same ID would block the new one
+	try {
+		await removeFileProcessingJob(fileId);
+	} catch (queueError) {
+		console.log(`[SYNC] No old job to remove: ${fileId}`);
+	}
+
+	await addFileProcessingJob(
+		{
+			fileId,
+			botId: file.botId.toString(),
+			userId,
+			s3Key: file.s3Key,
+			filename: file.filename,
+			mimeType: file.mimeType,
+			size: file.size,
+			reprocess: true,
+		},
+		{ delay: 0 }
+	);
+
+	return 'changed';
+}
+
+/**
+ * Process a knowledge sync job: re-crawl websites -> re-check uploaded files
+ * Runs on the bot's sync cron (or on demand) and records a summary on the bot.
+ * @param {Job} job - BullMQ Job instance
+ * @returns {Promise<Object>} Sync result
+ */
+export async function processKnowledgeSyncJob(job) {
+	const { botId, userId, manual } = job.data;
+
+	await connect();
+
+	const bot = await Bot.findOne({ _id: botId, ownerId: userId }).select(
+		'openaiApiConfig.keyStatus sync'
+	);
+
+	// Deleted bots and disabled schedules stop their own repeatable job
+	if (!bot || (!manual && !bot.sync?.enabled)) {
+		await unscheduleBotSync(botId);
+		return { success: false, botId, skipped: true };
+	}
+
+	const result = {
+		filesChecked: 0,
+		filesChanged: 0,
+		filesRemoved: 0,
+		sourcesCrawled: 0,
+		error: '',
+	};
+
+	try {
+		if (bot.openaiApiConfig?.keyStatus !== 'valid') {
+			throw new Error('A valid API key is required to sync knowledge');
+		}
+
+		// Step 1: Website sources
+		result.sourcesCrawled = await syncWebSources(botId, userId);
+
+		// Step 2: Uploaded files that finished processing
+		const files = await File.find({
+			botId,
+			ownerId: userId,
+			sourceType: { $ne: 'url' },
+			status: { $ne: 'deleted' },
+			embeddingStatus: 'completed',
+		});
+
+		const fileErrors = [];
+		for (const file of files) {
+			try {
+				const outcome = await syncUploadedFile(file, userId);
+				result.filesChecked++;
+				if (outcome === 'changed') result.filesChanged++;
+				if (outcome === 'removed') result.filesRemoved++;
+			} catch (fileError) {
+				console.error(
+					`[SYNC] Failed to sync file ${file.filename}: ${fileError.message}`
+				);
+				fileErrors.push(`${file.filename}: ${fileError.message}`);
+			}
+
+			await job.updateProgress(
+				Math.round(
+					((result.filesChecked + fileErrors.length) / files.length) * 100
+				)
+			);
+		}
+		result.error = fileErrors.slice(0, 5).join('\n');
+	} catch (error) {
+		console.error(`❌ [SYNC] Error syncing bot ${botId}:`, error);
+		result.error = error.message;
+	}
+
+	// Step 3: Record the sync result
+	await Bot.findByIdAndUpdate(botId, {
+		'sync.lastSyncedAt': new Date(),
+		'sync.lastResult': result,
+	});
+
+	console.log(`✅ [SYNC] Sync completed for bot ${botId}`, result);
+
+	return { success: !result.error, botId, ...result };
+}
@@ -0,0 +1,122 @@
+// Webhook delivery job handler
+import Webhook from '../../../models/Webhook.js';
+import WebhookDelivery from '../../../models/WebhookDelivery.js';
+import connect from '../../integrations/mongo.js';
+import {
+	signWebhookPayload,
+	validateWebhookUrl,
+} from '../../core/webhookService.js';
+import { decrypt } from '../../utils/encryption.js';
+import { WEBHOOK_ALLOW_PRIVATE_NETWORKS } from '../../utils/envConfig.js';
+import { getPublicDispatcher } from '../../utils/networkGuard.js';
+
+export const WEBHOOK_USER_AGENT = 'PlugRAG-Webhooks/1.0';
+
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per attempt
+const MAX_RESPONSE_BODY = 1000; // Characters of the response kept in the log
+
+/**
+ * Record the outcome of a delivery on its webhook
+ */
+async function updateWebhookStatus(webhookId, status) {
+	await Webhook.findByIdAndUpdate(webhookId, {
+		lastDeliveryAt: new Date(),
+		lastDeliveryStatus: status,
+	});
+}
+
+/**
+ * Process a webhook delivery job: sign the payload and POST it
+ * Non-2xx responses and network errors throw so BullMQ retries the job;
+ * the delivery is marked failed after the last attempt. The host is resolved
+ * again on every attempt and the request connects only to the public address
+ * that was checked; redirects are not followed, so an endpoint can't bounce
+ * requests to private addresses.
+ * @param {Job} job - BullMQ Job instance
+ * @returns {Promise<Object>} Delivery result
+ */
+export async function processWebhookDeliveryJob(job) {
+	const { deliveryId, webhookId } = job.data;
+
+	await connect();
+
+	const delivery = await WebhookDelivery.findById(deliveryId);
+	if (!delivery) {
+		return { success: false, skipped: 'Delivery no longer exists' };
+	}
+
+	const webhook = await Webhook.findById(webhookId).select('+secret');
+	const urlError = webhook ? await validateWebhookUrl(webhook.url) : null;
+	if (!webhook || !webhook.enabled || urlError) {
+		// Retrying can't help; fail the delivery without sending it
+		await WebhookDelivery.findByIdAndUpdate(deliveryId, {
+			status: 'failed',
+			error: urlError || 'Webhook was deleted or disabled',
+		});
+		return { success: false, skipped: urlError || 'Webhook inactive' };
+	}
+
+	const isLastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+	const body = JSON.stringify(delivery.payload);
+	const startedAt = Date.now();
+
+	let responseStatus;
+	let responseBody = '';
+	let error = '';
+	try {
+		const response = await fetch(webhook.url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'User-Agent': WEBHOOK_USER_AGENT,
+				'X-PlugRAG-Event': delivery.event,
+				'X-PlugRAG-Delivery': delivery._id.toString(),
+				'X-PlugRAG-Signature': signWebhookPayload(
+					decrypt(webhook.secret),
+					body
+				),
+			},
+			body,
+			redirect: 'manual',
+			...(!WEBHOOK_ALLOW_PRIVATE_NETWORKS && {
+				dispatcher: getPublicDispatcher(),
+			}),
+			signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+		});
+
+		responseStatus = response.status;
+		responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+		if (!response.ok) {
+			error = `Endpoint responded with HTTP ${response.status}`;
+		}
+	} catch (fetchError) {
+		error =
+			fetchError.name === 'TimeoutError'
+				? `No response within ${DELIVERY_TIMEOUT / 1000} seconds`
+				: fetchError.cause?.message || fetchError.message;
+	}
+
+	const delivered = !error;
+	await WebhookDelivery.findByIdAndUpdate(deliveryId, {
+		$inc: { attempts: 1 },
+		$set: {
+			status: delivered ? 'delivered' : isLastAttempt ? 'failed' : 'pending',
+			responseStatus: responseStatus ?? null,
+			responseBody,
+			error,
+			durationMs: Date.now() - startedAt,
+			lastAttemptAt: new Date(),
+			...(delivered && { deliveredAt: new Date() }),
+		},
+	});
+
+	if (delivered || isLastAttempt) {
+		await updateWebhookStatus(webhookId, delivered ? 'delivered' : 'failed');
+	}
+
+	if (!delivered) {
+		throw new Error(error); // BullMQ retries with backoff
+	}
+
+	return { success: true, deliveryId, responseStatus };
+}
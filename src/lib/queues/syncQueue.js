@@ -0,0 +1,112 @@
+// For knowledge sync queue instance and schedule management
+import { Queue } from 'bullmq';
+import { defaultQueueOptions, QUEUE_NAMES } from './config.js';
+
+/**
+ * Knowledge Sync Queue Instance
+ * Re-checks a bot's uploaded files and website sources on the bot's cron
+ */
+export const knowledgeSyncQueue = new Queue(QUEUE_NAMES.KNOWLEDGE_SYNC, {
+	...defaultQueueOptions,
+	defaultJobOptions: {
+		...defaultQueueOptions.defaultJobOptions,
+		attempts: 1, // The next scheduled run is the retry
+	},
+});
+
+/**
+ * Check a sync cron expression (minute hour day-of-month month day-of-week)
+ * The minute must be a single value so a bot syncs at most once an hour.
+ * @param {string} cron - Cron expression
+ * @returns {boolean} True if the expression is allowed
+ */
+export function isValidSyncCron(cron) {
+	if (typeof cron !== 'string') return false;
+
+	const fields = cron.trim().split(/\s+/);
+	if (fields.length !== 5) return false;
+
+	const [minute, ...rest] = fields;
+	return (
+		/^\d{1,2}$/.test(minute) &&
+		Number(minute) <= 59 &&
+		rest.every((field) => /^[\d*,/-]+$/.test(field))
+	);
+}
+
+function getSchedulerId(botId) {
+	return `bot-sync-${botId}`;
+}
+
+/**
+ * Create or update a bot's repeatable sync job
+ * @param {string} botId - Bot ID
+ * @param {string} userId - Owner user ID
+ * @param {string} cron - Cron expression (UTC)
+ * @returns {Promise<void>}
+ */
+export async function scheduleBotSync(botId, userId, cron) {
+	try {
+		await knowledgeSyncQueue.upsertJobScheduler(
+			getSchedulerId(botId),
+			{ pattern: cron, tz: 'UTC' },
+			{
+				name: 'sync-bot',
+				data: { botId: botId.toString(), userId },
+			}
+		);
+
+		console.log('[QUEUE] Knowledge sync scheduled:', { botId, cron });
+	} catch (error) {
+		console.error('[QUEUE] Error scheduling knowledge sync:', error);
+		throw error;
+	}
+}
+
+/**
+ * Remove a bot's repeatable sync job
+ * @param {string} botId - Bot ID
+ * @returns {Promise<boolean>} True if a schedule was removed
+ */
+export async function unscheduleBotSync(botId) {
+	try {
+		const removed = await knowledgeSyncQueue.removeJobScheduler(
+			getSchedulerId(botId)
+		);
+
+		if (removed) {
+			console.log('[QUEUE] Knowledge sync unscheduled:', { botId });
+		}
+
+		return removed;
+	} catch (error) {
+		console.error('[QUEUE] Error removing knowledge sync schedule:', error);
+		throw error;
+	}
+}
+
+/**
+ * Queue a one-off sync of a bot ("sync now")
+ * @param {string} botId - Bot ID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Job>} BullMQ Job instance
+ */
+export async function addBotSyncJob(botId, userId) {
+	try {
+		const job = await knowledgeSyncQueue.add(
+			'sync-bot',
+			{ botId: botId.toString(), userId, manual: true },
+			{ jobId: `${getSchedulerId(botId)}-${Date.now()}` }
+		);
+
+		console.log('[QUEUE] Knowledge sync job added:', {
+			jobId: job.id,
+			botId,
+		});
+
+		return job;
+	} catch (error) {
+		console.error('[QUEUE] Error adding knowledge sync job:', error);
+		throw error;
+	}
+}
@@ -0,0 +1,49 @@
+// For web crawl queue instance and job producer functions
+import { Queue } from 'bullmq';
+import { defaultQueueOptions, QUEUE_NAMES } from './config.js';
+
+/**
+ * Web Crawl Queue Instance
+ * Handles crawling website knowledge sources into per-page files
+ */
+export const webCrawlQueue = new Queue(QUEUE_NAMES.WEB_CRAWL, {
+	...defaultQueueOptions,
+	defaultJobOptions: {
+		...defaultQueueOptions.defaultJobOptions,
+		attempts: 2, // A crawl re-fetches every page, so retry only once
+	},
+});
+
+/**
+ * Job data structure for web crawls
+ * @typedef {Object} WebCrawlJobData
+ * @property {string} webSourceId - MongoDB WebSource document ID
+ * @property {string} botId - Bot ID
+ * @property {string} userId - Owner user ID
+ */
+
+/**
+ * Add a web crawl job to the queue
+ * @param {WebCrawlJobData} jobData - Web crawl job data
+ * @param {Object} options - Additional job options
+ * @returns {Promise<Job>} BullMQ Job instance
+ */
+export async function addWebCrawlJob(jobData, options = {}) {
+	try {
+		const job = await webCrawlQueue.add('crawl-website', jobData, {
+			jobId: `${jobData.webSourceId}-${Date.now()}`, // One job per crawl run
+			...options,
+		});
+
+		console.log('[QUEUE] Web crawl job added:', {
+			jobId: job.id,
+			webSourceId: jobData.webSourceId,
+			botId: jobData.botId,
+		});
+
+		return job;
+	} catch (error) {
+		console.error('[QUEUE] Error adding web crawl job:', error);
+		throw error;
+	}
+}
@@ -0,0 +1,53 @@
+// For webhook delivery queue instance and job producer functions
+import { Queue } from 'bullmq';
+import { defaultQueueOptions, QUEUE_NAMES } from './config.js';
+
+/**
+ * Webhook Delivery Queue Instance
+ * Sends signed event payloads to owners' webhook endpoints
+ */
+export const webhookQueue = new Queue(QUEUE_NAMES.WEBHOOK_DELIVERY, {
+	...defaultQueueOptions,
+	defaultJobOptions: {
+		...defaultQueueOptions.defaultJobOptions,
+		attempts: 6, // Retries over roughly 5 minutes before giving up
+		backoff: {
+			type: 'exponential',
+			delay: 10000, // 10s, 20s, 40s, 80s, 160s
+		},
+	},
+});
+
+/**
+ * Job data structure for webhook deliveries
+ * @typedef {Object} WebhookDeliveryJobData
+ * @property {string} deliveryId - MongoDB WebhookDelivery document ID
+ * @property {string} webhookId - Webhook ID
+ * @property {string} botId - Bot ID
+ */
+
+/**
+ * Add a webhook delivery job to the queue
+ * @param {WebhookDeliveryJobData} jobData - Webhook delivery job data
+ * @param {Object} options - Additional job options
+ * @returns {Promise<Job>} BullMQ Job instance
+ */
+export async function addWebhookDeliveryJob(jobData, options = {}) {
+	try {
+		const job = await webhookQueue.add('deliver-webhook', jobData, {
+			jobId: jobData.deliveryId, // One job per delivery
+			...options,
+		});
+
+		console.log('[QUEUE] Webhook delivery job added:', {
+			jobId: job.id,
+			webhookId: jobData.webhookId,
+			botId: jobData.botId,
+		});
+
+		return job;
+	} catch (error) {
+		console.error('[QUEUE] Error adding webhook delivery job:', error);
+		throw error;
+	}
+}
@@ -1,7 +1,17 @@
-// Worker process for file processing queue
+// Worker process for file processing, web crawl, knowledge sync and webhook queues
 import { Worker } from 'bullmq';
-import { defaultWorkerOptions, QUEUE_NAMES } from './config.js';
+import {
+	crawlWorkerOptions,
+	defaultWorkerOptions,
+	webhookWorkerOptions,
+	QUEUE_NAMES,
+} from './config.js';
 import { processFileJob } from './processors/fileProcessor.js';
+import { processWebCrawlJob } from './processors/crawlProcessor.js';
+import { processKnowledgeSyncJob } from './processors/syncProcessor.js';
+import { processWebhookDeliveryJob } from './processors/webhookProcessor.js';
+import realtimeService, { REALTIME_EVENTS } from '../core/realtimeService.js';
+import webhookService, { WEBHOOK_EVENTS } from '../core/webhookService.js';
 
 /**
  * File Processing Worker
@@ -47,11 +57,29 @@ const fileProcessingWorker = new Worker(
 );
 
 // Event listeners for monitoring
+fileProcessingWorker.on('progress', (job, progress) => {
+	// Live progress for the bot's open dashboards
+	realtimeService.publish(job.data.botId, REALTIME_EVENTS.FILE_PROGRESS, {
+		fileId: job.data.fileId,
+		progress,
+	});
+});
+
 fileProcessingWorker.on('completed', (job, result) => {
 	console.log(`[WORKER] Job ${job.id} completed:`, {
 		fileId: job.data.fileId,
 		processingTime: Date.now() - job.timestamp,
 	});
+
+	realtimeService.publish(job.data.botId, REALTIME_EVENTS.FILE_STATUS, {
+		fileId: job.data.fileId,
+		embeddingStatus: 'completed',
+	});
+	webhookService.dispatch(job.data.botId, WEBHOOK_EVENTS.FILE_PROCESSED, {
+		fileId: job.data.fileId,
+		filename: job.data.filename,
+		chunks: result?.chunks,
+	});
 });
 
 fileProcessingWorker.on('failed', (job, err) => {
@@ -60,6 +88,22 @@ fileProcessingWorker.on('failed', (job, err) => {
 		error: err.message,
 		attempts: job?.attemptsMade,
 	});
+
+	if (job) {
+		realtimeService.publish(job.data.botId, REALTIME_EVENTS.FILE_STATUS, {
+			fileId: job.data.fileId,
+			embeddingStatus: 'failed',
+		});
+	}
+
+	// Owners hear about failures once retries are used up
+	if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+		webhookService.dispatch(job.data.botId, WEBHOOK_EVENTS.FILE_FAILED, {
+			fileId: job.data.fileId,
+			filename: job.data.filename,
+			error: err.message,
+		});
+	}
 });
 
 fileProcessingWorker.on('error', (err) => {
@@ -70,21 +114,133 @@ fileProcessingWorker.on('stalled', (jobId) => {
 	console.warn('[WORKER] Job stalled:', jobId);
 });
 
+/**
+ * Web Crawl Worker
+ * Processes jobs from the web-crawl queue; each crawled page is handed to
+ * the file-processing queue for embedding
+ */
+const webCrawlWorker = new Worker(
+	QUEUE_NAMES.WEB_CRAWL,
+	async (job) => {
+		console.log('[WORKER] Crawling web source:', {
+			jobId: job.id,
+			webSourceId: job.data.webSourceId,
+			attempt: job.attemptsMade + 1,
+		});
+
+		const result = await processWebCrawlJob(job);
+		await job.updateProgress(100);
+		return result;
+	},
+	crawlWorkerOptions
+);
+
+webCrawlWorker.on('completed', (job, result) => {
+	console.log(`[WORKER] Crawl job ${job.id} completed:`, {
+		webSourceId: job.data.webSourceId,
+		pagesQueued: result?.pagesQueued,
+		processingTime: Date.now() - job.timestamp,
+	});
+});
+
+webCrawlWorker.on('failed', (job, err) => {
+	console.error(`[WORKER] Crawl job ${job?.id} failed:`, {
+		webSourceId: job?.data?.webSourceId,
+		error: err.message,
+		attempts: job?.attemptsMade,
+	});
+});
+
+webCrawlWorker.on('error', (err) => {
+	console.error('[WORKER] Crawl worker error:', err);
+});
+
+/**
+ * Knowledge Sync Worker
+ * Processes scheduled and manual re-syncs of a bot's files and websites
+ */
+const knowledgeSyncWorker = new Worker(
+	QUEUE_NAMES.KNOWLEDGE_SYNC,
+	async (job) => {
+		console.log('[WORKER] Syncing bot knowledge:', {
+			jobId: job.id,
+			botId: job.data.botId,
+			manual: !!job.data.manual,
+		});
+
+		const result = await processKnowledgeSyncJob(job);
+		await job.updateProgress(100);
+		return result;
+	},
+	crawlWorkerOptions
+);
+
+knowledgeSyncWorker.on('completed', (job, result) => {
+	console.log(`[WORKER] Sync job ${job.id} completed:`, {
+		botId: job.data.botId,
+		filesChanged: result?.filesChanged,
+		processingTime: Date.now() - job.timestamp,
+	});
+});
+
+knowledgeSyncWorker.on('failed', (job, err) => {
+	console.error(`[WORKER] Sync job ${job?.id} failed:`, {
+		botId: job?.data?.botId,
+		error: err.message,
+	});
+});
+
+knowledgeSyncWorker.on('error', (err) => {
+	console.error('[WORKER] Sync worker error:', err);
+});
+
+/**
+ * Webhook Delivery Worker
+ * Sends signed event payloads to owners' endpoints, retrying with backoff
+ */
+const webhookWorker = new Worker(
+	QUEUE_NAMES.WEBHOOK_DELIVERY,
+	processWebhookDeliveryJob,
+	webhookWorkerOptions
+);
+
+webhookWorker.on('failed', (job, err) => {
+	console.warn(`[WORKER] Webhook delivery ${job?.id} failed:`, {
+		webhookId: job?.data?.webhookId,
+		error: err.message,
+		attempts: job?.attemptsMade,
+	});
+});
+
+webhookWorker.on('error', (err) => {
+	console.error('[WORKER] Webhook worker error:', err);
+});
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
 	console.log('[WORKER] Received SIGTERM, shutting down gracefully...');
-	await fileProcessingWorker.close();
+	await Promise.all([
+		fileProcessingWorker.close(),
+		webCrawlWorker.close(),
+		knowledgeSyncWorker.close(),
+		webhookWorker.close(),
+	]);
 	process.exit(0);
 });
 
 process.on('SIGINT', async () => {
 	console.log('[WORKER] Received SIGINT, shutting down gracefully...');
-	await fileProcessingWorker.close();
+	await Promise.all([
+		fileProcessingWorker.close(),
+		webCrawlWorker.close(),
+		knowledgeSyncWorker.close(),
+		webhookWorker.close(),
+	]);
 	process.exit(0);
 });
 
 console.log(
-	'[WORKER] File processing worker started and listening for jobs...'
+	'[WORKER] File processing, web crawl, knowledge sync and webhook workers started and listening for jobs...'
 );
 
 export default fileProcessingWorker;
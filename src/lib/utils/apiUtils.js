@@ -74,7 +74,7 @@ export function validateFile(file, options = {}) {
 	if (!allowedTypes.includes(file.type)) {
 		return {
 			isValid: false,
-			error: `File type ${file.type} is not supported. Please upload PDF, DOCX, TXT, CSV, or HTML files.`,
+			error: `File type ${file.type || file.name} is not supported. Please upload a document, spreadsheet, presentation, text or image file.`,
 		};
 	}
 
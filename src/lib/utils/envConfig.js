@@ -33,3 +33,17 @@ export const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
 export const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
 export const REDIS_PORT = parseInt(process.env.REDIS_PORT || '6379');
 export const REDIS_PASSWORD = process.env.REDIS_PASSWORD || undefined;
+
+// Website crawler Configuration
+// Allow crawling localhost and private network addresses (development only)
+export const CRAWLER_ALLOW_PRIVATE_NETWORKS =
+	process.env.CRAWLER_ALLOW_PRIVATE_NETWORKS === 'true';
+
+// Outbound webhooks Configuration
+// Allow webhook endpoints on localhost and private network addresses (development only)
+export const WEBHOOK_ALLOW_PRIVATE_NETWORKS =
+	process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+// OCR Configuration
+// Tesseract language codes, joined with "+" (e.g. "eng+deu")
+export const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
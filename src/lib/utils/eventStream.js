@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events Utilities
+ *
+ * Helpers for streaming responses from route handlers as text/event-stream.
+ * Each event is written as `event: <name>` followed by a JSON `data:` line.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Format a single SSE event
+ *
+ * @param {string} event - Event name
+ * @param {any} data - JSON-serializable payload
+ * @returns {string} Encoded event block
+ */
+export function formatSSEEvent(event, data) {
+	return `event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+}
+
+/**
+ * Check whether a request asked for a streamed response
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} body - Parsed request body (optional)
+ * @returns {boolean} True if the client opted into streaming
+ */
+export function wantsEventStream(request, body = {}) {
+	if (body?.stream === true) {
+		return true;
+	}
+
+	const accept = request.headers.get('accept') || '';
+	return accept.includes('text/event-stream');
+}
+
+/**
+ * Create a streaming SSE response
+ *
+ * The handler receives a `send(event, data)` function and may await work
+ * while emitting events. The stream closes when the handler resolves; if it
+ * throws, an `error` event is emitted before closing.
+ *
+ * @param {Function} handler - async (send) => void
+ * @param {Object} headers - Extra response headers (optional)
+ * @returns {Response} Streaming response
+ */
+export function createEventStream(handler, headers = {}) {
+	let closed = false;
+
+	const stream = new ReadableStream({
+		async start(controller) {
+			const send = (event, data) => {
+				if (closed) return;
+				try {
+					controller.enqueue(encoder.encode(formatSSEEvent(event, data)));
+				} catch {
+					// Client disconnected - stop writing
+					closed = true;
+				}
+			};
+
+			try {
+				await handler(send);
+			} catch (error) {
+				console.error('Event stream error:', error);
+				send('error', {
+					message: error.statusCode < 500 ? error.message : 'Stream failed',
+					code: error.code || 'STREAM_ERROR',
+				});
+			} finally {
+				if (!closed) {
+					closed = true;
+					controller.close();
+				}
+			}
+		},
+		cancel() {
+			closed = true;
+		},
+	});
+
+	return new Response(stream, {
+		status: 200,
+		headers: {
+			'Content-Type': 'text/event-stream; charset=utf-8',
+			'Cache-Control': 'no-cache, no-transform',
+			Connection: 'keep-alive',
+			'X-Accel-Buffering': 'no',
+			...headers,
+		},
+	});
+}
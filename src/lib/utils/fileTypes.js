@@ -0,0 +1,87 @@
+// Upload limits and supported file types, shared by the upload and replace routes
+
+export const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+
+export const ALLOWED_MIME_TYPES = [
+	'application/pdf',
+	'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+	'text/plain',
+	'text/csv',
+	'text/html',
+	'text/markdown',
+	'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+	'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	'application/epub+zip',
+	'application/rtf',
+	'application/vnd.oasis.opendocument.text',
+	'application/json',
+	'application/x-ndjson',
+	'image/png',
+	'image/jpeg',
+];
+
+export const MIME_TO_FILE_TYPE = {
+	'application/pdf': 'pdf',
+	'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+		'docx',
+	'text/plain': 'txt',
+	'text/csv': 'csv',
+	'text/html': 'html',
+	'text/markdown': 'md',
+	'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+		'pptx',
+	'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+	'application/epub+zip': 'epub',
+	'application/rtf': 'rtf',
+	'application/vnd.oasis.opendocument.text': 'odt',
+	'application/json': 'json',
+	'application/x-ndjson': 'jsonl',
+	'image/png': 'png',
+	'image/jpeg': 'jpg',
+};
+
+// Browsers report an empty or vendor-specific type for several of these
+// formats (e.g. .md, .jsonl, text/rtf), so uploads fall back to the extension
+const EXTENSION_TO_MIME_TYPE = {
+	pdf: 'application/pdf',
+	docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+	txt: 'text/plain',
+	csv: 'text/csv',
+	html: 'text/html',
+	htm: 'text/html',
+	md: 'text/markdown',
+	markdown: 'text/markdown',
+	pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+	xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	epub: 'application/epub+zip',
+	rtf: 'application/rtf',
+	odt: 'application/vnd.oasis.opendocument.text',
+	json: 'application/json',
+	jsonl: 'application/x-ndjson',
+	ndjson: 'application/x-ndjson',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+};
+
+/**
+ * File extensions accepted by the upload picker
+ */
+export const ACCEPTED_FILE_EXTENSIONS = Object.keys(EXTENSION_TO_MIME_TYPE).map(
+	(extension) => `.${extension}`
+);
+
+/**
+ * Resolve the MIME type of an upload
+ * @param {string} mimeType - Type reported by the browser (may be empty)
+ * @param {string} filename - Original file name
+ * @returns {string|null} A supported MIME type, or null if unsupported
+ */
+export function resolveMimeType(mimeType, filename = '') {
+	if (ALLOWED_MIME_TYPES.includes(mimeType)) {
+		return mimeType;
+	}
+
+	const extension = filename.split('.').pop()?.toLowerCase();
+	return EXTENSION_TO_MIME_TYPE[extension] || null;
+}
@@ -0,0 +1,222 @@
+/**
+ * Network Guard
+ *
+ * Keeps server-side requests to owner-supplied URLs (crawls, webhooks) away
+ * from loopback, private and link-local networks, such as cloud metadata
+ * endpoints. Hostnames are checked by their text, by every address they
+ * resolve to, and again when the connection is opened, so a DNS answer
+ * can't change between the check and the request.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+
+let publicDispatcher = null;
+
+/**
+ * Check whether an IPv4 address is in a private or reserved range
+ * @param {string} address - Dotted IPv4 address
+ * @returns {boolean}
+ */
+function isPrivateIPv4(address) {
+	const [a, b, c] = address.split('.').map(Number);
+	return (
+		a === 0 ||
+		a === 10 ||
+		a === 127 ||
+		(a === 100 && b >= 64 && b <= 127) ||
+		(a === 169 && b === 254) ||
+		(a === 172 && b >= 16 && b <= 31) ||
+		(a === 192 && b === 0 && c === 0) ||
+		(a === 192 && b === 168) ||
+		(a === 198 && (b === 18 || b === 19)) ||
+		a >= 224 // Multicast, reserved and broadcast
+	);
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address in any notation
+ * @returns {number[]|null} Groups, or null if the address can't be parsed
+ */
+function expandIPv6(address) {
+	let normalized;
+	try {
+		// The URL parser compresses the address and turns dotted IPv4 tails into hex
+		normalized = new URL(`http://[${address.split('%')[0]}]`).hostname.slice(
+			1,
+			-1
+		);
+	} catch {
+		return null;
+	}
+
+	const parseGroups = (part) =>
+		part ? part.split(':').map((group) => parseInt(group, 16)) : [];
+	const [head, tail] = normalized.split('::');
+	const headGroups = parseGroups(head);
+	if (tail === undefined) {
+		return headGroups;
+	}
+
+	const tailGroups = parseGroups(tail);
+	return [
+		...headGroups,
+		...new Array(8 - headGroups.length - tailGroups.length).fill(0),
+		...tailGroups,
+	];
+}
+
+/**
+ * IPv4 address held in two IPv6 groups
+ */
+function groupsToIPv4(high, low) {
+	return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Check whether an IPv6 address is private, or embeds a private IPv4 address
+ * @param {string} address - IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateIPv6(address) {
+	const groups = expandIPv6(address);
+	if (!groups) {
+		return true;
+	}
+
+	const [g0, g1, g2, g3, g4, g5, g6, g7] = groups;
+	const embeddedIPv4 = groupsToIPv4(g6, g7);
+
+	// ::, ::1 and IPv4-compatible ::a.b.c.d
+	if (!g0 && !g1 && !g2 && !g3 && !g4 && !g5) {
+		return g6 === 0 || isPrivateIPv4(embeddedIPv4);
+	}
+
+	// IPv4-mapped ::ffff:a.b.c.d
+	if (!g0 && !g1 && !g2 && !g3 && !g4 && g5 === 0xffff) {
+		return isPrivateIPv4(embeddedIPv4);
+	}
+
+	// NAT64: the well-known 64:ff9b::/96 prefix and local-use 64:ff9b:1::/48
+	if (g0 === 0x64 && g1 === 0xff9b) {
+		return g2 === 1 || isPrivateIPv4(embeddedIPv4);
+	}
+
+	// 6to4 2002::/16 carries the IPv4 address in the next two groups
+	if (g0 === 0x2002) {
+		return isPrivateIPv4(groupsToIPv4(g1, g2));
+	}
+
+	return (
+		(g0 & 0xfe00) === 0xfc00 || // Unique local fc00::/7
+		(g0 & 0xffc0) === 0xfe80 || // Link-local fe80::/10
+		(g0 & 0xffc0) === 0xfec0 || // Site-local fec0::/10
+		(g0 & 0xff00) === 0xff00 // Multicast ff00::/8
+	);
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is not publicly routable
+ */
+export function isPrivateAddress(address) {
+	const version = net.isIP(address.split('%')[0]);
+	if (version === 4) {
+		return isPrivateIPv4(address);
+	}
+	if (version === 6) {
+		return isPrivateIPv6(address);
+	}
+	return false;
+}
+
+/**
+ * Check whether a hostname is private by its text alone
+ * Catches local names and IP literals without a DNS lookup.
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True if the host is private
+ */
+export function isPrivateHost(hostname) {
+	const host = hostname
+		.toLowerCase()
+		.replace(/^\[|\]$/g, '')
+		.replace(/\.$/, '');
+
+	if (
+		host === 'localhost' ||
+		host.endsWith('.localhost') ||
+		host.endsWith('.local') ||
+		host.endsWith('.internal')
+	) {
+		return true;
+	}
+
+	return isPrivateAddress(host);
+}
+
+/**
+ * Check whether a hostname is private or resolves to any private address
+ * Hosts that don't resolve are allowed here; their requests fail when the
+ * connection is opened.
+ * @param {string} hostname - URL hostname
+ * @returns {Promise<boolean>} True if the host is private
+ */
+export async function resolvesToPrivateAddress(hostname) {
+	if (isPrivateHost(hostname)) {
+		return true;
+	}
+
+	const host = hostname.replace(/^\[|\]$/g, '');
+	if (net.isIP(host)) {
+		return false;
+	}
+
+	try {
+		const addresses = await dns.promises.lookup(host, { all: true });
+		return addresses.some(({ address }) => isPrivateAddress(address));
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * DNS lookup for outgoing connections that refuses private addresses
+ * Used as the socket's lookup, so the address that was checked is the one
+ * the request connects to.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+	dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+		if (error) {
+			return callback(error);
+		}
+
+		if (addresses.some(({ address }) => isPrivateAddress(address))) {
+			const privateError = new Error(
+				`${hostname} resolves to a private network address`
+			);
+			privateError.code = 'EPRIVATEADDRESS';
+			return callback(privateError);
+		}
+
+		if (options.all) {
+			return callback(null, addresses);
+		}
+		callback(null, addresses[0].address, addresses[0].family);
+	});
+}
+
+/**
+ * Get the fetch dispatcher that only connects to public addresses
+ * Pass it as the `dispatcher` option of fetch. IP literals skip the lookup,
+ * so URLs still need an isPrivateHost check before the request.
+ * @returns {Agent} Shared undici agent
+ */
+export function getPublicDispatcher() {
+	if (!publicDispatcher) {
+		publicDispatcher = new Agent({ connect: { lookup: publicOnlyLookup } });
+	}
+	return publicDispatcher;
+}
@@ -0,0 +1,7 @@
+// Dashboard event names, shared by the realtime service and the browser hook
+
+export const REALTIME_EVENTS = {
+	CONVERSATION_UPDATED: 'conversation.updated', // New message or status change
+	FILE_PROGRESS: 'file.progress', // Processing progress (0-100)
+	FILE_STATUS: 'file.status', // Processing finished or failed
+};
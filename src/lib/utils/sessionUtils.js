@@ -118,6 +118,44 @@ export const sessionStorage = {
 	},
 };
 
+/**
+ * Read a text/event-stream response and dispatch each event
+ * @param {Response} response Fetch response with a readable body
+ * @param {Function} onEvent Called with (eventName, parsedData)
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onEvent) {
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+
+		buffer += decoder.decode(value, { stream: true });
+
+		// Events are separated by a blank line
+		let boundary;
+		while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+			const block = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary + 2);
+
+			let event = 'message';
+			let data = '';
+			for (const line of block.split('\n')) {
+				if (line.startsWith('event:')) {
+					event = line.slice(6).trim();
+				} else if (line.startsWith('data:')) {
+					data += line.slice(5).trim();
+				}
+			}
+
+			onEvent(event, data ? JSON.parse(data) : {});
+		}
+	}
+}
+
 /**
  * Chat session manager for public conversations
  */
@@ -164,6 +202,98 @@ export class ChatSession {
 		}
 	}
 
+	/**
+	 * Send a message and stream the reply token by token
+	 * @param {string} message User message
+	 * @param {Function} onToken Called with each text fragment as it arrives
+	 * @returns {Promise<Object>} API response in the same shape as sendMessage
+	 */
+	async streamMessage(message, onToken) {
+		try {
+			const response = await fetch(`/api/chat/${this.botId}`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					Accept: 'text/event-stream',
+				},
+				body: JSON.stringify({
+					message,
+					sessionId: this.sessionId,
+					userFingerprint: this.userFingerprint,
+					domain: this.domain,
+					stream: true,
+				}),
+			});
+
+			// Validation and rate limit errors are still returned as JSON
+			const contentType = response.headers.get('content-type') || '';
+			if (!contentType.includes('text/event-stream')) {
+				const result = await response.json();
+				if (!response.ok) {
+					throw new Error(
+						result.error || `HTTP ${response.status}: ${response.statusText}`
+					);
+				}
+				return result;
+			}
+
+			let result = null;
+			await readEventStream(response, (event, data) => {
+				if (event === 'token') {
+					onToken?.(data.content);
+				} else if (event === 'done') {
+					result = { success: true, data };
+				} else if (event === 'error') {
+					throw new Error(data.message || 'Stream failed');
+				}
+			});
+
+			if (!result) {
+				throw new Error('Stream ended before the response completed');
+			}
+
+			return result;
+		} catch (error) {
+			console.error('Chat stream error:', error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Rate an assistant answer
+	 * @param {string} messageId ID of the assistant message
+	 * @param {string} rating 'up' or 'down'
+	 * @param {string} comment Optional comment
+	 * @returns {Promise<Object>} API response
+	 */
+	async sendFeedback(messageId, rating, comment = '') {
+		try {
+			const response = await fetch(`/api/chat/${this.botId}/feedback`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					sessionId: this.sessionId,
+					messageId,
+					rating,
+					comment,
+				}),
+			});
+
+			const result = await response.json();
+			if (!response.ok) {
+				throw new Error(
+					result.error || `HTTP ${response.status}: ${response.statusText}`
+				);
+			}
+			return result;
+		} catch (error) {
+			console.error('Feedback API error:', error);
+			throw error;
+		}
+	}
+
 	/**
 	 * Get conversation history (will be empty for fresh sessions)
 	 * @returns {Promise<Object>} Conversation history
@@ -0,0 +1,10 @@
+// Outbound webhook event types, shared by the webhook service and the dashboard
+
+export const WEBHOOK_EVENTS = {
+	CONVERSATION_STARTED: 'conversation.started',
+	MESSAGE_CREATED: 'message.created',
+	HANDOFF_REQUESTED: 'conversation.handoff_requested',
+	FILE_PROCESSED: 'file.processed',
+	FILE_FAILED: 'file.failed',
+	FEEDBACK_SUBMITTED: 'feedback.submitted',
+};
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import {
+	DEFAULT_MODEL_CONFIG,
+	DEFAULT_PROVIDER_CONFIG,
+	LLM_PROVIDERS,
+} from '../lib/core/modelConfig.js';
+import {
+	DEFAULT_PERSONA_CONFIG,
+	MAX_INSTRUCTIONS_LENGTH,
+	PERSONA_PRESETS,
+	PERSONA_STRICTNESS,
+	PERSONA_TONES,
+} from '../lib/core/promptConfig.js';
 
 const botSchema = new mongoose.Schema(
 	{
@@ -96,6 +108,51 @@ const botSchema = new mongoose.Schema(
 				},
 			},
 		],
+		// Answer questions that closely match a FAQ with its answer, skipping the LLM
+		faqMatching: {
+			enabled: {
+				type: Boolean,
+				default: true,
+			},
+			// Minimum cosine similarity between the question and a FAQ
+			threshold: {
+				type: Number,
+				default: 0.85,
+				min: 0.5,
+				max: 1,
+			},
+		},
+		// Human handoff: escalate conversations to the owner, replying from the dashboard
+		handoff: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			// Intents that hand the conversation off instead of answering
+			triggerIntents: {
+				type: [
+					{
+						type: String,
+						enum: ['NEEDS_RAG', 'GENERAL_CHAT', 'SMALL_TALK', 'HUMAN_AGENT'],
+					},
+				],
+				default: ['HUMAN_AGENT'],
+			},
+			// Consecutive answers without relevant context before handing off (0 = never)
+			unansweredThreshold: {
+				type: Number,
+				default: 2,
+				min: 0,
+				max: 10,
+			},
+			// Shown to the visitor when the conversation is handed off
+			message: {
+				type: String,
+				default:
+					"I'm connecting you with a member of our team. They'll reply here shortly.",
+				maxlength: 500,
+			},
+		},
 		// Vector storage configuration
 		vectorStorage: {
 			enabled: {
@@ -125,6 +182,157 @@ const botSchema = new mongoose.Schema(
 			deletedAt: {
 				type: Date,
 			},
+			// Collection being built by a re-embedding; answers keep using
+			// collectionName until every file is stored in the new one
+			reembedding: {
+				collectionName: { type: String, default: '' },
+				model: { type: String, default: '' },
+				dimensions: { type: Number, default: null },
+				startedAt: { type: Date },
+			},
+		},
+		// Retrieval configuration
+		retrieval: {
+			// Rewrite follow-up questions into standalone queries before retrieval
+			rewriteQuery: {
+				type: Boolean,
+				default: true,
+			},
+			// Number of chunks passed to the LLM
+			topK: {
+				type: Number,
+				default: 4,
+				min: 1,
+				max: 20,
+			},
+			// Minimum cosine similarity; weaker chunks are dropped before generation
+			minScore: {
+				type: Number,
+				default: 0.2,
+				min: 0,
+				max: 1,
+			},
+			// Maximal marginal relevance: diversify chunks instead of near-duplicates
+			mmr: {
+				enabled: {
+					type: Boolean,
+					default: false,
+				},
+				lambda: {
+					type: Number,
+					default: 0.5, // 1 = relevance only, 0 = maximum diversity
+					min: 0,
+					max: 1,
+				},
+				fetchK: {
+					type: Number,
+					default: 20, // Candidates considered before diversification
+					min: 5,
+					max: 100,
+				},
+			},
+			// Reranking: over-fetch candidates, re-score them and keep the best topK
+			rerank: {
+				enabled: {
+					type: Boolean,
+					default: false,
+				},
+				strategy: {
+					type: String,
+					enum: ['lexical', 'llm'],
+					default: 'lexical',
+				},
+				candidates: {
+					type: Number,
+					default: 20,
+					min: 5,
+					max: 50,
+				},
+			},
+			// Hybrid search: BM25 keyword ranking fused with vector ranking (RRF)
+			hybrid: {
+				enabled: {
+					type: Boolean,
+					default: false,
+				},
+				vectorWeight: {
+					type: Number,
+					default: 1,
+					min: 0,
+					max: 10,
+				},
+				keywordWeight: {
+					type: Number,
+					default: 1,
+					min: 0,
+					max: 10,
+				},
+				rrfK: {
+					type: Number,
+					default: 60, // Reciprocal rank fusion smoothing constant
+					min: 1,
+					max: 1000,
+				},
+			},
+		},
+		// Inline citation settings
+		citations: {
+			// Let widget visitors open the cited file through a short-lived link
+			allowSourceLinks: {
+				type: Boolean,
+				default: false,
+			},
+		},
+		// System prompt persona (see promptConfig.js)
+		persona: {
+			preset: {
+				type: String,
+				enum: Object.keys(PERSONA_PRESETS),
+				default: DEFAULT_PERSONA_CONFIG.preset,
+			},
+			// Custom instructions with placeholders; empty uses the preset's
+			instructions: {
+				type: String,
+				default: '',
+				maxlength: MAX_INSTRUCTIONS_LENGTH,
+			},
+			tone: {
+				type: String,
+				enum: PERSONA_TONES,
+				default: DEFAULT_PERSONA_CONFIG.tone,
+			},
+			// 'auto' replies in the visitor's language
+			language: {
+				type: String,
+				default: DEFAULT_PERSONA_CONFIG.language,
+				maxlength: 50,
+			},
+			strictness: {
+				type: String,
+				enum: Object.values(PERSONA_STRICTNESS),
+				default: DEFAULT_PERSONA_CONFIG.strictness,
+			},
+		},
+		// Scheduled re-sync of files and website sources
+		sync: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			cron: {
+				type: String,
+				default: '0 3 * * *', // Daily at 03:00 UTC
+			},
+			lastSyncedAt: {
+				type: Date,
+			},
+			lastResult: {
+				filesChecked: { type: Number, default: 0 },
+				filesChanged: { type: Number, default: 0 },
+				filesRemoved: { type: Number, default: 0 },
+				sourcesCrawled: { type: Number, default: 0 },
+				error: { type: String, default: '' },
+			},
 		},
 		// Analytics and limits
 		analytics: {
@@ -186,18 +394,56 @@ const botSchema = new mongoose.Schema(
 				type: Date,
 				default: null,
 			},
-			// Model preferences for this bot
+			// Model preferences for this bot (validated against the provider by the API)
 			models: {
+				// Model that writes answers
 				chat: {
 					type: String,
-					default: 'gpt-4',
-					enum: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+					default: DEFAULT_MODEL_CONFIG.chat,
+				},
+				// Model used for intent classification and query rewriting
+				classifier: {
+					type: String,
+					default: DEFAULT_MODEL_CONFIG.classifier,
 				},
+				// Changing this re-embeds every file (see vectorStorage.model)
 				embeddings: {
 					type: String,
-					default: 'text-embedding-3-small',
-					enum: ['text-embedding-3-small', 'text-embedding-3-large'],
+					default: DEFAULT_MODEL_CONFIG.embeddings,
 				},
+				// Unset (null) uses the response mode's default (RESPONSE_MODE_DEFAULTS)
+				temperature: {
+					type: Number,
+					default: DEFAULT_MODEL_CONFIG.temperature,
+					min: 0,
+					max: 2,
+				},
+				maxTokens: {
+					type: Number,
+					default: DEFAULT_MODEL_CONFIG.maxTokens,
+					min: 50,
+					max: 4096,
+				},
+			},
+		},
+
+		// LLM provider: OpenAI, Azure OpenAI or an OpenAI-compatible server
+		llmProvider: {
+			type: {
+				type: String,
+				enum: Object.values(LLM_PROVIDERS),
+				default: DEFAULT_PROVIDER_CONFIG.type,
+			},
+			// Azure resource endpoint or compatible server URL (e.g. http://localhost:11434/v1)
+			baseURL: {
+				type: String,
+				default: DEFAULT_PROVIDER_CONFIG.baseURL,
+				trim: true,
+			},
+			// Azure OpenAI API version
+			apiVersion: {
+				type: String,
+				default: DEFAULT_PROVIDER_CONFIG.apiVersion,
 			},
 		},
 
@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const messageSchema = new mongoose.Schema({
 	role: {
 		type: String,
-		enum: ['user', 'assistant'],
+		enum: ['user', 'assistant', 'agent'], // agent = bot owner replying in person
 		required: true,
 	},
 	content: {
@@ -18,6 +18,7 @@ const messageSchema = new mongoose.Schema({
 	sources: [
 		{
 			fileName: String,
+			sourceUrl: String, // Page URL for crawled website sources
 			pageNumbers: [Number], // New field for multiple page numbers
 			chunkIndices: [Number], // New field for multiple chunk indices
 			maxScore: Number, // Highest relevance score across chunks
@@ -25,6 +26,20 @@ const messageSchema = new mongoose.Schema({
 			chunkCount: { type: Number, default: 1 }, // Number of chunks used from this file
 		},
 	],
+	// Inline [N] citations resolved to the retrieved chunks they refer to
+	citations: [
+		{
+			index: Number, // Number used in the answer text
+			fileId: String,
+			fileName: String,
+			sourceUrl: String, // Set when the chunk came from a crawled web page
+			headingPath: String, // Section breadcrumb, e.g. "Pricing > Enterprise"
+			chunkIndex: Number,
+			pageNumber: Number,
+			pageEnd: Number, // Last page when the chunk spans pages
+			snippet: String,
+		},
+	],
 	hasRelevantContext: {
 		type: Boolean,
 	},
@@ -41,15 +56,41 @@ const messageSchema = new mongoose.Schema({
 	// Intent classification metadata
 	responseType: {
 		type: String,
-		enum: ['faq', 'rag', 'simple_llm', 'small_talk'],
+		enum: ['faq', 'rag', 'simple_llm', 'small_talk', 'handoff'],
 	},
 	intentType: {
 		type: String,
-		enum: ['NEEDS_RAG', 'GENERAL_CHAT', 'SMALL_TALK', null],
+		enum: ['NEEDS_RAG', 'GENERAL_CHAT', 'SMALL_TALK', 'HUMAN_AGENT', null],
 	},
 	intentConfidence: {
 		type: Number,
 	},
+	// FAQ answered verbatim when responseType is 'faq'
+	faqId: {
+		type: mongoose.Schema.Types.ObjectId,
+	},
+	// Clerk ID of the owner who sent an agent message
+	agentId: {
+		type: String,
+	},
+	// Standalone query used for retrieval when a follow-up was rewritten
+	rewrittenQuery: {
+		type: String,
+	},
+	// Visitor rating of an assistant answer
+	feedback: {
+		rating: {
+			type: String,
+			enum: ['up', 'down'],
+		},
+		comment: {
+			type: String,
+			maxlength: 1000,
+		},
+		submittedAt: {
+			type: Date,
+		},
+	},
 });
 
 const conversationSchema = new mongoose.Schema(
@@ -87,11 +128,21 @@ const conversationSchema = new mongoose.Schema(
 		},
 		// Conversation data
 		messages: [messageSchema],
+		// awaiting_agent / agent_active: handed off to a person, the AI stays silent
 		status: {
 			type: String,
-			enum: ['active', 'ended'],
+			enum: ['active', 'awaiting_agent', 'agent_active', 'ended'],
 			default: 'active',
 		},
+		handoff: {
+			reason: {
+				type: String,
+				enum: ['visitor_request', 'intent', 'unanswered'],
+			},
+			requestedAt: Date,
+			acceptedAt: Date, // First agent reply
+			resolvedAt: Date, // Handed back to the AI
+		},
 		// Analytics (calculated fields)
 		totalMessages: {
 			type: Number,
@@ -112,6 +163,7 @@ const conversationSchema = new mongoose.Schema(
 
 // Indexes for better performance
 conversationSchema.index({ botId: 1, createdAt: -1 });
+conversationSchema.index({ botId: 1, lastMessageAt: -1 });
 conversationSchema.index({ sessionId: 1 });
 conversationSchema.index({ domain: 1, createdAt: -1 });
 conversationSchema.index({ status: 1, lastMessageAt: -1 });
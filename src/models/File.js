@@ -23,7 +23,23 @@ const fileSchema = new mongoose.Schema(
 		},
 		fileType: {
 			type: String,
-			enum: ['pdf', 'docx', 'txt', 'csv', 'html', 'md'],
+			enum: [
+				'pdf',
+				'docx',
+				'txt',
+				'csv',
+				'html',
+				'md',
+				'pptx',
+				'xlsx',
+				'epub',
+				'rtf',
+				'odt',
+				'json',
+				'jsonl',
+				'png',
+				'jpg',
+			],
 			required: true,
 		},
 		size: {
@@ -31,6 +47,55 @@ const fileSchema = new mongoose.Schema(
 			required: true, // in bytes
 		},
 
+		// Knowledge source: an uploaded file or a crawled web page
+		sourceType: {
+			type: String,
+			enum: ['upload', 'url'],
+			default: 'upload',
+		},
+		sourceUrl: {
+			type: String, // Page URL, shown as the citation source
+		},
+		webSourceId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'WebSource',
+		},
+		contentHash: {
+			type: String, // SHA-256 of the fetched content, detects changes on re-crawl
+		},
+
+		// Versions: the top-level s3Key, filename and size describe the live
+		// version. Every uploaded version stays in S3 so owners can roll back.
+		version: {
+			type: Number,
+			default: 1,
+		},
+		versions: {
+			type: [
+				{
+					_id: false,
+					version: { type: Number, required: true },
+					s3Key: { type: String, required: true },
+					filename: { type: String, required: true },
+					mimeType: { type: String, required: true },
+					fileType: { type: String, required: true },
+					size: { type: Number, required: true },
+					status: {
+						type: String,
+						enum: ['initialized', 'uploaded', 'failed'],
+						default: 'initialized',
+					},
+					processingError: { type: String, default: '' },
+					createdAt: { type: Date, default: Date.now },
+				},
+			],
+			default: [],
+		},
+		pendingVersion: {
+			type: Number, // Version being uploaded or processed; null when none
+			default: null,
+		},
+
 		// Processing status
 		s3Key: {
 			type: String,
@@ -57,6 +122,12 @@ const fileSchema = new mongoose.Schema(
 			type: String,
 			default: '',
 		},
+		// Average OCR confidence (0-100) when text was recognized from images
+		// (scanned PDF pages or image uploads); null if OCR was not needed
+		ocrConfidence: {
+			type: Number,
+			default: null,
+		},
 
 		// Vector embeddings info
 		embeddingStatus: {
@@ -101,6 +172,12 @@ const fileSchema = new mongoose.Schema(
 			type: [String],
 			default: [],
 		},
+		// Hashes of chunks deleted in the chunk browser; re-processing the
+		// file skips chunks with this text so they stay deleted
+		deletedChunkHashes: {
+			type: [String],
+			default: [],
+		},
 	},
 	{ timestamps: true }
 );
@@ -109,5 +186,6 @@ const fileSchema = new mongoose.Schema(
 fileSchema.index({ botId: 1, status: 1 });
 fileSchema.index({ ownerId: 1, createdAt: -1 });
 fileSchema.index({ status: 1, embeddingStatus: 1 });
+fileSchema.index({ botId: 1, sourceUrl: 1 });
 
 export default mongoose.models.File || mongoose.model('File', fileSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A website the bot learns from: start URLs and/or a sitemap plus crawl scope.
+// Every crawled page is stored as its own File (sourceType 'url').
+const webSourceSchema = new mongoose.Schema(
+	{
+		botId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Bot',
+			required: true,
+		},
+		ownerId: {
+			type: String,
+			required: true,
+		},
+		name: {
+			type: String,
+			trim: true,
+			maxlength: 100,
+		},
+		// Crawl entry points
+		startUrls: {
+			type: [String],
+			default: [],
+		},
+		sitemapUrl: {
+			type: String,
+			default: '',
+		},
+		// Crawl scope
+		maxDepth: {
+			type: Number,
+			default: 2, // Links followed from a start URL (0 = start URLs only)
+			min: 0,
+			max: 5,
+		},
+		maxPages: {
+			type: Number,
+			default: 50,
+			min: 1,
+			max: 500,
+		},
+		sameDomainOnly: {
+			type: Boolean,
+			default: true,
+		},
+		// Crawl status
+		status: {
+			type: String,
+			enum: ['queued', 'crawling', 'completed', 'failed'],
+			default: 'queued',
+		},
+		lastCrawledAt: {
+			type: Date,
+		},
+		lastError: {
+			type: String,
+			default: '',
+		},
+		stats: {
+			pagesFound: { type: Number, default: 0 },
+			pagesQueued: { type: Number, default: 0 }, // New or changed pages sent for embedding
+			pagesUnchanged: { type: Number, default: 0 },
+			pagesFailed: { type: Number, default: 0 },
+		},
+	},
+	{ timestamps: true }
+);
+
+webSourceSchema.index({ botId: 1, createdAt: -1 });
+
+export default mongoose.models.WebSource ||
+	mongoose.model('WebSource', webSourceSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from '../lib/utils/webhookEvents.js';
+
+// An owner's endpoint that receives signed POSTs for the bot's events.
+// Every attempt to reach it is logged as a WebhookDelivery.
+const webhookSchema = new mongoose.Schema(
+	{
+		botId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Bot',
+			required: true,
+		},
+		ownerId: {
+			type: String,
+			required: true,
+		},
+		url: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: 200,
+			default: '',
+		},
+		events: {
+			type: [String],
+			enum: Object.values(WEBHOOK_EVENTS),
+			default: [],
+		},
+		enabled: {
+			type: Boolean,
+			default: true,
+		},
+		// Signing secret, encrypted (see webhookService.generateWebhookSecret)
+		secret: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		secretPreview: {
+			type: String, // Last characters, to tell secrets apart
+			default: '',
+		},
+		// Outcome of the most recent delivery
+		lastDeliveryAt: {
+			type: Date,
+		},
+		lastDeliveryStatus: {
+			type: String,
+			enum: ['delivered', 'failed'],
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+webhookSchema.index({ botId: 1, enabled: 1 });
+
+export default mongoose.models.Webhook ||
+	mongoose.model('Webhook', webhookSchema);
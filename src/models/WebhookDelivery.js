@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Deliveries are kept for 30 days
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 3600;
+
+// One attempt sequence to send an event to a webhook. Retries update the
+// same delivery; redelivering creates a new one with the same payload.
+const webhookDeliverySchema = new mongoose.Schema(
+	{
+		webhookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Webhook',
+			required: true,
+		},
+		botId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Bot',
+			required: true,
+		},
+		event: {
+			type: String,
+			required: true,
+		},
+		// Body sent to the endpoint: { id, event, createdAt, botId, data }
+		payload: {
+			type: mongoose.Schema.Types.Mixed,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'delivered', 'failed'],
+			default: 'pending',
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		// Last attempt
+		responseStatus: {
+			type: Number,
+		},
+		responseBody: {
+			type: String, // Truncated
+			default: '',
+		},
+		error: {
+			type: String,
+			default: '',
+		},
+		durationMs: {
+			type: Number,
+		},
+		lastAttemptAt: {
+			type: Date,
+		},
+		deliveredAt: {
+			type: Date,
+		},
+		redeliveryOf: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'WebhookDelivery',
+		},
+	},
+	{ timestamps: true }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+	{ createdAt: 1 },
+	{ expireAfterSeconds: DELIVERY_RETENTION_SECONDS }
+);
+
+export default mongoose.models.WebhookDelivery ||
+	mongoose.model('WebhookDelivery', webhookDeliverySchema);
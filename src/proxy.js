@@ -12,7 +12,8 @@ const isPublicRoute = createRouteMatcher([
   '/sign-up(.*)',
   '/api/webhooks(.*)',
   '/api/chat(.*)',  // Allow public access to chat endpoints
-  '/api/bots/:id/faqs(.*)'  // Allow public access to FAQ endpoints (auth handled in route)
+  '/api/bots/:id/faqs(.*)',  // Allow public access to FAQ endpoints (auth handled in route)
+  '/api/files/:id/download'  // Cited source links for widget visitors (auth handled in route)
 ]);
 
 export default clerkMiddleware(async (auth, req) => {